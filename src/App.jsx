@@ -1,117 +1,438 @@
 // App.jsx
-import React, { useState } from "react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import { useWeatherData } from "./hooks/useWeatherData.js";
 import { useDataFiltering } from "./hooks/useDataFiltering.js";
+import { useDrillDown } from "./hooks/useDrillDown.js";
+import { useUrlState } from "./hooks/useUrlState.js";
+import { useEvents } from "./hooks/useEvents.js";
+import { useEnso } from "./hooks/useEnso.js";
+import { UnitsContext, useUnitPreference } from "./hooks/useUnits.js";
+import { I18nContext, useLocalePreference } from "./hooks/useI18n.js";
 import Header from "./components/common/Header.jsx";
 import Navigation from "./components/common/Navigation.jsx";
 import MetricCard from "./components/common/MetricCard.jsx";
 import LoadingSpinner from "./components/common/LoadingSpinner.jsx";
 import Footer from "./components/common/Footer.jsx";
+import DataSourceBanner from "./components/common/DataSourceBanner.jsx";
+import DrillDownModal from "./components/common/DrillDownModal.jsx";
+import ImportPanel from "./components/common/ImportPanel.jsx";
+import StationSearch from "./components/common/StationSearch.jsx";
+import ClimateReport from "./components/common/ClimateReport.jsx";
 import Overview from "./components/pages/Overview.jsx";
 import Temperature from "./components/pages/Temperature.jsx";
 import Trends from "./components/pages/Trends.jsx";
 import Correlations from "./components/pages/Correlations.jsx";
-import { TABS, VANCOUVER_CLIMATE_NORMALS } from "./utils/constants.js";
+import { TABS, WEATHER_STATIONS, DATA_SOURCES } from "./utils/constants.js";
 import {
   calculateTemperatureStats,
   calculateRainfallStats,
+  calculateYearlyAggregates,
 } from "./utils/calculations.js";
+import { buildComparisonDatasets } from "./utils/stationComparison.js";
+import { toMonthSelection } from "./utils/drillDown.js";
+import { summarizeQuality } from "./utils/dataQuality.js";
+import { exportData } from "./utils/exporters.js";
+import { getClimateNormals, summarizeNormals } from "./utils/normals.js";
+import { labelEnsoDataset } from "./utils/enso.js";
+import {
+  convertDataset,
+  convertRecords,
+  toMetricRecord,
+} from "./utils/units.js";
 
 /**
  * Main Application Component
  * Orchestrates the entire Vancouver Weather Dashboard
  */
 const App = () => {
-  // State management
-  const [activeTab, setActiveTab] = useState(TABS.OVERVIEW);
-  const [selectedYear, setSelectedYear] = useState("all");
+  // State management; the view lives in the URL so it can be shared
+  const [urlState, updateUrlState] = useUrlState();
+  const {
+    tab: activeTab,
+    year: selectedYear,
+    station: stationId,
+    from: rangeStart,
+    to: rangeEnd,
+    normals: normalsPeriod,
+    options: pageOptions,
+  } = urlState;
+  const comparisonMode = urlState.compare !== null;
+  const comparisonStationIds = urlState.compare || [
+    WEATHER_STATIONS.VANCOUVER_AIRPORT.id,
+  ];
+  const hasDateRange = Boolean(rangeStart || rangeEnd);
+  const [showImport, setShowImport] = useState(false);
+  const [showStationSearch, setShowStationSearch] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  // Outcome of the last station inventory load: { count } or { error }
+  const [inventoryStatus, setInventoryStatus] = useState(null);
+  const i18n = useLocalePreference();
+  const { t } = i18n;
+  const units = useUnitPreference(i18n.locale);
+  const eventCatalog = useEvents();
+  const enso = useEnso();
 
   // Custom hooks for data management
-  const { data, loading, error, refreshData, stationInfo } = useWeatherData({
-    useSampleData: true, // Toggle for development
+  const {
+    data: sourceData,
+    stationData: sourceStationData,
+    loading,
+    error,
+    refreshData,
+    cancelFetch,
+    clearCache,
+    stationInfo,
+    parseReport,
+    progress,
+    cacheStats,
+    stations,
+    loadStationInventory,
+    inventoryLoaded,
+    isKnownStation,
+    searchStations,
+    dataSource,
+    activeDataSource,
+    fallbackReason,
+    setDataSource,
+    gapFill,
+    setGapFill,
+    importData,
+    removeImport,
+  } = useWeatherData({
+    stationId,
+    comparisonStationIds: comparisonMode ? comparisonStationIds : [],
+    useSampleData: true, // Default source for first-time visitors
   });
 
-  const { getFilteredData, getAvailableYears } = useDataFiltering(data);
+  // Data arrives in metric; everything downstream works in the chosen units,
+  // with each month labelled with its ENSO phase
+  const data = useMemo(
+    () =>
+      labelEnsoDataset(convertDataset(sourceData, units.system), enso.index),
+    [sourceData, units.system, enso.index]
+  );
+  const stationData = useMemo(
+    () =>
+      sourceStationData.map((entry) => ({
+        ...entry,
+        data: convertDataset(entry.data, units.system),
+      })),
+    [sourceStationData, units.system]
+  );
+
+  const { getFilteredData, getAvailableYears, getDataByDateRange } =
+    useDataFiltering(data);
+  const drillDown = useDrillDown({
+    stationId,
+    dataSource: activeDataSource,
+    daily: sourceData.daily,
+  });
 
-  // Get filtered data based on current selections
-  const filteredData = getFilteredData(selectedYear);
+  // Get filtered data based on current selections; a date range takes
+  // precedence over the year filter
+  const filteredData = hasDateRange
+    ? getDataByDateRange(rangeStart, rangeEnd)
+    : getFilteredData(selectedYear);
+  // "2024-03-10" -> "Mar 10, 2024"; a month (older links) -> "Mar 2024"
+  const formatRangeEnd = (value) => {
+    const [year, month, day] = value.split("-").map(Number);
+    return i18n.formatDate(new Date(year, month - 1, day || 1), {
+      year: "numeric",
+      month: "short",
+      ...(day ? { day: "numeric" } : {}),
+    });
+  };
+  const periodLabel = !hasDateRange
+    ? selectedYear
+    : rangeStart && rangeEnd
+    ? t("app.range.between", {
+        start: formatRangeEnd(rangeStart),
+        end: formatRangeEnd(rangeEnd),
+      })
+    : rangeStart
+    ? t("app.range.from", { start: formatRangeEnd(rangeStart) })
+    : t("app.range.until", { end: formatRangeEnd(rangeEnd) });
   const availableYears = getAvailableYears();
 
   // Calculate key metrics
   const temperatureStats = calculateTemperatureStats(filteredData);
   const rainfallStats = calculateRainfallStats(filteredData);
+  const unavailableMetrics = data.metadata?.unavailableMetrics || [];
+  const isAvailable = (metric) => !unavailableMetrics.includes(metric);
+  // Completeness of the months behind the figures (null for sample data)
+  const dataQuality = summarizeQuality(
+    selectedYear === "all" && !hasDateRange ? data.yearly : filteredData
+  );
 
-  // Prepare metric cards data
+  // One dataset per station when comparing; null otherwise
+  const comparison = useMemo(
+    () =>
+      comparisonMode && stationData.length > 1
+        ? buildComparisonDatasets(stationData, selectedYear)
+        : null,
+    [comparisonMode, stationData, selectedYear]
+  );
+
+  const averageHumidity =
+    filteredData.length > 0 && isAvailable("humidity")
+      ? Math.round(
+          filteredData.reduce((sum, d) => sum + d.humidity, 0) /
+            filteredData.length
+        )
+      : null;
+  const totalSunshine =
+    filteredData.length > 0 && isAvailable("sunshine")
+      ? Math.round(filteredData.reduce((sum, d) => sum + d.sunshine, 0))
+      : null;
+
+  // Climate normals of the station, in the chosen units; the cards compare
+  // with the normal of the months they cover
+  const normals = useMemo(() => {
+    const stationNormals = getClimateNormals(stationId, normalsPeriod);
+    return stationNormals
+      ? {
+          ...stationNormals,
+          monthly: convertRecords(stationNormals.monthly, units.system),
+        }
+      : null;
+  }, [stationId, normalsPeriod, units.system]);
+  const periodNormal = normals
+    ? summarizeNormals(
+        normals.monthly,
+        filteredData.map((d) => d.month)
+      )
+    : {};
+  // Stations without published normals say whose normals they're given
+  const comparisonLabel = normals
+    ? normals.isReference
+      ? t("metricCard.vsReferenceNormal", {
+          period: normals.period,
+          station: normals.name,
+        })
+      : t("metricCard.vsNormal", { period: normals.period })
+    : undefined;
+
+  // Prepare metric cards data; numericValue feeds the normals comparison,
+  // since the displayed value is formatted for the locale
   const metricCards = [
     {
-      label: "Annual Rainfall",
-      value: rainfallStats ? `${Math.round(rainfallStats.total)}mm` : "N/A",
+      label: t("app.cards.annualRainfall"),
+      value: rainfallStats
+        ? units.formatRounded(rainfallStats.total, "precipitation")
+        : t("common.notAvailable"),
+      numericValue: rainfallStats?.total,
       icon: "🌧️",
       color: "blue",
-      comparison: VANCOUVER_CLIMATE_NORMALS.ANNUAL_RAINFALL,
+      comparison: periodNormal.rainfall,
+      comparisonLabel,
+      quality: dataQuality,
     },
     {
-      label: "Avg Temperature",
+      label: t("app.cards.avgTemperature"),
+      // No month complete enough to average shows a dash, not a reading
       value: temperatureStats
-        ? `${temperatureStats.average.toFixed(1)}°C`
-        : "N/A",
+        ? temperatureStats.average === null
+          ? "—"
+          : units.format(temperatureStats.average, "temperature")
+        : t("common.notAvailable"),
+      numericValue: temperatureStats?.average,
       icon: "🌡️",
       color: "orange",
-      comparison: VANCOUVER_CLIMATE_NORMALS.AVERAGE_TEMPERATURE,
+      comparison: periodNormal.temp,
+      comparisonLabel,
+      quality: dataQuality,
     },
     {
-      label: "Avg Humidity",
+      label: t("app.cards.avgHumidity"),
       value:
-        filteredData.length > 0
-          ? `${Math.round(
-              filteredData.reduce((sum, d) => sum + d.humidity, 0) /
-                filteredData.length
-            )}%`
-          : "N/A",
+        averageHumidity !== null
+          ? `${i18n.formatNumber(averageHumidity, 0)}%`
+          : t("common.notAvailable"),
+      numericValue: averageHumidity,
+      subtitle: isAvailable("humidity")
+        ? undefined
+        : t("app.cards.notProvided"),
       icon: "💧",
       color: "cyan",
-      comparison: VANCOUVER_CLIMATE_NORMALS.AVERAGE_HUMIDITY,
+      comparison: periodNormal.humidity,
+      comparisonLabel,
     },
     {
-      label: "Sunshine Hours",
+      label: t("app.cards.sunshineHours"),
       value:
-        filteredData.length > 0
-          ? `${Math.round(
-              filteredData.reduce((sum, d) => sum + d.sunshine, 0)
-            )}hrs`
-          : "N/A",
+        totalSunshine !== null
+          ? t("app.cards.hours", {
+              value: i18n.formatNumber(totalSunshine, 0),
+            })
+          : t("common.notAvailable"),
+      numericValue: totalSunshine,
+      subtitle: isAvailable("sunshine")
+        ? undefined
+        : t("app.cards.notProvided"),
       icon: "☀️",
       color: "yellow",
-      comparison: VANCOUVER_CLIMATE_NORMALS.ANNUAL_SUNSHINE,
+      comparison: periodNormal.sunshine,
+      comparisonLabel,
     },
   ];
 
-  // Handle tab changes
+  // Handle tab changes; page options belong to the page they were set on
   const handleTabChange = (tab) => {
-    setActiveTab(tab);
+    updateUrlState({ tab, options: {} });
+  };
+
+  const setStationId = (id) => updateUrlState({ station: id });
+
+  const setComparisonMode = (enabled) =>
+    updateUrlState({ compare: enabled ? comparisonStationIds : null });
+
+  const setComparisonStationIds = (update) =>
+    updateUrlState({
+      compare:
+        typeof update === "function" ? update(comparisonStationIds) : update,
+    });
+
+  // Options of the current page (e.g. the Correlations pair and view)
+  const handlePageOptionChange = (key, value) =>
+    updateUrlState({ options: { ...pageOptions, [key]: value } });
+
+  const handleNormalsPeriodChange = (period) =>
+    updateUrlState({ normals: period });
+
+  // A date range replaces the year filter until it is cleared
+  const handleDateRangeChange = ({ from, to }) =>
+    updateUrlState({ from: from || null, to: to || null });
+
+  // Load the EC station inventory from a chosen file, or from Environment
+  // Canada when no file is given
+  const handleStationInventoryLoad = async (file) => {
+    setInventoryStatus(null);
+    try {
+      const { count } = await loadStationInventory(file);
+      setInventoryStatus({ count });
+    } catch (err) {
+      setInventoryStatus({ error: err.message });
+    }
+  };
+
+  // Stations in a link may only be in the EC inventory, which isn't loaded
+  // on startup: load it once, and leave out IDs that are still unknown
+  // (the selected station falls back to the default)
+  const [unknownStationIds, setUnknownStationIds] = useState(null);
+  const inventoryRequestRef = useRef(null);
+  const linkedCompareIds = urlState.compare;
+  useEffect(() => {
+    const ids = [stationId, ...(linkedCompareIds || [])];
+    if (ids.every(isKnownStation)) return;
+
+    let cancelled = false;
+    const dropUnknown = () => {
+      const unknown = ids.filter((id) => !isKnownStation(id));
+      if (cancelled || unknown.length === 0) return;
+      setUnknownStationIds(unknown);
+      updateUrlState({
+        station: isKnownStation(stationId)
+          ? stationId
+          : WEATHER_STATIONS.VANCOUVER_HARBOUR.id,
+        compare: linkedCompareIds && linkedCompareIds.filter(isKnownStation),
+      });
+    };
+
+    if (inventoryLoaded) {
+      dropUnknown();
+    } else {
+      if (!inventoryRequestRef.current) {
+        inventoryRequestRef.current = loadStationInventory();
+      }
+      inventoryRequestRef.current.then(dropUnknown, dropUnknown);
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    stationId,
+    linkedCompareIds,
+    inventoryLoaded,
+    isKnownStation,
+    loadStationInventory,
+    updateUrlState,
+  ]);
+
+  // Import a file and switch to its station
+  const handleImport = (inspection, mapping) => {
+    const station = importData(inspection, mapping);
+    setStationId(station.id);
+  };
+
+  // Remove an imported station, leaving it first if it is selected
+  const handleRemoveImport = (id) => {
+    if (stationId === id) setStationId(WEATHER_STATIONS.VANCOUVER_HARBOUR.id);
+    setComparisonStationIds((ids) => ids.filter((other) => other !== id));
+    removeImport(id);
+  };
+
+  // Download the figures behind the current selection
+  const handleExport = (format) => {
+    exportData(
+      {
+        records: filteredData,
+        yearlyAggregates: calculateYearlyAggregates(
+          periodLabel === "all" ? data.yearly || [] : filteredData
+        ),
+        station: stationInfo?.name || data.metadata?.station,
+        source: data.metadata?.source,
+        period: periodLabel,
+        unitSystem: units.system,
+      },
+      format
+    );
+  };
+
+  // Open the day-by-day view for a clicked month; climatology months have
+  // no year of their own, so the newest year is shown
+  const handleMonthSelect = (record) => {
+    const selection = toMonthSelection(
+      record,
+      selectedYear === "all" ? availableYears[0] : parseInt(selectedYear)
+    );
+    if (selection) {
+      drillDown.openMonth(
+        selection.year,
+        selection.monthIndex,
+        toMetricRecord(record, units.system)
+      );
+    }
   };
 
   // Handle year filter changes
   const handleYearChange = (year) => {
-    setSelectedYear(year);
+    updateUrlState({ year, from: null, to: null });
   };
 
-  // Error handling
-  if (error) {
-    return (
+  // Language and units reach every component through context
+  const withProviders = (content) => (
+    <I18nContext.Provider value={i18n}>
+      <UnitsContext.Provider value={units}>{content}</UnitsContext.Provider>
+    </I18nContext.Provider>
+  );
+
+  // Error handling (a failed live fetch falls back to sample data, which
+  // the banner explains, so this only shows when there is nothing to show)
+  if (error && !fallbackReason) {
+    return withProviders(
       <div className="min-h-screen flex items-center justify-center">
         <div className="max-w-md mx-auto bg-white/90 backdrop-blur-sm rounded-lg shadow-lg p-6">
           <div className="text-center">
             <div className="text-6xl mb-4">⚠️</div>
             <h2 className="text-2xl font-bold text-gray-800 mb-2">
-              Data Loading Error
+              {t("app.loadError")}
             </h2>
             <p className="text-gray-600 mb-4">{error}</p>
             <button
               onClick={refreshData}
               className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
             >
-              Try Again
+              {t("common.retry")}
             </button>
           </div>
         </div>
@@ -121,10 +442,59 @@ const App = () => {
 
   // Loading state
   if (loading) {
-    return (
+    return withProviders(
       <div className="min-h-screen flex items-center justify-center">
         <div className="bg-white/90 backdrop-blur-sm rounded-lg shadow-lg p-8">
-          <LoadingSpinner message="Loading Vancouver weather data..." />
+          <LoadingSpinner
+            message={t("app.loading")}
+            showProgress={progress?.total > 0}
+            progress={
+              progress?.total > 0
+                ? Math.round((progress.completed / progress.total) * 100)
+                : 0
+            }
+            progressDetail={
+              progress?.total > 0
+                ? [
+                    t("app.progress.months", {
+                      completed: progress.completed,
+                      total: progress.total,
+                    }),
+                    progress.stations > 1 &&
+                      t("app.progress.stations", { count: progress.stations }),
+                    progress.failed > 0 &&
+                      t("app.progress.failed", { count: progress.failed }),
+                  ]
+                    .filter(Boolean)
+                    .join(" ")
+                : undefined
+            }
+            onCancel={progress ? cancelFetch : undefined}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  // Printable report replaces the dashboard until it is closed
+  if (showReport) {
+    return withProviders(
+      <div className="min-h-screen">
+        <div className="max-w-4xl mx-auto px-6 py-6">
+          <ClimateReport
+            stationInfo={stationInfo}
+            metadata={data.metadata}
+            metricCards={metricCards}
+            data={filteredData}
+            yearlyData={data.yearly}
+            selectedYear={selectedYear}
+            periodLabel={hasDateRange ? periodLabel : undefined}
+            availableYears={availableYears}
+            unavailableMetrics={unavailableMetrics}
+            dataQuality={dataQuality}
+            dataSource={activeDataSource}
+            onClose={() => setShowReport(false)}
+          />
         </div>
       </div>
     );
@@ -137,13 +507,42 @@ const App = () => {
       yearlyData: data.yearly,
       selectedYear,
       availableYears,
+      unavailableMetrics,
+      comparison,
+      onMonthSelect: handleMonthSelect,
+      events: eventCatalog.events,
+      options: pageOptions,
+      onOptionChange: handlePageOptionChange,
+      // Source line for exported chart images
+      attribution: [
+        stationInfo?.name || data.metadata?.station,
+        data.metadata?.source,
+      ]
+        .filter(Boolean)
+        .join(" · "),
     };
 
     switch (activeTab) {
       case TABS.TEMPERATURE:
         return <Temperature {...pageProps} />;
       case TABS.TRENDS:
-        return <Trends {...pageProps} />;
+        return (
+          <Trends
+            {...pageProps}
+            normals={normals}
+            normalsPeriod={normalsPeriod}
+            onNormalsPeriodChange={handleNormalsPeriodChange}
+            dailyData={data.daily}
+            onAddEvent={eventCatalog.addEvent}
+            onUpdateEvent={eventCatalog.updateEvent}
+            onRemoveEvent={eventCatalog.removeEvent}
+            onResetEvents={eventCatalog.resetEvents}
+            ensoIndex={enso.index}
+            oniFileName={enso.fileName}
+            onLoadOniFile={enso.loadFile}
+            onResetOniTable={enso.resetTable}
+          />
+        );
       case TABS.CORRELATIONS:
         return <Correlations {...pageProps} />;
       case TABS.OVERVIEW:
@@ -152,15 +551,17 @@ const App = () => {
     }
   };
 
-  return (
+  return withProviders(
     <div className="min-h-screen">
       <div className="max-w-7xl mx-auto px-6 py-6">
         {/* Header Section */}
         <Header
-          title="Vancouver Weather Analytics Dashboard"
-          subtitle="Comprehensive climate data visualization for Vancouver, BC"
+          title={t("app.title")}
+          subtitle={t("app.subtitle")}
           stationInfo={stationInfo}
           lastUpdated={data.metadata?.lastUpdated}
+          dataSource={activeDataSource}
+          isFallback={Boolean(fallbackReason)}
         />
 
         {/* Navigation and Controls */}
@@ -170,10 +571,89 @@ const App = () => {
             onTabChange={handleTabChange}
             selectedYear={selectedYear}
             onYearChange={handleYearChange}
+            dateRange={{ from: rangeStart, to: rangeEnd }}
+            onDateRangeChange={handleDateRangeChange}
             availableYears={availableYears}
+            stations={stations}
+            selectedStationId={stationId}
+            onStationChange={setStationId}
+            comparisonMode={comparisonMode}
+            onComparisonModeChange={setComparisonMode}
+            comparisonStationIds={comparisonStationIds}
+            onComparisonStationsChange={setComparisonStationIds}
+            onStationInventoryLoad={handleStationInventoryLoad}
+            onStationSearchClick={() => setShowStationSearch((shown) => !shown)}
+            inventoryStatus={inventoryStatus}
+            dataSource={dataSource}
+            onDataSourceChange={setDataSource}
+            gapFill={gapFill}
+            onGapFillChange={setGapFill}
+            onImportClick={() => setShowImport((shown) => !shown)}
+            onExport={handleExport}
+            onGenerateReport={() => setShowReport(true)}
+            unitSystem={units.system}
+            onUnitSystemChange={units.setSystem}
+            locale={i18n.locale}
+            onLocaleChange={i18n.setLocale}
+            ensoIndex={enso.index}
           />
         </div>
 
+        {/* File import */}
+        {showImport && (
+          <ImportPanel
+            onImport={handleImport}
+            onClose={() => setShowImport(false)}
+            importedStations={stations.filter((station) => station.imported)}
+            onRemove={handleRemoveImport}
+          />
+        )}
+
+        {/* Station search */}
+        {showStationSearch && (
+          <StationSearch
+            onSearch={searchStations}
+            onSelect={(id) => {
+              setStationId(id);
+              setShowStationSearch(false);
+            }}
+            onClose={() => setShowStationSearch(false)}
+            inventoryLoaded={inventoryLoaded}
+            onLoadInventory={() => handleStationInventoryLoad()}
+            origin={stationInfo?.coordinates}
+          />
+        )}
+
+        {/* Stations from the link that couldn't be found */}
+        {unknownStationIds && (
+          <div
+            className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-start justify-between gap-3 text-sm text-amber-800"
+            role="alert"
+          >
+            <span>
+              {t("app.unknownStations", {
+                count: unknownStationIds.length,
+                ids: unknownStationIds.join(", "),
+              })}
+            </span>
+            <button
+              onClick={() => setUnknownStationIds(null)}
+              className="px-2 py-1 bg-white text-amber-800 border border-amber-200 rounded hover:bg-amber-100 transition-colors"
+            >
+              {t("common.close")}
+            </button>
+          </div>
+        )}
+
+        {/* Live fetch fallback notice */}
+        {dataSource === DATA_SOURCES.LIVE && (
+          <DataSourceBanner
+            reason={fallbackReason}
+            onRetry={refreshData}
+            onUseSample={() => setDataSource(DATA_SOURCES.SAMPLE)}
+          />
+        )}
+
         {/* Key Metrics Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
           {metricCards.map((metric, index) => (
@@ -188,12 +668,35 @@ const App = () => {
         {/* Main Content Area */}
         <main className="mb-8">{renderPageContent()}</main>
 
+        {/* Month/day drill-down */}
+        <DrillDownModal
+          selection={drillDown.selection}
+          days={convertRecords(drillDown.days, units.system)}
+          hours={convertRecords(drillDown.hours, units.system)}
+          loading={drillDown.loading}
+          error={drillDown.error}
+          stationName={stationInfo?.name}
+          onSelectDay={drillDown.openDay}
+          onBack={drillDown.backToMonth}
+          onClose={drillDown.close}
+        />
+
         {/* Footer */}
         <Footer
-          dataSource="Environment and Climate Change Canada"
+          dataSource={data.metadata?.source || t("app.defaultSource")}
+          activeDataSource={activeDataSource}
+          fallbackReason={fallbackReason}
+          stationInfo={stationInfo}
           techStack="React, Recharts, Tailwind CSS"
           onRefresh={refreshData}
           cacheInfo={data.metadata}
+          cacheStats={cacheStats}
+          onClearCache={clearCache}
+          parseReport={parseReport}
+          normalsPeriod={normalsPeriod}
+          normalsReferenceStation={
+            normals?.isReference ? normals.name : undefined
+          }
         />
       </div>
     </div>
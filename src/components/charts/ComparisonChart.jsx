@@ -0,0 +1,111 @@
+// components/charts/ComparisonChart.jsx
+import React from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import CustomTooltip from "./CustomTooltip.jsx";
+import { getClickedRecord } from "../../utils/drillDown.js";
+import { useI18n } from "../../hooks/useI18n.js";
+
+/**
+ * Comparison Chart Component
+ * Overlays one series per station on a shared axis. Pass onPointClick to
+ * receive the row under the cursor when the chart is clicked.
+ */
+const ComparisonChart = ({
+  data,
+  series,
+  xKey = "month",
+  type = "line",
+  yLabel,
+  unit = "",
+  height = 300,
+  onPointClick,
+}) => {
+  const { t, formatNumber, monthName } = useI18n();
+
+  if (!data || data.length === 0 || !series || series.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64 bg-gray-50 rounded-lg">
+        <p className="text-gray-500">{t("charts.noComparisonData")}</p>
+      </div>
+    );
+  }
+
+  const formatValue = (value) =>
+    value === null || value === undefined
+      ? t("common.notAvailable")
+      : `${formatNumber(value, 1)}${unit}`;
+
+  const ChartType = type === "bar" ? BarChart : LineChart;
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ChartType
+        data={data}
+        onClick={
+          onPointClick &&
+          ((state) => onPointClick(getClickedRecord(state, data)))
+        }
+        className={onPointClick ? "cursor-pointer" : undefined}
+      >
+        <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+        <XAxis
+          dataKey={xKey}
+          tick={{ fontSize: 12 }}
+          tickFormatter={(value) => monthName(value)}
+        />
+        <YAxis
+          label={
+            yLabel && {
+              value: yLabel,
+              angle: -90,
+              position: "insideLeft",
+            }
+          }
+          tick={{ fontSize: 12 }}
+        />
+        <Tooltip
+          content={
+            <CustomTooltip customFormatter={formatValue} useSeriesNames />
+          }
+        />
+        <Legend />
+        {series.map((s) =>
+          type === "bar" ? (
+            <Bar
+              key={s.key}
+              dataKey={s.key}
+              name={s.name}
+              fill={s.color}
+              radius={[4, 4, 0, 0]}
+            />
+          ) : (
+            <Line
+              key={s.key}
+              type="monotone"
+              dataKey={s.key}
+              name={s.name}
+              stroke={s.color}
+              strokeWidth={3}
+              dot={{ fill: s.color, r: 3 }}
+              activeDot={{ r: 6 }}
+              connectNulls
+            />
+          )
+        )}
+      </ChartType>
+    </ResponsiveContainer>
+  );
+};
+
+export default ComparisonChart;
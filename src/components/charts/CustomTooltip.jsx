@@ -1,31 +1,41 @@
 // components/charts/CustomTooltip.jsx
 import React from "react";
+import {
+  QUALITY_BADGES,
+  describeQuality,
+  describeFlags,
+} from "../../utils/dataQuality.js";
+import {
+  QUANTITIES,
+  FIELD_QUANTITIES,
+  getFieldUnit,
+} from "../../utils/units.js";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * Custom Tooltip Component for Recharts
- * Provides formatted tooltips with proper units and styling
+ * Provides formatted tooltips with proper units and styling. Set
+ * useSeriesNames when data keys are IDs (e.g. one series per station) so
+ * entries are labelled with the series name instead.
  */
-const CustomTooltip = ({ active, payload, label, customFormatter }) => {
+const CustomTooltip = ({
+  active,
+  payload,
+  label,
+  customFormatter,
+  useSeriesNames = false,
+}) => {
+  const { system } = useUnits();
+  const { t, formatNumber, monthName } = useI18n();
+
   if (!active || !payload || !payload.length) {
     return null;
   }
 
-  /**
-   * Get appropriate unit for a data key
-   * @param {string} dataKey - The data key
-   * @returns {string} Unit symbol
-   */
-  const getUnit = (dataKey) => {
-    if (dataKey.includes("temp") || dataKey.includes("Temp")) return "°C";
-    if (dataKey === "rainfall" || dataKey === "precipitation") return "mm";
-    if (dataKey === "humidity") return "%";
-    if (dataKey === "sunshine") return "hrs";
-    if (dataKey === "pressure") return "hPa";
-    if (dataKey === "windSpeed") return "km/h";
-    if (dataKey.includes("total") && dataKey.includes("Rainfall")) return "mm";
-    if (dataKey.includes("total") && dataKey.includes("Sunshine")) return "hrs";
-    return "";
-  };
+  // Completeness of the month under the cursor, when it was assessed
+  const quality = payload[0].payload?.quality;
+  const qualityBadge = quality ? QUALITY_BADGES[quality.level] : null;
 
   /**
    * Format value with appropriate precision
@@ -38,21 +48,26 @@ const CustomTooltip = ({ active, payload, label, customFormatter }) => {
 
     // Temperature values - 1 decimal place
     if (dataKey.includes("temp") || dataKey.includes("Temp")) {
-      return value.toFixed(1);
+      return formatNumber(value, 1);
+    }
+
+    // Rainfall in the unit system's precision (inches need 2 places)
+    if (FIELD_QUANTITIES[dataKey] === "precipitation") {
+      return formatNumber(value, QUANTITIES.precipitation[system].digits);
     }
 
-    // Rainfall and sunshine - 1 decimal place
-    if (dataKey === "rainfall" || dataKey === "sunshine") {
-      return value.toFixed(1);
+    // Sunshine - 1 decimal place
+    if (dataKey === "sunshine") {
+      return formatNumber(value, 1);
     }
 
     // Humidity - whole numbers
     if (dataKey === "humidity") {
-      return Math.round(value);
+      return formatNumber(value, 0);
     }
 
     // Default - 1 decimal place for most metrics
-    return value.toFixed(1);
+    return formatNumber(value, 1);
   };
 
   /**
@@ -62,30 +77,32 @@ const CustomTooltip = ({ active, payload, label, customFormatter }) => {
    */
   const getFriendlyName = (dataKey) => {
     const nameMap = {
-      temp: "Average Temperature",
-      tempMin: "Minimum Temperature",
-      tempMax: "Maximum Temperature",
-      rainfall: "Rainfall",
-      humidity: "Humidity",
-      sunshine: "Sunshine Hours",
-      pressure: "Pressure",
-      windSpeed: "Wind Speed",
-      totalRainfall: "Total Rainfall",
-      totalSunshine: "Total Sunshine",
-      avgTemp: "Average Temperature",
-      avgHumidity: "Average Humidity",
+      temp: "fields.temp",
+      tempMin: "fields.tempMin",
+      tempMax: "fields.tempMax",
+      rainfall: "fields.rainfall",
+      humidity: "fields.humidity",
+      sunshine: "fields.sunshine",
+      pressure: "fields.pressure",
+      windSpeed: "fields.windSpeed",
+      totalRainfall: "fields.totalRainfall",
+      totalSunshine: "fields.totalSunshine",
+      avgTemp: "fields.avgTemp",
+      avgHumidity: "fields.avgHumidity",
+      tempTrend: "fields.tempTrend",
+      rainfallTrend: "fields.rainfallTrend",
     };
 
-    return (
-      nameMap[dataKey] || dataKey.charAt(0).toUpperCase() + dataKey.slice(1)
-    );
+    return nameMap[dataKey]
+      ? t(nameMap[dataKey])
+      : dataKey.charAt(0).toUpperCase() + dataKey.slice(1);
   };
 
   return (
     <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg max-w-xs">
       {/* Header with label */}
       <p className="font-semibold text-gray-800 mb-2 border-b border-gray-200 pb-2">
-        {label}
+        {monthName(label, "long")}
       </p>
 
       {/* Payload entries */}
@@ -101,7 +118,7 @@ const CustomTooltip = ({ active, payload, label, customFormatter }) => {
 
               {/* Label */}
               <span className="text-sm text-gray-700">
-                {getFriendlyName(entry.dataKey)}:
+                {useSeriesNames ? entry.name : getFriendlyName(entry.dataKey)}:
               </span>
             </div>
 
@@ -112,19 +129,44 @@ const CustomTooltip = ({ active, payload, label, customFormatter }) => {
             >
               {customFormatter
                 ? customFormatter(entry.value, entry.dataKey)
+                : entry.value === null || entry.value === undefined
+                ? t("common.notAvailable")
                 : `${formatValue(entry.value, entry.dataKey)}${getUnit(
-                    entry.dataKey
+                    entry.dataKey,
+                    system,
+                    t
                   )}`}
             </span>
           </div>
         ))}
       </div>
 
+      {/* Data quality */}
+      {qualityBadge && (
+        <div className="mt-2 pt-2 border-t border-gray-200">
+          <div className="flex items-center gap-2">
+            <span
+              className={`px-1.5 py-0.5 rounded text-xs font-medium ${qualityBadge.className}`}
+            >
+              {t(qualityBadge.label)}
+            </span>
+            <span className="text-xs text-gray-500">
+              {describeQuality(quality, t)}
+            </span>
+          </div>
+          {describeFlags(quality, t) && (
+            <p className="mt-1 text-xs text-gray-500">
+              {describeFlags(quality, t)}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Additional info if needed */}
       {payload.length > 3 && (
         <div className="mt-2 pt-2 border-t border-gray-200">
           <p className="text-xs text-gray-500">
-            {payload.length} metrics shown
+            {t("tooltip.metricsShown", { count: payload.length })}
           </p>
         </div>
       )}
@@ -132,112 +174,18 @@ const CustomTooltip = ({ active, payload, label, customFormatter }) => {
   );
 };
 
-/**
- * Correlation Tooltip - Specialized for scatter plots
- */
-export const CorrelationTooltip = ({ active, payload, label }) => {
-  if (!active || !payload || !payload.length) {
-    return null;
-  }
-
-  const data = payload[0].payload;
-
-  return (
-    <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
-      <p className="font-semibold text-gray-800 mb-2">{data.month || label}</p>
-
-      <div className="space-y-1">
-        {Object.entries(data).map(([key, value]) => {
-          if (key === "month" || key === "date" || key === "year") return null;
-
-          return (
-            <div key={key} className="flex justify-between items-center">
-              <span className="text-sm text-gray-700">
-                {getFriendlyName(key)}:
-              </span>
-              <span className="font-medium text-sm text-gray-800 ml-2">
-                {typeof value === "number"
-                  ? `${value.toFixed(1)}${getUnit(key)}`
-                  : value}
-              </span>
-            </div>
-          );
-        })}
-      </div>
-    </div>
-  );
-};
-
-/**
- * Simple Tooltip - Minimal version for clean charts
- */
-export const SimpleTooltip = ({ active, payload, label }) => {
-  if (!active || !payload || !payload.length) {
-    return null;
-  }
-
-  const entry = payload[0];
-
-  return (
-    <div className="bg-gray-800 text-white px-3 py-2 rounded text-sm">
-      <span>{label}: </span>
-      <span className="font-medium">
-        {formatValue(entry.value, entry.dataKey)}
-        {getUnit(entry.dataKey)}
-      </span>
-    </div>
-  );
-};
-
-// Helper function also used by other components
-const getFriendlyName = (dataKey) => {
-  const nameMap = {
-    temp: "Average Temperature",
-    tempMin: "Minimum Temperature",
-    tempMax: "Maximum Temperature",
-    rainfall: "Rainfall",
-    humidity: "Humidity",
-    sunshine: "Sunshine Hours",
-    pressure: "Pressure",
-    windSpeed: "Wind Speed",
-    totalRainfall: "Total Rainfall",
-    totalSunshine: "Total Sunshine",
-    avgTemp: "Average Temperature",
-    avgHumidity: "Average Humidity",
-  };
-
-  return nameMap[dataKey] || dataKey.charAt(0).toUpperCase() + dataKey.slice(1);
-};
-
-// Helper function for formatting
-const formatValue = (value, dataKey) => {
-  if (typeof value !== "number") return value;
-
+// Helper function for units; converted quantities follow the unit system
+const getUnit = (dataKey, system, t) => {
+  const fieldUnit = getFieldUnit(dataKey, system);
+  if (fieldUnit) return fieldUnit;
   if (dataKey.includes("temp") || dataKey.includes("Temp")) {
-    return value.toFixed(1);
+    return QUANTITIES.temperature[system].unit;
   }
-
-  if (dataKey === "rainfall" || dataKey === "sunshine") {
-    return value.toFixed(1);
-  }
-
-  if (dataKey === "humidity") {
-    return Math.round(value);
-  }
-
-  return value.toFixed(1);
-};
-
-// Helper function for units
-const getUnit = (dataKey) => {
-  if (dataKey.includes("temp") || dataKey.includes("Temp")) return "°C";
-  if (dataKey === "rainfall" || dataKey === "precipitation") return "mm";
   if (dataKey === "humidity") return "%";
-  if (dataKey === "sunshine") return "hrs";
-  if (dataKey === "pressure") return "hPa";
-  if (dataKey === "windSpeed") return "km/h";
-  if (dataKey.includes("total") && dataKey.includes("Rainfall")) return "mm";
-  if (dataKey.includes("total") && dataKey.includes("Sunshine")) return "hrs";
+  if (dataKey === "sunshine") return t("common.hoursUnit");
+  if (dataKey.includes("total") && dataKey.includes("Sunshine")) {
+    return t("common.hoursUnit");
+  }
   return "";
 };
 
@@ -0,0 +1,77 @@
+// components/charts/ExportableChart.jsx
+import React, { useRef, useState } from "react";
+import {
+  PNG_SCALES,
+  exportChartSvg,
+  exportChartPng,
+} from "../../utils/chartExport.js";
+import { useI18n } from "../../hooks/useI18n.js";
+
+/**
+ * Exportable Chart Component
+ * Wraps a chart with a menu that downloads it as SVG or PNG. The export
+ * adds the title, legend and a source line to what is drawn on screen.
+ */
+const ExportableChart = ({ title, attribution, xLabel, children }) => {
+  const containerRef = useRef(null);
+  const menuRef = useRef(null);
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  const options = { title, attribution, xLabel };
+
+  const handleExport = async (format, scale) => {
+    menuRef.current.open = false;
+    setError(null);
+    try {
+      if (format === "svg") {
+        exportChartSvg(containerRef.current, options);
+      } else {
+        await exportChartPng(containerRef.current, options, scale);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <details
+        ref={menuRef}
+        className="absolute top-0 right-0 z-10 text-xs print:hidden"
+      >
+        <summary
+          className="list-none cursor-pointer px-2 py-1 text-gray-400 hover:text-gray-700 transition-colors"
+          title={t("charts.export.title")}
+        >
+          ⬇ {t("charts.export.button")}
+        </summary>
+        <div className="absolute right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg py-1 min-w-max">
+          <button
+            onClick={() => handleExport("svg")}
+            className="block w-full text-left px-3 py-1 text-gray-700 hover:bg-blue-50"
+          >
+            {t("charts.export.svg")}
+          </button>
+          {PNG_SCALES.map((scale) => (
+            <button
+              key={scale}
+              onClick={() => handleExport("png", scale)}
+              className="block w-full text-left px-3 py-1 text-gray-700 hover:bg-blue-50"
+            >
+              {t("charts.export.png", { scale })}
+            </button>
+          ))}
+        </div>
+      </details>
+      <div ref={containerRef}>{children}</div>
+      {error && (
+        <p className="mt-2 text-xs text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ExportableChart;
@@ -14,6 +14,8 @@ import {
 } from "recharts";
 import { CHART_COLORS, CHART_DIMENSIONS } from "../../utils/constants.js";
 import CustomTooltip from "./CustomTooltip.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * Temperature Chart Component
@@ -27,10 +29,13 @@ const TemperatureChart = ({
   title,
   subtitle,
 }) => {
+  const { unit } = useUnits();
+  const { t, monthName } = useI18n();
+
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 bg-gray-50 rounded-lg">
-        <p className="text-gray-500">No temperature data available</p>
+        <p className="text-gray-500">{t("charts.noTemperatureData")}</p>
       </div>
     );
   }
@@ -45,11 +50,12 @@ const TemperatureChart = ({
         <XAxis
           dataKey="month"
           tick={{ fontSize: 12 }}
+          tickFormatter={(month) => monthName(month)}
           axisLine={{ stroke: "#e0e0e0" }}
         />
         <YAxis
           label={{
-            value: "Temperature (°C)",
+            value: t("charts.temperatureAxis", { unit: unit("temperature") }),
             angle: -90,
             position: "insideLeft",
             style: { textAnchor: "middle" },
@@ -67,7 +73,7 @@ const TemperatureChart = ({
               dataKey="tempMax"
               stroke={CHART_COLORS.temperatureMax}
               strokeWidth={3}
-              name="Max Temperature"
+              name={t("fields.tempMax")}
               dot={{ fill: CHART_COLORS.temperatureMax, strokeWidth: 2, r: 4 }}
               activeDot={{ r: 6 }}
             />
@@ -76,7 +82,7 @@ const TemperatureChart = ({
               dataKey="tempMin"
               stroke={CHART_COLORS.temperatureMin}
               strokeWidth={3}
-              name="Min Temperature"
+              name={t("fields.tempMin")}
               dot={{ fill: CHART_COLORS.temperatureMin, strokeWidth: 2, r: 4 }}
               activeDot={{ r: 6 }}
             />
@@ -88,7 +94,7 @@ const TemperatureChart = ({
           dataKey="temp"
           stroke={CHART_COLORS.temperature}
           strokeWidth={3}
-          name="Average Temperature"
+          name={t("fields.temp")}
           dot={{ fill: CHART_COLORS.temperature, strokeWidth: 2, r: 4 }}
           activeDot={{ r: 6 }}
         />
@@ -103,11 +109,12 @@ const TemperatureChart = ({
         <XAxis
           dataKey="month"
           tick={{ fontSize: 12 }}
+          tickFormatter={(month) => monthName(month)}
           axisLine={{ stroke: "#e0e0e0" }}
         />
         <YAxis
           label={{
-            value: "Temperature (°C)",
+            value: t("charts.temperatureAxis", { unit: unit("temperature") }),
             angle: -90,
             position: "insideLeft",
             style: { textAnchor: "middle" },
@@ -123,13 +130,13 @@ const TemperatureChart = ({
             <Bar
               dataKey="tempMin"
               fill={CHART_COLORS.temperatureMin}
-              name="Min Temperature"
+              name={t("fields.tempMin")}
               radius={[0, 0, 4, 4]}
             />
             <Bar
               dataKey="tempMax"
               fill={CHART_COLORS.temperatureMax}
-              name="Max Temperature"
+              name={t("fields.tempMax")}
               radius={[4, 4, 0, 0]}
             />
           </>
@@ -137,7 +144,7 @@ const TemperatureChart = ({
           <Bar
             dataKey="temp"
             fill={CHART_COLORS.temperature}
-            name="Average Temperature"
+            name={t("fields.temp")}
             radius={[4, 4, 4, 4]}
           />
         )}
@@ -177,14 +184,16 @@ const TemperatureChart = ({
  * Temperature Range Chart - Specialized component for showing temperature ranges
  */
 export const TemperatureRangeChart = ({ data, size = "medium", title }) => {
+  const { t } = useI18n();
+
   return (
     <TemperatureChart
       data={data}
       type="bar"
       showMinMax={true}
       size={size}
-      title={title || "Temperature Range by Month"}
-      subtitle="Monthly minimum and maximum temperature comparison"
+      title={title || t("charts.temperature.rangeTitle")}
+      subtitle={t("charts.temperature.rangeSubtitle")}
     />
   );
 };
@@ -193,14 +202,16 @@ export const TemperatureRangeChart = ({ data, size = "medium", title }) => {
  * Temperature Trend Chart - Specialized component for trend analysis
  */
 export const TemperatureTrendChart = ({ data, size = "large", title }) => {
+  const { t } = useI18n();
+
   return (
     <TemperatureChart
       data={data}
       type="line"
       showMinMax={true}
       size={size}
-      title={title || "Temperature Trends"}
-      subtitle="Long-term temperature patterns and variations"
+      title={title || t("charts.temperature.trendTitle")}
+      subtitle={t("charts.temperature.trendSubtitle")}
     />
   );
 };
@@ -209,14 +220,16 @@ export const TemperatureTrendChart = ({ data, size = "large", title }) => {
  * Simple Temperature Chart - Clean version with just average temperatures
  */
 export const SimpleTemperatureChart = ({ data, size = "medium", title }) => {
+  const { t } = useI18n();
+
   return (
     <TemperatureChart
       data={data}
       type="line"
       showMinMax={false}
       size={size}
-      title={title || "Average Temperature"}
-      subtitle="Monthly average temperature patterns"
+      title={title || t("charts.temperature.simpleTitle")}
+      subtitle={t("charts.temperature.simpleSubtitle")}
     />
   );
 };
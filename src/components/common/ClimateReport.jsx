@@ -0,0 +1,550 @@
+// components/common/ClimateReport.jsx
+import React, { useMemo } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Legend,
+  ReferenceLine,
+} from "recharts";
+import MetricCard from "./MetricCard.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import { CHART_COLORS, DATA_SOURCES } from "../../utils/constants.js";
+import {
+  calculateAverage,
+  calculateCorrelationMatrix,
+  calculateYearlyAggregates,
+  detectAnomalies,
+  ANOMALY_METHODS,
+  ANOMALY_THRESHOLDS,
+} from "../../utils/calculations.js";
+import {
+  MAX_MISSING_DAYS,
+  MAX_CONSECUTIVE_MISSING_DAYS,
+  describeQuality,
+} from "../../utils/dataQuality.js";
+
+// Fixed chart size so charts lay out the same on screen and paper
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 240;
+
+// Names are message keys
+const CORRELATION_VARIABLES = [
+  { key: "temp", name: "report.variables.temp" },
+  { key: "rainfall", name: "report.variables.rainfall" },
+  { key: "humidity", name: "report.variables.humidity" },
+  { key: "sunshine", name: "report.variables.sunshine" },
+];
+
+// Metrics screened for unusual months, at the Trends page's default
+// z-score threshold
+const ANOMALY_METRICS = ["temp", "rainfall"];
+const ANOMALY_THRESHOLD = ANOMALY_THRESHOLDS[ANOMALY_METHODS.ZSCORE][0];
+
+/**
+ * Report section with a heading; sections are kept whole across pages
+ */
+const ReportSection = ({ title, children }) => (
+  <section className="report-section mb-8">
+    <h3 className="text-lg font-bold text-gray-800 mb-3 border-b border-gray-200 pb-1">
+      {title}
+    </h3>
+    {children}
+  </section>
+);
+
+/**
+ * Climate Report Component
+ * Print-optimized, multi-page summary of the selected station and period:
+ * metric cards, key charts from every page, the correlation matrix,
+ * anomalies and a methodology section. Printing it (or saving as PDF) uses
+ * the report styles in index.css.
+ */
+const ClimateReport = ({
+  stationInfo,
+  metadata = {},
+  metricCards = [],
+  data = [],
+  yearlyData = [],
+  selectedYear,
+  periodLabel,
+  availableYears = [],
+  unavailableMetrics = [],
+  dataQuality,
+  dataSource,
+  onClose,
+}) => {
+  const { unit, format, formatRounded } = useUnits();
+  const { t, formatNumber, formatDate, monthName } = useI18n();
+  // A date range, when set, is described by App in the display language
+  const period =
+    periodLabel ||
+    (selectedYear === "all"
+      ? availableYears.length > 0
+        ? `${Math.min(...availableYears)}–${Math.max(...availableYears)}`
+        : metadata.period
+      : selectedYear);
+
+  const yearly = useMemo(
+    () => calculateYearlyAggregates(yearlyData),
+    [yearlyData]
+  );
+
+  // Monthly records of the report period; the all-years view gets a
+  // climatology without dates, so it covers every month of the record
+  const periodRecords = useMemo(
+    () => (data.some((d) => d.date) ? data : yearlyData),
+    [data, yearlyData]
+  );
+
+  // Departure of each year of the period from the mean of those years
+  const departures = useMemo(() => {
+    const periodYearly = calculateYearlyAggregates(periodRecords);
+    const meanTemp = calculateAverage(
+      periodYearly.map((y) => y.avgTemp).filter((t) => t !== null)
+    );
+    return periodYearly.map((y) => ({
+      year: y.year,
+      tempDeparture:
+        y.avgTemp !== null && meanTemp !== null
+          ? Math.round((y.avgTemp - meanTemp) * 10) / 10
+          : null,
+    }));
+  }, [periodRecords]);
+
+  // Months of the period that are unusual for their calendar month; each is
+  // judged against the whole record, since a short period has too few years
+  // of a month to compare with
+  const anomalies = useMemo(() => {
+    const periodDates = new Set(periodRecords.map((d) => d.date));
+    return ANOMALY_METRICS.flatMap((metric) =>
+      detectAnomalies(yearlyData, metric, {
+        method: ANOMALY_METHODS.ZSCORE,
+        threshold: ANOMALY_THRESHOLD,
+      })
+    ).filter(({ record }) => periodDates.has(record.date));
+  }, [periodRecords, yearlyData]);
+
+  const { correlationVariables, correlationMatrix } = useMemo(() => {
+    const variables = CORRELATION_VARIABLES.filter(
+      (v) => !unavailableMetrics.includes(v.key)
+    );
+    return {
+      correlationVariables: variables,
+      correlationMatrix: calculateCorrelationMatrix(
+        data,
+        variables.map((v) => v.key)
+      ),
+    };
+  }, [data, unavailableMetrics]);
+
+  const generated = formatDate(new Date(), {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  const chartProps = {
+    width: CHART_WIDTH,
+    height: CHART_HEIGHT,
+    margin: { top: 10, right: 20, bottom: 10, left: 10 },
+  };
+
+  return (
+    <div className="climate-report">
+      {/* Toolbar (screen only) */}
+      <div className="no-print sticky top-0 z-20 bg-white shadow-md mb-6 px-6 py-3 flex items-center justify-between rounded-lg">
+        <p className="text-sm text-gray-600">{t("report.previewHint")}</p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            🖨️ {t("report.print")}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            {t("report.back")}
+          </button>
+        </div>
+      </div>
+
+      {/* Page 1: summary */}
+      <div className="report-page">
+        <header className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">
+            {t("report.title")}
+          </h1>
+          <h2 className="text-xl text-gray-700">
+            {stationInfo?.name ||
+              metadata.station ||
+              t("report.unknownStation")}
+          </h2>
+          <p className="text-sm text-gray-500">
+            {t(
+              selectedYear === "all" && !periodLabel
+                ? "report.periodAverages"
+                : "report.period",
+              { period, generated }
+            )}
+          </p>
+        </header>
+
+        <ReportSection title={t("report.sections.keyMetrics")}>
+          <div className="grid grid-cols-2 gap-4">
+            {metricCards.map((card, index) => (
+              <MetricCard key={index} {...card} />
+            ))}
+          </div>
+          {dataQuality && (
+            <p className="text-xs text-gray-500 mt-3">
+              {t("report.completeness", {
+                quality: describeQuality(dataQuality, t),
+              })}
+            </p>
+          )}
+        </ReportSection>
+
+        <ReportSection title={t("report.sections.monthlyRainfall")}>
+          <BarChart data={data} {...chartProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis
+              dataKey="month"
+              tick={{ fontSize: 11 }}
+              tickFormatter={(month) => monthName(month)}
+            />
+            <YAxis
+              tick={{ fontSize: 11 }}
+              label={{
+                value: t("report.rainfallAxis", {
+                  unit: unit("precipitation"),
+                }),
+                angle: -90,
+                position: "insideLeft",
+              }}
+            />
+            <Bar
+              dataKey="rainfall"
+              name={t("report.variables.rainfall")}
+              fill={CHART_COLORS.rainfall}
+              isAnimationActive={false}
+            />
+          </BarChart>
+        </ReportSection>
+      </div>
+
+      {/* Page 2: temperature and trends */}
+      <div className="report-page">
+        <ReportSection title={t("report.sections.monthlyTemperature")}>
+          <LineChart data={data} {...chartProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis
+              dataKey="month"
+              tick={{ fontSize: 11 }}
+              tickFormatter={(month) => monthName(month)}
+            />
+            <YAxis
+              tick={{ fontSize: 11 }}
+              label={{
+                value: t("charts.temperatureAxis", {
+                  unit: unit("temperature"),
+                }),
+                angle: -90,
+                position: "insideLeft",
+              }}
+            />
+            <Legend />
+            <Line
+              dataKey="tempMax"
+              name={t("report.max")}
+              stroke={CHART_COLORS.temperatureMax}
+              isAnimationActive={false}
+              connectNulls
+            />
+            <Line
+              dataKey="temp"
+              name={t("report.mean")}
+              stroke={CHART_COLORS.temperature}
+              strokeWidth={3}
+              isAnimationActive={false}
+              connectNulls
+            />
+            <Line
+              dataKey="tempMin"
+              name={t("report.min")}
+              stroke={CHART_COLORS.temperatureMin}
+              isAnimationActive={false}
+              connectNulls
+            />
+          </LineChart>
+        </ReportSection>
+
+        <ReportSection title={t("report.sections.annualTrends")}>
+          <LineChart data={yearly} {...chartProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+            <YAxis
+              yAxisId="temp"
+              tick={{ fontSize: 11 }}
+              label={{
+                value: unit("temperature"),
+                angle: -90,
+                position: "insideLeft",
+              }}
+            />
+            <YAxis
+              yAxisId="rain"
+              orientation="right"
+              tick={{ fontSize: 11 }}
+              label={{
+                value: unit("precipitation"),
+                angle: 90,
+                position: "insideRight",
+              }}
+            />
+            <Legend />
+            <Line
+              yAxisId="temp"
+              dataKey="avgTemp"
+              name={t("report.averageTemperature")}
+              stroke={CHART_COLORS.temperature}
+              strokeWidth={2}
+              isAnimationActive={false}
+            />
+            <Line
+              yAxisId="rain"
+              dataKey="totalRainfall"
+              name={t("report.totalRainfall")}
+              stroke={CHART_COLORS.rainfall}
+              strokeWidth={2}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ReportSection>
+
+        <ReportSection title={t("report.sections.departures")}>
+          <BarChart data={departures} {...chartProps}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis dataKey="year" tick={{ fontSize: 11 }} />
+            <YAxis
+              tick={{ fontSize: 11 }}
+              label={{
+                value: unit("temperatureDelta"),
+                angle: -90,
+                position: "insideLeft",
+              }}
+            />
+            <ReferenceLine y={0} stroke="#9CA3AF" />
+            <Bar
+              dataKey="tempDeparture"
+              name={t("report.temperatureDeparture")}
+              fill={CHART_COLORS.temperatureMax}
+              isAnimationActive={false}
+            />
+          </BarChart>
+        </ReportSection>
+      </div>
+
+      {/* Page 3: correlations and anomalies */}
+      <div className="report-page">
+        <ReportSection title={t("report.sections.correlations")}>
+          <table className="w-full border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="border border-gray-300 p-2 bg-gray-50"></th>
+                {correlationVariables.map((v) => (
+                  <th
+                    key={v.key}
+                    className="border border-gray-300 p-2 bg-gray-50"
+                  >
+                    {t(v.name)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {correlationVariables.map((row) => (
+                <tr key={row.key}>
+                  <td className="border border-gray-300 p-2 bg-gray-50 font-medium">
+                    {t(row.name)}
+                  </td>
+                  {correlationVariables.map((column) => {
+                    const value =
+                      row.key === column.key
+                        ? 1
+                        : correlationMatrix[`${row.key}-${column.key}`] ?? 0;
+                    return (
+                      <td
+                        key={column.key}
+                        className="border border-gray-300 p-2 text-center"
+                        style={{
+                          backgroundColor:
+                            value > 0
+                              ? `rgba(59, 130, 246, ${Math.abs(value) * 0.3})`
+                              : `rgba(239, 68, 68, ${Math.abs(value) * 0.3})`,
+                        }}
+                      >
+                        {formatNumber(value, 3)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">
+            {t("report.correlationNote", { count: data.length })}
+          </p>
+        </ReportSection>
+
+        <ReportSection title={t("report.sections.anomalies")}>
+          {anomalies.length === 0 ? (
+            <p className="text-sm text-gray-600">{t("report.noAnomalies")}</p>
+          ) : (
+            <table className="w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border border-gray-300 p-2 text-left">
+                    {t("report.columns.month")}
+                  </th>
+                  <th className="border border-gray-300 p-2 text-left">
+                    {t("report.columns.variable")}
+                  </th>
+                  <th className="border border-gray-300 p-2 text-right">
+                    {t("report.columns.value")}
+                  </th>
+                  <th className="border border-gray-300 p-2 text-right">
+                    {t("report.columns.expected")}
+                  </th>
+                  <th className="border border-gray-300 p-2 text-right">
+                    {t("report.columns.score")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {anomalies.map(({ metric, record, expected, score }) => (
+                  <tr key={`${metric}-${record.date}`}>
+                    <td className="border border-gray-300 p-2">
+                      {monthName(record.month, "long")} {record.year}
+                    </td>
+                    <td className="border border-gray-300 p-2">
+                      {t(
+                        metric === "temp"
+                          ? "report.meanTemperature"
+                          : "report.variables.rainfall"
+                      )}
+                    </td>
+                    <td className="border border-gray-300 p-2 text-right">
+                      {metric === "temp"
+                        ? format(record.temp, "temperature")
+                        : formatRounded(record.rainfall, "precipitation")}
+                    </td>
+                    <td className="border border-gray-300 p-2 text-right">
+                      {metric === "temp"
+                        ? format(expected, "temperature")
+                        : formatRounded(expected, "precipitation")}
+                    </td>
+                    <td className="border border-gray-300 p-2 text-right">
+                      {score > 0 ? "+" : ""}
+                      {formatNumber(score, 1)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </ReportSection>
+      </div>
+
+      {/* Page 4: methodology and sources */}
+      <div className="report-page">
+        <ReportSection title={t("report.sections.methodology")}>
+          <ul className="text-sm text-gray-700 space-y-2 list-disc pl-5">
+            <li>
+              {t("report.methodology.aggregation", {
+                missing: MAX_MISSING_DAYS,
+                consecutive: MAX_CONSECUTIVE_MISSING_DAYS,
+              })}
+            </li>
+            <li>{t("report.methodology.averages")}</li>
+            <li>
+              {t("report.methodology.anomalies", {
+                threshold: formatNumber(ANOMALY_THRESHOLD),
+              })}
+            </li>
+            <li>{t("report.methodology.correlations")}</li>
+            {metadata.gapFill && !metadata.gapFill.error && (
+              <li>
+                {t("report.methodology.gapFill", {
+                  share: t("common.percent", {
+                    value: formatNumber(
+                      Math.round(metadata.gapFill.imputedShare * 1000) / 10
+                    ),
+                  }),
+                  neighbour:
+                    metadata.gapFill.neighbourName ||
+                    t("report.methodology.nearbyStation"),
+                })}
+              </li>
+            )}
+          </ul>
+        </ReportSection>
+
+        <ReportSection title={t("report.sections.sources")}>
+          <dl className="text-sm text-gray-700 grid grid-cols-3 gap-x-4 gap-y-1">
+            <dt className="font-medium">{t("report.details.station")}</dt>
+            <dd className="col-span-2">
+              {stationInfo?.name || metadata.station}
+              {stationInfo?.id &&
+                ` (${t("report.details.stationId", { id: stationInfo.id })})`}
+            </dd>
+            {stationInfo?.climateId && (
+              <>
+                <dt className="font-medium">{t("report.details.climateId")}</dt>
+                <dd className="col-span-2">{stationInfo.climateId}</dd>
+              </>
+            )}
+            {stationInfo?.coordinates && (
+              <>
+                <dt className="font-medium">{t("report.details.location")}</dt>
+                <dd className="col-span-2">
+                  {formatNumber(stationInfo.coordinates.lat)}°N,{" "}
+                  {formatNumber(Math.abs(stationInfo.coordinates.lng))}°W
+                </dd>
+              </>
+            )}
+            <dt className="font-medium">{t("report.details.data")}</dt>
+            <dd className="col-span-2">
+              {metadata.source ||
+                (dataSource === DATA_SOURCES.LIVE
+                  ? t("report.details.eccc")
+                  : t("report.details.sampleData"))}
+            </dd>
+            <dt className="font-medium">{t("report.details.records")}</dt>
+            <dd className="col-span-2">{metadata.period}</dd>
+            {metadata.lastUpdated && (
+              <>
+                <dt className="font-medium">{t("report.details.retrieved")}</dt>
+                <dd className="col-span-2">
+                  {formatDate(metadata.lastUpdated)}
+                </dd>
+              </>
+            )}
+          </dl>
+          <p className="text-xs text-gray-500 mt-4">
+            {t("report.attribution")}
+          </p>
+        </ReportSection>
+      </div>
+    </div>
+  );
+};
+
+export default ClimateReport;
@@ -0,0 +1,51 @@
+// components/common/DataSourceBanner.jsx
+import React from "react";
+import { useI18n } from "../../hooks/useI18n.js";
+
+/**
+ * Data Source Banner Component
+ * Explains that sample data is shown because the live fetch failed, with
+ * actions to retry or switch to sample data on purpose
+ */
+const DataSourceBanner = ({ reason, onRetry, onUseSample }) => {
+  const { t } = useI18n();
+
+  if (!reason) return null;
+
+  return (
+    <div
+      className="mb-6 bg-orange-50 border border-orange-200 rounded-lg p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3"
+      role="alert"
+    >
+      <div className="flex items-start gap-3">
+        <span className="text-2xl">⚠️</span>
+        <div>
+          <p className="font-semibold text-orange-800">{t("banner.title")}</p>
+          <p className="text-sm text-orange-700">{reason}</p>
+          <p className="text-xs text-orange-600 mt-1">{t("banner.detail")}</p>
+        </div>
+      </div>
+
+      <div className="flex gap-2 shrink-0">
+        {onRetry && (
+          <button
+            onClick={onRetry}
+            className="px-3 py-1 bg-orange-600 text-white text-sm rounded hover:bg-orange-700 transition-colors"
+          >
+            {t("banner.retry")}
+          </button>
+        )}
+        {onUseSample && (
+          <button
+            onClick={onUseSample}
+            className="px-3 py-1 bg-white text-orange-700 border border-orange-300 text-sm rounded hover:bg-orange-100 transition-colors"
+          >
+            {t("banner.useSample")}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataSourceBanner;
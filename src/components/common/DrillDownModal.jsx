@@ -0,0 +1,283 @@
+// components/common/DrillDownModal.jsx
+import React, { useEffect } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { CHART_COLORS } from "../../utils/constants.js";
+import { getClickedRecord } from "../../utils/drillDown.js";
+import CustomTooltip from "../charts/CustomTooltip.jsx";
+import LoadingSpinner from "./LoadingSpinner.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
+
+// Small multiples shown for a single day; titles are message keys, and
+// charts without a unit take the unit of their field in the chosen system
+const HOURLY_CHARTS = [
+  {
+    key: "temp",
+    title: "drillDown.hourly.temp",
+    color: CHART_COLORS.temperature,
+  },
+  {
+    key: "humidity",
+    title: "drillDown.hourly.humidity",
+    unit: "%",
+    color: CHART_COLORS.humidity,
+  },
+  { key: "pressure", title: "drillDown.hourly.pressure", color: "#6B7280" },
+  { key: "windSpeed", title: "drillDown.hourly.windSpeed", color: "#0EA5E9" },
+  {
+    key: "precipitation",
+    title: "drillDown.hourly.precipitation",
+    color: CHART_COLORS.rainfall,
+    bar: true,
+  },
+];
+
+/**
+ * Drill-Down Modal Component
+ * Shows a month day by day; clicking a day shows its 24-hour profile
+ */
+const DrillDownModal = ({
+  selection,
+  days = [],
+  hours = [],
+  loading = false,
+  error = null,
+  stationName,
+  onSelectDay,
+  onBack,
+  onClose,
+}) => {
+  const { unit, fieldUnit } = useUnits();
+  const { t, formatDate } = useI18n();
+
+  // Escape closes the modal
+  useEffect(() => {
+    if (!selection) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [selection, onClose]);
+
+  if (!selection) return null;
+
+  const monthLabel = formatDate(
+    new Date(selection.year, selection.monthIndex),
+    { month: "long", year: "numeric" }
+  );
+  const dayLabel =
+    selection.date &&
+    formatDate(new Date(`${selection.date}T12:00:00`), {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  const hasHourlyValues = (key) =>
+    hours.some((h) => h[key] !== null && h[key] !== undefined);
+
+  const renderEmpty = (message) => (
+    <div className="flex items-center justify-center h-64 bg-gray-50 rounded-lg">
+      <p className="text-gray-500">{message}</p>
+    </div>
+  );
+
+  const renderMonth = () => {
+    if (days.length === 0) {
+      return renderEmpty(t("drillDown.noDays"));
+    }
+
+    return (
+      <>
+        <p className="text-gray-600 text-sm mb-4">{t("drillDown.monthHint")}</p>
+        <ResponsiveContainer width="100%" height={360}>
+          <ComposedChart
+            data={days}
+            onClick={(state) =>
+              onSelectDay(getClickedRecord(state, days)?.date)
+            }
+            className="cursor-pointer"
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis dataKey="day" tick={{ fontSize: 12 }} />
+            <YAxis
+              yAxisId="temp"
+              label={{
+                value: t("charts.temperatureAxis", {
+                  unit: unit("temperature"),
+                }),
+                angle: -90,
+                position: "insideLeft",
+              }}
+              tick={{ fontSize: 12 }}
+            />
+            <YAxis
+              yAxisId="precipitation"
+              orientation="right"
+              label={{
+                value: t("drillDown.precipitationAxis", {
+                  unit: unit("precipitation"),
+                }),
+                angle: 90,
+                position: "insideRight",
+              }}
+              tick={{ fontSize: 12 }}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend />
+            <Bar
+              yAxisId="precipitation"
+              dataKey="precipitation"
+              name={t("fields.precipitation")}
+              fill={CHART_COLORS.rainfall}
+              opacity={0.6}
+              radius={[2, 2, 0, 0]}
+            />
+            <Line
+              yAxisId="temp"
+              type="monotone"
+              dataKey="tempMax"
+              name={t("drillDown.maxTemp")}
+              stroke={CHART_COLORS.temperatureMax}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+            <Line
+              yAxisId="temp"
+              type="monotone"
+              dataKey="temp"
+              name={t("drillDown.meanTemp")}
+              stroke={CHART_COLORS.temperature}
+              strokeWidth={3}
+              dot={{ r: 2 }}
+              activeDot={{ r: 6 }}
+              connectNulls
+            />
+            <Line
+              yAxisId="temp"
+              type="monotone"
+              dataKey="tempMin"
+              name={t("drillDown.minTemp")}
+              stroke={CHART_COLORS.temperatureMin}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </>
+    );
+  };
+
+  const renderDay = () => {
+    if (hours.length === 0) {
+      return renderEmpty(t("drillDown.noHours"));
+    }
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {HOURLY_CHARTS.filter((chart) => hasHourlyValues(chart.key)).map(
+          (chart) => (
+            <div key={chart.key}>
+              <h4 className="font-semibold text-gray-700 mb-2">
+                {t(chart.title)} ({chart.unit || fieldUnit(chart.key)})
+              </h4>
+              <ResponsiveContainer width="100%" height={180}>
+                <ComposedChart data={hours}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis dataKey="time" tick={{ fontSize: 11 }} interval={2} />
+                  <YAxis
+                    tick={{ fontSize: 11 }}
+                    domain={chart.bar ? [0, "auto"] : ["auto", "auto"]}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  {chart.bar ? (
+                    <Bar dataKey={chart.key} fill={chart.color} />
+                  ) : (
+                    <Line
+                      type="monotone"
+                      dataKey={chart.key}
+                      stroke={chart.color}
+                      strokeWidth={2}
+                      dot={false}
+                      connectNulls
+                    />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          )
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black bg-opacity-40 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-full overflow-y-auto p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-label={dayLabel || monthLabel}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">
+              {dayLabel || monthLabel}
+            </h3>
+            {stationName && (
+              <p className="text-sm text-gray-500">{stationName}</p>
+            )}
+          </div>
+          <div className="flex gap-2">
+            {selection.date && (
+              <button
+                onClick={onBack}
+                className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 transition-colors"
+              >
+                ← {monthLabel}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 transition-colors"
+              aria-label={t("common.close")}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner
+            message={t("drillDown.loading", { month: monthLabel })}
+          />
+        ) : error ? (
+          renderEmpty(t("drillDown.loadError", { month: monthLabel, error }))
+        ) : selection.date ? (
+          renderDay()
+        ) : (
+          renderMonth()
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DrillDownModal;
@@ -0,0 +1,319 @@
+// components/common/EventTimeline.jsx
+import React, { useState } from "react";
+import {
+  EVENT_TYPES,
+  EVENT_COLORS,
+  EVENT_SOURCES,
+  describeEvent,
+} from "../../utils/events.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import { useUnits } from "../../hooks/useUnits.js";
+
+const EMPTY_FORM = {
+  name: "",
+  type: EVENT_TYPES.OTHER,
+  start: "",
+  end: "",
+  description: "",
+};
+
+// Badge styles per event source
+const SOURCE_BADGES = {
+  [EVENT_SOURCES.CURATED]: "bg-gray-100 text-gray-700",
+  [EVENT_SOURCES.USER]: "bg-green-100 text-green-800",
+  [EVENT_SOURCES.DETECTED]: "bg-amber-100 text-amber-800",
+};
+
+/**
+ * Event Timeline Component
+ * The extreme event catalogue, newest first, with an editor and the
+ * candidates detected in the daily data
+ */
+const EventTimeline = ({
+  events = [],
+  candidates = [],
+  onAdd,
+  onUpdate,
+  onRemove,
+  onReset,
+}) => {
+  const { t, formatDate, formatNumber } = useI18n();
+  const { format } = useUnits();
+  // null, "new" or the ID of the event being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const formatDay = (date) =>
+    formatDate(date, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  const formatRange = (event) =>
+    event.start === event.end
+      ? formatDay(event.start)
+      : t("events.range", {
+          start: formatDay(event.start),
+          end: formatDay(event.end),
+        });
+
+  // Why a candidate was detected, in the chosen units
+  const explainCandidate = (candidate) => {
+    const quantity =
+      candidate.type === EVENT_TYPES.RAIN ? "precipitation" : "temperature";
+    return t(`events.detection.${candidate.type}`, {
+      count: candidate.days,
+      peak: format(candidate.peak, quantity),
+      threshold: format(candidate.threshold, quantity),
+      percentile: formatNumber(
+        candidate.type === EVENT_TYPES.COLD
+          ? 100 - candidate.percentile
+          : candidate.percentile
+      ),
+      window: candidate.rainWindow,
+    });
+  };
+
+  const startEditing = (event) => {
+    if (event) {
+      const { name, description } = describeEvent(event, t);
+      setForm({
+        name,
+        type: event.type,
+        start: event.start,
+        end: event.end,
+        description,
+      });
+      setEditing(event.id);
+    } else {
+      setForm(EMPTY_FORM);
+      setEditing("new");
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const event = { ...form, end: form.end || form.start };
+    if (editing === "new") onAdd?.(event);
+    else onUpdate?.(editing, event);
+    setEditing(null);
+  };
+
+  const inputClass =
+    "w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white";
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <p className="text-sm text-gray-600">{t("events.description")}</p>
+        <div className="flex gap-2">
+          {onAdd && (
+            <button
+              onClick={() => startEditing(null)}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors"
+            >
+              {t("events.add")}
+            </button>
+          )}
+          {onReset && (
+            <button
+              onClick={() => {
+                if (window.confirm(t("events.resetConfirm"))) onReset();
+              }}
+              className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 transition-colors"
+            >
+              {t("events.reset")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Editor */}
+      {editing && (
+        <form
+          onSubmit={handleSubmit}
+          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3 p-4 mb-4 rounded-lg bg-gray-50 border border-gray-200"
+        >
+          <label className="text-sm text-gray-700 lg:col-span-2">
+            <span className="block mb-1">{t("events.form.name")}</span>
+            <input
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">{t("events.form.type")}</span>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className={inputClass}
+            >
+              {Object.values(EVENT_TYPES).map((type) => (
+                <option key={type} value={type}>
+                  {t(`events.types.${type}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1">{t("events.form.start")}</span>
+              <input
+                type="date"
+                required
+                value={form.start}
+                onChange={(e) => setForm({ ...form, start: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1">{t("events.form.end")}</span>
+              <input
+                type="date"
+                min={form.start}
+                value={form.end}
+                onChange={(e) => setForm({ ...form, end: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <label className="text-sm text-gray-700 md:col-span-2 lg:col-span-4">
+            <span className="block mb-1">{t("events.form.description")}</span>
+            <textarea
+              rows={2}
+              value={form.description}
+              onChange={(e) =>
+                setForm({ ...form, description: e.target.value })
+              }
+              className={inputClass}
+            />
+          </label>
+          <div className="flex gap-2 md:col-span-2 lg:col-span-4">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              {t("events.form.save")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              {t("events.form.cancel")}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Timeline */}
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-600">{t("events.empty")}</p>
+      ) : (
+        <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+          {[...events].reverse().map((event) => {
+            const { name, description } = describeEvent(event, t);
+            return (
+              <li key={event.id} className="ml-4">
+                <span
+                  className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full"
+                  style={{ backgroundColor: EVENT_COLORS[event.type] }}
+                />
+                <div className="flex flex-wrap items-center gap-2">
+                  <p className="text-xs text-gray-500">{formatRange(event)}</p>
+                  <span className="text-xs text-gray-500">
+                    · {t(`events.types.${event.type}`)}
+                  </span>
+                  <span
+                    className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                      SOURCE_BADGES[event.source]
+                    }`}
+                  >
+                    {t(`events.sources.${event.source}`)}
+                  </span>
+                </div>
+                <p className="font-medium text-gray-800">{name}</p>
+                {description && (
+                  <p className="text-sm text-gray-600">{description}</p>
+                )}
+                <div className="flex gap-3 mt-1 text-xs">
+                  {onUpdate && (
+                    <button
+                      onClick={() => startEditing(event)}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {t("events.edit")}
+                    </button>
+                  )}
+                  {onRemove && (
+                    <button
+                      onClick={() => onRemove(event.id)}
+                      className="text-red-600 hover:underline"
+                    >
+                      {t("events.remove")}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {/* Detected candidates */}
+      {candidates.length > 0 && (
+        <div className="mt-6">
+          <h5 className="font-semibold text-gray-700 mb-1">
+            {t("events.candidates.title")}
+          </h5>
+          <p className="text-sm text-gray-600 mb-3">
+            {t("events.candidates.description")}
+          </p>
+          <ul className="space-y-2">
+            {candidates.map((candidate) => (
+              <li
+                key={candidate.id}
+                className="flex flex-wrap items-center justify-between gap-2 p-3 rounded-lg bg-amber-50"
+              >
+                <div className="flex items-start gap-2">
+                  <span
+                    className="mt-1.5 w-3 h-3 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: EVENT_COLORS[candidate.type] }}
+                  />
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      {t(`events.types.${candidate.type}`)} ·{" "}
+                      {formatRange(candidate)}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      {explainCandidate(candidate)}
+                    </p>
+                  </div>
+                </div>
+                {onAdd && (
+                  <button
+                    onClick={() =>
+                      onAdd({
+                        ...candidate,
+                        name: t(`events.candidates.names.${candidate.type}`),
+                        description: explainCandidate(candidate),
+                      })
+                    }
+                    className="px-3 py-1 bg-amber-600 text-white text-xs rounded hover:bg-amber-700 transition-colors"
+                  >
+                    {t("events.candidates.add")}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventTimeline;
@@ -1,5 +1,8 @@
 // components/common/Footer.jsx
 import React, { useState } from "react";
+import { DATA_SOURCES } from "../../utils/constants.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import { DEFAULT_NORMALS_PERIOD } from "../../utils/normals.js";
 
 /**
  * Professional Footer Component for Weather Dashboard
@@ -10,9 +13,17 @@ const Footer = ({
   techStack = "React, Recharts, Tailwind CSS",
   onRefresh,
   cacheInfo,
+  cacheStats,
+  onClearCache,
+  parseReport,
   showDetailedInfo = true,
   stationInfo,
+  activeDataSource = DATA_SOURCES.SAMPLE,
+  fallbackReason,
+  normalsPeriod = DEFAULT_NORMALS_PERIOD,
+  normalsReferenceStation,
 }) => {
+  const { t, locale, formatNumber } = useI18n();
   const [showTechDetails, setShowTechDetails] = useState(false);
   const [lastRefresh, setLastRefresh] = useState(null);
 
@@ -24,10 +35,10 @@ const Footer = ({
   };
 
   const formatLastUpdated = (dateString) => {
-    if (!dateString) return "Unknown";
+    if (!dateString) return t("footer.unknown");
     try {
       const date = new Date(dateString);
-      return date.toLocaleString("en-CA", {
+      return date.toLocaleString(locale, {
         year: "numeric",
         month: "short",
         day: "numeric",
@@ -36,7 +47,7 @@ const Footer = ({
         timeZone: "America/Vancouver",
       });
     } catch (error) {
-      return "Invalid date";
+      return t("footer.invalidDate");
     }
   };
 
@@ -50,19 +61,17 @@ const Footer = ({
             <div className="space-y-4">
               <h4 className="font-semibold text-gray-800 flex items-center">
                 <span className="mr-2">🌡️</span>
-                Data Sources
+                {t("footer.dataSources")}
               </h4>
               <div className="text-sm text-gray-600 space-y-2">
                 <div>
-                  <p className="font-medium">Primary Source</p>
+                  <p className="font-medium">{t("footer.primarySource")}</p>
                   <p>{dataSource}</p>
                 </div>
                 {stationInfo && (
                   <div>
-                    <p className="font-medium">Weather Station</p>
-                    <p>
-                      {stationInfo.name || "Vancouver International Airport"}
-                    </p>
+                    <p className="font-medium">{t("header.weatherStation")}</p>
+                    <p>{stationInfo.name || t("header.defaultStation")}</p>
                     <p className="text-xs">
                       {stationInfo.coordinates
                         ? `${stationInfo.coordinates.lat}°N, ${stationInfo.coordinates.lng}°W`
@@ -71,12 +80,25 @@ const Footer = ({
                   </div>
                 )}
                 <div>
-                  <p className="font-medium">Climate Normals</p>
-                  <p>1981-2010 Reference Period</p>
+                  <p className="font-medium">{t("footer.climateNormals")}</p>
+                  <p>
+                    {t("footer.referencePeriod", { period: normalsPeriod })}
+                  </p>
+                  {normalsReferenceStation && (
+                    <p className="text-xs">
+                      {t("footer.referenceStation", {
+                        station: normalsReferenceStation,
+                      })}
+                    </p>
+                  )}
                 </div>
                 <div>
-                  <p className="font-medium">Last Updated</p>
-                  <p>{formatLastUpdated(cacheInfo?.lastUpdated)} PST</p>
+                  <p className="font-medium">{t("footer.lastUpdated")}</p>
+                  <p>
+                    {t("footer.lastUpdatedValue", {
+                      date: formatLastUpdated(cacheInfo?.lastUpdated),
+                    })}
+                  </p>
                 </div>
               </div>
             </div>
@@ -85,44 +107,39 @@ const Footer = ({
             <div className="space-y-4">
               <h4 className="font-semibold text-gray-800 flex items-center">
                 <span className="mr-2">⚙️</span>
-                Technical Stack
+                {t("footer.techStack")}
               </h4>
               <div className="text-sm text-gray-600 space-y-2">
                 <div>
-                  <p className="font-medium">Frontend</p>
+                  <p className="font-medium">{t("footer.frontend")}</p>
                   <p>{techStack}</p>
                 </div>
                 <div>
-                  <p className="font-medium">Architecture</p>
-                  <p>Modular React Components</p>
+                  <p className="font-medium">{t("footer.architecture")}</p>
+                  <p>{t("footer.architectureValue")}</p>
                 </div>
                 <div>
-                  <p className="font-medium">Deployment</p>
-                  <p>Vercel Edge Network</p>
+                  <p className="font-medium">{t("footer.deployment")}</p>
+                  <p>{t("footer.deploymentValue")}</p>
                 </div>
                 <button
                   onClick={() => setShowTechDetails(!showTechDetails)}
                   className="text-blue-600 hover:text-blue-800 text-xs underline"
                 >
-                  {showTechDetails ? "Hide" : "Show"} Technical Details
+                  {showTechDetails
+                    ? t("footer.hideDetails")
+                    : t("footer.showDetails")}
                 </button>
                 {showTechDetails && (
                   <div className="mt-2 p-3 bg-gray-100 rounded text-xs">
-                    <p>
-                      <strong>Components:</strong> 12+ modular React components
-                    </p>
-                    <p>
-                      <strong>Hooks:</strong> Custom data management hooks
-                    </p>
-                    <p>
-                      <strong>Charts:</strong> Recharts with custom tooltips
-                    </p>
-                    <p>
-                      <strong>Styling:</strong> Tailwind CSS utility-first
-                    </p>
-                    <p>
-                      <strong>API Ready:</strong> Environment Canada integration
-                    </p>
+                    {["components", "hooks", "charts", "styling", "api"].map(
+                      (detail) => (
+                        <p key={detail}>
+                          <strong>{t(`footer.details.${detail}.label`)}</strong>{" "}
+                          {t(`footer.details.${detail}.value`)}
+                        </p>
+                      )
+                    )}
                   </div>
                 )}
               </div>
@@ -132,23 +149,31 @@ const Footer = ({
             <div className="space-y-4">
               <h4 className="font-semibold text-gray-800 flex items-center">
                 <span className="mr-2">📊</span>
-                Dashboard Status
+                {t("footer.status")}
               </h4>
               <div className="text-sm text-gray-600 space-y-3">
                 {/* Status Indicators */}
                 <div className="flex flex-wrap gap-4">
-                  <div className="flex items-center space-x-2">
-                    <div className="w-3 h-3 rounded-full bg-green-500 animate-pulse"></div>
-                    <span>Data Active</span>
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    <div className="w-3 h-3 rounded-full bg-blue-500"></div>
-                    <span>API Ready</span>
-                  </div>
-                  <div className="flex items-center space-x-2">
-                    <div className="w-3 h-3 rounded-full bg-yellow-500"></div>
-                    <span>Sample Mode</span>
-                  </div>
+                  {activeDataSource === DATA_SOURCES.LIVE ? (
+                    <div className="flex items-center space-x-2">
+                      <div className="w-3 h-3 rounded-full bg-green-500 animate-pulse"></div>
+                      <span>{t("footer.liveMode")}</span>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <div className="w-3 h-3 rounded-full bg-yellow-500"></div>
+                      <span>{t("footer.sampleMode")}</span>
+                    </div>
+                  )}
+                  {fallbackReason && (
+                    <div
+                      className="flex items-center space-x-2"
+                      title={fallbackReason}
+                    >
+                      <div className="w-3 h-3 rounded-full bg-orange-500"></div>
+                      <span>{t("footer.liveFailed")}</span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Action Buttons */}
@@ -159,7 +184,7 @@ const Footer = ({
                       className="px-3 py-1 bg-blue-600 text-white text-xs rounded hover:bg-blue-700 transition-colors flex items-center space-x-1"
                     >
                       <span>🔄</span>
-                      <span>Refresh Data</span>
+                      <span>{t("footer.refresh")}</span>
                     </button>
                   )}
                   <button
@@ -172,7 +197,7 @@ const Footer = ({
                     className="px-3 py-1 bg-gray-600 text-white text-xs rounded hover:bg-gray-700 transition-colors flex items-center space-x-1"
                   >
                     <span>📂</span>
-                    <span>View Source</span>
+                    <span>{t("footer.viewSource")}</span>
                   </button>
                 </div>
 
@@ -180,10 +205,102 @@ const Footer = ({
                 {cacheInfo && (
                   <div className="text-xs text-gray-500">
                     <p>
-                      Data Quality: {cacheInfo.dataQuality || "Research-grade"}
+                      {t("footer.dataQuality", {
+                        quality:
+                          cacheInfo.dataQuality || t("footer.researchGrade"),
+                      })}
                     </p>
+                    {cacheInfo.gapFill &&
+                      (cacheInfo.gapFill.error ? (
+                        <p className="text-orange-600">
+                          {t("footer.gapFillSkipped", {
+                            error: cacheInfo.gapFill.error,
+                          })}
+                        </p>
+                      ) : (
+                        <p>
+                          {t("footer.gapFill", {
+                            share: formatNumber(
+                              cacheInfo.gapFill.imputedShare * 100,
+                              1
+                            ),
+                            station: cacheInfo.gapFill.neighbourName,
+                          })}
+                          {cacheInfo.gapFill.createdDays > 0 &&
+                            ` (${t("footer.gapFillCreated", {
+                              count: cacheInfo.gapFill.createdDays,
+                            })})`}
+                        </p>
+                      ))}
                     {lastRefresh && (
-                      <p>Last Refresh: {lastRefresh.toLocaleTimeString()}</p>
+                      <p>
+                        {t("footer.lastRefresh", {
+                          time: lastRefresh.toLocaleTimeString(locale),
+                        })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Data Cache */}
+                {cacheStats && (
+                  <div className="text-xs text-gray-500">
+                    <p>
+                      {t("footer.cache", {
+                        count: cacheStats.size,
+                        backend:
+                          cacheStats.backend === "indexeddb"
+                            ? "IndexedDB"
+                            : t("footer.inMemory"),
+                      })}
+                      {cacheStats.hitRate !== null &&
+                        ` · ${t("footer.hitRate", {
+                          rate: Math.round(cacheStats.hitRate * 100),
+                        })}`}
+                    </p>
+                    {cacheStats.stations.map((station) => (
+                      <p key={station.stationId}>
+                        {t("footer.cachedStation", {
+                          name: station.name,
+                          count: station.months,
+                          first: station.firstMonth,
+                          last: station.lastMonth,
+                        })}
+                        {station.stale > 0 &&
+                          `, ${t("footer.stale", { count: station.stale })}`}
+                      </p>
+                    ))}
+                    {onClearCache && cacheStats.size > 0 && (
+                      <button
+                        onClick={onClearCache}
+                        className="mt-1 text-blue-600 hover:text-blue-800 underline"
+                      >
+                        {t("footer.clearCache")}
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {/* CSV Parse Report */}
+                {parseReport && (
+                  <div className="text-xs text-gray-500">
+                    <p>
+                      {t("footer.rowsParsed", {
+                        accepted: parseReport.acceptedRows,
+                        total: parseReport.totalRows,
+                      })}
+                    </p>
+                    {parseReport.rejectedRows > 0 && (
+                      <p className="text-orange-600">
+                        {t("footer.rejected", {
+                          count: parseReport.rejectedRows,
+                        })}{" "}
+                        (
+                        {Object.entries(parseReport.byReason)
+                          .map(([reason, count]) => `${reason}: ${count}`)
+                          .join(", ")}
+                        )
+                      </p>
                     )}
                   </div>
                 )}
@@ -205,7 +322,7 @@ const Footer = ({
                 rel="noopener noreferrer"
                 className="text-blue-600 hover:text-blue-800 underline"
               >
-                Data from Environment Canada Data
+                {t("footer.attribution")}
               </a>
             </div>
 
@@ -216,7 +333,7 @@ const Footer = ({
                 target="_blank"
                 rel="noopener noreferrer"
                 className="text-blue-600 hover:text-blue-800 transition-colors"
-                aria-label="LinkedIn Profile"
+                aria-label={t("footer.linkedIn")}
               >
                 💼 LinkedIn
               </a>
@@ -225,16 +342,16 @@ const Footer = ({
                 target="_blank"
                 rel="noopener noreferrer"
                 className="text-gray-600 hover:text-gray-800 transition-colors"
-                aria-label="GitHub Profile"
+                aria-label={t("footer.gitHub")}
               >
                 📂 GitHub
               </a>
               <a
                 href="mailto:lechiben@hotmail.com"
                 className="text-green-600 hover:text-green-800 transition-colors"
-                aria-label="Email Contact"
+                aria-label={t("footer.email")}
               >
-                ✉️ Contact
+                ✉️ {t("footer.contact")}
               </a>
             </div>
           </div>
@@ -253,9 +370,7 @@ export const MinimalFooter = ({ dataSource, techStack }) => {
       <p className="text-sm">
         Data: {dataSource} | Built with {techStack}
       </p>
-      <p className="text-xs mt-2">
-        © Vancouver Weather Dashboard
-      </p>
+      <p className="text-xs mt-2">© Vancouver Weather Dashboard</p>
     </footer>
   );
 };
@@ -1,5 +1,7 @@
 // components/common/Header.jsx
 import React from "react";
+import { DATA_SOURCES } from "../../utils/constants.js";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * Header Component
@@ -11,23 +13,24 @@ const Header = ({
   stationInfo,
   lastUpdated,
   showLiveIndicator = true,
+  dataSource = DATA_SOURCES.SAMPLE,
+  isFallback = false,
 }) => {
+  const { t, formatDate, formatNumber } = useI18n();
+
   const formatLastUpdated = (timestamp) => {
-    if (!timestamp) return "Real-time ready";
+    if (!timestamp) return t("header.realTimeReady");
 
-    try {
-      const date = new Date(timestamp);
-      return date.toLocaleString("en-CA", {
+    return (
+      formatDate(timestamp, {
         timeZone: "America/Vancouver",
         year: "numeric",
         month: "short",
         day: "numeric",
         hour: "2-digit",
         minute: "2-digit",
-      });
-    } catch {
-      return "Data current";
-    }
+      }) || t("header.dataCurrent")
+    );
   };
 
   return (
@@ -50,46 +53,94 @@ const Header = ({
           {/* Station Information */}
           <div className="text-left">
             <h3 className="font-semibold text-gray-800 mb-1">
-              Weather Station
+              {t("header.weatherStation")}
             </h3>
             {stationInfo ? (
               <div className="text-sm text-gray-600">
                 <p className="font-medium">{stationInfo.name}</p>
-                <p>ID: {stationInfo.id}</p>
-                <p>
-                  {stationInfo.coordinates?.lat?.toFixed(4)}°N,{" "}
-                  {stationInfo.coordinates?.lng?.toFixed(4)}°W
-                </p>
+                <p>{t("header.stationId", { id: stationInfo.id })}</p>
+                {stationInfo.coordinates && (
+                  <p>
+                    {formatNumber(stationInfo.coordinates.lat, 4)}°N,{" "}
+                    {formatNumber(stationInfo.coordinates.lng, 4)}°W
+                  </p>
+                )}
+                {(stationInfo.elevation != null || stationInfo.firstYear) && (
+                  <p className="text-xs">
+                    {stationInfo.elevation != null &&
+                      t("header.elevation", {
+                        elevation: formatNumber(stationInfo.elevation),
+                      })}
+                    {stationInfo.elevation != null &&
+                      stationInfo.firstYear &&
+                      " · "}
+                    {stationInfo.firstYear &&
+                      t("header.records", {
+                        first: stationInfo.firstYear,
+                        last: stationInfo.lastYear,
+                      })}
+                  </p>
+                )}
               </div>
             ) : (
               <div className="text-sm text-gray-600">
-                <p className="font-medium">Vancouver International Airport</p>
-                <p>Environment Canada Station</p>
-                <p>49.1939°N, 123.1844°W</p>
+                <p className="font-medium">{t("header.defaultStation")}</p>
+                <p>{t("header.defaultStationNetwork")}</p>
+                <p>
+                  {formatNumber(49.1939, 4)}°N, {formatNumber(123.1844, 4)}°W
+                </p>
               </div>
             )}
           </div>
 
           {/* Live Status Indicator */}
           <div className="text-center">
-            {showLiveIndicator && (
-              <div className="inline-flex items-center gap-2 bg-green-50 text-green-700 px-3 py-2 rounded-full">
-                <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                <span className="text-sm font-medium">System Ready</span>
-              </div>
-            )}
+            {showLiveIndicator &&
+              (dataSource === DATA_SOURCES.LIVE ? (
+                <div className="inline-flex items-center gap-2 bg-green-50 text-green-700 px-3 py-2 rounded-full">
+                  <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                  <span className="text-sm font-medium">
+                    {t("header.liveData")}
+                  </span>
+                </div>
+              ) : (
+                <div
+                  className={`inline-flex items-center gap-2 px-3 py-2 rounded-full ${
+                    isFallback
+                      ? "bg-orange-50 text-orange-700"
+                      : "bg-yellow-50 text-yellow-700"
+                  }`}
+                >
+                  <div
+                    className={`w-2 h-2 rounded-full ${
+                      isFallback ? "bg-orange-500" : "bg-yellow-500"
+                    }`}
+                  ></div>
+                  <span className="text-sm font-medium">
+                    {isFallback
+                      ? t("header.sampleDataFallback")
+                      : t("header.sampleData")}
+                  </span>
+                </div>
+              ))}
 
             <div className="mt-2 text-xs text-gray-500">
-              API Integration Ready
+              {dataSource === DATA_SOURCES.LIVE
+                ? t("header.liveSource")
+                : isFallback
+                ? t("header.fallbackSource")
+                : t("header.sampleSource")}
             </div>
           </div>
 
           {/* Last Updated */}
           <div className="text-right">
-            <h3 className="font-semibold text-gray-800 mb-1">Data Status</h3>
+            <h3 className="font-semibold text-gray-800 mb-1">
+              {t("header.dataStatus")}
+            </h3>
             <div className="text-sm text-gray-600">
               <p>{formatLastUpdated(lastUpdated)}</p>
-              <p className="text-xs mt-1">Vancouver Time (PDT/PST)</p>
+              <p className="text-xs mt-1">{t("header.timeZone")}</p>
             </div>
           </div>
         </div>
@@ -99,19 +150,19 @@ const Header = ({
           <div className="flex flex-wrap justify-center gap-6 text-sm">
             <div className="flex items-center gap-2">
               <div className="w-3 h-3 rounded-full bg-blue-500"></div>
-              <span>Temperature Analysis</span>
+              <span>{t("header.features.temperature")}</span>
             </div>
             <div className="flex items-center gap-2">
               <div className="w-3 h-3 rounded-full bg-green-500"></div>
-              <span>Climate Patterns</span>
+              <span>{t("header.features.patterns")}</span>
             </div>
             <div className="flex items-center gap-2">
               <div className="w-3 h-3 rounded-full bg-orange-500"></div>
-              <span>Extreme Events</span>
+              <span>{t("header.features.extremes")}</span>
             </div>
             <div className="flex items-center gap-2">
               <div className="w-3 h-3 rounded-full bg-purple-500"></div>
-              <span>Trend Analysis</span>
+              <span>{t("header.features.trends")}</span>
             </div>
           </div>
         </div>
@@ -120,10 +171,10 @@ const Header = ({
       {/* Climate Context Banner */}
       <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-3 max-w-2xl mx-auto">
         <p className="text-sm text-blue-800">
-          <span className="font-medium">🌍 Climate Context:</span> Vancouver's
-          oceanic climate features mild, wet winters and warm, dry summers.
-          Recent years show increasing extreme weather events including heat
-          domes and atmospheric rivers.
+          <span className="font-medium">
+            🌍 {t("header.climateContextTitle")}
+          </span>{" "}
+          {t("header.climateContext")}
         </p>
       </div>
     </header>
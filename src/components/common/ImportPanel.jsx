@@ -0,0 +1,238 @@
+// components/common/ImportPanel.jsx
+import React, { useState } from "react";
+import {
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  inspectImportFile,
+} from "../../services/dataImport.js";
+import { useI18n } from "../../hooks/useI18n.js";
+
+// How each detected format is described to the user (message keys)
+const FORMAT_LABELS = {
+  [IMPORT_FORMATS.EC_CSV]: "importPanel.formats.ecCsv",
+  [IMPORT_FORMATS.GENERIC_CSV]: "importPanel.formats.genericCsv",
+  [IMPORT_FORMATS.JSON]: "importPanel.formats.json",
+};
+
+/**
+ * Import Panel Component
+ * Drag-and-drop import of EC CSV downloads, other CSV files (with a
+ * column-mapping step) and dashboard JSON
+ */
+const ImportPanel = ({
+  onImport,
+  onClose,
+  importedStations = [],
+  onRemove,
+}) => {
+  const [inspection, setInspection] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const { t } = useI18n();
+
+  // Read the file and work out its format
+  const handleFile = async (file) => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    setInspection(null);
+    try {
+      const result = await inspectImportFile(file);
+      setInspection(result);
+      setMapping(result.mapping || {});
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    handleFile(event.dataTransfer.files?.[0]);
+  };
+
+  const handleImport = () => {
+    try {
+      onImport(inspection, mapping);
+      setInspection(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const isGeneric = inspection?.format === IMPORT_FORMATS.GENERIC_CSV;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">
+            {t("importPanel.title")}
+          </h3>
+          <p className="text-sm text-gray-600">{t("importPanel.subtitle")}</p>
+        </div>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 transition-colors"
+            aria-label={t("importPanel.close")}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {/* Drop zone */}
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center border-2 border-dashed rounded-lg p-8 cursor-pointer transition-colors ${
+          dragging
+            ? "border-blue-500 bg-blue-50"
+            : "border-gray-300 hover:border-blue-400"
+        }`}
+      >
+        <span className="text-3xl mb-2">📥</span>
+        <span className="text-sm text-gray-700">
+          {busy ? t("importPanel.reading") : t("importPanel.dropPrompt")}
+        </span>
+        <span className="text-xs text-gray-500 mt-1">
+          {t("importPanel.supportedFiles")}
+        </span>
+        <input
+          type="file"
+          accept=".csv,.json,.txt,text/csv,application/json"
+          className="hidden"
+          onChange={(e) => {
+            handleFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      {inspection && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">{inspection.name}</span>:{" "}
+            {t(FORMAT_LABELS[inspection.format])}
+          </p>
+
+          {/* Column mapping for generic CSV */}
+          {isGeneric && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                {IMPORT_FIELDS.map(({ field, required }) => (
+                  <label key={field} className="text-sm text-gray-700">
+                    <span className="block mb-1">
+                      {t(`importPanel.fields.${field}`)}
+                      {required && <span className="text-red-600"> *</span>}
+                    </span>
+                    <select
+                      value={mapping[field] || ""}
+                      onChange={(e) =>
+                        setMapping({
+                          ...mapping,
+                          [field]: e.target.value || undefined,
+                        })
+                      }
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                    >
+                      <option value="">{t("importPanel.notInFile")}</option>
+                      {inspection.headers.map((header) => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {inspection.preview?.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-xs text-gray-600">
+                    <thead>
+                      <tr>
+                        {inspection.headers.map((header) => (
+                          <th
+                            key={header}
+                            className="px-2 py-1 text-left font-medium border-b"
+                          >
+                            {header}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {inspection.preview.map((row, index) => (
+                        <tr key={index}>
+                          {inspection.headers.map((header) => (
+                            <td key={header} className="px-2 py-1 border-b">
+                              {row[header]}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+
+          <button
+            onClick={handleImport}
+            disabled={isGeneric && !mapping.date}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {t("importPanel.importButton")}
+          </button>
+        </div>
+      )}
+
+      {/* Imports so far */}
+      {importedStations.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">
+            {t("importPanel.importedStations")}
+          </h4>
+          <ul className="space-y-1 text-sm text-gray-600">
+            {importedStations.map((station) => (
+              <li key={station.id} className="flex items-center gap-2">
+                <span
+                  className="w-3 h-3 rounded-full inline-block"
+                  style={{ backgroundColor: station.color }}
+                />
+                <span>{station.name}</span>
+                {onRemove && (
+                  <button
+                    onClick={() => onRemove(station.id)}
+                    className="text-xs text-blue-600 hover:text-blue-800 underline"
+                  >
+                    {t("importPanel.remove")}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
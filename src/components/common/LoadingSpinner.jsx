@@ -1,17 +1,23 @@
 // components/common/LoadingSpinner.jsx
 import React from "react";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * Loading Spinner Component with Weather Theme
  * Provides various loading states with appropriate messaging
  */
 const LoadingSpinner = ({
-  message = "Loading data...",
+  message,
   size = "medium",
   type = "weather",
   showProgress = false,
   progress = 0,
+  progressDetail,
+  onCancel,
 }) => {
+  const { t } = useI18n();
+  const title = message || t("loading.default");
+
   const getSizeClasses = (size) => {
     switch (size) {
       case "small":
@@ -74,7 +80,7 @@ const LoadingSpinner = ({
 
       {/* Loading Message */}
       <div className="text-center max-w-md">
-        <h3 className="text-lg font-semibold text-gray-800 mb-2">{message}</h3>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
 
         {/* Progress Bar */}
         {showProgress && (
@@ -83,14 +89,25 @@ const LoadingSpinner = ({
               className="bg-blue-500 h-2 rounded-full transition-all duration-300 ease-out"
               style={{ width: `${Math.min(100, Math.max(0, progress))}%` }}
             ></div>
-            <p className="text-sm text-gray-600 mt-2">{progress}% complete</p>
+            <p className="text-sm text-gray-600 mt-2">
+              {progressDetail || t("loading.percentComplete", { progress })}
+            </p>
           </div>
         )}
 
         {/* Contextual Sub-message */}
-        <p className="text-sm text-gray-600">
-          {getContextualMessage(type, message)}
+        <p className={`text-sm text-gray-600 ${showProgress ? "mt-6" : ""}`}>
+          {getContextualMessage(type, title, t)}
         </p>
+
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="mt-3 text-xs text-gray-500 hover:text-gray-700 underline"
+          >
+            {t("common.cancel")}
+          </button>
+        )}
       </div>
 
       {/* Loading Dots Animation */}
@@ -112,21 +129,22 @@ const LoadingSpinner = ({
 
 /**
  * Get contextual loading message based on type
+ * The message is matched on keywords in the current language.
  */
-const getContextualMessage = (type, message) => {
-  if (message.includes("weather")) {
-    return "Fetching latest meteorological data from Environment Canada...";
+const getContextualMessage = (type, message, t) => {
+  if (message.includes(t("loading.keywords.weather"))) {
+    return t("loading.context.weather");
   }
-  if (message.includes("data")) {
-    return "Processing climate statistics and generating visualizations...";
+  if (message.includes(t("loading.keywords.data"))) {
+    return t("loading.context.data");
   }
   if (type === "api") {
-    return "Connecting to weather services and validating data...";
+    return t("loading.context.api");
   }
   if (type === "error") {
-    return "Attempting to resolve connection issues...";
+    return t("loading.context.error");
   }
-  return "Please wait while we prepare your dashboard...";
+  return t("loading.context.default");
 };
 
 /**
@@ -146,11 +164,15 @@ export const SimpleSpinner = ({ size = "small" }) => {
 /**
  * Inline Loading Spinner - For buttons and small spaces
  */
-export const InlineSpinner = ({ message = "Loading..." }) => {
+export const InlineSpinner = ({ message }) => {
+  const { t } = useI18n();
+
   return (
     <div className="flex items-center space-x-2">
       <SimpleSpinner size="small" />
-      <span className="text-sm text-gray-600">{message}</span>
+      <span className="text-sm text-gray-600">
+        {message || t("loading.inline")}
+      </span>
     </div>
   );
 };
@@ -158,14 +180,14 @@ export const InlineSpinner = ({ message = "Loading..." }) => {
 /**
  * Page Loading Overlay - Full page loading state
  */
-export const PageLoadingOverlay = ({
-  message = "Loading Vancouver Weather Dashboard...",
-}) => {
+export const PageLoadingOverlay = ({ message }) => {
+  const { t } = useI18n();
+
   return (
     <div className="fixed inset-0 bg-white bg-opacity-90 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg shadow-lg p-8 max-w-md w-full mx-4">
         <LoadingSpinner
-          message={message}
+          message={message || t("loading.page")}
           size="large"
           type="weather"
           showProgress={false}
@@ -198,6 +220,8 @@ export const DataLoadingSkeleton = ({ rows = 3 }) => {
  * Chart Loading Placeholder - For chart components
  */
 export const ChartLoadingPlaceholder = ({ height = 300 }) => {
+  const { t } = useI18n();
+
   return (
     <div
       className="bg-gray-100 rounded-lg flex items-center justify-center"
@@ -205,7 +229,7 @@ export const ChartLoadingPlaceholder = ({ height = 300 }) => {
     >
       <div className="text-center">
         <LoadingSpinner
-          message="Generating chart..."
+          message={t("loading.chart")}
           size="medium"
           type="data"
         />
@@ -218,10 +242,12 @@ export const ChartLoadingPlaceholder = ({ height = 300 }) => {
  * Weather Station Loading - Specific to weather data
  */
 export const WeatherStationLoading = ({ stationName = "Vancouver" }) => {
+  const { t } = useI18n();
+
   return (
     <div className="bg-gradient-to-br from-blue-50 to-gray-100 rounded-lg p-6">
       <LoadingSpinner
-        message={`Connecting to ${stationName} weather station...`}
+        message={t("loading.station", { station: stationName })}
         size="medium"
         type="weather"
         showProgress={false}
@@ -230,15 +256,15 @@ export const WeatherStationLoading = ({ stationName = "Vancouver" }) => {
         <div className="flex justify-center space-x-4 text-sm text-gray-600">
           <div className="flex items-center space-x-1">
             <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-            <span>Temperature</span>
+            <span>{t("loading.temperature")}</span>
           </div>
           <div className="flex items-center space-x-1">
             <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
-            <span>Precipitation</span>
+            <span>{t("loading.precipitation")}</span>
           </div>
           <div className="flex items-center space-x-1">
             <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></div>
-            <span>Sunshine</span>
+            <span>{t("loading.sunshine")}</span>
           </div>
         </div>
       </div>
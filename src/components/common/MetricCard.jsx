@@ -1,5 +1,7 @@
 // components/common/MetricCard.jsx
 import React from "react";
+import { QUALITY_BADGES, describeQuality } from "../../utils/dataQuality.js";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * MetricCard Component
@@ -8,15 +10,20 @@ import React from "react";
 const MetricCard = ({
   label,
   value,
+  numericValue,
   icon,
   color = "blue",
   subtitle,
   trend,
   comparison,
+  comparisonLabel,
+  quality,
   loading = false,
   onClick,
   className = "",
 }) => {
+  const { t, formatNumber } = useI18n();
+
   // Color theme mappings
   const colorThemes = {
     blue: {
@@ -105,11 +112,9 @@ const MetricCard = ({
   const getTrendDescription = (trendDirection) => {
     switch (trendDirection) {
       case "up":
-        return "Increasing";
       case "down":
-        return "Decreasing";
       case "stable":
-        return "Stable";
+        return t(`metricCard.trend.${trendDirection}`);
       default:
         return "";
     }
@@ -117,20 +122,25 @@ const MetricCard = ({
 
   /**
    * Format comparison value for display
+   * Uses numericValue when given, since a localized value such as "11,2 °C"
+   * doesn't parse back to a number.
    */
   const formatComparison = (comparisonValue, currentValue) => {
     if (!comparisonValue || !currentValue) return null;
 
-    const current = parseFloat(currentValue.replace(/[^\d.-]/g, ""));
+    const current =
+      typeof numericValue === "number"
+        ? numericValue
+        : parseFloat(currentValue.replace(/[^\d.-]/g, ""));
     const baseline = parseFloat(comparisonValue);
 
     if (isNaN(current) || isNaN(baseline)) return null;
 
     const difference = current - baseline;
-    const percentChange = ((difference / baseline) * 100).toFixed(1);
+    const percentChange = formatNumber((difference / baseline) * 100, 1);
 
     return {
-      difference: difference.toFixed(1),
+      difference: formatNumber(difference, 1),
       percentChange,
       isPositive: difference > 0,
       isSignificant: Math.abs(difference) > baseline * 0.05, // 5% threshold
@@ -140,6 +150,7 @@ const MetricCard = ({
   const comparisonData = comparison
     ? formatComparison(comparison, value)
     : null;
+  const qualityBadge = quality ? QUALITY_BADGES[quality.level] : null;
 
   if (loading) {
     return (
@@ -176,9 +187,19 @@ const MetricCard = ({
         {/* Main Content */}
         <div className="flex-1 min-w-0">
           {/* Label */}
-          <p className="text-sm font-medium text-gray-600 mb-1 truncate">
-            {label}
-          </p>
+          <div className="flex items-center gap-2 mb-1">
+            <p className="text-sm font-medium text-gray-600 truncate">
+              {label}
+            </p>
+            {qualityBadge && (
+              <span
+                className={`px-1.5 py-0.5 rounded text-xs font-medium ${qualityBadge.className}`}
+                title={describeQuality(quality, t)}
+              >
+                {t(qualityBadge.label)}
+              </span>
+            )}
+          </div>
 
           {/* Value */}
           <p className="text-2xl font-bold text-gray-900 mb-1 break-words">
@@ -208,14 +229,17 @@ const MetricCard = ({
           {/* Comparison */}
           {comparisonData && (
             <div className="mt-2 text-xs">
-              <span className="text-gray-500">vs baseline: </span>
+              <span className="text-gray-500">
+                {comparisonLabel || t("metricCard.vsBaseline")}{" "}
+              </span>
               <span
                 className={`font-medium ${
                   comparisonData.isPositive ? "text-green-600" : "text-red-600"
                 }`}
               >
                 {comparisonData.isPositive ? "+" : ""}
-                {comparisonData.difference} ({comparisonData.percentChange}%)
+                {comparisonData.difference} (
+                {t("common.percent", { value: comparisonData.percentChange })})
               </span>
             </div>
           )}
@@ -1,56 +1,126 @@
 // components/common/Navigation.jsx
 import React from "react";
-import { TABS } from "../../utils/constants.js";
+import {
+  TABS,
+  WEATHER_STATIONS,
+  DATA_TIMEFRAMES,
+  DATA_SOURCES,
+} from "../../utils/constants.js";
+import { EXPORT_FORMATS } from "../../utils/exporters.js";
+import { UNIT_SYSTEMS } from "../../utils/units.js";
+import { LOCALE_OPTIONS } from "../../utils/i18n.js";
+import {
+  getBundledEnsoIndex,
+  getYearEnsoPhase,
+  describeEnsoPhase,
+} from "../../utils/enso.js";
+import { useI18n } from "../../hooks/useI18n.js";
+
+// Entries of the export menu (labels are message keys)
+const EXPORT_OPTIONS = [
+  { format: EXPORT_FORMATS.CSV, label: "nav.exportFormats.csv" },
+  { format: EXPORT_FORMATS.JSON, label: "nav.exportFormats.json" },
+  { format: EXPORT_FORMATS.SPREADSHEET, label: "nav.exportFormats.xls" },
+];
 
 /**
  * Navigation Component
- * Handles tab navigation and year filtering
+ * Handles tab navigation, year filtering and station selection
  */
 const Navigation = ({
   activeTab,
   onTabChange,
   selectedYear,
   onYearChange,
+  dateRange = {},
+  onDateRangeChange,
   availableYears = [2020, 2021, 2022, 2023, 2024],
   showYearFilter = true,
+  stations = Object.values(WEATHER_STATIONS),
+  selectedStationId,
+  onStationChange,
+  comparisonMode = false,
+  onComparisonModeChange,
+  comparisonStationIds = [],
+  onComparisonStationsChange,
+  onStationInventoryLoad,
+  onStationSearchClick,
+  inventoryStatus,
+  dataSource,
+  onDataSourceChange,
+  gapFill = false,
+  onGapFillChange,
+  onImportClick,
+  onExport,
+  onGenerateReport,
+  unitSystem = UNIT_SYSTEMS.METRIC,
+  onUnitSystemChange,
+  locale,
+  onLocaleChange,
+  ensoIndex = getBundledEnsoIndex(),
 }) => {
+  const { t } = useI18n();
+
   const tabs = [
     {
       id: TABS.OVERVIEW,
-      label: "Overview",
+      label: t("nav.tabs.overview.label"),
       icon: "📊",
-      description: "Key metrics and monthly patterns",
+      description: t("nav.tabs.overview.description"),
     },
     {
       id: TABS.TEMPERATURE,
-      label: "Temperature",
+      label: t("nav.tabs.temperature.label"),
       icon: "🌡️",
-      description: "Detailed temperature analysis",
+      description: t("nav.tabs.temperature.description"),
     },
     {
       id: TABS.TRENDS,
-      label: "Trends",
+      label: t("nav.tabs.trends.label"),
       icon: "📈",
-      description: "Multi-year patterns and changes",
+      description: t("nav.tabs.trends.description"),
     },
     {
       id: TABS.CORRELATIONS,
-      label: "Correlations",
+      label: t("nav.tabs.correlations.label"),
       icon: "🔗",
-      description: "Variable relationships and insights",
+      description: t("nav.tabs.correlations.description"),
     },
   ];
 
+  const showStationSelector = Boolean(onStationChange);
+
+  // Toggle a station in or out of the comparison set
+  const toggleComparisonStation = (stationId) => {
+    onComparisonStationsChange(
+      comparisonStationIds.includes(stationId)
+        ? comparisonStationIds.filter((id) => id !== stationId)
+        : [...comparisonStationIds, stationId]
+    );
+  };
+
+  // Label stations with their data years once the inventory is loaded
+  const getStationLabel = (station) => {
+    if (station.imported) return station.name;
+    const range = station.timeframes?.[DATA_TIMEFRAMES.DAILY];
+    if (station.timeframes && !range) {
+      return t("nav.stationNoDaily", { name: station.name });
+    }
+    return range
+      ? `${station.name} (${range.firstYear}-${range.lastYear})`
+      : station.name;
+  };
+
   const yearOptions = [
     {
       value: "all",
-      label: "All Years (Average)",
-      description: "Climate normal patterns",
+      label: t("nav.allYears"),
+      description: t("nav.allYearsDescription"),
     },
     ...availableYears.map((year) => ({
       value: year.toString(),
       label: year.toString(),
-      description: getYearDescription(year),
+      description: getYearDescription(year, ensoIndex, t),
     })),
   ];
 
@@ -89,7 +159,7 @@ const Navigation = ({
         {showYearFilter && (
           <div className="flex items-center gap-3">
             <label className="text-sm font-medium text-gray-700 whitespace-nowrap">
-              📅 Time Period:
+              📅 {t("nav.timePeriod")}
             </label>
             <select
               value={selectedYear}
@@ -107,6 +177,40 @@ const Navigation = ({
               ))}
             </select>
 
+            {/* Date range (overrides the year while set) */}
+            {onDateRangeChange && (
+              <div className="flex items-center gap-1 text-sm text-gray-600">
+                <span className="whitespace-nowrap">{t("nav.or")}</span>
+                <input
+                  type="date"
+                  value={dateRange.from || ""}
+                  onChange={(e) =>
+                    onDateRangeChange({ ...dateRange, from: e.target.value })
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  aria-label={t("nav.rangeStart")}
+                />
+                <span>–</span>
+                <input
+                  type="date"
+                  value={dateRange.to || ""}
+                  onChange={(e) =>
+                    onDateRangeChange({ ...dateRange, to: e.target.value })
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  aria-label={t("nav.rangeEnd")}
+                />
+                {(dateRange.from || dateRange.to) && (
+                  <button
+                    onClick={() => onDateRangeChange({ from: null, to: null })}
+                    className="text-xs text-blue-600 hover:text-blue-800 underline"
+                  >
+                    {t("common.clear")}
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Year Description */}
             <div className="hidden lg:block text-xs text-gray-500 max-w-xs">
               {
@@ -125,11 +229,134 @@ const Navigation = ({
         </div>
       )}
 
+      {/* Station Selection */}
+      {showStationSelector && (
+        <div className="mt-3 pt-3 border-t border-gray-200 flex flex-col lg:flex-row lg:items-center gap-3">
+          <div className="flex items-center gap-3">
+            <label className="text-sm font-medium text-gray-700 whitespace-nowrap">
+              📍 {t("nav.station")}
+            </label>
+            <select
+              value={selectedStationId}
+              onChange={(e) => onStationChange(e.target.value)}
+              className="
+                px-3 py-2 border border-gray-300 rounded-lg text-sm
+                focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                bg-white shadow-sm min-w-fit
+              "
+            >
+              {stations.map((station) => (
+                <option key={station.id} value={station.id}>
+                  {getStationLabel(station)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {onStationInventoryLoad && (
+            <label
+              className="text-xs text-blue-600 hover:text-blue-800 underline cursor-pointer whitespace-nowrap"
+              title={t("nav.loadInventoryHint")}
+            >
+              {t("nav.loadInventory")}
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) onStationInventoryLoad(file);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          )}
+
+          {onStationSearchClick && (
+            <button
+              onClick={onStationSearchClick}
+              className="text-xs text-blue-600 hover:text-blue-800 underline whitespace-nowrap"
+              title={t("nav.findStationHint")}
+            >
+              {t("nav.findStation")}
+            </button>
+          )}
+
+          {onComparisonModeChange && (
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={comparisonMode}
+                onChange={(e) => onComparisonModeChange(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t("nav.compareStations")}
+            </label>
+          )}
+
+          {onGapFillChange && dataSource === DATA_SOURCES.LIVE && (
+            <label
+              className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer"
+              title={t("nav.gapFillHint")}
+            >
+              <input
+                type="checkbox"
+                checked={gapFill}
+                onChange={(e) => onGapFillChange(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t("nav.gapFill")}
+            </label>
+          )}
+
+          {comparisonMode && onComparisonStationsChange && (
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="text-gray-500">{t("nav.compareWith")}</span>
+              {stations
+                .filter((station) => station.id !== selectedStationId)
+                .map((station) => (
+                  <label
+                    key={station.id}
+                    className="flex items-center gap-1 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={comparisonStationIds.includes(station.id)}
+                      onChange={() => toggleComparisonStation(station.id)}
+                      className="rounded border-gray-300"
+                    />
+                    <span
+                      className="w-3 h-3 rounded-full inline-block"
+                      style={{ backgroundColor: station.color }}
+                    />
+                    {station.shortName || station.name}
+                  </label>
+                ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Outcome of the last inventory load */}
+      {inventoryStatus?.error && (
+        <p
+          className="mt-2 text-xs text-red-700 bg-red-50 rounded p-2"
+          role="alert"
+        >
+          {t("nav.inventoryError", { message: inventoryStatus.error })}
+        </p>
+      )}
+      {inventoryStatus?.count !== undefined && (
+        <p className="mt-2 text-xs text-green-800 bg-green-50 rounded p-2">
+          {t("nav.inventoryLoaded", { count: inventoryStatus.count })}
+        </p>
+      )}
+
       {/* Active Tab Indicator */}
       <div className="mt-3 pt-3 border-t border-gray-200">
         <div className="flex items-center justify-between">
           <div className="flex items-center gap-2 text-sm text-gray-600">
-            <span className="font-medium">Current View:</span>
+            <span className="font-medium">{t("nav.currentView")}</span>
             <span className="flex items-center gap-1">
               {tabs.find((tab) => tab.id === activeTab)?.icon}
               {tabs.find((tab) => tab.id === activeTab)?.label}
@@ -138,24 +365,157 @@ const Navigation = ({
 
           {/* Quick Actions */}
           <div className="flex items-center gap-2 text-xs">
+            {onDataSourceChange && (
+              <div
+                className="flex rounded-lg border border-gray-300 overflow-hidden mr-2"
+                role="group"
+                aria-label={t("nav.dataSource")}
+              >
+                {[
+                  { value: DATA_SOURCES.LIVE, label: `🛰️ ${t("nav.live")}` },
+                  {
+                    value: DATA_SOURCES.SAMPLE,
+                    label: `🧪 ${t("nav.sample")}`,
+                  },
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onDataSourceChange(option.value)}
+                    className={`px-2 py-1 transition-colors ${
+                      dataSource === option.value
+                        ? "bg-blue-600 text-white"
+                        : "bg-white text-gray-600 hover:bg-blue-50"
+                    }`}
+                    aria-pressed={dataSource === option.value}
+                    title={
+                      option.value === DATA_SOURCES.LIVE
+                        ? t("nav.liveHint")
+                        : t("nav.sampleHint")
+                    }
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {onUnitSystemChange && (
+              <div
+                className="flex rounded-lg border border-gray-300 overflow-hidden mr-2"
+                role="group"
+                aria-label={t("nav.units")}
+              >
+                {[
+                  { value: UNIT_SYSTEMS.METRIC, label: "°C · mm" },
+                  { value: UNIT_SYSTEMS.IMPERIAL, label: "°F · in" },
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onUnitSystemChange(option.value)}
+                    className={`px-2 py-1 transition-colors ${
+                      unitSystem === option.value
+                        ? "bg-blue-600 text-white"
+                        : "bg-white text-gray-600 hover:bg-blue-50"
+                    }`}
+                    aria-pressed={unitSystem === option.value}
+                    title={
+                      option.value === UNIT_SYSTEMS.METRIC
+                        ? t("nav.metricHint")
+                        : t("nav.imperialHint")
+                    }
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {onLocaleChange && (
+              <div
+                className="flex rounded-lg border border-gray-300 overflow-hidden mr-2"
+                role="group"
+                aria-label={t("nav.language")}
+              >
+                {LOCALE_OPTIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onLocaleChange(option.value)}
+                    className={`px-2 py-1 transition-colors ${
+                      locale === option.value
+                        ? "bg-blue-600 text-white"
+                        : "bg-white text-gray-600 hover:bg-blue-50"
+                    }`}
+                    aria-pressed={locale === option.value}
+                    title={option.label}
+                    lang={option.value}
+                  >
+                    {option.short}
+                  </button>
+                ))}
+              </div>
+            )}
+            {onImportClick && (
+              <button
+                onClick={onImportClick}
+                className="text-gray-500 hover:text-gray-700 transition-colors"
+                title={t("nav.importHint")}
+              >
+                📥 {t("nav.import")}
+              </button>
+            )}
+            {onExport && (
+              <details className="relative">
+                <summary
+                  className="list-none cursor-pointer text-gray-500 hover:text-gray-700 transition-colors"
+                  title={t("nav.exportHint")}
+                >
+                  💾 {t("nav.export")}
+                </summary>
+                <div className="absolute right-0 mt-1 z-20 bg-white border border-gray-200 rounded-lg shadow-lg py-1 min-w-max">
+                  {EXPORT_OPTIONS.map((option) => (
+                    <button
+                      key={option.format}
+                      onClick={(e) => {
+                        e.currentTarget.closest("details").open = false;
+                        onExport(option.format);
+                      }}
+                      className="block w-full text-left px-3 py-1 text-gray-700 hover:bg-blue-50"
+                    >
+                      {t(option.label)}
+                    </button>
+                  ))}
+                </div>
+              </details>
+            )}
+            {onGenerateReport && (
+              <button
+                onClick={onGenerateReport}
+                className="text-gray-500 hover:text-gray-700 transition-colors"
+                title={t("nav.reportHint")}
+              >
+                📄 {t("nav.report")}
+              </button>
+            )}
             <button
               onClick={() => window.print()}
               className="text-gray-500 hover:text-gray-700 transition-colors"
-              title="Print Dashboard"
+              title={t("nav.printHint")}
             >
-              🖨️ Print
+              🖨️ {t("nav.print")}
             </button>
             <button
               onClick={() =>
-                navigator.share?.({
-                  title: "Vancouver Weather Dashboard",
-                  url: window.location.href,
-                })
+                // The URL carries the current view; copy it where the share
+                // sheet isn't available
+                navigator.share
+                  ? navigator.share({
+                      title: t("app.shareTitle"),
+                      url: window.location.href,
+                    })
+                  : navigator.clipboard?.writeText(window.location.href)
               }
               className="text-gray-500 hover:text-gray-700 transition-colors"
-              title="Share Dashboard"
+              title={t("nav.shareHint")}
             >
-              📤 Share
+              📤 {t("nav.share")}
             </button>
           </div>
         </div>
@@ -165,18 +525,19 @@ const Navigation = ({
 };
 
 /**
- * Get description for each year based on climate patterns
+ * Get description for each year from its prevailing ENSO phase
+ * @param {number} year - Year
+ * @param {Object} ensoIndex - ENSO phase index (see utils/enso.js)
+ * @param {Function} t - Translate function from useI18n
+ * @returns {string} Description in the current language
  */
-const getYearDescription = (year) => {
-  const descriptions = {
-    2020: "La Niña year - cooler, wetter conditions",
-    2021: "Heat dome year - record temperatures",
-    2022: "Strong La Niña - atmospheric rivers",
-    2023: "El Niño transition - variable patterns",
-    2024: "Mild El Niño - warmer winter",
-  };
-
-  return descriptions[year] || "Weather data available";
+const getYearDescription = (year, ensoIndex, t) => {
+  const enso = getYearEnsoPhase(ensoIndex, year);
+  return enso
+    ? t(`nav.yearDescriptions.${enso.phase}`, {
+        phase: describeEnsoPhase(enso, t),
+      })
+    : t("nav.yearDescriptions.default");
 };
 
 export default Navigation;
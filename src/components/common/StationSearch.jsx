@@ -0,0 +1,273 @@
+// components/common/StationSearch.jsx
+import React, { useState, useMemo } from "react";
+import { DATA_TIMEFRAMES } from "../../utils/constants.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import { useUnits } from "../../hooks/useUnits.js";
+
+/**
+ * Station Search Component
+ * Finds stations in the EC station inventory by name, province and
+ * distance from a point, and loads the inventory from Environment Canada
+ * when it hasn't been loaded yet
+ */
+const StationSearch = ({
+  onSearch,
+  onSelect,
+  onClose,
+  inventoryLoaded = false,
+  onLoadInventory,
+  origin,
+}) => {
+  const [query, setQuery] = useState("");
+  const [province, setProvince] = useState("");
+  const [radiusKm, setRadiusKm] = useState("");
+  const [lat, setLat] = useState(origin?.lat ?? "");
+  const [lng, setLng] = useState(origin?.lng ?? "");
+  const [loading, setLoading] = useState(false);
+  const { t, formatNumber } = useI18n();
+  const units = useUnits();
+
+  // A radius needs a point to measure from
+  const byDistance = Boolean(radiusKm) && lat !== "" && lng !== "";
+
+  // The registry is in memory, so results follow the form as it's typed
+  const results = useMemo(
+    () =>
+      onSearch({
+        query,
+        province,
+        near: byDistance ? { lat: Number(lat), lng: Number(lng) } : undefined,
+        radiusKm: byDistance ? Number(radiusKm) : undefined,
+        // Only stations the dashboard can load; unknown before an inventory
+        timeframe: inventoryLoaded ? DATA_TIMEFRAMES.DAILY : undefined,
+        limit: RESULT_LIMIT,
+      }),
+    [onSearch, query, province, byDistance, radiusKm, lat, lng, inventoryLoaded]
+  );
+
+  const handleLoadInventory = async () => {
+    setLoading(true);
+    try {
+      await onLoadInventory();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Inventory names such as "BRITISH COLUMBIA" in the display language
+  const describeProvince = (name) => {
+    const province = PROVINCES.find((entry) => entry.name === name);
+    return province
+      ? t(`stationSearch.provinces.${province.code}`)
+      : name || "—";
+  };
+
+  const formatDistance = (km) =>
+    units.format(units.convert(km, "distance"), "distance");
+
+  const inputClass =
+    "w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white";
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">
+            {t("stationSearch.title")}
+          </h3>
+          <p className="text-sm text-gray-600">{t("stationSearch.subtitle")}</p>
+        </div>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200 transition-colors"
+            aria-label={t("stationSearch.close")}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {/* Inventory download */}
+      {!inventoryLoaded && onLoadInventory && (
+        <div className="flex flex-wrap items-center gap-3 text-xs text-amber-800 bg-amber-50 rounded p-2 mb-4">
+          <span>{t("stationSearch.noInventory")}</span>
+          <button
+            onClick={handleLoadInventory}
+            disabled={loading}
+            className="px-2 py-1 bg-white text-gray-700 rounded border border-amber-200 hover:bg-amber-100 transition-colors disabled:opacity-50"
+          >
+            {loading
+              ? t("stationSearch.downloading")
+              : t("stationSearch.download")}
+          </button>
+        </div>
+      )}
+
+      {/* Criteria */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-3 mb-4">
+        <label className="text-sm text-gray-700 lg:col-span-2">
+          <span className="block mb-1">{t("stationSearch.name")}</span>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t("stationSearch.namePlaceholder")}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">{t("stationSearch.province")}</span>
+          <select
+            value={province}
+            onChange={(e) => setProvince(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">{t("stationSearch.anyProvince")}</option>
+            {PROVINCES.map(({ code, name }) => (
+              <option key={code} value={name}>
+                {t(`stationSearch.provinces.${code}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">{t("stationSearch.radius")}</span>
+          <select
+            value={radiusKm}
+            onChange={(e) => setRadiusKm(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">{t("stationSearch.anyDistance")}</option>
+            {RADIUS_OPTIONS_KM.map((km) => (
+              <option key={km} value={km}>
+                {units.format(units.convert(km, "distance"), "distance", 0)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="text-sm text-gray-700">
+          <span className="block mb-1">{t("stationSearch.from")}</span>
+          <div className="flex gap-1">
+            <input
+              type="number"
+              step="0.0001"
+              value={lat}
+              onChange={(e) => setLat(e.target.value)}
+              aria-label={t("stationSearch.latitude")}
+              placeholder={t("stationSearch.latitude")}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="0.0001"
+              value={lng}
+              onChange={(e) => setLng(e.target.value)}
+              aria-label={t("stationSearch.longitude")}
+              placeholder={t("stationSearch.longitude")}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Results */}
+      {results.length === 0 ? (
+        <p className="text-sm text-gray-500">{t("stationSearch.noResults")}</p>
+      ) : (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="min-w-full text-sm text-gray-700">
+            <thead className="text-xs text-gray-500">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium border-b">
+                  {t("stationSearch.columns.name")}
+                </th>
+                <th className="px-2 py-1 text-left font-medium border-b">
+                  {t("stationSearch.columns.province")}
+                </th>
+                <th className="px-2 py-1 text-left font-medium border-b">
+                  {t("stationSearch.columns.dailyYears")}
+                </th>
+                <th className="px-2 py-1 text-right font-medium border-b">
+                  {t("stationSearch.columns.elevation")}
+                </th>
+                {byDistance && (
+                  <th className="px-2 py-1 text-right font-medium border-b">
+                    {t("stationSearch.columns.distance")}
+                  </th>
+                )}
+                <th className="px-2 py-1 border-b" />
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((station) => {
+                const daily = station.timeframes?.[DATA_TIMEFRAMES.DAILY];
+                return (
+                  <tr key={station.id}>
+                    <td className="px-2 py-1 border-b">{station.name}</td>
+                    <td className="px-2 py-1 border-b">
+                      {describeProvince(station.province)}
+                    </td>
+                    <td className="px-2 py-1 border-b">
+                      {daily ? `${daily.firstYear}-${daily.lastYear}` : "—"}
+                    </td>
+                    <td className="px-2 py-1 border-b text-right">
+                      {station.elevation != null
+                        ? t("stationSearch.elevation", {
+                            elevation: formatNumber(station.elevation),
+                          })
+                        : "—"}
+                    </td>
+                    {byDistance && (
+                      <td className="px-2 py-1 border-b text-right">
+                        {formatDistance(station.distanceKm)}
+                      </td>
+                    )}
+                    <td className="px-2 py-1 border-b text-right">
+                      <button
+                        onClick={() => onSelect(station.id)}
+                        className="px-2 py-1 bg-blue-600 text-white text-xs rounded hover:bg-blue-700 transition-colors"
+                      >
+                        {t("stationSearch.select")}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {results.length === RESULT_LIMIT && (
+            <p className="mt-2 text-xs text-gray-500">
+              {t("stationSearch.limited", { count: RESULT_LIMIT })}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Most results listed at once
+const RESULT_LIMIT = 50;
+
+// Search radii offered, in kilometres
+const RADIUS_OPTIONS_KM = [10, 25, 50, 100, 250];
+
+// Provinces and territories as named in the inventory's Province column
+const PROVINCES = [
+  { code: "BC", name: "BRITISH COLUMBIA" },
+  { code: "AB", name: "ALBERTA" },
+  { code: "SK", name: "SASKATCHEWAN" },
+  { code: "MB", name: "MANITOBA" },
+  { code: "ON", name: "ONTARIO" },
+  { code: "QC", name: "QUEBEC" },
+  { code: "NB", name: "NEW BRUNSWICK" },
+  { code: "NS", name: "NOVA SCOTIA" },
+  { code: "PE", name: "PRINCE EDWARD ISLAND" },
+  { code: "NL", name: "NEWFOUNDLAND" },
+  { code: "YT", name: "YUKON TERRITORY" },
+  { code: "NT", name: "NORTHWEST TERRITORIES" },
+  { code: "NU", name: "NUNAVUT" },
+];
+
+export default StationSearch;
@@ -1,5 +1,5 @@
 // components/pages/Correlations.jsx
-import React, { useMemo, useState } from "react";
+import React, { useMemo } from "react";
 import {
   ScatterChart,
   Scatter,
@@ -13,46 +13,57 @@ import {
   Line,
   BarChart,
   Bar,
+  Cell,
 } from "recharts";
-import { calculateCorrelation } from "../../utils/calculations.js";
+import {
+  calculateAverage,
+  calculateCorrelation,
+  calculateCorrelationMatrix,
+} from "../../utils/calculations.js";
+import { ENSO_PHASES, ENSO_COLORS } from "../../utils/enso.js";
+import { getClickedRecord } from "../../utils/drillDown.js";
 import { CHART_COLORS } from "../../utils/constants.js";
 import CustomTooltip from "../charts/CustomTooltip.jsx";
+import ExportableChart from "../charts/ExportableChart.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
 
 /**
  * Correlations Page Component
  * Advanced analysis of relationships between weather variables
  */
-const Correlations = ({ data, yearlyData, selectedYear }) => {
-  const [selectedCorrelation, setSelectedCorrelation] =
-    useState("temp-humidity");
-  const [viewMode, setViewMode] = useState("scatter");
+const Correlations = ({
+  data,
+  yearlyData,
+  selectedYear,
+  unavailableMetrics = [],
+  attribution,
+  options = {},
+  onOptionChange,
+  onMonthSelect,
+}) => {
+  const { unit } = useUnits();
+  const { t, formatNumber, monthName } = useI18n();
+
+  // The pair and view are page options, kept in the URL by App
+  const selectedCorrelation = VARIABLE_PAIRS.includes(options.pair)
+    ? options.pair
+    : "temp-humidity";
+  const viewMode = VIEW_MODES.includes(options.view) ? options.view : "scatter";
+  const setSelectedCorrelation = (pair) => onOptionChange?.("pair", pair);
+  const setViewMode = (mode) => onOptionChange?.("view", mode);
 
   // Calculate correlation coefficients for all variable pairs
-  const correlationMatrix = useMemo(() => {
-    if (!data || data.length === 0) return {};
-
-    const variables = ["temp", "rainfall", "humidity", "sunshine"];
-    const matrix = {};
-
-    variables.forEach((var1) => {
-      variables.forEach((var2) => {
-        if (var1 !== var2) {
-          const values1 = data
-            .map((d) => d[var1])
-            .filter((v) => v !== null && v !== undefined);
-          const values2 = data
-            .map((d) => d[var2])
-            .filter((v) => v !== null && v !== undefined);
-
-          if (values1.length === values2.length && values1.length > 0) {
-            matrix[`${var1}-${var2}`] = calculateCorrelation(values1, values2);
-          }
-        }
-      });
-    });
-
-    return matrix;
-  }, [data]);
+  const correlationMatrix = useMemo(
+    () =>
+      calculateCorrelationMatrix(data, [
+        "temp",
+        "rainfall",
+        "humidity",
+        "sunshine",
+      ]),
+    [data]
+  );
 
   // Prepare data for selected correlation visualization
   const correlationData = useMemo(() => {
@@ -67,7 +78,7 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
         var1: d[var1],
         var2: d[var2],
       }))
-      .filter((d) => d.x !== null && d.y !== null);
+      .filter((d) => typeof d.x === "number" && typeof d.y === "number");
   }, [data, selectedCorrelation]);
 
   // Calculate seasonal correlations
@@ -85,7 +96,13 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
     const seasonalData = {};
 
     Object.entries(seasons).forEach(([season, months]) => {
-      const seasonData = data.filter((d) => months.includes(d.monthIndex));
+      // Records with both values, so gaps don't misalign the series
+      const seasonData = data.filter(
+        (d) =>
+          months.includes(d.monthIndex) &&
+          typeof d[var1] === "number" &&
+          typeof d[var2] === "number"
+      );
       if (seasonData.length > 0) {
         const values1 = seasonData.map((d) => d[var1]);
         const values2 = seasonData.map((d) => d[var2]);
@@ -101,29 +118,76 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
     return seasonalData;
   }, [data, selectedCorrelation]);
 
-  // Get variable display names and units
+  // Correlations within each ENSO phase; the all-years view gets a
+  // climatology without dates, so it uses every month of the record instead
+  const ensoCorrelations = useMemo(() => {
+    const records = data.some((d) => d.date) ? data : yearlyData || [];
+    const [var1, var2] = selectedCorrelation.split("-");
+
+    return Object.values(ENSO_PHASES).map((phase) => {
+      const phaseData = records.filter(
+        (d) =>
+          d.ensoPhase === phase &&
+          typeof d[var1] === "number" &&
+          typeof d[var2] === "number"
+      );
+      return {
+        phase,
+        dataPoints: phaseData.length,
+        // Fewer than three months can't give a meaningful coefficient
+        correlation:
+          phaseData.length >= 3
+            ? calculateCorrelation(
+                phaseData.map((d) => d[var1]),
+                phaseData.map((d) => d[var2])
+              )
+            : null,
+        avgVar1: phaseData.length
+          ? calculateAverage(phaseData.map((d) => d[var1]))
+          : null,
+        avgVar2: phaseData.length
+          ? calculateAverage(phaseData.map((d) => d[var2]))
+          : null,
+      };
+    });
+  }, [data, yearlyData, selectedCorrelation]);
+
+  // Get variable display names and units; phrase is the name as used
+  // inside a sentence
   const getVariableInfo = (variable) => {
     const info = {
-      temp: {
-        name: "Temperature",
-        unit: "°C",
-        color: CHART_COLORS.temperature,
-      },
-      rainfall: { name: "Rainfall", unit: "mm", color: CHART_COLORS.rainfall },
-      humidity: { name: "Humidity", unit: "%", color: CHART_COLORS.humidity },
-      sunshine: { name: "Sunshine", unit: "hrs", color: CHART_COLORS.sunshine },
+      temp: { unit: unit("temperature"), color: CHART_COLORS.temperature },
+      rainfall: { unit: unit("precipitation"), color: CHART_COLORS.rainfall },
+      humidity: { unit: "%", color: CHART_COLORS.humidity },
+      sunshine: { unit: t("common.hoursUnit"), color: CHART_COLORS.sunshine },
+    };
+    if (!info[variable]) {
+      return { name: variable, phrase: variable, unit: "", color: "#666" };
+    }
+    return {
+      ...info[variable],
+      name: t(`correlations.variables.${variable}.name`),
+      phrase: t(`correlations.variables.${variable}.phrase`),
     };
-    return info[variable] || { name: variable, unit: "", color: "#666" };
   };
 
   // Get correlation strength description
   const getCorrelationStrength = (value) => {
     const abs = Math.abs(value);
-    if (abs >= 0.8) return { strength: "Very Strong", color: "text-green-600" };
-    if (abs >= 0.6) return { strength: "Strong", color: "text-blue-600" };
-    if (abs >= 0.4) return { strength: "Moderate", color: "text-yellow-600" };
-    if (abs >= 0.2) return { strength: "Weak", color: "text-orange-600" };
-    return { strength: "Very Weak", color: "text-red-600" };
+    const level =
+      abs >= 0.8
+        ? { key: "veryStrong", color: "text-green-600" }
+        : abs >= 0.6
+        ? { key: "strong", color: "text-blue-600" }
+        : abs >= 0.4
+        ? { key: "moderate", color: "text-yellow-600" }
+        : abs >= 0.2
+        ? { key: "weak", color: "text-orange-600" }
+        : { key: "veryWeak", color: "text-red-600" };
+    return {
+      strength: t(`correlations.strength.${level.key}`),
+      color: level.color,
+    };
   };
 
   // Custom tooltip for scatter plot
@@ -137,26 +201,30 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
 
     return (
       <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
-        <p className="font-semibold text-gray-800 mb-2">{data.month}</p>
+        <p className="font-semibold text-gray-800 mb-2">
+          {monthName(data.month, "long")}
+        </p>
         <div className="space-y-1">
           <div className="flex justify-between items-center">
             <span className="text-sm text-gray-700">{info1.name}:</span>
             <span className="font-medium text-sm ml-2">
-              {data.var1?.toFixed(1)}
+              {formatNumber(data.var1, 1)}
               {info1.unit}
             </span>
           </div>
           <div className="flex justify-between items-center">
             <span className="text-sm text-gray-700">{info2.name}:</span>
             <span className="font-medium text-sm ml-2">
-              {data.var2?.toFixed(1)}
+              {formatNumber(data.var2, 1)}
               {info2.unit}
             </span>
           </div>
-          {data.climatePattern && (
+          {data.ensoPhase && (
             <div className="pt-2 border-t border-gray-200">
               <span className="text-xs text-gray-500">
-                Pattern: {data.climatePattern}
+                {t("trends.anomalies.tooltipPattern", {
+                  pattern: t(`enso.phases.${data.ensoPhase}`),
+                })}
               </span>
             </div>
           )}
@@ -176,12 +244,10 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
       {/* Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-gray-800 mb-4">
-          Weather Variable Correlations
+          {t("correlations.title")}
         </h2>
         <p className="text-gray-600 max-w-3xl mx-auto">
-          Explore relationships between different weather variables in
-          Vancouver. Understanding these correlations helps predict weather
-          patterns and identify climate trends.
+          {t("correlations.description")}
         </p>
       </div>
 
@@ -190,28 +256,41 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Variable Pair
+              {t("correlations.controls.pair")}
             </label>
             <select
               value={selectedCorrelation}
               onChange={(e) => setSelectedCorrelation(e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
             >
-              <option value="temp-humidity">Temperature vs Humidity</option>
-              <option value="temp-rainfall">Temperature vs Rainfall</option>
-              <option value="temp-sunshine">Temperature vs Sunshine</option>
-              <option value="rainfall-humidity">Rainfall vs Humidity</option>
-              <option value="rainfall-sunshine">Rainfall vs Sunshine</option>
-              <option value="humidity-sunshine">Humidity vs Sunshine</option>
+              {VARIABLE_PAIRS.map((pair) => {
+                const [pairVar1, pairVar2] = pair.split("-");
+                const unavailable =
+                  unavailableMetrics.includes(pairVar1) ||
+                  unavailableMetrics.includes(pairVar2);
+                return (
+                  <option key={pair} value={pair} disabled={unavailable}>
+                    {t(
+                      unavailable
+                        ? "correlations.controls.pairUnavailable"
+                        : "correlations.pair",
+                      {
+                        first: getVariableInfo(pairVar1).name,
+                        second: getVariableInfo(pairVar2).name,
+                      }
+                    )}
+                  </option>
+                );
+              })}
             </select>
           </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              View Mode
+              {t("correlations.controls.view")}
             </label>
             <div className="flex gap-2">
-              {["scatter", "seasonal", "matrix"].map((mode) => (
+              {VIEW_MODES.map((mode) => (
                 <button
                   key={mode}
                   onClick={() => setViewMode(mode)}
@@ -221,7 +300,7 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
                       : "bg-gray-100 text-gray-700 hover:bg-gray-200"
                   }`}
                 >
-                  {mode.charAt(0).toUpperCase() + mode.slice(1)}
+                  {t(`correlations.views.${mode}`)}
                 </button>
               ))}
             </div>
@@ -234,24 +313,34 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="text-center">
             <div className="text-3xl font-bold text-gray-800">
-              {currentCorrelation.toFixed(3)}
+              {formatNumber(currentCorrelation, 3)}
+            </div>
+            <div className="text-sm text-gray-600">
+              {t("correlations.summary.coefficient")}
             </div>
-            <div className="text-sm text-gray-600">Correlation Coefficient</div>
             <div
               className={`text-sm font-medium mt-1 ${correlationStrength.color}`}
             >
-              {correlationStrength.strength}{" "}
-              {currentCorrelation < 0 ? "Negative" : "Positive"}
+              {t(
+                currentCorrelation < 0
+                  ? "correlations.summary.negative"
+                  : "correlations.summary.positive",
+                { strength: correlationStrength.strength }
+              )}
             </div>
           </div>
 
           <div className="text-center">
             <div className="text-3xl font-bold text-gray-800">
-              {Math.abs(currentCorrelation * 100).toFixed(1)}%
+              {t("common.percent", {
+                value: formatNumber(Math.abs(currentCorrelation * 100), 1),
+              })}
+            </div>
+            <div className="text-sm text-gray-600">
+              {t("correlations.summary.variance")}
             </div>
-            <div className="text-sm text-gray-600">Variance Explained</div>
             <div className="text-sm text-gray-500 mt-1">
-              R² = {(currentCorrelation ** 2).toFixed(3)}
+              R² = {formatNumber(currentCorrelation ** 2, 3)}
             </div>
           </div>
 
@@ -259,11 +348,13 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
             <div className="text-3xl font-bold text-gray-800">
               {data?.length || 0}
             </div>
-            <div className="text-sm text-gray-600">Data Points</div>
+            <div className="text-sm text-gray-600">
+              {t("correlations.summary.dataPoints")}
+            </div>
             <div className="text-sm text-gray-500 mt-1">
               {selectedYear === "all"
-                ? "Monthly Averages"
-                : `Year ${selectedYear}`}
+                ? t("correlations.summary.monthlyAverages")
+                : t("correlations.summary.year", { year: selectedYear })}
             </div>
           </div>
         </div>
@@ -273,109 +364,148 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
       {viewMode === "scatter" && (
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            {info1.name} vs {info2.name} Correlation
+            {t("correlations.scatter.title", {
+              first: info1.name,
+              second: info2.name,
+            })}
           </h3>
           <div className="mb-4">
             <p className="text-gray-600">
-              {currentCorrelation > 0 ? "Positive" : "Negative"} correlation of{" "}
+              {t(
+                currentCorrelation > 0
+                  ? "correlations.scatter.positiveLead"
+                  : "correlations.scatter.negativeLead"
+              )}{" "}
               <span className={`font-semibold ${correlationStrength.color}`}>
-                {Math.abs(currentCorrelation).toFixed(3)}
+                {formatNumber(Math.abs(currentCorrelation), 3)}
               </span>{" "}
-              indicates that as {info1.name.toLowerCase()} increases,{" "}
-              {info2.name.toLowerCase()}{" "}
-              {currentCorrelation > 0
-                ? "tends to increase"
-                : "tends to decrease"}
-              .
+              {t(
+                currentCorrelation > 0
+                  ? "correlations.scatter.increases"
+                  : "correlations.scatter.decreases",
+                { first: info1.phrase, second: info2.phrase }
+              )}
             </p>
           </div>
 
-          <ResponsiveContainer width="100%" height={500}>
-            <ScatterChart data={correlationData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis
-                dataKey="x"
-                name={info1.name}
-                label={{
-                  value: `${info1.name} (${info1.unit})`,
-                  position: "insideBottom",
-                  offset: -10,
-                }}
-              />
-              <YAxis
-                dataKey="y"
-                name={info2.name}
-                label={{
-                  value: `${info2.name} (${info2.unit})`,
-                  angle: -90,
-                  position: "insideLeft",
-                }}
-              />
-              <Tooltip content={<CorrelationTooltip />} />
-              <Scatter
-                dataKey="y"
-                fill={info1.color}
-                fillOpacity={0.7}
-                stroke={info1.color}
-                strokeWidth={2}
-              />
-            </ScatterChart>
-          </ResponsiveContainer>
+          <ExportableChart
+            title={t("correlations.scatter.title", {
+              first: info1.name,
+              second: info2.name,
+            })}
+            attribution={attribution}
+          >
+            <ResponsiveContainer width="100%" height={500}>
+              <ScatterChart
+                data={correlationData}
+                onClick={
+                  onMonthSelect &&
+                  ((state) =>
+                    onMonthSelect(getClickedRecord(state, correlationData)))
+                }
+                className={onMonthSelect ? "cursor-pointer" : undefined}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis
+                  dataKey="x"
+                  name={info1.name}
+                  label={{
+                    value: `${info1.name} (${info1.unit})`,
+                    position: "insideBottom",
+                    offset: -10,
+                  }}
+                />
+                <YAxis
+                  dataKey="y"
+                  name={info2.name}
+                  label={{
+                    value: `${info2.name} (${info2.unit})`,
+                    angle: -90,
+                    position: "insideLeft",
+                  }}
+                />
+                <Tooltip content={<CorrelationTooltip />} />
+                <Scatter
+                  dataKey="y"
+                  fill={info1.color}
+                  fillOpacity={0.7}
+                  stroke={info1.color}
+                  strokeWidth={2}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </ExportableChart>
         </div>
       )}
 
       {viewMode === "seasonal" && (
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Seasonal Correlation Analysis
+            {t("correlations.seasonal.title")}
           </h3>
           <p className="text-gray-600 mb-6">
-            How the relationship between {info1.name.toLowerCase()} and{" "}
-            {info2.name.toLowerCase()} varies across seasons.
+            {t("correlations.seasonal.description", {
+              first: info1.phrase,
+              second: info2.phrase,
+            })}
           </p>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
             {/* Seasonal Correlation Chart */}
             <div>
-              <h4 className="font-semibold mb-4">Correlation by Season</h4>
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart
-                  data={Object.entries(seasonalCorrelations).map(
-                    ([season, data]) => ({
-                      season: season.charAt(0).toUpperCase() + season.slice(1),
-                      correlation: data.correlation,
-                      dataPoints: data.dataPoints,
-                    })
-                  )}
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="season" />
-                  <YAxis domain={[-1, 1]} />
-                  <Tooltip
-                    formatter={(value, name) => [
-                      value.toFixed(3),
-                      name === "correlation" ? "Correlation" : name,
-                    ]}
-                  />
-                  <Bar
-                    dataKey="correlation"
-                    fill={info1.color}
-                    radius={[4, 4, 0, 0]}
-                  />
-                </BarChart>
-              </ResponsiveContainer>
+              <h4 className="font-semibold mb-4">
+                {t("correlations.seasonal.bySeason")}
+              </h4>
+              <ExportableChart
+                title={t("correlations.seasonal.bySeason")}
+                attribution={attribution}
+                xLabel={t("correlations.seasonal.seasonAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart
+                    data={Object.entries(seasonalCorrelations).map(
+                      ([season, data]) => ({
+                        season: t(`overview.seasons.${season}`),
+                        correlation: data.correlation,
+                        dataPoints: data.dataPoints,
+                      })
+                    )}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="season" />
+                    <YAxis domain={[-1, 1]} />
+                    <Tooltip
+                      formatter={(value, name) => [
+                        formatNumber(value, 3),
+                        name === "correlation"
+                          ? t("correlations.seasonal.correlation")
+                          : name,
+                      ]}
+                    />
+                    <Bar
+                      dataKey="correlation"
+                      fill={info1.color}
+                      radius={[4, 4, 0, 0]}
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
             {/* Seasonal Statistics */}
             <div>
-              <h4 className="font-semibold mb-4">Seasonal Details</h4>
+              <h4 className="font-semibold mb-4">
+                {t("correlations.seasonal.details")}
+              </h4>
               <div className="space-y-4">
                 {Object.entries(seasonalCorrelations).map(([season, data]) => {
                   const strength = getCorrelationStrength(data.correlation);
                   return (
                     <div key={season} className="p-4 bg-gray-50 rounded-lg">
                       <div className="flex justify-between items-center mb-2">
-                        <h5 className="font-medium capitalize">{season}</h5>
+                        <h5 className="font-medium">
+                          {t(`overview.seasons.${season}`)}
+                        </h5>
                         <span
                           className={`text-sm font-medium ${strength.color}`}
                         >
@@ -384,32 +514,40 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
                       </div>
                       <div className="grid grid-cols-2 gap-4 text-sm">
                         <div>
-                          <span className="text-gray-600">Correlation:</span>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.correlationLabel")}
+                          </span>
                           <span className="font-medium ml-1">
-                            {data.correlation.toFixed(3)}
+                            {formatNumber(data.correlation, 3)}
                           </span>
                         </div>
                         <div>
-                          <span className="text-gray-600">Data Points:</span>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.dataPointsLabel")}
+                          </span>
                           <span className="font-medium ml-1">
                             {data.dataPoints}
                           </span>
                         </div>
                         <div>
                           <span className="text-gray-600">
-                            Avg {info1.name}:
+                            {t("correlations.seasonal.average", {
+                              name: info1.name,
+                            })}
                           </span>
                           <span className="font-medium ml-1">
-                            {data.avgVar1.toFixed(1)}
+                            {formatNumber(data.avgVar1, 1)}
                             {info1.unit}
                           </span>
                         </div>
                         <div>
                           <span className="text-gray-600">
-                            Avg {info2.name}:
+                            {t("correlations.seasonal.average", {
+                              name: info2.name,
+                            })}
                           </span>
                           <span className="font-medium ml-1">
-                            {data.avgVar2.toFixed(1)}
+                            {formatNumber(data.avgVar2, 1)}
                             {info2.unit}
                           </span>
                         </div>
@@ -423,13 +561,147 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
         </div>
       )}
 
+      {viewMode === "enso" && (
+        <div className="bg-white rounded-lg p-6 shadow-md">
+          <h3 className="text-xl font-bold mb-4 text-gray-800">
+            {t("correlations.enso.title")}
+          </h3>
+          <p className="text-gray-600 mb-6">
+            {t("correlations.enso.description", {
+              first: info1.phrase,
+              second: info2.phrase,
+            })}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div>
+              <h4 className="font-semibold mb-4">
+                {t("correlations.enso.byPhase")}
+              </h4>
+              <ExportableChart
+                title={t("correlations.enso.byPhase")}
+                attribution={attribution}
+                xLabel={t("correlations.enso.phaseAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart
+                    data={ensoCorrelations.map((group) => ({
+                      ...group,
+                      name: t(`enso.phases.${group.phase}`),
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis domain={[-1, 1]} />
+                    <Tooltip
+                      formatter={(value) => [
+                        formatNumber(value, 3),
+                        t("correlations.seasonal.correlation"),
+                      ]}
+                    />
+                    <Bar dataKey="correlation" radius={[4, 4, 0, 0]}>
+                      {ensoCorrelations.map((group) => (
+                        <Cell
+                          key={group.phase}
+                          fill={ENSO_COLORS[group.phase]}
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            <div>
+              <h4 className="font-semibold mb-4">
+                {t("correlations.enso.details")}
+              </h4>
+              <div className="space-y-4">
+                {ensoCorrelations.map((group) => (
+                  <div key={group.phase} className="p-4 bg-gray-50 rounded-lg">
+                    <div className="flex justify-between items-center mb-2">
+                      <h5 className="flex items-center gap-2 font-medium">
+                        <span
+                          className="w-3 h-3 rounded-full"
+                          style={{
+                            backgroundColor: ENSO_COLORS[group.phase],
+                          }}
+                        ></span>
+                        {t(`enso.phases.${group.phase}`)}
+                      </h5>
+                      {group.correlation !== null && (
+                        <span
+                          className={`text-sm font-medium ${
+                            getCorrelationStrength(group.correlation).color
+                          }`}
+                        >
+                          {getCorrelationStrength(group.correlation).strength}
+                        </span>
+                      )}
+                    </div>
+                    {group.correlation === null ? (
+                      <p className="text-sm text-gray-500">
+                        {t("correlations.enso.tooFew", {
+                          count: group.dataPoints,
+                        })}
+                      </p>
+                    ) : (
+                      <div className="grid grid-cols-2 gap-4 text-sm">
+                        <div>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.correlationLabel")}
+                          </span>
+                          <span className="font-medium ml-1">
+                            {formatNumber(group.correlation, 3)}
+                          </span>
+                        </div>
+                        <div>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.dataPointsLabel")}
+                          </span>
+                          <span className="font-medium ml-1">
+                            {group.dataPoints}
+                          </span>
+                        </div>
+                        <div>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.average", {
+                              name: info1.name,
+                            })}
+                          </span>
+                          <span className="font-medium ml-1">
+                            {formatNumber(group.avgVar1, 1)}
+                            {info1.unit}
+                          </span>
+                        </div>
+                        <div>
+                          <span className="text-gray-600">
+                            {t("correlations.seasonal.average", {
+                              name: info2.name,
+                            })}
+                          </span>
+                          <span className="font-medium ml-1">
+                            {formatNumber(group.avgVar2, 1)}
+                            {info2.unit}
+                          </span>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {viewMode === "matrix" && (
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Correlation Matrix
+            {t("correlations.matrix.title")}
           </h3>
           <p className="text-gray-600 mb-6">
-            Complete correlation analysis between all weather variables.
+            {t("correlations.matrix.description")}
           </p>
 
           <div className="overflow-x-auto">
@@ -437,18 +709,16 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
               <thead>
                 <tr>
                   <th className="border border-gray-300 p-3 bg-gray-50"></th>
-                  <th className="border border-gray-300 p-3 bg-gray-50">
-                    Temperature
-                  </th>
-                  <th className="border border-gray-300 p-3 bg-gray-50">
-                    Rainfall
-                  </th>
-                  <th className="border border-gray-300 p-3 bg-gray-50">
-                    Humidity
-                  </th>
-                  <th className="border border-gray-300 p-3 bg-gray-50">
-                    Sunshine
-                  </th>
+                  {["temp", "rainfall", "humidity", "sunshine"].map(
+                    (variable) => (
+                      <th
+                        key={variable}
+                        className="border border-gray-300 p-3 bg-gray-50"
+                      >
+                        {getVariableInfo(variable).name}
+                      </th>
+                    )
+                  )}
                 </tr>
               </thead>
               <tbody>
@@ -459,13 +729,27 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
                     </td>
                     {["temp", "rainfall", "humidity", "sunshine"].map(
                       (var2) => {
+                        if (
+                          unavailableMetrics.includes(var1) ||
+                          unavailableMetrics.includes(var2)
+                        ) {
+                          return (
+                            <td
+                              key={var2}
+                              className="border border-gray-300 p-3 text-center text-gray-400"
+                            >
+                              {t("common.notAvailable")}
+                            </td>
+                          );
+                        }
+
                         if (var1 === var2) {
                           return (
                             <td
                               key={var2}
                               className="border border-gray-300 p-3 text-center bg-gray-100"
                             >
-                              1.000
+                              {formatNumber(1, 3)}
                             </td>
                           );
                         }
@@ -490,7 +774,7 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
                             }
                           >
                             <div className="font-medium">
-                              {correlation.toFixed(3)}
+                              {formatNumber(correlation, 3)}
                             </div>
                             <div className={`text-xs ${strength.color}`}>
                               {strength.strength}
@@ -507,23 +791,21 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
 
           <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
-              <h4 className="font-semibold mb-3">Interpretation Guide</h4>
+              <h4 className="font-semibold mb-3">
+                {t("correlations.matrix.guideTitle")}
+              </h4>
               <div className="space-y-2 text-sm">
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 bg-blue-200 rounded"></div>
-                  <span>
-                    Positive correlation (variables increase together)
-                  </span>
+                  <span>{t("correlations.matrix.guide.positive")}</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 bg-red-200 rounded"></div>
-                  <span>
-                    Negative correlation (one increases as other decreases)
-                  </span>
+                  <span>{t("correlations.matrix.guide.negative")}</span>
                 </div>
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 bg-gray-100 border rounded"></div>
-                  <span>Perfect correlation (same variable)</span>
+                  <span>{t("correlations.matrix.guide.perfect")}</span>
                 </div>
               </div>
             </div>
@@ -545,49 +827,41 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
       {/* Insights Panel */}
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-6 border border-blue-200">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          🔍 Climate Insights
+          🔍 {t("temperature.insights.title")}
         </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
-            <h4 className="font-semibold mb-2">Key Findings</h4>
+            <h4 className="font-semibold mb-2">
+              {t("correlations.insights.findingsTitle")}
+            </h4>
             <ul className="space-y-2 text-sm text-gray-700">
-              <li>
-                • <strong>Temperature-Humidity:</strong> Strong negative
-                correlation (-0.75) typical of marine climate
-              </li>
-              <li>
-                • <strong>Rainfall-Sunshine:</strong> Expected negative
-                relationship (-0.68) in Vancouver
-              </li>
-              <li>
-                • <strong>Seasonal Variations:</strong> Correlations strongest
-                in winter months
-              </li>
-              <li>
-                • <strong>Climate Patterns:</strong> La Niña years show
-                different correlation patterns
-              </li>
+              {INSIGHT_FINDINGS.map((finding) => (
+                <li key={finding}>
+                  •{" "}
+                  <strong>
+                    {t(`correlations.insights.findings.${finding}.label`)}
+                  </strong>{" "}
+                  {t(`correlations.insights.findings.${finding}.text`)}
+                </li>
+              ))}
             </ul>
           </div>
           <div>
-            <h4 className="font-semibold mb-2">Practical Applications</h4>
+            <h4 className="font-semibold mb-2">
+              {t("correlations.insights.applicationsTitle")}
+            </h4>
             <ul className="space-y-2 text-sm text-gray-700">
-              <li>
-                • <strong>Weather Prediction:</strong> Use correlations for
-                short-term forecasting
-              </li>
-              <li>
-                • <strong>Climate Planning:</strong> Understand long-term
-                weather relationships
-              </li>
-              <li>
-                • <strong>Agriculture:</strong> Optimize crop planning based on
-                weather correlations
-              </li>
-              <li>
-                • <strong>Energy Management:</strong> Predict heating/cooling
-                demands
-              </li>
+              {INSIGHT_APPLICATIONS.map((application) => (
+                <li key={application}>
+                  •{" "}
+                  <strong>
+                    {t(
+                      `correlations.insights.applications.${application}.label`
+                    )}
+                  </strong>{" "}
+                  {t(`correlations.insights.applications.${application}.text`)}
+                </li>
+              ))}
             </ul>
           </div>
         </div>
@@ -596,4 +870,26 @@ const Correlations = ({ data, yearlyData, selectedYear }) => {
   );
 };
 
+// Variable pairs offered in the correlation selector
+const VARIABLE_PAIRS = [
+  "temp-humidity",
+  "temp-rainfall",
+  "temp-sunshine",
+  "rainfall-humidity",
+  "rainfall-sunshine",
+  "humidity-sunshine",
+];
+
+// Ways the selected pair can be shown
+const VIEW_MODES = ["scatter", "seasonal", "enso", "matrix"];
+
+// Insight panel entries (correlations.insights.* messages)
+const INSIGHT_FINDINGS = ["tempHumidity", "rainSunshine", "seasonal", "enso"];
+const INSIGHT_APPLICATIONS = [
+  "prediction",
+  "planning",
+  "agriculture",
+  "energy",
+];
+
 export default Correlations;
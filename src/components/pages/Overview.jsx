@@ -1,5 +1,5 @@
 // components/pages/Overview.jsx
-import React from "react";
+import React, { useMemo } from "react";
 import {
   ResponsiveContainer,
   BarChart,
@@ -18,23 +18,80 @@ import {
   calculateRainfallStats,
 } from "../../utils/calculations.js";
 import CustomTooltip from "../charts/CustomTooltip.jsx";
+import { getClickedRecord } from "../../utils/drillDown.js";
+import ComparisonChart from "../charts/ComparisonChart.jsx";
+import ExportableChart from "../charts/ExportableChart.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import {
+  mergeStationSeries,
+  getStationSeries,
+  compareToReference,
+} from "../../utils/stationComparison.js";
+import { getEventsForYear, describeEvent } from "../../utils/events.js";
+import { summarizeEnsoPhase, describeEnsoPhase } from "../../utils/enso.js";
 
 /**
  * Overview Page Component
  * Provides a comprehensive dashboard overview of Vancouver weather patterns
  */
-const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
+const Overview = ({
+  data,
+  selectedYear,
+  availableYears,
+  unavailableMetrics = [],
+  comparison = null,
+  onMonthSelect,
+  attribution,
+  events = [],
+}) => {
+  const { unit, format, formatRounded } = useUnits();
+  const { t, formatNumber, monthName } = useI18n();
+  const formatMonth = (month) => monthName(month);
+
+  // Per-station series for comparison mode
+  const comparisonCharts = useMemo(() => {
+    if (!comparison) return null;
+
+    const records = comparison.map(({ station, data }) => ({
+      station,
+      records: data,
+    }));
+
+    return {
+      series: getStationSeries(comparison),
+      rainfall: mergeStationSeries(records, "month", "rainfall"),
+      temperature: mergeStationSeries(records, "month", "temp"),
+      temperatureSummary: compareToReference(comparison, "temp"),
+      rainfallSummary: compareToReference(comparison, "rainfall"),
+    };
+  }, [comparison]);
+
   // Calculate key statistics
   const temperatureStats = calculateTemperatureStats(data);
   const rainfallStats = calculateRainfallStats(data);
+  const hasHumidity = !unavailableMetrics.includes("humidity");
+  const hasSunshine = !unavailableMetrics.includes("sunshine");
+
+  // Placeholder for metrics the data source doesn't provide
+  const renderUnavailable = (metric) => (
+    <div
+      className="flex items-center justify-center bg-gray-50 rounded-lg"
+      style={{ height: "300px" }}
+    >
+      <p className="text-gray-500 text-sm">
+        {t(`overview.unavailable.${metric}`)}
+      </p>
+    </div>
+  );
 
   // Get seasonal summaries
   const getSeasonalData = () => {
     const seasons = {
-      Winter: data.filter((d) => ["Dec", "Jan", "Feb"].includes(d.month)),
-      Spring: data.filter((d) => ["Mar", "Apr", "May"].includes(d.month)),
-      Summer: data.filter((d) => ["Jun", "Jul", "Aug"].includes(d.month)),
-      Fall: data.filter((d) => ["Sep", "Oct", "Nov"].includes(d.month)),
+      winter: data.filter((d) => ["Dec", "Jan", "Feb"].includes(d.month)),
+      spring: data.filter((d) => ["Mar", "Apr", "May"].includes(d.month)),
+      summer: data.filter((d) => ["Jun", "Jul", "Aug"].includes(d.month)),
+      fall: data.filter((d) => ["Sep", "Oct", "Nov"].includes(d.month)),
     };
 
     return Object.entries(seasons).map(([season, seasonData]) => ({
@@ -56,30 +113,30 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
 
     return [
       {
-        title: "Hottest Month",
-        value: `${temperatureStats.hottestMonth}`,
-        detail: `${temperatureStats.max.toFixed(1)}°C`,
+        title: t("overview.highlights.hottest"),
+        value: monthName(temperatureStats.hottestMonth, "long"),
+        detail: format(temperatureStats.max, "temperature"),
         icon: "🔥",
         color: "text-red-600",
       },
       {
-        title: "Coldest Month",
-        value: `${temperatureStats.coldestMonth}`,
-        detail: `${temperatureStats.min.toFixed(1)}°C`,
+        title: t("overview.highlights.coldest"),
+        value: monthName(temperatureStats.coldestMonth, "long"),
+        detail: format(temperatureStats.min, "temperature"),
         icon: "❄️",
         color: "text-blue-600",
       },
       {
-        title: "Wettest Month",
-        value: `${rainfallStats.wettest}`,
-        detail: `${rainfallStats.max.toFixed(1)}mm`,
+        title: t("overview.highlights.wettest"),
+        value: monthName(rainfallStats.wettest, "long"),
+        detail: format(rainfallStats.max, "precipitation"),
         icon: "🌧️",
         color: "text-blue-500",
       },
       {
-        title: "Driest Month",
-        value: `${rainfallStats.driest}`,
-        detail: `${rainfallStats.min.toFixed(1)}mm`,
+        title: t("overview.highlights.driest"),
+        value: monthName(rainfallStats.driest, "long"),
+        detail: format(rainfallStats.min, "precipitation"),
         icon: "☀️",
         color: "text-yellow-600",
       },
@@ -92,56 +149,36 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
   const getClimateInfo = () => {
     if (selectedYear === "all") {
       return {
-        title: "Multi-Year Climate Analysis",
-        description:
-          "Average patterns from 2020-2024 showing Vancouver's typical Pacific Northwest maritime climate.",
-        pattern: "Marine West Coast Climate",
+        title: t("overview.climate.allTitle"),
+        description: t("overview.climate.allDescription"),
+        pattern: t("overview.climate.allPattern"),
         characteristics: [
-          "Mild, wet winters with most rainfall November-February",
-          "Warm, dry summers with peak temperatures in July-August",
-          "Moderate humidity year-round due to ocean influence",
-          "Significant seasonal variation in daylight hours",
+          t("overview.climate.characteristics.winters"),
+          t("overview.climate.characteristics.summers"),
+          t("overview.climate.characteristics.humidity"),
+          t("overview.climate.characteristics.daylight"),
         ],
       };
     } else {
-      const yearData = yearlyData?.find(
-        (d) => d.year === parseInt(selectedYear)
-      );
-      const patterns = {
-        2020: {
-          pattern: "La Niña (Weak)",
-          description: "Cooler than normal winter, wetter than average overall",
-        },
-        2021: {
-          pattern: "Heat Dome Year",
-          description:
-            "Historic heat event in June, record-breaking temperatures",
-        },
-        2022: {
-          pattern: "La Niña (Strong)",
-          description:
-            "Multiple atmospheric rivers, significant flooding events",
-        },
-        2023: {
-          pattern: "El Niño Developing",
-          description: "Transition year with variable weather patterns",
-        },
-        2024: {
-          pattern: "El Niño (Weak)",
-          description: "Warmer winter, drier than normal conditions",
-        },
-      };
-
-      const info = patterns[selectedYear] || {
-        pattern: "Normal Conditions",
-        description: "Typical weather patterns",
-      };
+      // The year's prevailing ENSO phase, from the months shown
+      const enso = summarizeEnsoPhase(data);
+      const info = enso
+        ? {
+            pattern: describeEnsoPhase(enso, t),
+            description: t(`enso.effects.${enso.phase}`),
+          }
+        : {
+            pattern: t("overview.climate.normal.pattern"),
+            description: t("overview.climate.normal.description"),
+          };
 
       return {
-        title: `${selectedYear} Climate Overview`,
+        title: t("overview.climate.yearTitle", { year: selectedYear }),
         description: info.description,
         pattern: info.pattern,
-        extremeEvents: yearData?.extremeEvent ? [yearData.extremeEvent] : [],
+        extremeEvents: getEventsForYear(events, parseInt(selectedYear)).map(
+          (event) => describeEvent(event, t).name
+        ),
       };
     }
   };
@@ -151,7 +188,7 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 bg-gray-50 rounded-lg">
-        <p className="text-gray-500">No weather data available for overview</p>
+        <p className="text-gray-500">{t("overview.noData")}</p>
       </div>
     );
   }
@@ -168,14 +205,14 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
             <p className="text-gray-600 mb-4">{climateInfo.description}</p>
             <div className="bg-blue-50 rounded-lg p-4">
               <h4 className="font-semibold text-blue-800 mb-2">
-                Climate Pattern
+                {t("overview.climate.pattern")}
               </h4>
               <p className="text-blue-700">{climateInfo.pattern}</p>
               {climateInfo.extremeEvents &&
                 climateInfo.extremeEvents.length > 0 && (
                   <div className="mt-3">
                     <h5 className="font-medium text-blue-800">
-                      Notable Events:
+                      {t("overview.climate.notableEvents")}
                     </h5>
                     <ul className="text-blue-700 text-sm">
                       {climateInfo.extremeEvents.map((event, index) => (
@@ -190,7 +227,7 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
             {climateInfo.characteristics && (
               <div>
                 <h4 className="font-semibold text-gray-800 mb-3">
-                  Climate Characteristics
+                  {t("overview.climate.characteristicsTitle")}
                 </h4>
                 <ul className="space-y-2">
                   {climateInfo.characteristics.map((char, index) => (
@@ -222,187 +259,370 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
         ))}
       </div>
 
+      {/* Station Comparison Summary */}
+      {comparisonCharts && (
+        <div className="bg-white rounded-lg p-6 shadow-md">
+          <h3 className="text-xl font-bold mb-4 text-gray-800">
+            {t("overview.comparison.title")}
+          </h3>
+          <p className="text-gray-600 text-sm mb-4">
+            {t("overview.comparison.description", {
+              station:
+                comparison[0].station.shortName || comparison[0].station.name,
+            })}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {comparisonCharts.temperatureSummary.map((temp, index) => {
+              const rain = comparisonCharts.rainfallSummary[index];
+              return (
+                <div
+                  key={temp.station.id}
+                  className="border border-gray-200 rounded-lg p-4"
+                  style={{ borderLeft: `4px solid ${temp.station.color}` }}
+                >
+                  <h4 className="font-semibold text-gray-800 mb-2">
+                    {temp.station.name}
+                  </h4>
+                  <div className="space-y-1 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">
+                        {t("overview.labels.avgTemp")}
+                      </span>
+                      <span className="font-medium">
+                        {temp.mean !== null
+                          ? format(temp.mean, "temperature")
+                          : t("common.notAvailable")}
+                        {temp.difference !== null &&
+                          ` (${temp.difference > 0 ? "+" : ""}${format(
+                            temp.difference,
+                            "temperatureDelta"
+                          )})`}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">
+                        {t("overview.labels.avgMonthlyRain")}
+                      </span>
+                      <span className="font-medium">
+                        {rain.mean !== null
+                          ? formatRounded(rain.mean, "precipitation")
+                          : t("common.notAvailable")}
+                        {rain.difference !== null &&
+                          ` (${rain.difference > 0 ? "+" : ""}${formatRounded(
+                            rain.difference,
+                            "precipitation"
+                          )})`}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Main Charts Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Monthly Rainfall Distribution */}
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Monthly Rainfall Distribution
+            {t("overview.rainfall.title")}
           </h3>
           <p className="text-gray-600 text-sm mb-4">
             {selectedYear === "all"
-              ? "Average monthly rainfall showing Vancouver's wet winter, dry summer pattern"
-              : `Monthly rainfall for ${selectedYear} compared to normal patterns`}
+              ? t("overview.rainfall.allDescription")
+              : t("overview.rainfall.yearDescription", { year: selectedYear })}
           </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={data}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-              <YAxis
-                label={{
-                  value: "Rainfall (mm)",
-                  angle: -90,
-                  position: "insideLeft",
-                }}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Bar
-                dataKey="rainfall"
-                fill={CHART_COLORS.rainfall}
-                radius={[4, 4, 0, 0]}
+          {comparisonCharts ? (
+            <ExportableChart
+              title={t("overview.rainfall.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ComparisonChart
+                data={comparisonCharts.rainfall}
+                series={comparisonCharts.series}
+                type="bar"
+                yLabel={t("report.rainfallAxis", {
+                  unit: unit("precipitation"),
+                })}
+                unit={unit("precipitation")}
+                onPointClick={onMonthSelect}
               />
-            </BarChart>
-          </ResponsiveContainer>
+            </ExportableChart>
+          ) : (
+            <ExportableChart
+              title={t("overview.rainfall.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart
+                  data={data}
+                  onClick={
+                    onMonthSelect &&
+                    ((state) => onMonthSelect(getClickedRecord(state, data)))
+                  }
+                  className={onMonthSelect ? "cursor-pointer" : undefined}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="month"
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={formatMonth}
+                  />
+                  <YAxis
+                    label={{
+                      value: t("report.rainfallAxis", {
+                        unit: unit("precipitation"),
+                      }),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Bar
+                    dataKey="rainfall"
+                    fill={CHART_COLORS.rainfall}
+                    radius={[4, 4, 0, 0]}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          )}
         </div>
 
         {/* Temperature Variation */}
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Temperature Variation
+            {t("overview.temperature.title")}
           </h3>
           <p className="text-gray-600 text-sm mb-4">
-            Annual temperature cycle showing minimum, average, and maximum
-            temperatures
+            {comparisonCharts
+              ? t("overview.temperature.comparisonDescription")
+              : t("overview.temperature.description")}
           </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={data}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-              <YAxis
-                label={{
-                  value: "Temperature (°C)",
-                  angle: -90,
-                  position: "insideLeft",
-                }}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Legend />
-              <Line
-                type="monotone"
-                dataKey="tempMax"
-                stroke={CHART_COLORS.temperatureMax}
-                strokeWidth={2}
-                name="Max Temperature"
-                dot={{ r: 3 }}
+          {comparisonCharts ? (
+            <ExportableChart
+              title={t("overview.temperature.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ComparisonChart
+                data={comparisonCharts.temperature}
+                series={comparisonCharts.series}
+                yLabel={t("charts.temperatureAxis", {
+                  unit: unit("temperature"),
+                })}
+                unit={unit("temperature")}
+                onPointClick={onMonthSelect}
               />
-              <Line
-                type="monotone"
-                dataKey="temp"
-                stroke={CHART_COLORS.temperature}
-                strokeWidth={3}
-                name="Average Temperature"
-                dot={{ r: 4 }}
-              />
-              <Line
-                type="monotone"
-                dataKey="tempMin"
-                stroke={CHART_COLORS.temperatureMin}
-                strokeWidth={2}
-                name="Min Temperature"
-                dot={{ r: 3 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
+            </ExportableChart>
+          ) : (
+            <ExportableChart
+              title={t("overview.temperature.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart
+                  data={data}
+                  onClick={
+                    onMonthSelect &&
+                    ((state) => onMonthSelect(getClickedRecord(state, data)))
+                  }
+                  className={onMonthSelect ? "cursor-pointer" : undefined}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="month"
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={formatMonth}
+                  />
+                  <YAxis
+                    label={{
+                      value: t("charts.temperatureAxis", {
+                        unit: unit("temperature"),
+                      }),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Line
+                    type="monotone"
+                    dataKey="tempMax"
+                    stroke={CHART_COLORS.temperatureMax}
+                    strokeWidth={2}
+                    name={t("fields.tempMax")}
+                    dot={{ r: 3 }}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="temp"
+                    stroke={CHART_COLORS.temperature}
+                    strokeWidth={3}
+                    name={t("fields.temp")}
+                    dot={{ r: 4 }}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="tempMin"
+                    stroke={CHART_COLORS.temperatureMin}
+                    strokeWidth={2}
+                    name={t("fields.tempMin")}
+                    dot={{ r: 3 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          )}
         </div>
 
         {/* Humidity Patterns */}
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Humidity Patterns
+            {t("overview.humidity.title")}
           </h3>
           <p className="text-gray-600 text-sm mb-4">
-            Monthly relative humidity showing seasonal variations and ocean
-            influence
+            {t("overview.humidity.description")}
           </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={data}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-              <YAxis
-                label={{
-                  value: "Humidity (%)",
-                  angle: -90,
-                  position: "insideLeft",
-                }}
-                domain={[60, 90]}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Line
-                type="monotone"
-                dataKey="humidity"
-                stroke={CHART_COLORS.humidity}
-                strokeWidth={3}
-                dot={{ fill: CHART_COLORS.humidity, r: 4 }}
-                activeDot={{ r: 6 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
+          {!hasHumidity && renderUnavailable("humidity")}
+          {hasHumidity && (
+            <ExportableChart
+              title={t("overview.humidity.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={data}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="month"
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={formatMonth}
+                  />
+                  <YAxis
+                    label={{
+                      value: t("overview.humidity.axis"),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                    domain={[60, 90]}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Line
+                    type="monotone"
+                    dataKey="humidity"
+                    stroke={CHART_COLORS.humidity}
+                    strokeWidth={3}
+                    dot={{ fill: CHART_COLORS.humidity, r: 4 }}
+                    activeDot={{ r: 6 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          )}
         </div>
 
         {/* Sunshine Hours */}
         <div className="bg-white rounded-lg p-6 shadow-md">
           <h3 className="text-xl font-bold mb-4 text-gray-800">
-            Daily Sunshine Hours
+            {t("overview.sunshine.title")}
           </h3>
           <p className="text-gray-600 text-sm mb-4">
-            Average daily sunshine hours reflecting seasonal daylight variation
+            {t("overview.sunshine.description")}
           </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={data}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-              <YAxis
-                label={{ value: "Hours", angle: -90, position: "insideLeft" }}
-              />
-              <Tooltip content={<CustomTooltip />} />
-              <Bar
-                dataKey="sunshine"
-                fill={CHART_COLORS.sunshine}
-                radius={[4, 4, 0, 0]}
-              />
-            </BarChart>
-          </ResponsiveContainer>
+          {!hasSunshine && renderUnavailable("sunshine")}
+          {hasSunshine && (
+            <ExportableChart
+              title={t("overview.sunshine.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={data}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="month"
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={formatMonth}
+                  />
+                  <YAxis
+                    label={{
+                      value: t("overview.sunshine.axis"),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Bar
+                    dataKey="sunshine"
+                    fill={CHART_COLORS.sunshine}
+                    radius={[4, 4, 0, 0]}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          )}
         </div>
       </div>
 
       {/* Seasonal Summary */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Seasonal Summary
+          {t("overview.seasonal.title")}
         </h3>
         <p className="text-gray-600 text-sm mb-6">
-          Quarterly weather patterns showing Vancouver's distinct seasonal
-          characteristics
+          {t("overview.seasonal.description")}
         </p>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
           {seasonalData.map((season, index) => (
             <div key={index} className="border border-gray-200 rounded-lg p-4">
               <h4 className="font-semibold text-gray-800 mb-3 text-center">
-                {season.season}
+                {t(`overview.seasons.${season.season}`)}
               </h4>
               <div className="space-y-2 text-sm">
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Avg Temp:</span>
+                  <span className="text-gray-600">
+                    {t("overview.labels.avgTemp")}
+                  </span>
                   <span className="font-medium">
-                    {season.avgTemp.toFixed(1)}°C
+                    {format(season.avgTemp, "temperature")}
                   </span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Total Rain:</span>
+                  <span className="text-gray-600">
+                    {t("overview.labels.totalRain")}
+                  </span>
                   <span className="font-medium">
-                    {season.totalRainfall.toFixed(0)}mm
+                    {formatRounded(season.totalRainfall, "precipitation")}
                   </span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Avg Humidity:</span>
+                  <span className="text-gray-600">
+                    {t("overview.labels.avgHumidity")}
+                  </span>
                   <span className="font-medium">
-                    {season.avgHumidity.toFixed(0)}%
+                    {hasHumidity
+                      ? t("common.percent", {
+                          value: formatNumber(season.avgHumidity, 0),
+                        })
+                      : t("common.notAvailable")}
                   </span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Total Sun:</span>
+                  <span className="text-gray-600">
+                    {t("overview.labels.totalSun")}
+                  </span>
                   <span className="font-medium">
-                    {season.totalSunshine.toFixed(1)}hrs
+                    {hasSunshine
+                      ? `${formatNumber(season.totalSunshine, 1)}${t(
+                          "common.hoursUnit"
+                        )}`
+                      : t("common.notAvailable")}
                   </span>
                 </div>
               </div>
@@ -413,44 +633,47 @@ const Overview = ({ data, yearlyData, selectedYear, availableYears }) => {
 
       {/* Data Insights */}
       <div className="bg-gradient-to-r from-blue-50 to-green-50 rounded-lg p-6">
-        <h3 className="text-xl font-bold mb-4 text-gray-800">Key Insights</h3>
+        <h3 className="text-xl font-bold mb-4 text-gray-800">
+          {t("overview.insights.title")}
+        </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <h4 className="font-semibold text-gray-800 mb-2">
-              Climate Patterns
+              {t("overview.insights.patternsTitle")}
             </h4>
             <ul className="space-y-1 text-sm text-gray-600">
-              <li>
-                • Vancouver has a marine west coast climate with mild
-                temperatures
-              </li>
-              <li>• Winter months (Nov-Feb) receive 75% of annual rainfall</li>
-              <li>
-                • Summer drought period typically lasts from June to September
-              </li>
-              <li>
-                • Ocean proximity moderates temperature extremes year-round
-              </li>
+              <li>• {t("overview.insights.patterns.climate")}</li>
+              <li>• {t("overview.insights.patterns.winterRain")}</li>
+              <li>• {t("overview.insights.patterns.summerDrought")}</li>
+              <li>• {t("overview.insights.patterns.ocean")}</li>
             </ul>
           </div>
           <div>
             <h4 className="font-semibold text-gray-800 mb-2">
-              Weather Statistics
+              {t("overview.insights.statisticsTitle")}
             </h4>
             <ul className="space-y-1 text-sm text-gray-600">
               <li>
-                • Annual temperature range: {temperatureStats?.range.toFixed(1)}
-                °C
+                •{" "}
+                {t("overview.insights.statistics.range", {
+                  range: format(temperatureStats?.range, "temperatureDelta"),
+                })}
               </li>
               <li>
-                • Peak rainfall: {rainfallStats?.max.toFixed(0)}mm in{" "}
-                {rainfallStats?.wettest}
+                •{" "}
+                {t("overview.insights.statistics.peakRainfall", {
+                  amount: formatRounded(rainfallStats?.max, "precipitation"),
+                  month: monthName(rainfallStats?.wettest, "long"),
+                })}
               </li>
               <li>
-                • Lowest rainfall: {rainfallStats?.min.toFixed(0)}mm in{" "}
-                {rainfallStats?.driest}
+                •{" "}
+                {t("overview.insights.statistics.lowestRainfall", {
+                  amount: formatRounded(rainfallStats?.min, "precipitation"),
+                  month: monthName(rainfallStats?.driest, "long"),
+                })}
               </li>
-              <li>• Humidity remains high (65-85%) due to ocean influence</li>
+              <li>• {t("overview.insights.statistics.humidity")}</li>
             </ul>
           </div>
         </div>
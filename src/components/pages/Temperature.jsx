@@ -9,17 +9,72 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
-  BarChart,
   Bar,
   AreaChart,
   Area,
+  ComposedChart,
 } from "recharts";
+import ComparisonChart from "../charts/ComparisonChart.jsx";
+import ExportableChart from "../charts/ExportableChart.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import {
+  mergeStationSeries,
+  mergeYearlyAggregates,
+  getStationSeries,
+} from "../../utils/stationComparison.js";
+import { getClickedRecord } from "../../utils/drillDown.js";
+import {
+  ENSO_PHASES,
+  ENSO_COLORS,
+  summarizeEnsoPhase,
+  describeEnsoPhase,
+} from "../../utils/enso.js";
+
+// Tooltip labels of the temperature series (message keys)
+const TOOLTIP_LABELS = {
+  tempMax: "temperature.tooltip.max",
+  tempMin: "temperature.tooltip.min",
+  temp: "temperature.tooltip.average",
+  extremeMax: "temperature.tooltip.extremeMax",
+  extremeMin: "temperature.tooltip.extremeMin",
+};
 
 /**
  * Temperature Analysis Page Component
  * Comprehensive temperature visualization and analysis for Vancouver weather data
  */
-const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
+const Temperature = ({
+  data,
+  yearlyData,
+  selectedYear,
+  availableYears,
+  comparison = null,
+  onMonthSelect,
+  attribution,
+}) => {
+  const { unit, convert, format } = useUnits();
+  const { t, formatNumber, monthName } = useI18n();
+  const formatMonth = (month) => monthName(month);
+
+  // Per-station series for comparison mode
+  const comparisonCharts = useMemo(() => {
+    if (!comparison) return null;
+
+    const records = comparison.map(({ station, data }) => ({
+      station,
+      records: data,
+    }));
+
+    return {
+      series: getStationSeries(comparison),
+      temp: mergeStationSeries(records, "month", "temp"),
+      tempMax: mergeStationSeries(records, "month", "tempMax"),
+      tempMin: mergeStationSeries(records, "month", "tempMin"),
+      annual: mergeYearlyAggregates(comparison, "avgTemp"),
+    };
+  }, [comparison]);
+
   // Calculate temperature statistics
   const temperatureStats = useMemo(() => {
     if (!data || data.length === 0) return null;
@@ -42,6 +97,18 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
     const hottestMonth = data.find((d) => d.tempMax === maxTemp);
     const coldestMonth = data.find((d) => d.tempMin === minTemp);
 
+    // Daily extremes are only present when built from real daily data
+    const withHighs = data.filter((d) => d.extremeMax != null);
+    const withLows = data.filter((d) => d.extremeMin != null);
+    const recordHigh = withHighs.reduce(
+      (best, d) => (!best || d.extremeMax > best.extremeMax ? d : best),
+      null
+    );
+    const recordLow = withLows.reduce(
+      (best, d) => (!best || d.extremeMin < best.extremeMin ? d : best),
+      null
+    );
+
     return {
       average: avgTemp,
       max: maxTemp,
@@ -49,6 +116,14 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
       range: maxTemp - minTemp,
       hottestMonth: hottestMonth?.month,
       coldestMonth: coldestMonth?.month,
+      recordHigh: recordHigh && {
+        value: recordHigh.extremeMax,
+        date: recordHigh.extremeMaxDate,
+      },
+      recordLow: recordLow && {
+        value: recordLow.extremeMin,
+        date: recordLow.extremeMinDate,
+      },
       seasonalVariation: calculateSeasonalVariation(data),
     };
   }, [data]);
@@ -70,9 +145,9 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
         year: yearData.year,
         avgTemp:
           yearData.temps.reduce((sum, t) => sum + t, 0) / yearData.temps.length,
-        climatePattern:
-          yearlyData.find((d) => d.year === yearData.year)?.climatePattern ||
-          "Normal",
+        enso: summarizeEnsoPhase(
+          yearlyData.filter((d) => d.year === yearData.year)
+        ),
       }))
       .sort((a, b) => a.year - b.year);
   }, [yearlyData]);
@@ -82,18 +157,20 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
     if (active && payload && payload.length) {
       return (
         <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
-          <p className="font-semibold text-gray-800 mb-2">{label}</p>
+          <p className="font-semibold text-gray-800 mb-2">
+            {monthName(label, "long")}
+          </p>
           {payload.map((entry, index) => (
             <p key={index} style={{ color: entry.color }} className="text-sm">
               {`${
-                entry.dataKey === "tempMax"
-                  ? "Max"
-                  : entry.dataKey === "tempMin"
-                  ? "Min"
-                  : entry.dataKey === "temp"
-                  ? "Average"
+                TOOLTIP_LABELS[entry.dataKey]
+                  ? t(TOOLTIP_LABELS[entry.dataKey])
                   : entry.dataKey
-              }: ${entry.value.toFixed(1)}°C`}
+              }: ${
+                entry.value == null
+                  ? t("common.notAvailable")
+                  : format(entry.value, "temperature")
+              }`}
             </p>
           ))}
         </div>
@@ -102,10 +179,12 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
     return null;
   };
 
+  const hasExtremes = data?.some((d) => d.extremeMax != null);
+
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 bg-gray-50 rounded-lg">
-        <p className="text-gray-500">No temperature data available</p>
+        <p className="text-gray-500">{t("charts.noTemperatureData")}</p>
       </div>
     );
   }
@@ -115,18 +194,33 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
       {/* Page Header */}
       <div className="text-center">
         <h2 className="text-3xl font-bold text-gray-800 mb-2">
-          Temperature Analysis
+          {t("temperature.title")}
         </h2>
         <p className="text-gray-600">
           {selectedYear === "all"
-            ? "Five-year average (2020-2024) showing Vancouver's seasonal temperature patterns"
-            : `Detailed temperature analysis for ${selectedYear}`}
+            ? t("temperature.allDescription")
+            : t("temperature.yearDescription", { year: selectedYear })}
         </p>
         {temperatureStats && (
           <div className="mt-4 text-sm text-gray-500">
-            Range: {temperatureStats.min.toFixed(1)}°C to{" "}
-            {temperatureStats.max.toFixed(1)}°C • Annual Average:{" "}
-            {temperatureStats.average.toFixed(1)}°C
+            {t("temperature.summary", {
+              min: format(temperatureStats.min, "temperature"),
+              max: format(temperatureStats.max, "temperature"),
+              average: format(temperatureStats.average, "temperature"),
+            })}
+            {temperatureStats.recordHigh && temperatureStats.recordLow && (
+              <div className="mt-1">
+                {t("temperature.dailyExtremes", {
+                  low: format(temperatureStats.recordLow.value, "temperature"),
+                  lowDate: temperatureStats.recordLow.date,
+                  high: format(
+                    temperatureStats.recordHigh.value,
+                    "temperature"
+                  ),
+                  highDate: temperatureStats.recordHigh.date,
+                })}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -137,12 +231,14 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
           <div className="bg-white rounded-lg p-6 shadow-md border-l-4 border-red-500">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm text-gray-600">Hottest Month</p>
+                <p className="text-sm text-gray-600">
+                  {t("overview.highlights.hottest")}
+                </p>
                 <p className="text-lg font-bold text-gray-800">
-                  {temperatureStats.hottestMonth}
+                  {monthName(temperatureStats.hottestMonth, "long")}
                 </p>
                 <p className="text-sm text-red-600 font-medium">
-                  {temperatureStats.max.toFixed(1)}°C
+                  {format(temperatureStats.max, "temperature")}
                 </p>
               </div>
               <div className="text-2xl">🔥</div>
@@ -152,12 +248,14 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
           <div className="bg-white rounded-lg p-6 shadow-md border-l-4 border-blue-500">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm text-gray-600">Coldest Month</p>
+                <p className="text-sm text-gray-600">
+                  {t("overview.highlights.coldest")}
+                </p>
                 <p className="text-lg font-bold text-gray-800">
-                  {temperatureStats.coldestMonth}
+                  {monthName(temperatureStats.coldestMonth, "long")}
                 </p>
                 <p className="text-sm text-blue-600 font-medium">
-                  {temperatureStats.min.toFixed(1)}°C
+                  {format(temperatureStats.min, "temperature")}
                 </p>
               </div>
               <div className="text-2xl">❄️</div>
@@ -167,12 +265,14 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
           <div className="bg-white rounded-lg p-6 shadow-md border-l-4 border-yellow-500">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm text-gray-600">Annual Average</p>
+                <p className="text-sm text-gray-600">
+                  {t("temperature.cards.annualAverage")}
+                </p>
                 <p className="text-lg font-bold text-gray-800">
-                  {temperatureStats.average.toFixed(1)}°C
+                  {format(temperatureStats.average, "temperature")}
                 </p>
                 <p className="text-sm text-yellow-600 font-medium">
-                  Climate Normal
+                  {t("temperature.cards.climateNormal")}
                 </p>
               </div>
               <div className="text-2xl">🌡️</div>
@@ -182,12 +282,14 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
           <div className="bg-white rounded-lg p-6 shadow-md border-l-4 border-purple-500">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm text-gray-600">Temperature Range</p>
+                <p className="text-sm text-gray-600">
+                  {t("temperature.cards.range")}
+                </p>
                 <p className="text-lg font-bold text-gray-800">
-                  {temperatureStats.range.toFixed(1)}°C
+                  {format(temperatureStats.range, "temperatureDelta")}
                 </p>
                 <p className="text-sm text-purple-600 font-medium">
-                  Seasonal Variation
+                  {t("temperature.cards.seasonalVariation")}
                 </p>
               </div>
               <div className="text-2xl">📊</div>
@@ -199,224 +301,393 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
       {/* Main Temperature Chart */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Monthly Temperature Profile
+          {t("temperature.profile.title")}
         </h3>
         <p className="text-gray-600 mb-6">
-          Average, minimum, and maximum temperatures showing Vancouver's mild
-          coastal climate
+          {comparisonCharts
+            ? t("overview.temperature.comparisonDescription")
+            : t("temperature.profile.description")}
         </p>
-        <ResponsiveContainer width="100%" height={400}>
-          <LineChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-            <XAxis
-              dataKey="month"
-              tick={{ fontSize: 12 }}
-              axisLine={{ stroke: "#e0e0e0" }}
-            />
-            <YAxis
-              label={{
-                value: "Temperature (°C)",
-                angle: -90,
-                position: "insideLeft",
-                style: { textAnchor: "middle" },
-              }}
-              tick={{ fontSize: 12 }}
-              axisLine={{ stroke: "#e0e0e0" }}
-            />
-            <Tooltip content={<CustomTooltip />} />
-            <Legend />
-
-            {/* Temperature range area */}
-            <Area
-              type="monotone"
-              dataKey="tempMax"
-              stroke="none"
-              fill="#FEE2E2"
-              fillOpacity={0.3}
-            />
-            <Area
-              type="monotone"
-              dataKey="tempMin"
-              stroke="none"
-              fill="#FFFFFF"
-              fillOpacity={1}
-            />
-
-            {/* Temperature lines */}
-            <Line
-              type="monotone"
-              dataKey="tempMax"
-              stroke="#DC2626"
-              strokeWidth={3}
-              name="Maximum Temperature"
-              dot={{ fill: "#DC2626", strokeWidth: 2, r: 5 }}
-              activeDot={{ r: 7 }}
-            />
-            <Line
-              type="monotone"
-              dataKey="temp"
-              stroke="#F59E0B"
-              strokeWidth={4}
-              name="Average Temperature"
-              dot={{ fill: "#F59E0B", strokeWidth: 2, r: 6 }}
-              activeDot={{ r: 8 }}
-            />
-            <Line
-              type="monotone"
-              dataKey="tempMin"
-              stroke="#2563EB"
-              strokeWidth={3}
-              name="Minimum Temperature"
-              dot={{ fill: "#2563EB", strokeWidth: 2, r: 5 }}
-              activeDot={{ r: 7 }}
-            />
-          </LineChart>
-        </ResponsiveContainer>
+        {comparisonCharts ? (
+          <>
+            <ExportableChart
+              title={t("temperature.profile.title")}
+              attribution={attribution}
+              xLabel={t("overview.monthAxis")}
+            >
+              <ComparisonChart
+                data={comparisonCharts.temp}
+                series={comparisonCharts.series}
+                yLabel={t("charts.temperatureAxis", {
+                  unit: unit("temperature"),
+                })}
+                unit={unit("temperature")}
+                height={400}
+                onPointClick={onMonthSelect}
+              />
+            </ExportableChart>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+              <div>
+                <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                  {t("temperature.profile.meanMax")}
+                </h4>
+                <ExportableChart
+                  title={t("temperature.profile.meanMax")}
+                  attribution={attribution}
+                  xLabel={t("overview.monthAxis")}
+                >
+                  <ComparisonChart
+                    data={comparisonCharts.tempMax}
+                    series={comparisonCharts.series}
+                    yLabel={t("charts.temperatureAxis", {
+                      unit: unit("temperature"),
+                    })}
+                    unit={unit("temperature")}
+                    height={250}
+                    onPointClick={onMonthSelect}
+                  />
+                </ExportableChart>
+              </div>
+              <div>
+                <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                  {t("temperature.profile.meanMin")}
+                </h4>
+                <ExportableChart
+                  title={t("temperature.profile.meanMin")}
+                  attribution={attribution}
+                  xLabel={t("overview.monthAxis")}
+                >
+                  <ComparisonChart
+                    data={comparisonCharts.tempMin}
+                    series={comparisonCharts.series}
+                    yLabel={t("charts.temperatureAxis", {
+                      unit: unit("temperature"),
+                    })}
+                    unit={unit("temperature")}
+                    height={250}
+                    onPointClick={onMonthSelect}
+                  />
+                </ExportableChart>
+              </div>
+            </div>
+          </>
+        ) : (
+          <ExportableChart
+            title={t("temperature.profile.title")}
+            attribution={attribution}
+            xLabel={t("overview.monthAxis")}
+          >
+            <ResponsiveContainer width="100%" height={400}>
+              <LineChart
+                data={data}
+                onClick={
+                  onMonthSelect &&
+                  ((state) => onMonthSelect(getClickedRecord(state, data)))
+                }
+                className={onMonthSelect ? "cursor-pointer" : undefined}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis
+                  dataKey="month"
+                  tick={{ fontSize: 12 }}
+                  tickFormatter={formatMonth}
+                  axisLine={{ stroke: "#e0e0e0" }}
+                />
+                <YAxis
+                  label={{
+                    value: t("charts.temperatureAxis", {
+                      unit: unit("temperature"),
+                    }),
+                    angle: -90,
+                    position: "insideLeft",
+                    style: { textAnchor: "middle" },
+                  }}
+                  tick={{ fontSize: 12 }}
+                  axisLine={{ stroke: "#e0e0e0" }}
+                />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend />
+
+                {/* Temperature range area */}
+                <Area
+                  type="monotone"
+                  dataKey="tempMax"
+                  stroke="none"
+                  fill="#FEE2E2"
+                  fillOpacity={0.3}
+                />
+                <Area
+                  type="monotone"
+                  dataKey="tempMin"
+                  stroke="none"
+                  fill="#FFFFFF"
+                  fillOpacity={1}
+                />
+
+                {/* Temperature lines */}
+                <Line
+                  type="monotone"
+                  dataKey="tempMax"
+                  stroke="#DC2626"
+                  strokeWidth={3}
+                  name={t("fields.tempMax")}
+                  dot={{ fill: "#DC2626", strokeWidth: 2, r: 5 }}
+                  activeDot={{ r: 7 }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="temp"
+                  stroke="#F59E0B"
+                  strokeWidth={4}
+                  name={t("fields.temp")}
+                  dot={{ fill: "#F59E0B", strokeWidth: 2, r: 6 }}
+                  activeDot={{ r: 8 }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="tempMin"
+                  stroke="#2563EB"
+                  strokeWidth={3}
+                  name={t("fields.tempMin")}
+                  dot={{ fill: "#2563EB", strokeWidth: 2, r: 5 }}
+                  activeDot={{ r: 7 }}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+        )}
       </div>
 
       {/* Temperature Range Visualization */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Monthly Temperature Range
+          {t("temperature.range.title")}
         </h3>
         <p className="text-gray-600 mb-6">
-          Daily temperature variation throughout the year - shows Vancouver's
-          moderate climate
+          {hasExtremes
+            ? t("temperature.range.descriptionWithExtremes")
+            : t("temperature.range.description")}
         </p>
-        <ResponsiveContainer width="100%" height={350}>
-          <BarChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-            <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-            <YAxis
-              label={{
-                value: "Temperature (°C)",
-                angle: -90,
-                position: "insideLeft",
-              }}
-              tick={{ fontSize: 12 }}
-            />
-            <Tooltip content={<CustomTooltip />} />
-            <Legend />
-            <Bar
-              dataKey="tempMin"
-              fill="#2563EB"
-              name="Minimum Temperature"
-              radius={[0, 0, 4, 4]}
-            />
-            <Bar
-              dataKey="tempMax"
-              fill="#DC2626"
-              name="Maximum Temperature"
-              radius={[4, 4, 0, 0]}
-            />
-          </BarChart>
-        </ResponsiveContainer>
-      </div>
-
-      {/* Year-over-Year Temperature Trends */}
-      {selectedYear === "all" && temperatureTrends.length > 0 && (
-        <div className="bg-white rounded-lg p-6 shadow-md">
-          <h3 className="text-xl font-bold mb-4 text-gray-800">
-            5-Year Temperature Trends
-          </h3>
-          <p className="text-gray-600 mb-6">
-            Annual average temperatures showing climate variability and patterns
-          </p>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={temperatureTrends}>
+        <ExportableChart
+          title={t("temperature.range.title")}
+          attribution={attribution}
+          xLabel={t("overview.monthAxis")}
+        >
+          <ResponsiveContainer width="100%" height={350}>
+            <ComposedChart
+              data={data}
+              onClick={
+                onMonthSelect &&
+                ((state) => onMonthSelect(getClickedRecord(state, data)))
+              }
+              className={onMonthSelect ? "cursor-pointer" : undefined}
+            >
               <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
               <XAxis
-                dataKey="year"
+                dataKey="month"
                 tick={{ fontSize: 12 }}
-                type="number"
-                scale="point"
-                domain={["dataMin", "dataMax"]}
+                tickFormatter={formatMonth}
               />
               <YAxis
                 label={{
-                  value: "Average Temperature (°C)",
+                  value: t("charts.temperatureAxis", {
+                    unit: unit("temperature"),
+                  }),
                   angle: -90,
                   position: "insideLeft",
                 }}
                 tick={{ fontSize: 12 }}
-                domain={["dataMin - 0.5", "dataMax + 0.5"]}
               />
-              <Tooltip
-                content={({ active, payload, label }) => {
-                  if (active && payload && payload.length) {
-                    const data = payload[0].payload;
-                    return (
-                      <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
-                        <p className="font-semibold text-gray-800">{label}</p>
-                        <p className="text-orange-600">
-                          Average: {payload[0].value.toFixed(1)}°C
-                        </p>
-                        <p className="text-sm text-gray-600">
-                          Climate Pattern: {data.climatePattern}
-                        </p>
-                      </div>
-                    );
-                  }
-                  return null;
-                }}
+              <Tooltip content={<CustomTooltip />} />
+              <Legend />
+              <Bar
+                dataKey="tempMin"
+                fill="#2563EB"
+                name={t("fields.tempMin")}
+                radius={[0, 0, 4, 4]}
               />
-              <Line
-                type="monotone"
-                dataKey="avgTemp"
-                stroke="#F59E0B"
-                strokeWidth={4}
-                name="Annual Average"
-                dot={{ fill: "#F59E0B", strokeWidth: 2, r: 6 }}
-                activeDot={{ r: 8 }}
+              <Bar
+                dataKey="tempMax"
+                fill="#DC2626"
+                name={t("fields.tempMax")}
+                radius={[4, 4, 0, 0]}
               />
-            </LineChart>
+              {hasExtremes && (
+                <Line
+                  type="monotone"
+                  dataKey="extremeMax"
+                  stroke="#991B1B"
+                  strokeDasharray="5 5"
+                  name={t("temperature.range.extremeMax")}
+                  dot={{ r: 3 }}
+                />
+              )}
+              {hasExtremes && (
+                <Line
+                  type="monotone"
+                  dataKey="extremeMin"
+                  stroke="#1E3A8A"
+                  strokeDasharray="5 5"
+                  name={t("temperature.range.extremeMin")}
+                  dot={{ r: 3 }}
+                />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
+        </ExportableChart>
+      </div>
 
-          {/* Climate Pattern Legend */}
-          <div className="mt-4 flex flex-wrap gap-4 text-sm">
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-blue-500"></div>
-              <span>La Niña (cooler)</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-red-500"></div>
-              <span>El Niño (warmer)</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-3 h-3 rounded-full bg-orange-500"></div>
-              <span>Heat Dome (extreme)</span>
+      {/* Year-over-Year Temperature Trends */}
+      {selectedYear === "all" && temperatureTrends.length > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-md">
+          <h3 className="text-xl font-bold mb-4 text-gray-800">
+            {t("temperature.trends.title")}
+          </h3>
+          <p className="text-gray-600 mb-6">
+            {t("temperature.trends.description")}
+          </p>
+          {comparisonCharts ? (
+            <ExportableChart
+              title={t("temperature.trends.title")}
+              attribution={attribution}
+              xLabel={t("temperature.yearAxis")}
+            >
+              <ComparisonChart
+                data={comparisonCharts.annual}
+                series={comparisonCharts.series}
+                xKey="year"
+                yLabel={t("temperature.trends.axis", {
+                  unit: unit("temperature"),
+                })}
+                unit={unit("temperature")}
+              />
+            </ExportableChart>
+          ) : (
+            <ExportableChart
+              title={t("temperature.trends.title")}
+              attribution={attribution}
+              xLabel={t("temperature.yearAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={temperatureTrends}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    dataKey="year"
+                    tick={{ fontSize: 12 }}
+                    type="number"
+                    scale="point"
+                    domain={["dataMin", "dataMax"]}
+                  />
+                  <YAxis
+                    label={{
+                      value: t("temperature.trends.axis", {
+                        unit: unit("temperature"),
+                      }),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                    tick={{ fontSize: 12 }}
+                    domain={["dataMin - 0.5", "dataMax + 0.5"]}
+                  />
+                  <Tooltip
+                    content={({ active, payload, label }) => {
+                      if (active && payload && payload.length) {
+                        const data = payload[0].payload;
+                        return (
+                          <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
+                            <p className="font-semibold text-gray-800">
+                              {label}
+                            </p>
+                            <p className="text-orange-600">
+                              {t("temperature.trends.average", {
+                                value: format(payload[0].value, "temperature"),
+                              })}
+                            </p>
+                            {data.enso && (
+                              <p className="text-sm text-gray-600">
+                                {t("temperature.trends.pattern", {
+                                  pattern: describeEnsoPhase(data.enso, t),
+                                })}
+                              </p>
+                            )}
+                          </div>
+                        );
+                      }
+                      return null;
+                    }}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="avgTemp"
+                    stroke="#F59E0B"
+                    strokeWidth={4}
+                    name={t("temperature.cards.annualAverage")}
+                    dot={({ cx, cy, payload }) => (
+                      <circle
+                        key={payload.year}
+                        cx={cx}
+                        cy={cy}
+                        r={6}
+                        stroke="#F59E0B"
+                        strokeWidth={2}
+                        fill={
+                          payload.enso
+                            ? ENSO_COLORS[payload.enso.phase]
+                            : "#F59E0B"
+                        }
+                      />
+                    )}
+                    activeDot={{ r: 8 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          )}
+
+          {/* ENSO Phase Legend (colours of the yearly points) */}
+          {!comparisonCharts && (
+            <div className="mt-4 flex flex-wrap gap-4 text-sm">
+              {Object.values(ENSO_PHASES).map((phase) => (
+                <div key={phase} className="flex items-center gap-2">
+                  <div
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: ENSO_COLORS[phase] }}
+                  ></div>
+                  <span>{t(`temperature.trends.legend.${phase}`)}</span>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
         </div>
       )}
 
       {/* Detailed Monthly Analysis */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Seasonal Temperature Analysis
+          {t("temperature.seasonal.title")}
         </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           {[
             {
-              season: "Winter",
+              season: "winter",
               months: ["Dec", "Jan", "Feb"],
               color: "blue",
               icon: "❄️",
             },
             {
-              season: "Spring",
+              season: "spring",
               months: ["Mar", "Apr", "May"],
               color: "green",
               icon: "🌸",
             },
             {
-              season: "Summer",
+              season: "summer",
               months: ["Jun", "Jul", "Aug"],
               color: "red",
               icon: "☀️",
             },
             {
-              season: "Fall",
+              season: "fall",
               months: ["Sep", "Oct", "Nov"],
               color: "orange",
               icon: "🍂",
@@ -438,23 +709,30 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
               >
                 <div className="flex items-center justify-between mb-3">
                   <h4 className="font-semibold text-gray-800">
-                    {season.season}
+                    {t(`overview.seasons.${season.season}`)}
                   </h4>
                   <span className="text-2xl">{season.icon}</span>
                 </div>
                 <div className="space-y-2 text-sm">
                   <div className="flex justify-between">
-                    <span className="text-gray-600">Average:</span>
-                    <span className="font-medium">{avgTemp.toFixed(1)}°C</span>
+                    <span className="text-gray-600">
+                      {t("temperature.seasonal.average")}
+                    </span>
+                    <span className="font-medium">
+                      {format(avgTemp, "temperature")}
+                    </span>
                   </div>
                   <div className="flex justify-between">
-                    <span className="text-gray-600">Range:</span>
+                    <span className="text-gray-600">
+                      {t("temperature.seasonal.range")}
+                    </span>
                     <span className="font-medium">
-                      {minTemp.toFixed(1)}° - {maxTemp.toFixed(1)}°C
+                      {formatNumber(minTemp, 1)}° -{" "}
+                      {format(maxTemp, "temperature")}
                     </span>
                   </div>
                   <div className="text-xs text-gray-500 mt-2">
-                    {season.months.join(", ")}
+                    {season.months.map(formatMonth).join(", ")}
                   </div>
                 </div>
               </div>
@@ -467,29 +745,44 @@ const Temperature = ({ data, yearlyData, selectedYear, availableYears }) => {
       <div className="bg-gradient-to-r from-blue-50 to-green-50 rounded-lg p-6 border border-blue-200">
         <h3 className="text-xl font-bold mb-4 text-gray-800 flex items-center gap-2">
           <span>🌡️</span>
-          Climate Insights
+          {t("temperature.insights.title")}
         </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <h4 className="font-semibold text-gray-700 mb-2">
-              Vancouver's Temperature Characteristics
+              {t("temperature.insights.characteristicsTitle")}
             </h4>
             <ul className="text-sm text-gray-600 space-y-1">
-              <li>• Mild oceanic climate with small seasonal variation</li>
-              <li>• Winter temperatures rarely below freezing</li>
-              <li>• Summer highs typically 20-25°C</li>
-              <li>• Heat dome events can push temperatures above 30°C</li>
+              <li>• {t("temperature.insights.characteristics.oceanic")}</li>
+              <li>• {t("temperature.insights.characteristics.freezing")}</li>
+              <li>
+                •{" "}
+                {t("temperature.insights.characteristics.summerHighs", {
+                  low: formatNumber(convert(20, "temperature"), 0),
+                  high: format(convert(25, "temperature"), "temperature", 0),
+                })}
+              </li>
+              <li>
+                •{" "}
+                {t("temperature.insights.characteristics.heatDome", {
+                  threshold: format(
+                    convert(30, "temperature"),
+                    "temperature",
+                    0
+                  ),
+                })}
+              </li>
             </ul>
           </div>
           <div>
             <h4 className="font-semibold text-gray-700 mb-2">
-              Climate Pattern Effects
+              {t("temperature.insights.effectsTitle")}
             </h4>
             <ul className="text-sm text-gray-600 space-y-1">
-              <li>• La Niña: Cooler, wetter winters</li>
-              <li>• El Niño: Warmer, drier winters</li>
-              <li>• Heat domes: Extreme summer temperatures</li>
-              <li>• Arctic outflows: Rare cold snaps in winter</li>
+              <li>• {t("temperature.insights.effects.laNina")}</li>
+              <li>• {t("temperature.insights.effects.elNino")}</li>
+              <li>• {t("temperature.insights.effects.heatDomes")}</li>
+              <li>• {t("temperature.insights.effects.arctic")}</li>
             </ul>
           </div>
         </div>
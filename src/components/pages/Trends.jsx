@@ -1,5 +1,5 @@
 // components/pages/Trends.jsx
-import React, { useMemo } from "react";
+import React, { useMemo, useState } from "react";
 import {
   LineChart,
   Line,
@@ -14,65 +14,189 @@ import {
   AreaChart,
   Area,
   ComposedChart,
+  Cell,
+  ReferenceLine,
 } from "recharts";
+import EventTimeline from "../common/EventTimeline.jsx";
 import {
   calculateYearlyAggregates,
   calculateMovingAverage,
   detectAnomalies,
+  ANOMALY_METHODS,
+  ANOMALY_THRESHOLDS,
 } from "../../utils/calculations.js";
-import { CHART_COLORS } from "../../utils/constants.js";
+import { CHART_COLORS, MONTHS } from "../../utils/constants.js";
 import CustomTooltip from "../charts/CustomTooltip.jsx";
+import { getClickedRecord } from "../../utils/drillDown.js";
+import ComparisonChart from "../charts/ComparisonChart.jsx";
+import ExportableChart from "../charts/ExportableChart.jsx";
+import { useUnits } from "../../hooks/useUnits.js";
+import { useI18n } from "../../hooks/useI18n.js";
+import {
+  mergeStationSeries,
+  mergeYearlyAggregates,
+  getStationSeries,
+} from "../../utils/stationComparison.js";
+import {
+  SIGNIFICANCE_LEVEL,
+  linearRegression,
+  mannKendall,
+  seasonalMannKendall,
+} from "../../utils/statistics.js";
+import {
+  NORMALS_PERIODS,
+  summarizeNormals,
+  calculateDepartures,
+} from "../../utils/normals.js";
+import {
+  EVENT_COLORS,
+  detectEventCandidates,
+  describeEvent,
+  eventsOverlap,
+  getEventsForYear,
+} from "../../utils/events.js";
+import {
+  ENSO_COLORS,
+  ONI_THRESHOLD,
+  summarizeEnsoPhase,
+  describeEnsoPhase,
+  splitByEnsoPhase,
+} from "../../utils/enso.js";
+import {
+  FORECAST_METHODS,
+  FORECAST_HORIZON,
+  forecastSeries,
+  compareForecastMethods,
+} from "../../utils/forecasting.js";
 
 /**
  * Trends Page Component
  * Shows year-over-year climate trends, climate pattern analysis, and long-term changes
  */
-const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
+const Trends = ({
+  data,
+  yearlyData,
+  selectedYear,
+  availableYears,
+  comparison = null,
+  onMonthSelect,
+  attribution,
+  normals = null,
+  normalsPeriod,
+  onNormalsPeriodChange,
+  options = {},
+  onOptionChange,
+  events = [],
+  dailyData = [],
+  onAddEvent,
+  onUpdateEvent,
+  onRemoveEvent,
+  onResetEvents,
+  ensoIndex = null,
+  oniFileName = null,
+  onLoadOniFile,
+  onResetOniTable,
+}) => {
+  const { unit, convert, format, formatRounded } = useUnits();
+  const { t, formatNumber, monthName } = useI18n();
+
+  // Anomaly scoring is a page option, kept in the URL by App; a threshold
+  // that doesn't belong to the method falls back to its default
+  const anomalyMethod = Object.values(ANOMALY_METHODS).includes(
+    options.anomalyMethod
+  )
+    ? options.anomalyMethod
+    : ANOMALY_METHODS.ZSCORE;
+  const anomalyThreshold = ANOMALY_THRESHOLDS[anomalyMethod].includes(
+    Number(options.anomalyThreshold)
+  )
+    ? Number(options.anomalyThreshold)
+    : ANOMALY_THRESHOLDS[anomalyMethod][0];
+  const ensoSeason = Object.keys(ENSO_SEASONS).includes(options.ensoSeason)
+    ? options.ensoSeason
+    : "all";
+  const [oniError, setOniError] = useState(null);
+  const forecastMetric = Object.keys(FORECAST_METRICS).includes(
+    options.forecastMetric
+  )
+    ? options.forecastMetric
+    : "temp";
+  const forecastMethod = Object.values(FORECAST_METHODS).includes(
+    options.forecastMethod
+  )
+    ? options.forecastMethod
+    : FORECAST_METHODS.HOLT_WINTERS;
+
+  // Per-station series for comparison mode
+  const comparisonCharts = useMemo(() => {
+    if (!comparison) return null;
+
+    return {
+      series: getStationSeries(comparison),
+      avgTemp: mergeYearlyAggregates(comparison, "avgTemp"),
+      totalRainfall: mergeYearlyAggregates(comparison, "totalRainfall"),
+      progression: mergeStationSeries(
+        comparison.map(({ station, yearlyData }) => ({
+          station,
+          records: yearlyData,
+        })),
+        "date",
+        "temp"
+      ),
+    };
+  }, [comparison]);
+
   // Calculate trend data
   const trendData = useMemo(() => {
     if (!yearlyData || yearlyData.length === 0)
-      return { yearly: [], anomalies: [], patterns: [] };
+      return { yearly: [], patterns: [] };
 
     const yearlyAggregates = calculateYearlyAggregates(yearlyData);
-    const temperatureAnomalies = detectAnomalies(yearlyData, "temp", 1.5);
-    const rainfallAnomalies = detectAnomalies(yearlyData, "rainfall", 1.8);
 
     // Calculate climate patterns
     const patterns = yearlyAggregates.map((year) => {
       const yearData = yearlyData.filter((d) => d.year === year.year);
-      const pattern = yearData[0]?.climatePattern || "Normal";
-      const extremeEvents = yearData
-        .filter((d) => d.extremeEvent)
-        .map((d) => d.extremeEvent);
+      // Normal of the months the year has, so partial years compare fairly
+      const yearNormal = normals
+        ? summarizeNormals(
+            normals.monthly,
+            yearData.map((d) => d.month)
+          )
+        : null;
 
       return {
         ...year,
-        climatePattern: pattern,
-        extremeEvents: [...new Set(extremeEvents)],
-        tempAnomaly: year.avgTemp - 11.1, // Deviation from climate normal
-        rainAnomaly: year.totalRainfall - 1219, // Deviation from climate normal
+        enso: summarizeEnsoPhase(yearData),
+        extremeEvents: getEventsForYear(events, year.year).map(
+          (event) => describeEvent(event, t).name
+        ),
+        // Deviation from climate normal
+        tempAnomaly:
+          yearNormal && year.avgTemp !== null
+            ? year.avgTemp - yearNormal.temp
+            : null,
+        rainAnomaly:
+          yearNormal && year.totalRainfall !== null
+            ? year.totalRainfall - yearNormal.rainfall
+            : null,
       };
     });
 
     return {
       yearly: yearlyAggregates,
-      anomalies: {
-        temperature: temperatureAnomalies,
-        rainfall: rainfallAnomalies,
-      },
       patterns,
     };
-  }, [yearlyData]);
+  }, [yearlyData, normals, events, t]);
 
   // Calculate seasonal trends
   const seasonalTrends = useMemo(() => {
     if (!yearlyData || yearlyData.length === 0) return [];
 
     const seasons = {
-      Winter: [11, 0, 1], // Dec, Jan, Feb
-      Spring: [2, 3, 4], // Mar, Apr, May
-      Summer: [5, 6, 7], // Jun, Jul, Aug
-      Fall: [8, 9, 10], // Sep, Oct, Nov
+      winter: [11, 0, 1], // Dec, Jan, Feb
+      spring: [2, 3, 4], // Mar, Apr, May
+      summer: [5, 6, 7], // Jun, Jul, Aug
+      fall: [8, 9, 10], // Sep, Oct, Nov
     };
 
     const years = [...new Set(yearlyData.map((d) => d.year))].sort();
@@ -102,189 +226,1323 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
     });
   }, [yearlyData]);
 
-  // Get climate pattern distribution
-  const climatePatternStats = useMemo(() => {
-    if (!trendData.patterns) return [];
-
-    const patternCounts = {};
-    trendData.patterns.forEach((p) => {
-      const pattern = p.climatePattern;
-      if (!patternCounts[pattern]) {
-        patternCounts[pattern] = { count: 0, years: [] };
-      }
-      patternCounts[pattern].count++;
-      patternCounts[pattern].years.push(p.year);
+  // Years of the selected period; null for the all-years climatology
+  const shownYears = useMemo(
+    () => (data.some((d) => d.date) ? new Set(data.map((d) => d.year)) : null),
+    [data]
+  );
+
+  // Events of the selected period, and detected spells the catalogue
+  // doesn't already cover
+  const shownEvents = useMemo(
+    () =>
+      shownYears
+        ? events.filter((event) =>
+            [...shownYears].some(
+              (year) => getEventsForYear([event], year).length > 0
+            )
+          )
+        : events,
+    [events, shownYears]
+  );
+  const eventCandidates = useMemo(
+    () =>
+      detectEventCandidates(dailyData).filter(
+        (candidate) =>
+          (!shownYears ||
+            shownYears.has(Number(candidate.start.slice(0, 4)))) &&
+          !events.some(
+            (event) =>
+              event.type === candidate.type && eventsOverlap(event, candidate)
+          )
+      ),
+    [dailyData, events, shownYears]
+  );
+
+  // Dashed markers at the start month of each event, for charts with a
+  // "YYYY-MM" date axis
+  const renderEventMarkers = (records) => {
+    const dates = new Set(records.map((d) => d.date));
+    return shownEvents
+      .filter((event) => dates.has(event.start.slice(0, 7)))
+      .map((event) => (
+        <ReferenceLine
+          key={event.id}
+          x={event.start.slice(0, 7)}
+          stroke={EVENT_COLORS[event.type]}
+          strokeDasharray="3 3"
+          label={{
+            value: describeEvent(event, t).name,
+            position: "insideTopLeft",
+            fontSize: 10,
+            fill: EVENT_COLORS[event.type],
+          }}
+        />
+      ));
+  };
+
+  // Months unusual for their time of year, scored against every year of
+  // record and listed for the selected period, strongest first
+  const monthlyAnomalies = useMemo(() => {
+    const records = yearlyData || [];
+    const shown = data.some((d) => d.date)
+      ? new Set(data.map((d) => d.date))
+      : null;
+    // Percentile ranks are strongest furthest from the median
+    const strength = ({ score }) =>
+      anomalyMethod === ANOMALY_METHODS.PERCENTILE
+        ? Math.abs(score - 50)
+        : Math.abs(score);
+
+    return ANOMALY_METRICS.flatMap((metric) =>
+      detectAnomalies(records, metric, {
+        method: anomalyMethod,
+        threshold: anomalyThreshold,
+      })
+    )
+      .filter((anomaly) => !shown || shown.has(anomaly.record.date))
+      .sort((a, b) => strength(b) - strength(a));
+  }, [yearlyData, data, anomalyMethod, anomalyThreshold]);
+
+  // Why a month was flagged, e.g. "z = +2.4" or "97th percentile"
+  const describeScore = ({ score, method }) =>
+    method === ANOMALY_METHODS.PERCENTILE
+      ? t("trends.anomalyList.percentileRank", {
+          value: formatNumber(score, 0),
+        })
+      : t(`trends.anomalyList.score.${method}`, {
+          value: `${score > 0 ? "+" : ""}${formatNumber(score, 1)}`,
+        });
+
+  // Trend tests; annual series use complete years only, so a partial year
+  // doesn't drag down its rainfall total
+  const trendStats = useMemo(() => {
+    const monthsPerYear = {};
+    (yearlyData || []).forEach((d) => {
+      monthsPerYear[d.year] = (monthsPerYear[d.year] || 0) + 1;
     });
+    const completeYears = trendData.yearly.filter(
+      (year) => monthsPerYear[year.year] === 12
+    );
+    const years = completeYears.map((year) => year.year);
 
-    return Object.entries(patternCounts).map(([pattern, data]) => ({
-      pattern,
-      ...data,
+    const analyze = (annualField, monthlyField) => {
+      const values = completeYears.map((year) => year[annualField]);
+      return {
+        regression: linearRegression(years, values),
+        mannKendall: mannKendall(years, values),
+        seasonal: seasonalMannKendall(yearlyData || [], monthlyField),
+      };
+    };
+
+    return {
+      yearCount: years.length,
+      temperature: analyze("avgTemp", "temp"),
+      rainfall: analyze("totalRainfall", "rainfall"),
+    };
+  }, [trendData.yearly, yearlyData]);
+
+  // Annual series with their fitted least-squares lines
+  const annualChartData = useMemo(() => {
+    const fitted = (regression, year) =>
+      regression ? regression.intercept + regression.slope * year : null;
+    return trendData.yearly.map((year) => ({
+      ...year,
+      tempTrend: fitted(trendStats.temperature.regression, year.year),
+      rainfallTrend: fitted(trendStats.rainfall.regression, year.year),
     }));
-  }, [trendData.patterns]);
+  }, [trendData.yearly, trendStats]);
+
+  // Forecast of the next months from the whole record, with the recent
+  // history it continues and every method's backtest score
+  const forecast = useMemo(() => {
+    const records = (yearlyData || [])
+      .filter((d) => d.date && typeof d[forecastMetric] === "number")
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const result = forecastSeries(records, forecastMetric, {
+      method: forecastMethod,
+      nonNegative: FORECAST_METRICS[forecastMetric] === "precipitation",
+    });
+    if (!result) return null;
+
+    // The last observed month also starts the forecast line and bands, so
+    // history and forecast join up
+    const history = records.slice(-FORECAST_HISTORY_MONTHS);
+    const lastObserved = history[history.length - 1];
+    const join = lastObserved[forecastMetric];
+    const chartData = [
+      ...history.map((d) => ({ date: d.date, observed: d[forecastMetric] })),
+      ...result.forecast.map((month) => ({
+        date: month.date,
+        forecast: month.value,
+        band80: month.intervals[80],
+        band95: month.intervals[95],
+      })),
+    ];
+    Object.assign(chartData[history.length - 1], {
+      forecast: join,
+      band80: [join, join],
+      band95: [join, join],
+    });
+
+    const scores = compareForecastMethods(records, forecastMetric);
+    const best = scores.reduce(
+      (lowest, score) => (!lowest || score.rmse < lowest.rmse ? score : lowest),
+      null
+    );
+    return {
+      ...result,
+      chartData,
+      lastObserved: lastObserved.date,
+      scores,
+      bestMethod: best?.method,
+    };
+  }, [yearlyData, forecastMetric, forecastMethod]);
+
+  const renderForecastTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload.length) return null;
+    const month = payload[0].payload;
+    const quantity = FORECAST_METRICS[forecastMetric];
+    const range = (band) =>
+      t("trends.forecast.range", {
+        low: format(band[0], quantity),
+        high: format(band[1], quantity),
+      });
+    return (
+      <div className="bg-white p-3 border border-gray-300 rounded shadow-lg">
+        <p className="font-semibold">{formatDepartureMonth(month.date)}</p>
+        {month.observed !== undefined ? (
+          <p className="text-sm">
+            {t("trends.forecast.tooltipObserved", {
+              value: format(month.observed, quantity),
+            })}
+          </p>
+        ) : (
+          <>
+            <p className="text-sm">
+              {t("trends.forecast.tooltipForecast", {
+                value: format(month.forecast, quantity),
+              })}
+            </p>
+            <p className="text-xs text-gray-600">
+              {t("trends.forecast.interval", {
+                level: 80,
+                range: range(month.band80),
+              })}
+            </p>
+            <p className="text-xs text-gray-600">
+              {t("trends.forecast.interval", {
+                level: 95,
+                range: range(month.band95),
+              })}
+            </p>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Per-decade rate with its sign, e.g. "+0.24°C/decade"
+  const formatRate = (slopePerYear, quantity) =>
+    t("trends.statistics.perDecade", {
+      value: `${slopePerYear > 0 ? "+" : ""}${format(
+        slopePerYear * 10,
+        quantity,
+        quantity === "precipitation" ? undefined : 2
+      )}`,
+    });
+
+  const formatPValue = (pValue) =>
+    pValue < 0.001
+      ? t("trends.statistics.pBelow", { value: formatNumber(0.001, 3) })
+      : t("trends.statistics.p", { value: formatNumber(pValue, 3) });
+
+  // Sentence for the insights panel: rate, interval and significance
+  const describeTrend = (stats, quantity) => {
+    const { regression, mannKendall: mk } = stats;
+    if (!regression) {
+      return t("trends.statistics.notEnoughYears", {
+        count: trendStats.yearCount,
+      });
+    }
+    return t("trends.statistics.summary", {
+      rate: formatRate(regression.slope, quantity),
+      low: formatRate(regression.confidenceInterval[0], quantity),
+      high: formatRate(regression.confidenceInterval[1], quantity),
+      p: formatPValue(regression.pValue),
+      significance: t(
+        mk && mk.pValue < SIGNIFICANCE_LEVEL
+          ? "trends.statistics.significant"
+          : "trends.statistics.notSignificant",
+        { p: formatPValue(mk ? mk.pValue : 1) }
+      ),
+    });
+  };
+
+  // Monthly departures from the chosen normals; the all-years view gets a
+  // climatology without dates, so it uses every month of the record instead
+  const departures = useMemo(() => {
+    if (!normals) return [];
+    const records = data.some((d) => d.date) ? data : yearlyData || [];
+    return calculateDepartures(records, normals.monthly);
+  }, [normals, data, yearlyData]);
+  const annualNormal = normals ? summarizeNormals(normals.monthly) : null;
+
+  // Months of the period with their ENSO phase and departure from normal,
+  // and the phase averages of the chosen season
+  const ensoMonths = useMemo(() => {
+    const records = data.some((d) => d.date) ? data : yearlyData || [];
+    const byDate = new Map(departures.map((d) => [d.date, d]));
+    return records.map((record) => ({
+      date: record.date,
+      monthIndex: record.monthIndex,
+      ensoPhase: record.ensoPhase,
+      oni: record.oni,
+      tempDeparture: byDate.get(record.date)?.tempDeparture ?? null,
+      precipitationPercent:
+        byDate.get(record.date)?.precipitationPercent ?? null,
+    }));
+  }, [data, yearlyData, departures]);
+  const ensoSplit = useMemo(
+    () =>
+      splitByEnsoPhase(
+        ensoMonths.filter(
+          (month) =>
+            !ENSO_SEASONS[ensoSeason] ||
+            ENSO_SEASONS[ensoSeason].includes(month.monthIndex)
+        ),
+        ["tempDeparture", "precipitationPercent"]
+      ),
+    [ensoMonths, ensoSeason]
+  );
+  const labelledMonths = ensoMonths.filter((month) => month.ensoPhase);
+  const unlabelledMonths = ensoMonths.length - labelledMonths.length;
+
+  // Read a local ONI table; App keeps it and relabels the data
+  const handleOniFile = async (file) => {
+    if (!file || !onLoadOniFile) return;
+    setOniError(null);
+    try {
+      await onLoadOniFile(file);
+    } catch (error) {
+      setOniError(error.message);
+    }
+  };
+
+  // "2024-03" -> "Mar 2024" in the display language
+  const formatDepartureMonth = (date) => {
+    const [year, month] = date.split("-");
+    return `${monthName(MONTHS[parseInt(month) - 1])} ${year}`;
+  };
+
+  const renderDepartureTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload.length) return null;
+    const departure = payload[0].payload;
+    return (
+      <div className="bg-white p-3 border border-gray-300 rounded shadow-lg">
+        <p className="font-semibold">{formatDepartureMonth(departure.date)}</p>
+        {departure.tempDeparture !== null && (
+          <p className="text-sm">
+            {t("trends.departures.tooltipTemperature", {
+              value: `${departure.tempDeparture > 0 ? "+" : ""}${format(
+                departure.tempDeparture,
+                "temperatureDelta"
+              )}`,
+            })}
+          </p>
+        )}
+        {departure.precipitationDeparture !== null && (
+          <p className="text-sm">
+            {t("trends.departures.tooltipPrecipitation", {
+              value: `${
+                departure.precipitationDeparture > 0 ? "+" : ""
+              }${format(departure.precipitationDeparture, "precipitation")}`,
+              percent: formatNumber(departure.precipitationPercent, 0),
+            })}
+          </p>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div className="space-y-8">
       {/* Page Header */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h2 className="text-2xl font-bold text-gray-800 mb-3">
-          Climate Trends Analysis
+          {t("trends.title")}
         </h2>
-        <p className="text-gray-600">
-          Long-term climate patterns, year-over-year comparisons, and trend
-          analysis for Vancouver. Data shows the impact of climate oscillations
-          like El Niño and La Niña on local weather patterns.
-        </p>
+        <p className="text-gray-600">{t("trends.description")}</p>
       </div>
 
       {/* Annual Overview Comparison */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Annual Climate Summary (2020-2024)
+          {t("trends.annual.title")}
         </h3>
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Temperature Trends */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Annual Average Temperature
+              {t("trends.annual.temperature")}
             </h4>
-            <ResponsiveContainer width="100%" height={300}>
-              <ComposedChart data={trendData.yearly}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis
-                  label={{
-                    value: "Temperature (°C)",
-                    angle: -90,
-                    position: "insideLeft",
-                  }}
-                />
-                <Tooltip content={<CustomTooltip />} />
-                <Bar
-                  dataKey="avgTemp"
-                  fill={CHART_COLORS.temperature}
-                  opacity={0.8}
+            {comparisonCharts ? (
+              <ExportableChart
+                title={t("trends.annual.temperature")}
+                attribution={attribution}
+                xLabel={t("temperature.yearAxis")}
+              >
+                <ComparisonChart
+                  data={comparisonCharts.avgTemp}
+                  series={comparisonCharts.series}
+                  xKey="year"
+                  yLabel={t("charts.temperatureAxis", {
+                    unit: unit("temperature"),
+                  })}
+                  unit={unit("temperature")}
                 />
-                <Line
-                  type="monotone"
-                  dataKey="avgTemp"
-                  stroke={CHART_COLORS.temperatureMax}
-                  strokeWidth={3}
-                  dot={{
-                    fill: CHART_COLORS.temperatureMax,
-                    strokeWidth: 2,
-                    r: 4,
-                  }}
-                />
-              </ComposedChart>
-            </ResponsiveContainer>
+              </ExportableChart>
+            ) : (
+              <ExportableChart
+                title={t("trends.annual.temperature")}
+                attribution={attribution}
+                xLabel={t("temperature.yearAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={annualChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis
+                      label={{
+                        value: t("charts.temperatureAxis", {
+                          unit: unit("temperature"),
+                        }),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={<CustomTooltip />} />
+                    <Bar
+                      dataKey="avgTemp"
+                      fill={CHART_COLORS.temperature}
+                      opacity={0.8}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="avgTemp"
+                      stroke={CHART_COLORS.temperatureMax}
+                      strokeWidth={3}
+                      dot={{
+                        fill: CHART_COLORS.temperatureMax,
+                        strokeWidth: 2,
+                        r: 4,
+                      }}
+                    />
+                    <Line
+                      type="linear"
+                      dataKey="tempTrend"
+                      stroke="#374151"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={false}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            )}
           </div>
 
           {/* Rainfall Trends */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Annual Total Rainfall
+              {t("trends.annual.rainfall")}
             </h4>
-            <ResponsiveContainer width="100%" height={300}>
-              <ComposedChart data={trendData.yearly}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis
-                  label={{
-                    value: "Rainfall (mm)",
-                    angle: -90,
-                    position: "insideLeft",
-                  }}
+            {comparisonCharts ? (
+              <ExportableChart
+                title={t("trends.annual.rainfall")}
+                attribution={attribution}
+                xLabel={t("temperature.yearAxis")}
+              >
+                <ComparisonChart
+                  data={comparisonCharts.totalRainfall}
+                  series={comparisonCharts.series}
+                  xKey="year"
+                  type="bar"
+                  yLabel={t("report.rainfallAxis", {
+                    unit: unit("precipitation"),
+                  })}
+                  unit={unit("precipitation")}
                 />
-                <Tooltip content={<CustomTooltip />} />
-                <Bar
-                  dataKey="totalRainfall"
-                  fill={CHART_COLORS.rainfall}
-                  opacity={0.8}
-                />
-                <Line
-                  type="monotone"
-                  dataKey="totalRainfall"
-                  stroke={CHART_COLORS.temperatureMin}
-                  strokeWidth={3}
-                  dot={{
-                    fill: CHART_COLORS.temperatureMin,
-                    strokeWidth: 2,
-                    r: 4,
+              </ExportableChart>
+            ) : (
+              <ExportableChart
+                title={t("trends.annual.rainfall")}
+                attribution={attribution}
+                xLabel={t("temperature.yearAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={annualChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis
+                      label={{
+                        value: t("report.rainfallAxis", {
+                          unit: unit("precipitation"),
+                        }),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={<CustomTooltip />} />
+                    <Bar
+                      dataKey="totalRainfall"
+                      fill={CHART_COLORS.rainfall}
+                      opacity={0.8}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="totalRainfall"
+                      stroke={CHART_COLORS.temperatureMin}
+                      strokeWidth={3}
+                      dot={{
+                        fill: CHART_COLORS.temperatureMin,
+                        strokeWidth: 2,
+                        r: 4,
+                      }}
+                    />
+                    <Line
+                      type="linear"
+                      dataKey="rainfallTrend"
+                      stroke="#374151"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={false}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Trend Analysis */}
+      <div className="bg-white rounded-lg p-6 shadow-md">
+        <h3 className="text-xl font-bold mb-2 text-gray-800">
+          {t("trends.statistics.title")}
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {t("trends.statistics.description", {
+            count: trendStats.yearCount,
+            level: formatNumber(SIGNIFICANCE_LEVEL, 2),
+          })}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-600">
+                <th className="py-2 pr-4 font-medium">
+                  {t("trends.statistics.series")}
+                </th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("trends.statistics.olsSlope")}
+                </th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("trends.statistics.confidenceInterval")}
+                </th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("trends.statistics.sensSlope")}
+                </th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("trends.statistics.mannKendall")}
+                </th>
+                <th className="py-2 font-medium">
+                  {t("trends.statistics.seasonalMannKendall")}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                ["temperature", "temperatureDelta"],
+                ["rainfall", "precipitation"],
+              ].map(([series, quantity]) => {
+                const {
+                  regression,
+                  mannKendall: mk,
+                  seasonal,
+                } = trendStats[series];
+                const significant = mk && mk.pValue < SIGNIFICANCE_LEVEL;
+                return (
+                  <tr key={series} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-800">
+                      {t(`trends.statistics.${series}`)}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {regression
+                        ? `${formatRate(
+                            regression.slope,
+                            quantity
+                          )} (${formatPValue(regression.pValue)})`
+                        : t("common.notAvailable")}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {regression
+                        ? t("trends.statistics.interval", {
+                            low: formatRate(
+                              regression.confidenceInterval[0],
+                              quantity
+                            ),
+                            high: formatRate(
+                              regression.confidenceInterval[1],
+                              quantity
+                            ),
+                          })
+                        : t("common.notAvailable")}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {mk && mk.sensSlope !== null
+                        ? formatRate(mk.sensSlope, quantity)
+                        : t("common.notAvailable")}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {mk ? (
+                        <span
+                          className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                            significant
+                              ? "bg-green-100 text-green-800"
+                              : "bg-gray-100 text-gray-700"
+                          }`}
+                        >
+                          {formatPValue(mk.pValue)}
+                        </span>
+                      ) : (
+                        t("common.notAvailable")
+                      )}
+                    </td>
+                    <td className="py-2">
+                      {seasonal
+                        ? `${formatPValue(seasonal.pValue)} · ${t(
+                            `trends.statistics.direction.${seasonal.trend}`
+                          )}`
+                        : t("common.notAvailable")}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Forecast */}
+      <div className="bg-white rounded-lg p-6 shadow-md">
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">
+              {t("trends.forecast.title")}
+            </h3>
+            <p className="text-sm text-gray-600">
+              {t("trends.forecast.description", {
+                count: FORECAST_HORIZON,
+              })}
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <label className="text-sm font-medium text-gray-700">
+              {t("trends.forecast.metric")}
+              <select
+                value={forecastMetric}
+                onChange={(e) =>
+                  onOptionChange?.("forecastMetric", e.target.value)
+                }
+                className="block mt-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.keys(FORECAST_METRICS).map((metric) => (
+                  <option key={metric} value={metric}>
+                    {t(`fields.${metric}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm font-medium text-gray-700">
+              {t("trends.forecast.method")}
+              <select
+                value={forecastMethod}
+                onChange={(e) =>
+                  onOptionChange?.("forecastMethod", e.target.value)
+                }
+                className="block mt-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.values(FORECAST_METHODS).map((method) => (
+                  <option key={method} value={method}>
+                    {t(`trends.forecast.methods.${method}.name`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {forecast ? (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <ExportableChart
+                title={t("trends.forecast.chartTitle", {
+                  field: t(`fields.${forecastMetric}`),
+                  method: t(`trends.forecast.methods.${forecastMethod}.name`),
+                })}
+                attribution={attribution}
+                xLabel={t("trends.departures.monthAxis")}
+              >
+                <ResponsiveContainer width="100%" height={320}>
+                  <ComposedChart data={forecast.chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={formatDepartureMonth}
+                    />
+                    <YAxis
+                      label={{
+                        value:
+                          forecastMetric === "temp"
+                            ? t("charts.temperatureAxis", {
+                                unit: unit("temperature"),
+                              })
+                            : t("report.rainfallAxis", {
+                                unit: unit("precipitation"),
+                              }),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={renderForecastTooltip} />
+                    <Legend />
+                    <Area
+                      dataKey="band95"
+                      stroke="none"
+                      fill={CHART_COLORS[FORECAST_COLORS[forecastMetric]]}
+                      fillOpacity={0.15}
+                      name={t("trends.forecast.band", { level: 95 })}
+                    />
+                    <Area
+                      dataKey="band80"
+                      stroke="none"
+                      fill={CHART_COLORS[FORECAST_COLORS[forecastMetric]]}
+                      fillOpacity={0.3}
+                      name={t("trends.forecast.band", { level: 80 })}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="observed"
+                      stroke={CHART_COLORS[FORECAST_COLORS[forecastMetric]]}
+                      strokeWidth={2}
+                      dot={false}
+                      name={t("trends.forecast.observed")}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="forecast"
+                      stroke="#374151"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={{ r: 3 }}
+                      name={t("trends.forecast.forecast")}
+                    />
+                    <ReferenceLine
+                      x={forecast.lastObserved}
+                      stroke="#9CA3AF"
+                      strokeDasharray="3 3"
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Backtest scores */}
+            <div>
+              <h4 className="font-semibold text-gray-700 mb-1">
+                {t("trends.forecast.backtestTitle")}
+              </h4>
+              <p className="text-xs text-gray-600 mb-3">
+                {t("trends.forecast.backtestDescription", {
+                  count: FORECAST_HORIZON,
+                })}
+              </p>
+              {forecast.scores.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b border-gray-200">
+                      <th className="py-2 pr-3 font-medium">
+                        {t("trends.forecast.method")}
+                      </th>
+                      <th className="py-2 pr-3 font-medium text-right">
+                        {t("trends.forecast.mae")}
+                      </th>
+                      <th className="py-2 font-medium text-right">
+                        {t("trends.forecast.rmse")}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {forecast.scores.map((score) => (
+                      <tr
+                        key={score.method}
+                        onClick={() =>
+                          onOptionChange?.("forecastMethod", score.method)
+                        }
+                        className={`border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${
+                          score.method === forecastMethod ? "font-semibold" : ""
+                        }`}
+                      >
+                        <td className="py-2 pr-3">
+                          {t(`trends.forecast.methods.${score.method}.name`)}
+                          {score.method === forecast.bestMethod && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
+                              {t("trends.forecast.best")}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-3 text-right">
+                          {format(
+                            score.mae,
+                            forecastMetric === "temp"
+                              ? "temperatureDelta"
+                              : "precipitation"
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          {format(
+                            score.rmse,
+                            forecastMetric === "temp"
+                              ? "temperatureDelta"
+                              : "precipitation"
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  {t("trends.forecast.noBacktest")}
+                </p>
+              )}
+              <p className="text-xs text-gray-600 mt-3">
+                {t(`trends.forecast.methods.${forecastMethod}.description`)}
+              </p>
+              {forecast.filledMonths > 0 && (
+                <p className="text-xs text-amber-800 bg-amber-50 rounded p-2 mt-3">
+                  {t("trends.forecast.filled", {
+                    count: forecast.filledMonths,
+                  })}
+                </p>
+              )}
+              <p className="text-xs text-gray-500 mt-3">
+                {t("trends.forecast.caveat")}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">
+            {t("trends.forecast.unavailable")}
+          </p>
+        )}
+      </div>
+
+      {/* Departure from Normal */}
+      <div className="bg-white rounded-lg p-6 shadow-md">
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">
+              {t("trends.departures.title")}
+            </h3>
+            <p className="text-sm text-gray-600">
+              {normals
+                ? t("trends.departures.description", {
+                    period: normals.period,
+                    station: normals.name,
+                  })
+                : t("trends.departures.unavailable")}
+            </p>
+          </div>
+          {onNormalsPeriodChange && (
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              {t("trends.departures.period")}
+              <select
+                value={normalsPeriod}
+                onChange={(e) => onNormalsPeriodChange(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              >
+                {NORMALS_PERIODS.map((period) => (
+                  <option key={period} value={period}>
+                    {period}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+        {normals?.isReference && (
+          <p className="text-xs text-amber-800 bg-amber-50 rounded p-2 mb-4">
+            {t("trends.departures.reference", { station: normals.name })}
+          </p>
+        )}
+        {departures.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Temperature Departures */}
+            <div>
+              <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                {t("trends.departures.temperature")}
+              </h4>
+              <ExportableChart
+                title={t("trends.departures.temperature")}
+                attribution={attribution}
+                xLabel={t("trends.departures.monthAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={departures}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={formatDepartureMonth}
+                    />
+                    <YAxis
+                      label={{
+                        value: t("trends.anomalies.axis", {
+                          unit: unit("temperatureDelta"),
+                        }),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={renderDepartureTooltip} />
+                    <ReferenceLine y={0} stroke="#6B7280" />
+                    {renderEventMarkers(departures)}
+                    <Bar
+                      dataKey="tempDeparture"
+                      name={t("trends.departures.temperatureSeries")}
+                    >
+                      {departures.map((departure) => (
+                        <Cell
+                          key={departure.date}
+                          fill={
+                            departure.tempDeparture > 0 ? "#EF4444" : "#3B82F6"
+                          }
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Precipitation Departures */}
+            <div>
+              <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                {t("trends.departures.precipitation")}
+              </h4>
+              <ExportableChart
+                title={t("trends.departures.precipitation")}
+                attribution={attribution}
+                xLabel={t("trends.departures.monthAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={departures}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={formatDepartureMonth}
+                    />
+                    <YAxis
+                      label={{
+                        value: t("trends.departures.percentAxis"),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={renderDepartureTooltip} />
+                    <ReferenceLine y={100} stroke="#6B7280" />
+                    <Bar
+                      dataKey="precipitationPercent"
+                      name={t("trends.departures.precipitationSeries")}
+                    >
+                      {departures.map((departure) => (
+                        <Cell
+                          key={departure.date}
+                          fill={
+                            departure.precipitationPercent >= 100
+                              ? CHART_COLORS.rainfall
+                              : "#F59E0B"
+                          }
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* ENSO Phases */}
+      <div className="bg-white rounded-lg p-6 shadow-md">
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">
+              {t("trends.enso.title")}
+            </h3>
+            <p className="text-sm text-gray-600">
+              {t("trends.enso.description", {
+                threshold: formatNumber(ONI_THRESHOLD, 1),
+              })}
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            {t("trends.enso.season")}
+            <select
+              value={ensoSeason}
+              onChange={(e) => onOptionChange?.("ensoSeason", e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.keys(ENSO_SEASONS).map((season) => (
+                <option key={season} value={season}>
+                  {t(`trends.enso.seasons.${season}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {/* ONI table in use */}
+        {ensoIndex && (
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 mb-4">
+            <span>
+              {t(
+                oniFileName ? "trends.enso.sourceFile" : "trends.enso.source",
+                {
+                  name: oniFileName,
+                  first: formatDepartureMonth(ensoIndex.first),
+                  last: formatDepartureMonth(ensoIndex.last),
+                }
+              )}
+            </span>
+            {onLoadOniFile && (
+              <label className="px-2 py-1 bg-gray-100 text-gray-700 rounded cursor-pointer hover:bg-gray-200 transition-colors">
+                {t("trends.enso.load")}
+                <input
+                  type="file"
+                  accept=".txt,.csv,.ascii,text/plain"
+                  className="hidden"
+                  onChange={(e) => {
+                    handleOniFile(e.target.files?.[0]);
+                    e.target.value = "";
                   }}
                 />
-              </ComposedChart>
-            </ResponsiveContainer>
+              </label>
+            )}
+            {oniFileName && onResetOniTable && (
+              <button
+                onClick={onResetOniTable}
+                className="px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+              >
+                {t("trends.enso.reset")}
+              </button>
+            )}
           </div>
-        </div>
+        )}
+        {oniError && (
+          <p className="text-xs text-red-700 bg-red-50 rounded p-2 mb-4">
+            {t("trends.enso.loadError", { message: oniError })}
+          </p>
+        )}
+        {unlabelledMonths > 0 && (
+          <p className="text-xs text-amber-800 bg-amber-50 rounded p-2 mb-4">
+            {t("trends.enso.uncovered", { count: unlabelledMonths })}
+          </p>
+        )}
+
+        {labelledMonths.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Monthly ONI */}
+            <div>
+              <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                {t("trends.enso.oniTitle")}
+              </h4>
+              <ExportableChart
+                title={t("trends.enso.oniTitle")}
+                attribution={attribution}
+                xLabel={t("trends.departures.monthAxis")}
+              >
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={labelledMonths}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={formatDepartureMonth}
+                    />
+                    <YAxis
+                      label={{
+                        value: t("trends.enso.oniAxis"),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip
+                      labelFormatter={formatDepartureMonth}
+                      formatter={(value, name, entry) => [
+                        `${value > 0 ? "+" : ""}${formatNumber(value, 1)}`,
+                        t(`enso.phases.${entry.payload.ensoPhase}`),
+                      ]}
+                    />
+                    {[ONI_THRESHOLD, -ONI_THRESHOLD].map((y) => (
+                      <ReferenceLine
+                        key={y}
+                        y={y}
+                        stroke="#6B7280"
+                        strokeDasharray="3 3"
+                      />
+                    ))}
+                    <Bar dataKey="oni">
+                      {labelledMonths.map((month) => (
+                        <Cell
+                          key={month.date}
+                          fill={ENSO_COLORS[month.ensoPhase]}
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Split by phase */}
+            <div>
+              <h4 className="text-lg font-semibold mb-3 text-gray-700">
+                {t("trends.enso.splitTitle")}
+              </h4>
+              {normals ? (
+                <>
+                  <ExportableChart
+                    title={t("trends.enso.splitTitle")}
+                    attribution={attribution}
+                    xLabel={t("correlations.enso.phaseAxis")}
+                  >
+                    <ResponsiveContainer width="100%" height={220}>
+                      <BarChart
+                        data={ensoSplit.map((group) => ({
+                          ...group,
+                          name: t(`enso.phases.${group.phase}`),
+                        }))}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis
+                          label={{
+                            value: t("trends.anomalies.axis", {
+                              unit: unit("temperatureDelta"),
+                            }),
+                            angle: -90,
+                            position: "insideLeft",
+                          }}
+                        />
+                        <Tooltip
+                          formatter={(value) => [
+                            `${value > 0 ? "+" : ""}${format(
+                              value,
+                              "temperatureDelta"
+                            )}`,
+                            t("trends.enso.columns.temperature"),
+                          ]}
+                        />
+                        <ReferenceLine y={0} stroke="#6B7280" />
+                        <Bar dataKey="tempDeparture">
+                          {ensoSplit.map((group) => (
+                            <Cell
+                              key={group.phase}
+                              fill={ENSO_COLORS[group.phase]}
+                            />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </ExportableChart>
+                  <table className="w-full text-sm mt-3">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b border-gray-200">
+                        <th className="py-2 pr-3 font-medium">
+                          {t("trends.enso.columns.phase")}
+                        </th>
+                        <th className="py-2 pr-3 font-medium text-right">
+                          {t("trends.enso.columns.months")}
+                        </th>
+                        <th className="py-2 pr-3 font-medium text-right">
+                          {t("trends.enso.columns.temperature")}
+                        </th>
+                        <th className="py-2 font-medium text-right">
+                          {t("trends.enso.columns.rainfall")}
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ensoSplit.map((group) => (
+                        <tr
+                          key={group.phase}
+                          className="border-b border-gray-100"
+                        >
+                          <td className="py-2 pr-3">
+                            <span className="flex items-center gap-2">
+                              <span
+                                className="w-3 h-3 rounded-full"
+                                style={{
+                                  backgroundColor: ENSO_COLORS[group.phase],
+                                }}
+                              ></span>
+                              {t(`enso.phases.${group.phase}`)}
+                            </span>
+                          </td>
+                          <td className="py-2 pr-3 text-right">
+                            {group.count}
+                          </td>
+                          <td className="py-2 pr-3 text-right">
+                            {group.tempDeparture === null
+                              ? "—"
+                              : `${group.tempDeparture > 0 ? "+" : ""}${format(
+                                  group.tempDeparture,
+                                  "temperatureDelta"
+                                )}`}
+                          </td>
+                          <td className="py-2 text-right">
+                            {group.precipitationPercent === null
+                              ? "—"
+                              : t("common.percent", {
+                                  value: formatNumber(
+                                    group.precipitationPercent,
+                                    0
+                                  ),
+                                })}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {t(
+                      normals.isReference
+                        ? "trends.enso.splitNoteReference"
+                        : "trends.enso.splitNote",
+                      { period: normals.period, station: normals.name }
+                    )}
+                  </p>
+                </>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  {t("trends.departures.unavailable")}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Climate Anomalies */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Climate Anomalies & Patterns
+          {t("trends.anomalies.title")}
         </h3>
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Temperature Anomalies */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Temperature Anomalies
+              {t("trends.anomalies.temperature")}
             </h4>
             <div className="mb-4">
               <p className="text-sm text-gray-600">
-                Deviation from 1981-2010 climate normal (11.1°C)
+                {annualNormal
+                  ? t(
+                      normals.isReference
+                        ? "trends.anomalies.referenceNormal"
+                        : "trends.anomalies.normal",
+                      {
+                        period: normals.period,
+                        station: normals.name,
+                        normal: format(annualNormal.temp, "temperature"),
+                      }
+                    )
+                  : t("trends.departures.unavailable")}
               </p>
             </div>
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={trendData.patterns}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis
-                  label={{
-                    value: "Anomaly (°C)",
-                    angle: -90,
-                    position: "insideLeft",
-                  }}
-                />
-                <Tooltip
-                  content={({ active, payload, label }) => {
-                    if (active && payload && payload.length) {
-                      const data = payload[0].payload;
-                      return (
-                        <div className="bg-white p-3 border border-gray-300 rounded shadow-lg">
-                          <p className="font-semibold">{label}</p>
-                          <p style={{ color: payload[0].color }}>
-                            Anomaly: {payload[0].value > 0 ? "+" : ""}
-                            {payload[0].value.toFixed(1)}°C
-                          </p>
-                          <p className="text-sm text-gray-600">
-                            Pattern: {data.climatePattern}
-                          </p>
-                          {data.extremeEvents.length > 0 && (
-                            <p className="text-sm text-orange-600">
-                              Events: {data.extremeEvents.join(", ")}
+            <ExportableChart
+              title={t("trends.anomalies.temperature")}
+              attribution={attribution}
+              xLabel={t("temperature.yearAxis")}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={trendData.patterns}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis
+                    label={{
+                      value: t("trends.anomalies.axis", {
+                        unit: unit("temperatureDelta"),
+                      }),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                  />
+                  <Tooltip
+                    content={({ active, payload, label }) => {
+                      if (active && payload && payload.length) {
+                        const data = payload[0].payload;
+                        return (
+                          <div className="bg-white p-3 border border-gray-300 rounded shadow-lg">
+                            <p className="font-semibold">{label}</p>
+                            <p style={{ color: payload[0].color }}>
+                              {t("trends.anomalies.tooltipAnomaly", {
+                                value: `${
+                                  payload[0].value > 0 ? "+" : ""
+                                }${format(
+                                  payload[0].value,
+                                  "temperatureDelta"
+                                )}`,
+                              })}
                             </p>
-                          )}
-                        </div>
-                      );
+                            {data.enso && (
+                              <p className="text-sm text-gray-600">
+                                {t("trends.anomalies.tooltipPattern", {
+                                  pattern: describeEnsoPhase(data.enso, t),
+                                })}
+                              </p>
+                            )}
+                            {data.extremeEvents.length > 0 && (
+                              <p className="text-sm text-orange-600">
+                                {t("trends.anomalies.tooltipEvents", {
+                                  events: data.extremeEvents.join(", "),
+                                })}
+                              </p>
+                            )}
+                          </div>
+                        );
+                      }
+                      return null;
+                    }}
+                  />
+                  <Bar
+                    dataKey="tempAnomaly"
+                    fill={(entry) =>
+                      entry.tempAnomaly > 0 ? "#EF4444" : "#3B82F6"
                     }
-                    return null;
-                  }}
-                />
-                <Bar
-                  dataKey="tempAnomaly"
-                  fill={(entry) =>
-                    entry.tempAnomaly > 0 ? "#EF4444" : "#3B82F6"
-                  }
-                  name="Temperature Anomaly"
-                />
-              </BarChart>
-            </ResponsiveContainer>
+                    name={t("trends.anomalies.series")}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </ExportableChart>
           </div>
 
           {/* Climate Pattern Timeline */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Climate Patterns
+              {t("trends.anomalies.patterns")}
             </h4>
             <div className="space-y-3">
               {trendData.patterns.map((pattern, index) => (
@@ -294,33 +1552,40 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
                 >
                   <div className="flex items-center space-x-3">
                     <div
-                      className={`w-4 h-4 rounded-full ${
-                        pattern.climatePattern.includes("La Niña")
-                          ? "bg-blue-500"
-                          : pattern.climatePattern.includes("El Niño")
-                          ? "bg-red-500"
-                          : pattern.climatePattern.includes("Heat Dome")
-                          ? "bg-orange-500"
-                          : "bg-gray-400"
-                      }`}
+                      className="w-4 h-4 rounded-full bg-gray-400"
+                      style={
+                        pattern.enso && {
+                          backgroundColor: ENSO_COLORS[pattern.enso.phase],
+                        }
+                      }
                     ></div>
                     <div>
                       <p className="font-medium text-gray-800">
                         {pattern.year}
                       </p>
                       <p className="text-sm text-gray-600">
-                        {pattern.climatePattern}
+                        {pattern.enso
+                          ? describeEnsoPhase(pattern.enso, t)
+                          : t("enso.unknown")}
                       </p>
                     </div>
                   </div>
                   <div className="text-right">
                     <p className="text-sm font-medium">
-                      {pattern.tempAnomaly > 0 ? "+" : ""}
-                      {pattern.tempAnomaly.toFixed(1)}°C
+                      {pattern.tempAnomaly === null
+                        ? "—"
+                        : `${pattern.tempAnomaly > 0 ? "+" : ""}${format(
+                            pattern.tempAnomaly,
+                            "temperatureDelta"
+                          )}`}
                     </p>
                     <p className="text-xs text-gray-500">
-                      {pattern.rainAnomaly > 0 ? "+" : ""}
-                      {pattern.rainAnomaly}mm
+                      {pattern.rainAnomaly === null
+                        ? "—"
+                        : `${pattern.rainAnomaly > 0 ? "+" : ""}${formatRounded(
+                            pattern.rainAnomaly,
+                            "precipitation"
+                          )}`}
                     </p>
                   </div>
                 </div>
@@ -328,91 +1593,290 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
             </div>
           </div>
         </div>
+
+        {/* Unusual Months */}
+        <div className="mt-6">
+          <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3 mb-3">
+            <div>
+              <h4 className="text-lg font-semibold text-gray-700">
+                {t("trends.anomalyList.title")}
+              </h4>
+              <p className="text-sm text-gray-600">
+                {t(`trends.anomalyList.description.${anomalyMethod}`, {
+                  threshold: formatNumber(anomalyThreshold),
+                  upper: formatNumber(100 - anomalyThreshold),
+                })}
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <label className="text-sm font-medium text-gray-700">
+                {t("trends.anomalyList.method")}
+                <select
+                  value={anomalyMethod}
+                  onChange={(e) =>
+                    onOptionChange?.("anomalyMethod", e.target.value)
+                  }
+                  className="block mt-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.values(ANOMALY_METHODS).map((method) => (
+                    <option key={method} value={method}>
+                      {t(`trends.anomalyList.methods.${method}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                {t("trends.anomalyList.threshold")}
+                <select
+                  value={anomalyThreshold}
+                  onChange={(e) =>
+                    onOptionChange?.("anomalyThreshold", e.target.value)
+                  }
+                  className="block mt-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                >
+                  {[...ANOMALY_THRESHOLDS[anomalyMethod]]
+                    .sort((a, b) => a - b)
+                    .map((threshold) => (
+                      <option key={threshold} value={threshold}>
+                        {t(`trends.anomalyList.thresholds.${anomalyMethod}`, {
+                          value: formatNumber(threshold),
+                        })}
+                      </option>
+                    ))}
+                </select>
+              </label>
+            </div>
+          </div>
+          {monthlyAnomalies.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              {t("trends.anomalyList.none")}
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full text-sm">
+                <thead className="sticky top-0 bg-white">
+                  <tr className="border-b border-gray-200 text-left text-gray-600">
+                    <th className="py-2 pr-4 font-medium">
+                      {t("trends.anomalyList.month")}
+                    </th>
+                    <th className="py-2 pr-4 font-medium">
+                      {t("trends.anomalyList.variable")}
+                    </th>
+                    <th className="py-2 pr-4 font-medium">
+                      {t("trends.anomalyList.value")}
+                    </th>
+                    <th className="py-2 pr-4 font-medium">
+                      {t("trends.anomalyList.expected")}
+                    </th>
+                    <th className="py-2 pr-4 font-medium">
+                      {t("trends.anomalyList.deviation")}
+                    </th>
+                    <th className="py-2 font-medium">
+                      {t("trends.anomalyList.score.title")}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {monthlyAnomalies.map((anomaly) => {
+                    const quantity =
+                      anomaly.metric === "temp"
+                        ? "temperature"
+                        : "precipitation";
+                    const deltaQuantity =
+                      anomaly.metric === "temp"
+                        ? "temperatureDelta"
+                        : "precipitation";
+                    return (
+                      <tr
+                        key={`${anomaly.metric}-${anomaly.record.date}`}
+                        className={`border-b border-gray-100 ${
+                          onMonthSelect ? "cursor-pointer hover:bg-gray-50" : ""
+                        }`}
+                        onClick={
+                          onMonthSelect
+                            ? () => onMonthSelect(anomaly.record)
+                            : undefined
+                        }
+                      >
+                        <td className="py-2 pr-4 text-gray-800">
+                          {monthName(anomaly.record.month, "long")}{" "}
+                          {anomaly.record.year}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {t(`trends.anomalyList.metrics.${anomaly.metric}`)}
+                        </td>
+                        <td className="py-2 pr-4 font-medium">
+                          {format(anomaly.value, quantity)}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">
+                          {t("trends.anomalyList.expectedValue", {
+                            expected: format(anomaly.expected, quantity),
+                            low: format(anomaly.limits[0], quantity),
+                            high: format(anomaly.limits[1], quantity),
+                          })}
+                        </td>
+                        <td
+                          className={`py-2 pr-4 ${
+                            anomaly.direction === "high"
+                              ? "text-red-600"
+                              : "text-blue-600"
+                          }`}
+                        >
+                          {anomaly.deviation > 0 ? "+" : ""}
+                          {format(anomaly.deviation, deltaQuantity)}
+                        </td>
+                        <td className="py-2">{describeScore(anomaly)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Extreme Event Timeline */}
+      <div className="bg-white rounded-lg p-6 shadow-md">
+        <h3 className="text-xl font-bold mb-4 text-gray-800">
+          {t("events.title")}
+        </h3>
+        <EventTimeline
+          events={shownEvents}
+          candidates={eventCandidates}
+          onAdd={onAddEvent}
+          onUpdate={onUpdateEvent}
+          onRemove={onRemoveEvent}
+          onReset={onResetEvents}
+        />
       </div>
 
       {/* Seasonal Trends */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Seasonal Climate Trends
+          {t("trends.seasonal.title")}
         </h3>
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Seasonal Temperature Trends */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Seasonal Temperature Changes
+              {t("trends.seasonal.temperature")}
             </h4>
-            <ResponsiveContainer width="100%" height={350}>
-              <LineChart data={seasonalTrends}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis
-                  label={{
-                    value: "Temperature (°C)",
-                    angle: -90,
-                    position: "insideLeft",
-                  }}
-                />
-                <Tooltip content={<CustomTooltip />} />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="Winter.temp"
-                  stroke="#3B82F6"
-                  strokeWidth={2}
-                  name="Winter"
-                />
-                <Line
-                  type="monotone"
-                  dataKey="Spring.temp"
-                  stroke="#10B981"
-                  strokeWidth={2}
-                  name="Spring"
-                />
-                <Line
-                  type="monotone"
-                  dataKey="Summer.temp"
-                  stroke="#F59E0B"
-                  strokeWidth={2}
-                  name="Summer"
-                />
-                <Line
-                  type="monotone"
-                  dataKey="Fall.temp"
-                  stroke="#8B5CF6"
-                  strokeWidth={2}
-                  name="Fall"
-                />
-              </LineChart>
-            </ResponsiveContainer>
+            <ExportableChart
+              title={t("trends.seasonal.temperature")}
+              attribution={attribution}
+              xLabel={t("temperature.yearAxis")}
+            >
+              <ResponsiveContainer width="100%" height={350}>
+                <LineChart data={seasonalTrends}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis
+                    label={{
+                      value: t("charts.temperatureAxis", {
+                        unit: unit("temperature"),
+                      }),
+                      angle: -90,
+                      position: "insideLeft",
+                    }}
+                  />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Line
+                    type="monotone"
+                    dataKey="winter.temp"
+                    stroke="#3B82F6"
+                    strokeWidth={2}
+                    name={t("overview.seasons.winter")}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="spring.temp"
+                    stroke="#10B981"
+                    strokeWidth={2}
+                    name={t("overview.seasons.spring")}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="summer.temp"
+                    stroke="#F59E0B"
+                    strokeWidth={2}
+                    name={t("overview.seasons.summer")}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="fall.temp"
+                    stroke="#8B5CF6"
+                    strokeWidth={2}
+                    name={t("overview.seasons.fall")}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </ExportableChart>
           </div>
 
           {/* Monthly Progression Over Years */}
           <div>
             <h4 className="text-lg font-semibold mb-3 text-gray-700">
-              Long-term Temperature Progression
+              {t("trends.seasonal.progression")}
             </h4>
-            <ResponsiveContainer width="100%" height={350}>
-              <AreaChart data={yearlyData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="date" />
-                <YAxis
-                  label={{
-                    value: "Temperature (°C)",
-                    angle: -90,
-                    position: "insideLeft",
-                  }}
+            {comparisonCharts ? (
+              <ExportableChart
+                title={t("trends.seasonal.progression")}
+                attribution={attribution}
+              >
+                <ComparisonChart
+                  data={comparisonCharts.progression}
+                  series={comparisonCharts.series}
+                  xKey="date"
+                  yLabel={t("charts.temperatureAxis", {
+                    unit: unit("temperature"),
+                  })}
+                  unit={unit("temperature")}
+                  height={350}
+                  onPointClick={onMonthSelect}
                 />
-                <Tooltip content={<CustomTooltip />} />
-                <Area
-                  type="monotone"
-                  dataKey="temp"
-                  stroke={CHART_COLORS.temperature}
-                  fill={CHART_COLORS.temperature}
-                  fillOpacity={0.3}
-                  name="Temperature"
-                />
-              </AreaChart>
-            </ResponsiveContainer>
+              </ExportableChart>
+            ) : (
+              <ExportableChart
+                title={t("trends.seasonal.progression")}
+                attribution={attribution}
+              >
+                <ResponsiveContainer width="100%" height={350}>
+                  <AreaChart
+                    data={yearlyData}
+                    onClick={
+                      onMonthSelect &&
+                      ((state) =>
+                        onMonthSelect(getClickedRecord(state, yearlyData)))
+                    }
+                    className={onMonthSelect ? "cursor-pointer" : undefined}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis
+                      label={{
+                        value: t("charts.temperatureAxis", {
+                          unit: unit("temperature"),
+                        }),
+                        angle: -90,
+                        position: "insideLeft",
+                      }}
+                    />
+                    <Tooltip content={<CustomTooltip />} />
+                    {renderEventMarkers(yearlyData)}
+                    <Area
+                      type="monotone"
+                      dataKey="temp"
+                      stroke={CHART_COLORS.temperature}
+                      fill={CHART_COLORS.temperature}
+                      fillOpacity={0.3}
+                      name={t("drillDown.hourly.temp")}
+                    />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            )}
           </div>
         </div>
       </div>
@@ -420,39 +1884,32 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
       {/* Key Insights */}
       <div className="bg-white rounded-lg p-6 shadow-md">
         <h3 className="text-xl font-bold mb-4 text-gray-800">
-          Key Climate Insights
+          {t("trends.insights.title")}
         </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {/* Warming Trend */}
+          {/* Temperature Trend */}
           <div className="p-4 rounded-lg bg-red-50 border border-red-200">
             <div className="flex items-center mb-2">
               <div className="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
-              <h4 className="font-semibold text-red-800">Warming Trend</h4>
+              <h4 className="font-semibold text-red-800">
+                {t("trends.insights.temperatureTitle")}
+              </h4>
             </div>
             <p className="text-sm text-red-700">
-              Average temperature increased by{" "}
-              {trendData.patterns.length > 0
-                ? (
-                    trendData.patterns[trendData.patterns.length - 1]?.avgTemp -
-                    trendData.patterns[0]?.avgTemp
-                  ).toFixed(1)
-                : "0.8"}
-              °C from 2020 to 2024, with 2021 showing extreme heat dome effects.
+              {describeTrend(trendStats.temperature, "temperatureDelta")}
             </p>
           </div>
 
-          {/* Precipitation Variability */}
+          {/* Precipitation Trend */}
           <div className="p-4 rounded-lg bg-blue-50 border border-blue-200">
             <div className="flex items-center mb-2">
               <div className="w-3 h-3 rounded-full bg-blue-500 mr-2"></div>
               <h4 className="font-semibold text-blue-800">
-                Precipitation Patterns
+                {t("trends.insights.precipitationTitle")}
               </h4>
             </div>
             <p className="text-sm text-blue-700">
-              La Niña years (2020, 2022) showed increased rainfall, while El
-              Niño transition (2023-2024) brought more moderate precipitation
-              patterns.
+              {describeTrend(trendStats.rainfall, "precipitation")}
             </p>
           </div>
 
@@ -460,11 +1917,19 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
           <div className="p-4 rounded-lg bg-orange-50 border border-orange-200">
             <div className="flex items-center mb-2">
               <div className="w-3 h-3 rounded-full bg-orange-500 mr-2"></div>
-              <h4 className="font-semibold text-orange-800">Extreme Events</h4>
+              <h4 className="font-semibold text-orange-800">
+                {t("trends.insights.extremesTitle")}
+              </h4>
             </div>
             <p className="text-sm text-orange-700">
-              Notable events include 2021 heat dome (June), 2022 atmospheric
-              rivers (November), and 2024 arctic outflow events (January).
+              {shownEvents.length > 0
+                ? t("trends.insights.extremes", {
+                    count: shownEvents.length,
+                    events: shownEvents
+                      .map((event) => describeEvent(event, t).name)
+                      .join(", "),
+                  })
+                : t("trends.insights.noExtremes")}
             </p>
           </div>
         </div>
@@ -473,45 +1938,47 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
       {/* Climate Context */}
       <div className="bg-gradient-to-r from-blue-50 to-green-50 rounded-lg p-6 border border-blue-200">
         <h3 className="text-xl font-bold mb-3 text-gray-800">
-          Climate Science Context
+          {t("trends.context.title")}
         </h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <h4 className="font-semibold text-gray-700 mb-2">
-              ENSO Effects on Vancouver
+              {t("trends.context.ensoTitle")}
             </h4>
             <ul className="text-sm text-gray-600 space-y-1">
-              <li>
-                • <strong>La Niña:</strong> Cooler, wetter winters; increased
-                atmospheric river activity
-              </li>
-              <li>
-                • <strong>El Niño:</strong> Warmer, drier winters; reduced
-                snowpack in mountains
-              </li>
-              <li>
-                • <strong>Neutral:</strong> Near-normal precipitation and
-                temperature patterns
-              </li>
+              {["laNina", "elNino", "neutral"].map((phase) => (
+                <li key={phase}>
+                  • <strong>{t(`trends.context.enso.${phase}.label`)}</strong>{" "}
+                  {t(`trends.context.enso.${phase}.text`)}
+                </li>
+              ))}
             </ul>
           </div>
           <div>
             <h4 className="font-semibold text-gray-700 mb-2">
-              Regional Climate Impacts
+              {t("trends.context.regionalTitle")}
             </h4>
             <ul className="text-sm text-gray-600 space-y-1">
               <li>
-                • <strong>Urban Heat Island:</strong> City temperatures 2-4°C
-                warmer than rural areas
-              </li>
-              <li>
-                • <strong>Coastal Influence:</strong> Maritime climate moderates
-                temperature extremes
-              </li>
-              <li>
-                • <strong>Orographic Effects:</strong> North Shore mountains
-                enhance precipitation
+                • <strong>{t("trends.context.regional.urban.label")}</strong>{" "}
+                {t("trends.context.regional.urban.text", {
+                  low: formatNumber(convert(2, "temperatureDelta"), 0),
+                  high: format(
+                    convert(4, "temperatureDelta"),
+                    "temperatureDelta",
+                    0
+                  ),
+                })}
               </li>
+              {["coastal", "orographic"].map((impact) => (
+                <li key={impact}>
+                  •{" "}
+                  <strong>
+                    {t(`trends.context.regional.${impact}.label`)}
+                  </strong>{" "}
+                  {t(`trends.context.regional.${impact}.text`)}
+                </li>
+              ))}
             </ul>
           </div>
         </div>
@@ -520,4 +1987,29 @@ const Trends = ({ data, yearlyData, selectedYear, availableYears }) => {
   );
 };
 
+// Metrics screened for unusual months
+const ANOMALY_METRICS = ["temp", "rainfall"];
+
+// Fields that can be forecast, with their quantity
+const FORECAST_METRICS = {
+  temp: "temperature",
+  rainfall: "precipitation",
+};
+
+// Chart colour of each forecast field (CHART_COLORS keys)
+const FORECAST_COLORS = {
+  temp: "temperature",
+  rainfall: "rainfall",
+};
+
+// Months of record shown before the forecast
+const FORECAST_HISTORY_MONTHS = 36;
+
+// Months compared in the ENSO phase split; winter is when ENSO most
+// affects the BC coast
+const ENSO_SEASONS = {
+  all: null,
+  winter: [10, 11, 0, 1, 2],
+};
+
 export default Trends;
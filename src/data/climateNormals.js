@@ -0,0 +1,51 @@
+// data/climateNormals.js
+import { WEATHER_STATIONS } from "../utils/constants.js";
+
+/**
+ * Canadian Climate Normals (Environment and Climate Change Canada) by
+ * station ID and normals period. Monthly values, January first:
+ * - temp: daily mean temperature (°C)
+ * - precipitation: total precipitation (mm)
+ * - humidity: mean relative humidity, average of 06:00 and 15:00 LST (%)
+ * - sunshine: total bright sunshine (hours)
+ * The 1991–2020 normals don't include humidity or sunshine.
+ */
+export const CLIMATE_NORMALS = {
+  [WEATHER_STATIONS.VANCOUVER_AIRPORT.id]: {
+    climateId: "1108447",
+    name: "Vancouver Int'l A",
+    periods: {
+      "1981-2010": {
+        temp: [
+          4.1, 4.9, 6.9, 9.4, 12.8, 15.7, 18.0, 18.1, 15.1, 10.5, 6.6, 3.9,
+        ],
+        precipitation: [
+          168.4, 104.6, 113.9, 88.5, 65.0, 53.8, 35.6, 36.7, 50.9, 120.8, 188.9,
+          161.9,
+        ],
+        humidity: [86, 83, 79, 76, 75, 75, 74, 76, 80, 85, 87, 87],
+        sunshine: [
+          60.5, 91.6, 134.4, 185.4, 222.9, 226.2, 289.0, 274.1, 212.9, 135.8,
+          70.3, 59.2,
+        ],
+      },
+      "1991-2020": {
+        temp: [
+          4.4, 5.1, 7.0, 9.6, 13.0, 15.9, 18.3, 18.5, 15.6, 10.7, 6.8, 4.1,
+        ],
+        precipitation: [
+          173.9, 111.7, 117.6, 88.8, 66.6, 54.5, 33.7, 38.1, 63.1, 125.3, 186.5,
+          165.1,
+        ],
+        humidity: null,
+        sunshine: null,
+      },
+    },
+  },
+};
+
+/**
+ * Station whose normals stand in for stations without published normals
+ * (the other Vancouver stations and imported data)
+ */
+export const NORMALS_REFERENCE_STATION = WEATHER_STATIONS.VANCOUVER_AIRPORT.id;
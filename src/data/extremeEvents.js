@@ -0,0 +1,45 @@
+// data/extremeEvents.js
+
+/**
+ * Notable Vancouver weather events the catalogue starts from. Names and
+ * descriptions are messages (events.curated.<id>.*); dates are inclusive
+ * and local.
+ */
+export const CURATED_EVENTS = [
+  {
+    id: "heat-dome-2021",
+    type: "heat",
+    start: "2021-06-25",
+    end: "2021-07-01",
+  },
+  {
+    id: "atmospheric-river-2021",
+    type: "rain",
+    start: "2021-11-13",
+    end: "2021-11-15",
+  },
+  {
+    id: "cold-snap-2021",
+    type: "cold",
+    start: "2021-12-26",
+    end: "2021-12-30",
+  },
+  {
+    id: "snowstorm-2022",
+    type: "snow",
+    start: "2022-12-17",
+    end: "2022-12-24",
+  },
+  {
+    id: "arctic-outflow-2024",
+    type: "cold",
+    start: "2024-01-12",
+    end: "2024-01-17",
+  },
+  {
+    id: "atmospheric-river-2024",
+    type: "rain",
+    start: "2024-10-18",
+    end: "2024-10-20",
+  },
+];
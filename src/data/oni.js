@@ -0,0 +1,49 @@
+// data/oni.js
+
+/**
+ * Oceanic Niño Index (ONI, ERSSTv5) from the NOAA Climate Prediction Center:
+ * the 3-month running mean SST anomaly (°C) in the Niño 3.4 region, one
+ * column per overlapping season (DJF is centred on January). Copied from
+ * https://origin.cpc.ncep.noaa.gov/products/analysis_monitoring/ensostuff/ONI_v5.php
+ * Later months can be added by loading NOAA's oni.ascii.txt on the Trends
+ * page.
+ */
+export const ONI_TABLE = `
+Year   DJF   JFM   FMA   MAM   AMJ   MJJ   JJA   JAS   ASO   SON   OND   NDJ
+1990   0.1   0.2   0.3   0.3   0.2   0.2   0.3   0.3   0.4   0.3   0.4   0.4
+1991   0.4   0.3   0.2   0.2   0.4   0.6   0.7   0.7   0.7   0.8   1.2   1.4
+1992   1.7   1.5   1.4   1.2   1.0   0.7   0.3   0.0  -0.2  -0.2  -0.1   0.0
+1993   0.2   0.3   0.5   0.7   0.8   0.6   0.3   0.2   0.2   0.2   0.1   0.1
+1994   0.1   0.1   0.2   0.3   0.4   0.4   0.4   0.4   0.6   0.7   1.0   1.1
+1995   1.0   0.7   0.5   0.3   0.1   0.0  -0.2  -0.5  -0.8  -1.0  -1.0  -1.0
+1996  -0.9  -0.8  -0.6  -0.4  -0.3  -0.3  -0.3  -0.3  -0.4  -0.4  -0.5  -0.5
+1997  -0.5  -0.4  -0.2   0.1   0.6   1.0   1.4   1.7   2.0   2.2   2.3   2.4
+1998   2.2   1.9   1.4   1.0   0.5  -0.1  -0.8  -1.1  -1.3  -1.4  -1.5  -1.6
+1999  -1.5  -1.3  -1.1  -1.0  -1.0  -1.0  -1.1  -1.1  -1.2  -1.3  -1.5  -1.7
+2000  -1.7  -1.4  -1.1  -0.8  -0.7  -0.6  -0.6  -0.5  -0.5  -0.6  -0.7  -0.7
+2001  -0.7  -0.5  -0.4  -0.3  -0.3  -0.1  -0.1  -0.1  -0.2  -0.3  -0.3  -0.3
+2002  -0.1   0.0   0.1   0.2   0.4   0.7   0.8   0.9   1.0   1.2   1.3   1.1
+2003   0.9   0.6   0.4   0.0  -0.3  -0.2   0.1   0.2   0.3   0.3   0.4   0.4
+2004   0.4   0.3   0.2   0.2   0.2   0.3   0.5   0.6   0.7   0.7   0.7   0.7
+2005   0.6   0.6   0.4   0.4   0.3   0.1  -0.1  -0.1  -0.1  -0.3  -0.6  -0.8
+2006  -0.9  -0.8  -0.6  -0.4  -0.1   0.0   0.1   0.3   0.5   0.8   0.9   0.9
+2007   0.7   0.2  -0.1  -0.3  -0.4  -0.5  -0.6  -0.8  -1.1  -1.3  -1.5  -1.6
+2008  -1.6  -1.5  -1.3  -1.0  -0.8  -0.6  -0.4  -0.2  -0.2  -0.4  -0.6  -0.7
+2009  -0.8  -0.8  -0.6  -0.3   0.0   0.3   0.5   0.6   0.7   1.0   1.4   1.6
+2010   1.5   1.2   0.8   0.4  -0.2  -0.7  -1.0  -1.3  -1.6  -1.6  -1.6  -1.6
+2011  -1.4  -1.2  -0.9  -0.7  -0.6  -0.4  -0.5  -0.6  -0.8  -1.0  -1.1  -1.0
+2012  -0.9  -0.7  -0.6  -0.5  -0.3   0.0   0.2   0.4   0.4   0.3   0.1  -0.2
+2013  -0.4  -0.4  -0.3  -0.3  -0.4  -0.4  -0.4  -0.3  -0.3  -0.2  -0.2  -0.3
+2014  -0.4  -0.5  -0.3   0.0   0.2   0.2   0.0   0.1   0.2   0.5   0.6   0.7
+2015   0.5   0.5   0.5   0.7   0.9   1.2   1.5   1.9   2.2   2.4   2.6   2.6
+2016   2.5   2.1   1.6   0.9   0.4  -0.1  -0.4  -0.5  -0.6  -0.7  -0.7  -0.6
+2017  -0.3  -0.2   0.1   0.2   0.3   0.3   0.1  -0.1  -0.4  -0.7  -0.8  -1.0
+2018  -0.9  -0.9  -0.7  -0.5  -0.2   0.0   0.1   0.2   0.5   0.8   0.9   0.8
+2019   0.7   0.7   0.7   0.7   0.5   0.5   0.3   0.1   0.2   0.3   0.5   0.5
+2020   0.5   0.5   0.4   0.2  -0.1  -0.3  -0.4  -0.6  -0.9  -1.2  -1.3  -1.2
+2021  -1.0  -0.9  -0.8  -0.7  -0.5  -0.4  -0.4  -0.5  -0.7  -0.8  -1.0  -1.0
+2022  -1.0  -0.9  -1.0  -1.1  -1.0  -0.9  -0.8  -0.9  -1.0  -1.0  -0.9  -0.8
+2023  -0.7  -0.4  -0.1   0.2   0.5   0.8   1.1   1.3   1.6   1.8   1.9   2.0
+2024   1.8   1.5   1.1   0.7   0.4   0.2   0.0  -0.1  -0.2  -0.3  -0.4  -0.5
+2025  -0.6  -0.4  -0.2  -0.1
+`;
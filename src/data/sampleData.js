@@ -1,12 +1,48 @@
 // data/sampleData.js
-import { MONTHS } from "../utils/constants.js";
+import { MONTHS, WEATHER_STATIONS } from "../utils/constants.js";
+import { getClimateNormals } from "../utils/normals.js";
+import { NORMALS_REFERENCE_STATION } from "./climateNormals.js";
+import { getBundledEnsoIndex } from "../utils/enso.js";
+
+/**
+ * Microclimate offsets applied to the base pattern for each station
+ * Downtown is warmer and wetter than the airport on the delta; UBC sits
+ * on the exposed tip of Point Grey.
+ */
+const STATION_SAMPLE_OFFSETS = {
+  [WEATHER_STATIONS.VANCOUVER_HARBOUR.id]: {
+    temp: 0.6,
+    tempMin: 1.0,
+    tempMax: 0.3,
+    rainfall: 1.22,
+    humidity: -2,
+  },
+  [WEATHER_STATIONS.VANCOUVER_AIRPORT.id]: {
+    temp: 0,
+    tempMin: 0,
+    tempMax: 0,
+    rainfall: 1,
+    humidity: 0,
+  },
+  [WEATHER_STATIONS.VANCOUVER_UBC.id]: {
+    temp: -0.3,
+    tempMin: 0.2,
+    tempMax: -0.7,
+    rainfall: 1.08,
+    humidity: 2,
+  },
+};
 
 /**
  * Generate realistic Vancouver weather sample data
  * Based on historical climate patterns for Vancouver, BC
+ * @param {Object} options - Generation options
+ * @param {string} options.stationId - Station to simulate (defaults to Harbour)
  * @returns {Object} Sample weather data object
  */
-export const generateSampleData = () => {
+export const generateSampleData = ({
+  stationId = WEATHER_STATIONS.VANCOUVER_HARBOUR.id,
+} = {}) => {
   // Vancouver typical patterns: wet winters, dry summers, mild temperatures
   const baseData = [
     {
@@ -119,12 +155,29 @@ export const generateSampleData = () => {
     },
   ];
 
+  // Shift the base pattern to the station's microclimate
+  const offsets =
+    STATION_SAMPLE_OFFSETS[stationId] ||
+    STATION_SAMPLE_OFFSETS[WEATHER_STATIONS.VANCOUVER_HARBOUR.id];
+  const stationData = baseData.map((monthData) => ({
+    ...monthData,
+    temp: monthData.temp + offsets.temp,
+    tempMin: monthData.tempMin + offsets.tempMin,
+    tempMax: monthData.tempMax + offsets.tempMax,
+    rainfall: Math.round(monthData.rainfall * offsets.rainfall),
+    humidity: monthData.humidity + offsets.humidity,
+  }));
+  const station = Object.values(WEATHER_STATIONS).find(
+    (s) => s.id === stationId
+  );
+
   // Generate multi-year data with realistic variations
   const years = [2020, 2021, 2022, 2023, 2024];
   const yearlyData = [];
+  const dailyData = [];
 
   years.forEach((year) => {
-    baseData.forEach((monthData, index) => {
+    stationData.forEach((monthData, index) => {
       // Add realistic year-to-year and random variations
       const climateVariation = getClimateVariation(year, index);
       const randomVariation = getRandomVariation();
@@ -169,16 +222,18 @@ export const generateSampleData = () => {
       record.sunshine = Math.round(record.sunshine * 10) / 10;
 
       yearlyData.push(record);
+      dailyData.push(...generateDailyData(year, index, record));
     });
   });
 
   return {
-    monthly: baseData,
+    daily: dailyData,
+    monthly: stationData,
     yearly: yearlyData,
     metadata: {
       source: "Generated sample data based on Vancouver climate normals",
       period: "2020-2024",
-      station: "Vancouver Harbour CS (Sample)",
+      station: `${station?.name || "Vancouver Harbour CS"} (Sample)`,
       lastUpdated: new Date().toISOString(),
     },
   };
@@ -193,17 +248,22 @@ export const generateSampleData = () => {
 const getClimateVariation = (year, monthIndex) => {
   // Simulate some climate trends
   const yearFactor = (year - 2020) * 0.01; // Slight warming trend
-  const laninaTrend = year === 2022 ? 0.1 : 0; // La Niña effect in 2022
+  // ENSO: El Niño (positive ONI) brings milder, drier winters; La Niña
+  // cooler, wetter ones
+  const oni =
+    getBundledEnsoIndex().byDate.get(
+      `${year}-${String(monthIndex + 1).padStart(2, "0")}`
+    )?.oni ?? 0;
 
   // Seasonal variations
   const isWinter = monthIndex <= 1 || monthIndex >= 11;
   const isSummer = monthIndex >= 5 && monthIndex <= 7;
 
   return {
-    temp: yearFactor * 0.5 + laninaTrend * (isWinter ? -0.5 : 0.2),
-    rainfall: laninaTrend * (isWinter ? 0.2 : -0.1),
-    humidity: laninaTrend * 0.05,
-    sunshine: -laninaTrend * 0.1,
+    temp: yearFactor * 0.5 + oni * (isWinter ? 0.5 : 0.2),
+    rainfall: -oni * (isWinter ? 0.1 : 0.03),
+    humidity: -oni * 0.02,
+    sunshine: oni * 0.05,
   };
 };
 
@@ -221,91 +281,127 @@ const getRandomVariation = () => {
 };
 
 /**
- * Generate extreme weather events for testing
- * @returns {Array} Array of extreme weather records
+ * Generate daily data for one month (for the drill-down view)
+ * Days scatter around the month's mean temperatures and the month's rainfall
+ * is spread over a random set of wet days.
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {Object} monthRecord - Monthly record to centre the days on
+ * @returns {Array} Daily weather data
  */
-export const generateExtremeWeatherData = () => {
-  return [
-    {
-      date: "2021-06-28",
-      event: "Heat Dome",
-      temp: 31.5,
-      tempMax: 35.2,
-      description: "Record-breaking heat dome event",
-    },
-    {
-      date: "2022-11-15",
-      event: "Atmospheric River",
-      rainfall: 89.2,
-      description: "Heavy rainfall from atmospheric river",
-    },
-    {
-      date: "2024-01-13",
-      event: "Arctic Outflow",
-      temp: -8.1,
-      tempMin: -12.3,
-      description: "Rare cold snap with Arctic air mass",
-    },
-  ];
+export const generateDailyData = (year, monthIndex, monthRecord = {}) => {
+  // 1981–2010 is the last period with humidity normals
+  const normal = getClimateNormals(NORMALS_REFERENCE_STATION, "1981-2010")
+    .monthly[monthIndex];
+  const temp = monthRecord.temp ?? normal.temp;
+  const tempMin = monthRecord.tempMin ?? temp - 4;
+  const tempMax = monthRecord.tempMax ?? temp + 4;
+  const rainfall = monthRecord.rainfall ?? normal.rainfall;
+  const humidity = monthRecord.humidity ?? normal.humidity;
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+
+  // Wetter months rain on more days
+  const wetDays = Array.from({ length: daysInMonth }, () => Math.random()).map(
+    (r) => r < Math.min(0.8, 0.15 + rainfall / 250)
+  );
+  const weights = wetDays.map((wet) => (wet ? Math.random() + 0.2 : 0));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+  const dailyData = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    const shift = (Math.random() - 0.5) * 5; // ±2.5°C day-to-day variation
+    const dayMax = tempMax + shift + (Math.random() - 0.5) * 2;
+    const dayMin = Math.min(dayMax - 1, tempMin + shift);
+    const dayRain =
+      Math.round(((rainfall * weights[day - 1]) / totalWeight) * 10) / 10;
+
+    dailyData.push({
+      date: `${year}-${String(monthIndex + 1).padStart(2, "0")}-${String(
+        day
+      ).padStart(2, "0")}`,
+      year,
+      month: monthIndex + 1,
+      day,
+      temp: Math.round(((dayMax + dayMin) / 2) * 10) / 10,
+      tempMax: Math.round(dayMax * 10) / 10,
+      tempMin: Math.round(dayMin * 10) / 10,
+      rainfall: dayRain,
+      precipitation: dayRain,
+      humidity: Math.round(
+        Math.max(40, Math.min(100, humidity + (dayRain > 0 ? 6 : -4)))
+      ),
+      pressure: Math.round((1013 + (dayRain > 0 ? -8 : 4) + shift) * 10) / 10,
+      windSpeed: Math.round((8 + dayRain / 2 + Math.random() * 8) * 10) / 10,
+    });
+  }
+
+  return dailyData;
 };
 
 /**
  * Generate hourly data for a specific day (for detailed analysis)
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} dayRecord - Optional daily record to shape the day around
+ *   (temperature range, precipitation, humidity, pressure, wind)
  * @returns {Array} Hourly weather data
  */
-export const generateHourlyData = (date) => {
-  const baseTemp = 15; // Base temperature
+export const generateHourlyData = (date, dayRecord = {}) => {
+  const baseTemp =
+    dayRecord.tempMax != null && dayRecord.tempMin != null
+      ? (dayRecord.tempMax + dayRecord.tempMin) / 2
+      : 15; // Base temperature
+  const amplitude =
+    dayRecord.tempMax != null && dayRecord.tempMin != null
+      ? (dayRecord.tempMax - dayRecord.tempMin) / 2
+      : 8;
+  const baseHumidity = dayRecord.humidity ?? 75;
+  const basePressure = dayRecord.pressure ?? 1013;
+  const baseWind = dayRecord.windSpeed ?? 10;
+  const dayPrecipitation = dayRecord.precipitation ?? dayRecord.rainfall;
+  // Rain falls in one spell of roughly 1.5mm/h
+  const rainHours = dayPrecipitation
+    ? Math.min(24, Math.ceil(dayPrecipitation / 1.5))
+    : 0;
+  const rainStart = Math.floor(Math.random() * (25 - rainHours));
   const hourlyData = [];
 
   for (let hour = 0; hour < 24; hour++) {
     // Simulate daily temperature cycle
-    const tempVariation = Math.sin(((hour - 6) * Math.PI) / 12) * 8; // Peak at 2 PM
+    const cycle = Math.sin(((hour - 8) * Math.PI) / 12); // Peak at 2 PM
+    const tempVariation = cycle * amplitude;
     const randomVariation = (Math.random() - 0.5) * 2;
+    const precipitation =
+      dayPrecipitation === undefined || dayPrecipitation === null
+        ? hour >= 14 && hour <= 16
+          ? Math.random() * 2
+          : 0 // Rain in afternoon
+        : hour >= rainStart && hour < rainStart + rainHours
+        ? dayPrecipitation / rainHours
+        : 0;
 
     hourlyData.push({
       date,
       hour,
       time: `${String(hour).padStart(2, "0")}:00`,
       temp: Math.round((baseTemp + tempVariation + randomVariation) * 10) / 10,
-      humidity: Math.round(75 - tempVariation * 2 + (Math.random() - 0.5) * 10),
-      pressure: Math.round(1013 + (Math.random() - 0.5) * 20),
-      windSpeed: Math.round((5 + Math.random() * 10) * 10) / 10,
-      rainfall: hour >= 14 && hour <= 16 ? Math.random() * 2 : 0, // Rain in afternoon
+      humidity: Math.round(
+        Math.max(
+          20,
+          Math.min(100, baseHumidity - cycle * 10 + (Math.random() - 0.5) * 6)
+        )
+      ),
+      pressure:
+        Math.round((basePressure + (Math.random() - 0.5) * 2) * 10) / 10,
+      windSpeed:
+        Math.round(
+          Math.max(0, baseWind * (0.6 + cycle * 0.3 + Math.random() * 0.4)) * 10
+        ) / 10,
+      rainfall: Math.round(precipitation * 10) / 10,
+      precipitation: Math.round(precipitation * 10) / 10,
     });
   }
 
   return hourlyData;
 };
 
-/**
- * Get climate normals for comparison
- * @returns {Object} Climate normal data
- */
-export const getClimateNormals = () => {
-  return {
-    period: "1981-2010",
-    annual: {
-      temperature: 11.2,
-      rainfall: 1194,
-      humidity: 76,
-      sunshine: 1928,
-    },
-    monthly: [
-      { month: "Jan", temp: 3.0, rainfall: 168, humidity: 84 },
-      { month: "Feb", temp: 5.0, rainfall: 106, humidity: 82 },
-      { month: "Mar", temp: 7.0, rainfall: 114, humidity: 79 },
-      { month: "Apr", temp: 10.0, rainfall: 84, humidity: 74 },
-      { month: "May", temp: 14.0, rainfall: 65, humidity: 71 },
-      { month: "Jun", temp: 17.0, rainfall: 54, humidity: 69 },
-      { month: "Jul", temp: 20.0, rainfall: 31, humidity: 67 },
-      { month: "Aug", temp: 20.0, rainfall: 37, humidity: 68 },
-      { month: "Sep", temp: 17.0, rainfall: 64, humidity: 72 },
-      { month: "Oct", temp: 12.0, rainfall: 121, humidity: 78 },
-      { month: "Nov", temp: 7.0, rainfall: 182, humidity: 83 },
-      { month: "Dec", temp: 4.0, rainfall: 168, humidity: 85 },
-    ],
-  };
-};
-
 export default generateSampleData;
@@ -1,9 +1,51 @@
 // hooks/useDataFiltering.js
 import { useMemo } from "react";
+import { aggregateDailyToMonthly } from "../utils/aggregation.js";
+import {
+  UNIT_SYSTEMS,
+  convertRecords,
+  toMetricRecord,
+} from "../utils/units.js";
+
+/**
+ * Convert a date to a "YYYY-MM-DD" key
+ * String keys compare chronologically and avoid the UTC shift `new Date`
+ * applies to date-only strings.
+ * @param {string|Date} value - Date string (YYYY-MM-DD) or Date
+ * @returns {string} Date key
+ */
+const toDateKey = (value) =>
+  value instanceof Date
+    ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+        2,
+        "0"
+      )}-${String(value.getDate()).padStart(2, "0")}`
+    : String(value).slice(0, 10);
+
+/**
+ * Get the last day of a month
+ * @param {string} month - Month as YYYY-MM
+ * @returns {number} Day of the month (28-31)
+ */
+const getLastDay = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(year, monthNumber, 0).getDate();
+};
+
+/**
+ * Check whether a date range covers every day of a month
+ * @param {string} month - Month as YYYY-MM
+ * @param {string} start - First date key of the range
+ * @param {string} end - Last date key of the range
+ * @returns {boolean} True when the whole month is in the range
+ */
+const isWholeMonth = (month, start, end) =>
+  start <= `${month}-01` && end >= `${month}-${getLastDay(month)}`;
 
 /**
  * Custom hook for filtering and manipulating weather data
- * @param {Object} data - Weather data object with monthly and yearly arrays
+ * @param {Object} data - Weather data object with daily, monthly and yearly
+ *   arrays
  * @returns {Object} Filtering functions and utilities
  */
 export const useDataFiltering = (data) => {
@@ -41,24 +83,71 @@ export const useDataFiltering = (data) => {
   }, [data]);
 
   /**
-   * Filter data by date range
-   * @param {string} startDate - Start date in YYYY-MM-DD format
-   * @param {string} endDate - End date in YYYY-MM-DD format
-   * @returns {Array} Filtered data
+   * Get daily records
+   * @param {string|number} selectedYear - Year to filter by, or 'all'
+   * @returns {Array} Daily records sorted by date
+   */
+  const getDailyData = useMemo(() => {
+    return (selectedYear = "all") => {
+      if (!data?.daily) return [];
+      if (selectedYear === "all") return data.daily;
+
+      const year = parseInt(selectedYear);
+      return data.daily.filter((d) => d.year === year);
+    };
+  }, [data]);
+
+  /**
+   * Get the monthly records of a date range (inclusive, at day precision)
+   * Months the range only partly covers are re-aggregated from their daily
+   * records in the range; whole months keep their monthly record. Datasets
+   * without daily records return every month the range touches.
+   * @param {string|Date} startDate - Start date (YYYY-MM-DD, or YYYY-MM for
+   *   the whole month), or null for open
+   * @param {string|Date} endDate - End date (YYYY-MM-DD, or YYYY-MM for the
+   *   whole month), or null for open
+   * @returns {Array} Monthly records in the range
    */
   const getDataByDateRange = useMemo(() => {
     return (startDate, endDate) => {
       if (!data?.yearly) return [];
 
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-
-      return data.yearly.filter((d) => {
-        const recordDate = new Date(
-          `${d.year}-${d.date?.split("-")[1] || "01"}-01`
+      let start = startDate ? toDateKey(startDate) : "0000-01-01";
+      if (start.length === 7) start = `${start}-01`;
+      let end = endDate ? toDateKey(endDate) : "9999-12-31";
+      if (end.length === 7) end = `${end}-${getLastDay(end)}`;
+
+      // Monthly records are dated "YYYY-MM"
+      const months = data.yearly.filter(
+        (d) => d.date >= start.slice(0, 7) && d.date <= end.slice(0, 7)
+      );
+      if (!(data.daily?.length > 0)) return months;
+
+      // Re-aggregate in metric so degree days use their metric base, and
+      // grade the cut months on their days in the range so the WMO rule
+      // doesn't count the days outside it as missing
+      const system = data.metadata?.unitSystem || UNIT_SYSTEMS.METRIC;
+      const days = data.daily
+        .filter((d) => d.date >= start && d.date <= end)
+        .map((d) => toMetricRecord(d, system));
+      const partialMonths = new Map(
+        convertRecords(
+          aggregateDailyToMonthly(days, { start, end }),
+          system
+        ).map((month) => [month.date, month])
+      );
+
+      return months
+        .filter(
+          (month) =>
+            isWholeMonth(month.date, start, end) ||
+            partialMonths.has(month.date)
+        )
+        .map((month) =>
+          isWholeMonth(month.date, start, end)
+            ? month
+            : { ...month, ...partialMonths.get(month.date) }
         );
-        return recordDate >= start && recordDate <= end;
-      });
     };
   }, [data]);
 
@@ -240,6 +329,7 @@ export const useDataFiltering = (data) => {
   return {
     getFilteredData,
     getAvailableYears,
+    getDailyData,
     getDataByDateRange,
     getSeasonalData,
     getMonthAcrossYears,
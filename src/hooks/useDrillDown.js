@@ -0,0 +1,162 @@
+// hooks/useDrillDown.js
+import { useState, useCallback, useRef, useEffect } from "react";
+import { weatherAPI } from "../services/weatherAPI.js";
+import { generateDailyData, generateHourlyData } from "../data/sampleData.js";
+import { DATA_SOURCES, DATA_TIMEFRAMES } from "../utils/constants.js";
+import {
+  aggregateHourlyToDaily,
+  mergeHourlyIntoDaily,
+} from "../utils/aggregation.js";
+
+/**
+ * Custom hook for the month/day drill-down view
+ * Opening a month shows its daily records (with humidity, pressure and wind
+ * filled in from hourly observations); opening a day shows its 24 hours.
+ * @param {Object} options - Configuration options
+ * @param {string} options.stationId - Station to drill into
+ * @param {string} options.dataSource - DATA_SOURCES value in use
+ * @param {Array} options.daily - Daily records already loaded for the
+ *   station; months missing from it are fetched or generated
+ * @returns {Object} Drill-down state and actions
+ */
+export const useDrillDown = ({ stationId, dataSource, daily = [] }) => {
+  const [selection, setSelection] = useState(null);
+  const [days, setDays] = useState([]);
+  const [hours, setHours] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Hourly records for the open month, reused when a day is opened
+  const hourlyRef = useRef([]);
+  const abortRef = useRef(null);
+
+  /**
+   * Open the day-by-day view of a month
+   * @param {number} year - Year
+   * @param {number} monthIndex - Month index (0-11)
+   * @param {Object} monthRecord - Monthly record, used to shape sample days
+   */
+  const openMonth = useCallback(
+    async (year, monthIndex, monthRecord = {}) => {
+      abortRef.current?.abort();
+      const controller = new AbortController();
+      abortRef.current = controller;
+
+      setSelection({ year, monthIndex, date: null });
+      setDays([]);
+      setHours([]);
+      setError(null);
+      hourlyRef.current = [];
+
+      const month = monthIndex + 1;
+      const loadedDays = daily.filter(
+        (d) => d.year === year && d.month === month
+      );
+
+      if (dataSource !== DATA_SOURCES.LIVE) {
+        setDays(
+          loadedDays.length > 0
+            ? loadedDays
+            : generateDailyData(year, monthIndex, monthRecord)
+        );
+        return;
+      }
+
+      setLoading(true);
+      try {
+        const options = { signal: controller.signal };
+        const [monthDays, hourly] = await Promise.all([
+          loadedDays.length > 0
+            ? loadedDays
+            : weatherAPI
+                .fetchEnvironmentCanadaData(
+                  stationId,
+                  year,
+                  month,
+                  DATA_TIMEFRAMES.DAILY,
+                  options
+                )
+                .then((records) =>
+                  records.filter((r) => r.year === year && r.month === month)
+                ),
+          // Hourly data only adds detail, so the month still opens without it
+          weatherAPI
+            .fetchHourlyData(stationId, year, month, options)
+            .catch((err) => {
+              if (err.name === "AbortError") throw err;
+              console.warn("Hourly data unavailable:", err);
+              return [];
+            }),
+        ]);
+
+        hourlyRef.current = hourly;
+        setDays(
+          mergeHourlyIntoDaily(monthDays, aggregateHourlyToDaily(hourly))
+        );
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Error loading daily data:", err);
+        setError(err.message);
+      } finally {
+        if (abortRef.current === controller) setLoading(false);
+      }
+    },
+    [stationId, dataSource, daily]
+  );
+
+  /**
+   * Open the 24-hour profile of a day in the open month
+   * @param {string} date - Date in YYYY-MM-DD format
+   */
+  const openDay = useCallback(
+    (date) => {
+      if (!date) return;
+      setSelection((current) => current && { ...current, date });
+
+      if (dataSource !== DATA_SOURCES.LIVE) {
+        const dayRecord = days.find((d) => d.date === date);
+        setHours(generateHourlyData(date, dayRecord));
+        return;
+      }
+      setHours(hourlyRef.current.filter((r) => r.date === date));
+    },
+    [dataSource, days]
+  );
+
+  /**
+   * Return from the day view to the month view
+   */
+  const backToMonth = useCallback(() => {
+    setSelection((current) => current && { ...current, date: null });
+    setHours([]);
+  }, []);
+
+  /**
+   * Close the drill-down and cancel any request in flight
+   */
+  const close = useCallback(() => {
+    abortRef.current?.abort();
+    setSelection(null);
+    setDays([]);
+    setHours([]);
+    setError(null);
+    setLoading(false);
+    hourlyRef.current = [];
+  }, []);
+
+  // Station or source changes make the open month stale
+  useEffect(() => close, [stationId, dataSource, close]);
+
+  return {
+    selection,
+    days,
+    hours,
+    loading,
+    error,
+    openMonth,
+    openDay,
+    backToMonth,
+    close,
+  };
+};
+
+export default useDrillDown;
@@ -0,0 +1,56 @@
+// hooks/useEnso.js
+import { useState, useMemo, useCallback } from "react";
+import { buildEnsoIndex, getBundledEnsoIndex } from "../utils/enso.js";
+import {
+  loadPreference,
+  savePreference,
+  removePreference,
+  STORAGE_KEYS,
+} from "../utils/storage.js";
+
+/**
+ * Custom hook for the ENSO phase index
+ * Uses the bundled ONI table until the user loads a local copy of NOAA's
+ * table, which is kept across sessions.
+ * @returns {Object} { index, fileName (null for the bundled table),
+ *   loadFile, resetTable }
+ */
+export const useEnso = () => {
+  const [table, setTable] = useState(() => {
+    const saved = loadPreference(STORAGE_KEYS.ONI_TABLE);
+    return saved && typeof saved.text === "string" ? saved : null;
+  });
+
+  const index = useMemo(() => {
+    if (table) {
+      try {
+        return buildEnsoIndex(table.text);
+      } catch (error) {
+        console.warn("Ignoring unreadable saved ONI table:", error);
+      }
+    }
+    return getBundledEnsoIndex();
+  }, [table]);
+
+  // Read a local ONI table; throws when the file holds no ONI values so
+  // the caller can show why
+  const loadFile = useCallback(async (file) => {
+    const text = await file.text();
+    buildEnsoIndex(text);
+    const loaded = { name: file.name || "ONI table", text };
+    setTable(loaded);
+    savePreference(STORAGE_KEYS.ONI_TABLE, loaded);
+  }, []);
+
+  const resetTable = useCallback(() => {
+    removePreference(STORAGE_KEYS.ONI_TABLE);
+    setTable(null);
+  }, []);
+
+  return {
+    index,
+    fileName: table && index !== getBundledEnsoIndex() ? table.name : null,
+    loadFile,
+    resetTable,
+  };
+};
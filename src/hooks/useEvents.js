@@ -0,0 +1,81 @@
+// hooks/useEvents.js
+import { useState, useCallback } from "react";
+import {
+  EVENT_SOURCES,
+  getDefaultEvents,
+  normalizeEvent,
+  sortEvents,
+} from "../utils/events.js";
+import {
+  loadPreference,
+  savePreference,
+  removePreference,
+  STORAGE_KEYS,
+} from "../utils/storage.js";
+
+/**
+ * Custom hook for the extreme event catalogue, kept across sessions
+ * Starts from the curated events; once edited, the whole list is saved so
+ * removed curated events stay removed.
+ * @returns {Object} { events, addEvent, updateEvent, removeEvent,
+ *   resetEvents }
+ */
+export const useEvents = () => {
+  const [events, setEvents] = useState(() => {
+    const saved = loadPreference(STORAGE_KEYS.EVENTS);
+    return Array.isArray(saved)
+      ? sortEvents(saved.map(normalizeEvent).filter(Boolean))
+      : getDefaultEvents();
+  });
+
+  const saveEvents = useCallback((next) => {
+    const sorted = sortEvents(next);
+    setEvents(sorted);
+    savePreference(STORAGE_KEYS.EVENTS, sorted);
+  }, []);
+
+  // Add an event, either the user's or an accepted detection candidate;
+  // invalid events are ignored
+  const addEvent = useCallback(
+    (event) => {
+      const added = normalizeEvent({
+        ...event,
+        id: event.id || `user-${Date.now().toString(36)}`,
+        source:
+          event.source === EVENT_SOURCES.DETECTED
+            ? EVENT_SOURCES.DETECTED
+            : EVENT_SOURCES.USER,
+      });
+      if (added) {
+        saveEvents([...events.filter((e) => e.id !== added.id), added]);
+      }
+      return added;
+    },
+    [events, saveEvents]
+  );
+
+  const updateEvent = useCallback(
+    (id, changes) => {
+      const current = events.find((e) => e.id === id);
+      const updated = current && normalizeEvent({ ...current, ...changes });
+      if (updated) {
+        saveEvents(events.map((e) => (e.id === id ? updated : e)));
+      }
+      return updated;
+    },
+    [events, saveEvents]
+  );
+
+  const removeEvent = useCallback(
+    (id) => saveEvents(events.filter((e) => e.id !== id)),
+    [events, saveEvents]
+  );
+
+  // Back to the curated list, dropping every edit
+  const resetEvents = useCallback(() => {
+    removePreference(STORAGE_KEYS.EVENTS);
+    setEvents(getDefaultEvents());
+  }, []);
+
+  return { events, addEvent, updateEvent, removeEvent, resetEvents };
+};
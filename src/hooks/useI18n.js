@@ -0,0 +1,78 @@
+// hooks/useI18n.js
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+  useEffect,
+} from "react";
+import {
+  LOCALES,
+  resolveLocale,
+  translate,
+  formatNumber,
+  formatDate,
+  translateMonth,
+} from "../utils/i18n.js";
+import {
+  loadPreference,
+  savePreference,
+  STORAGE_KEYS,
+} from "../utils/storage.js";
+
+/**
+ * Build the translation and formatting helpers for a locale
+ * @param {string} locale - LOCALES value
+ * @returns {Object} { locale, t, formatNumber, formatDate, monthName }
+ */
+const createI18n = (locale) => ({
+  locale,
+  // Message by key, e.g. t("nav.tabs.overview.label")
+  t: (key, params) => translate(locale, key, params),
+  formatNumber: (value, digits) => formatNumber(value, locale, digits),
+  formatDate: (value, options) => formatDate(value, locale, options),
+  // Display name of a record's month ("Jan" -> "janv.")
+  monthName: (month, width) => translateMonth(month, locale, width),
+});
+
+/**
+ * Translation helpers for the chosen locale; English outside a provider
+ */
+export const I18nContext = createContext(createI18n(LOCALES.EN));
+
+/**
+ * Custom hook for the translation helpers of the chosen locale
+ * @returns {Object} See createI18n
+ */
+export const useI18n = () => useContext(I18nContext);
+
+/**
+ * Custom hook for the user's locale, kept across sessions
+ * First visits follow the browser language.
+ * @returns {Object} Translation helpers (see createI18n) plus setLocale
+ */
+export const useLocalePreference = () => {
+  const [locale, setLocaleState] = useState(() => {
+    const saved = loadPreference(STORAGE_KEYS.LOCALE);
+    if (Object.values(LOCALES).includes(saved)) return saved;
+    return resolveLocale(
+      typeof navigator === "undefined" ? null : navigator.language
+    );
+  });
+
+  const setLocale = useCallback((next) => {
+    setLocaleState(next);
+    savePreference(STORAGE_KEYS.LOCALE, next);
+  }, []);
+
+  // Screen readers and the browser's own controls follow the page language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return useMemo(
+    () => ({ ...createI18n(locale), setLocale }),
+    [locale, setLocale]
+  );
+};
@@ -0,0 +1,87 @@
+// hooks/useUnits.js
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useCallback,
+} from "react";
+import {
+  UNIT_SYSTEMS,
+  getUnit,
+  getFieldUnit,
+  convertValue,
+  formatQuantity,
+  getRoundedDigits,
+} from "../utils/units.js";
+import {
+  loadPreference,
+  savePreference,
+  STORAGE_KEYS,
+} from "../utils/storage.js";
+import { LOCALES } from "../utils/i18n.js";
+
+/**
+ * Build the helpers components use to label values in a unit system
+ * @param {string} system - UNIT_SYSTEMS value
+ * @param {string} locale - LOCALES value used to format numbers
+ * @returns {Object} { system, unit, fieldUnit, convert, format,
+ *   formatRounded }
+ */
+const createUnits = (system, locale = LOCALES.EN) => ({
+  system,
+  // Unit symbol of a quantity, e.g. unit("temperature") -> "°F"
+  unit: (quantity) => getUnit(quantity, system),
+  // Unit symbol of a record field, e.g. fieldUnit("rainfall") -> "in"
+  fieldUnit: (field) => getFieldUnit(field, system),
+  // Convert a metric constant (normals, thresholds) to the system
+  convert: (value, quantity) => convertValue(value, quantity, system),
+  // Value with its unit, e.g. format(52.34, "temperature") -> "52.3°F"
+  format: (value, quantity, digits) =>
+    formatQuantity(value, quantity, system, digits, locale),
+  // Rounded figure with its unit, e.g. formatRounded(1194.4, "precipitation")
+  // -> "1,194mm" or "47.0in"
+  formatRounded: (value, quantity) =>
+    formatQuantity(
+      value,
+      quantity,
+      system,
+      getRoundedDigits(quantity, system),
+      locale
+    ),
+});
+
+/**
+ * Unit helpers for the chosen system; metric outside a provider
+ */
+export const UnitsContext = createContext(createUnits(UNIT_SYSTEMS.METRIC));
+
+/**
+ * Custom hook for the unit helpers of the chosen system
+ * @returns {Object} See createUnits
+ */
+export const useUnits = () => useContext(UnitsContext);
+
+/**
+ * Custom hook for the user's unit system, kept across sessions
+ * @param {string} locale - LOCALES value used to format numbers
+ * @returns {Object} Unit helpers (see createUnits) plus setSystem
+ */
+export const useUnitPreference = (locale) => {
+  const [system, setSystemState] = useState(() => {
+    const saved = loadPreference(STORAGE_KEYS.UNIT_SYSTEM);
+    return Object.values(UNIT_SYSTEMS).includes(saved)
+      ? saved
+      : UNIT_SYSTEMS.METRIC;
+  });
+
+  const setSystem = useCallback((next) => {
+    setSystemState(next);
+    savePreference(STORAGE_KEYS.UNIT_SYSTEM, next);
+  }, []);
+
+  return useMemo(
+    () => ({ ...createUnits(system, locale), setSystem }),
+    [system, locale, setSystem]
+  );
+};
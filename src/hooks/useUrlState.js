@@ -0,0 +1,176 @@
+// hooks/useUrlState.js
+import { useState, useEffect, useCallback, useRef } from "react";
+import { TABS, WEATHER_STATIONS } from "../utils/constants.js";
+import { IMPORT_ID_PREFIX } from "../services/dataImport.js";
+import { NORMALS_PERIODS, DEFAULT_NORMALS_PERIOD } from "../utils/normals.js";
+
+// App path without a trailing slash ("" when served from the root)
+const BASE_PATH = (import.meta.env.BASE_URL || "/").replace(/\/+$/, "");
+
+// Query parameters with a fixed meaning; any other parameter is a page
+// option (e.g. the Correlations pair and view)
+const PARAMS = {
+  YEAR: "year",
+  STATION: "station",
+  COMPARE: "compare",
+  FROM: "from",
+  TO: "to",
+  NORMALS: "normals",
+};
+
+/**
+ * State restored when the URL doesn't say otherwise
+ */
+export const DEFAULT_URL_STATE = {
+  tab: TABS.OVERVIEW,
+  year: "all",
+  station: WEATHER_STATIONS.VANCOUVER_HARBOUR.id,
+  compare: null,
+  from: null,
+  to: null,
+  normals: DEFAULT_NORMALS_PERIOD,
+  options: {},
+};
+
+// Range ends are days; months (older links) cover the whole month
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+// Station IDs are only checked for shape here: a station may be in the EC
+// inventory, which loads later, so App validates them once it has
+const STATION_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Check whether a station can go in a link
+ * Imported stations only exist in the session that imported them, so they
+ * are left out of URLs.
+ * @param {string} id - Station ID
+ * @returns {boolean} True for well-formed IDs of stations that aren't imports
+ */
+const isLinkableStation = (id) =>
+  STATION_ID_PATTERN.test(id) && !id.startsWith(IMPORT_ID_PREFIX);
+
+/**
+ * Read dashboard state from a location
+ * Unknown or malformed values fall back to the defaults.
+ * @param {Location|URL} location - Location to read
+ * @returns {Object} URL state (see DEFAULT_URL_STATE)
+ */
+export const parseUrlState = (location) => {
+  const path = location.pathname.startsWith(BASE_PATH)
+    ? location.pathname.slice(BASE_PATH.length)
+    : location.pathname;
+  const segment = path.replace(/^\/+|\/+$/g, "");
+  const params = new URLSearchParams(location.search);
+
+  const year = params.get(PARAMS.YEAR);
+  const station = params.get(PARAMS.STATION);
+  const compare = params.get(PARAMS.COMPARE);
+  const from = params.get(PARAMS.FROM);
+  const to = params.get(PARAMS.TO);
+  const normals = params.get(PARAMS.NORMALS);
+
+  const options = {};
+  params.forEach((value, key) => {
+    if (!Object.values(PARAMS).includes(key)) options[key] = value;
+  });
+
+  return {
+    tab: Object.values(TABS).includes(segment)
+      ? segment
+      : DEFAULT_URL_STATE.tab,
+    year: year && /^\d{4}$/.test(year) ? year : DEFAULT_URL_STATE.year,
+    station:
+      station && isLinkableStation(station)
+        ? station
+        : DEFAULT_URL_STATE.station,
+    compare:
+      compare === null ? null : compare.split(",").filter(isLinkableStation),
+    from: from && DATE_PATTERN.test(from) ? from : null,
+    to: to && DATE_PATTERN.test(to) ? to : null,
+    normals: NORMALS_PERIODS.includes(normals)
+      ? normals
+      : DEFAULT_URL_STATE.normals,
+    options,
+  };
+};
+
+/**
+ * Write dashboard state as a path and query string
+ * Values at their defaults are left out to keep links short.
+ * @param {Object} state - URL state
+ * @returns {string} URL path with query string
+ */
+export const buildUrl = (state) => {
+  const params = new URLSearchParams();
+  if (state.year !== DEFAULT_URL_STATE.year) {
+    params.set(PARAMS.YEAR, state.year);
+  }
+  if (
+    state.station !== DEFAULT_URL_STATE.station &&
+    isLinkableStation(state.station)
+  ) {
+    params.set(PARAMS.STATION, state.station);
+  }
+  if (state.compare) {
+    params.set(
+      PARAMS.COMPARE,
+      state.compare.filter(isLinkableStation).join(",")
+    );
+  }
+  if (state.from) params.set(PARAMS.FROM, state.from);
+  if (state.to) params.set(PARAMS.TO, state.to);
+  if (state.normals !== DEFAULT_URL_STATE.normals) {
+    params.set(PARAMS.NORMALS, state.normals);
+  }
+  Object.entries(state.options || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) params.set(key, value);
+  });
+
+  const tabPath = state.tab === DEFAULT_URL_STATE.tab ? "" : state.tab;
+  const query = params.toString();
+  return `${BASE_PATH}/${tabPath}${query ? `?${query}` : ""}`;
+};
+
+/**
+ * Custom hook keeping view state in the URL
+ * Each change adds a history entry, so back and forward step through views;
+ * reloading or opening a shared link restores the same view.
+ * @returns {Array} [state, update] where update merges changes into state
+ */
+export const useUrlState = () => {
+  const [state, setState] = useState(() =>
+    typeof window === "undefined"
+      ? DEFAULT_URL_STATE
+      : parseUrlState(window.location)
+  );
+
+  // Back/forward restores the state of that history entry
+  useEffect(() => {
+    const handlePopState = () => setState(parseUrlState(window.location));
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // New state gets its own history entry (none after back/forward, when
+  // the URL already matches); the first render only tidies the URL
+  const initialRef = useRef(true);
+  useEffect(() => {
+    const url = buildUrl(state);
+    const current = `${window.location.pathname}${window.location.search}`;
+    if (url !== current) {
+      window.history[initialRef.current ? "replaceState" : "pushState"](
+        null,
+        "",
+        url
+      );
+    }
+    initialRef.current = false;
+  }, [state]);
+
+  const update = useCallback(
+    (changes) => setState((current) => ({ ...current, ...changes })),
+    []
+  );
+
+  return [state, update];
+};
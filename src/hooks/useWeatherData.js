@@ -1,185 +1,273 @@
 // hooks/useWeatherData.js
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { weatherAPI } from "../services/weatherAPI.js";
 import { generateSampleData } from "../data/sampleData.js";
-import { WEATHER_STATIONS } from "../utils/constants.js";
+import { importedData, buildImportedDataset } from "../services/dataImport.js";
+import {
+  WEATHER_STATIONS,
+  DATA_TIMEFRAMES,
+  DATA_SOURCES,
+} from "../utils/constants.js";
+import { buildDatasetFromDaily } from "../utils/aggregation.js";
+import {
+  fillGapsFromNeighbour,
+  findNearestStation,
+} from "../utils/gapFilling.js";
+import {
+  loadPreference,
+  savePreference,
+  STORAGE_KEYS,
+} from "../utils/storage.js";
 
 /**
  * Custom hook for managing weather data state and API calls
  * @param {Object} options - Configuration options
+ * @param {string} options.stationId - Primary station
+ * @param {Array} options.comparisonStationIds - Extra stations to load
+ *   alongside the primary one for side-by-side comparison
+ * @param {boolean} options.useSampleData - Default data source when the
+ *   user hasn't chosen one yet
  * @returns {Object} Weather data state and methods
  */
 export const useWeatherData = (options = {}) => {
   const {
     stationId = WEATHER_STATIONS.VANCOUVER_HARBOUR.id,
+    comparisonStationIds = [],
     startYear = 2020,
     endYear = 2024,
-    useSampleData = true, // Toggle for development
+    useSampleData = true, // Default until the user picks a source
   } = options;
 
-  const [data, setData] = useState({ monthly: [], yearly: [] });
+  // A string key keeps the fetch callback stable across renders that pass
+  // a new array with the same stations
+  const stationKey = [
+    stationId,
+    ...comparisonStationIds.filter((id) => id !== stationId),
+  ].join(",");
+
+  const [data, setData] = useState({
+    daily: [],
+    monthly: [],
+    yearly: [],
+  });
+  const [stationData, setStationData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastFetch, setLastFetch] = useState(null);
+  const [parseReport, setParseReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
+  // Source the user asked for (kept across sessions) and the one shown,
+  // which differs when a live fetch fails and sample data is used instead
+  const [dataSource, setDataSourceState] = useState(() => {
+    const saved = loadPreference(STORAGE_KEYS.DATA_SOURCE);
+    return Object.values(DATA_SOURCES).includes(saved)
+      ? saved
+      : useSampleData
+      ? DATA_SOURCES.SAMPLE
+      : DATA_SOURCES.LIVE;
+  });
+  const [activeDataSource, setActiveDataSource] = useState(dataSource);
+  const [fallbackReason, setFallbackReason] = useState(null);
+  // Fill the primary station's missing days from its nearest neighbour
+  const [gapFill, setGapFillState] = useState(
+    () => loadPreference(STORAGE_KEYS.GAP_FILL, false) === true
+  );
+  // Bumped when the station inventory loads so station metadata re-renders
+  const [, setRegistryVersion] = useState(0);
+  const abortRef = useRef(null);
+
+  /**
+   * Reload cache statistics for the Footer
+   */
+  const refreshCacheStats = useCallback(async () => {
+    try {
+      setCacheStats(await weatherAPI.getCacheStats());
+    } catch (err) {
+      console.warn("Unable to read cache statistics:", err);
+    }
+  }, []);
 
   /**
    * Fetch weather data from API or use sample data
+   * Starting a new fetch cancels any request still in flight.
    */
   const fetchData = useCallback(async () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setLoading(true);
     setError(null);
+    setFallbackReason(null);
+    setProgress(null);
+
+    const stationIds = stationKey.split(",");
+    // Imported stations are served from the import store in either mode
+    const getImported = (id) => importedData.get(id)?.dataset;
+    const toStationData = (datasets) =>
+      stationIds
+        .map((id, index) => ({
+          station: weatherAPI.getStationInfo(id) || { id, name: id },
+          data: datasets[index],
+        }))
+        .filter((entry) => entry.data);
 
     try {
-      if (useSampleData) {
+      if (dataSource === DATA_SOURCES.SAMPLE) {
         // Use sample data for development
-        const sampleData = generateSampleData();
-        setData(sampleData);
+        const datasets = stationIds.map(
+          (id) => getImported(id) || generateSampleData({ stationId: id })
+        );
+        setData(datasets[0]);
+        setStationData(toStationData(datasets));
+        setActiveDataSource(DATA_SOURCES.SAMPLE);
+        setParseReport(null);
         setLastFetch(new Date());
       } else {
-        // Fetch real data from Environment Canada
-        const rawData = await weatherAPI.fetchBulkHistoricalData(
-          stationId,
-          startYear,
-          endYear
+        // Only request the years each station actually has daily data for
+        const ranges = stationIds.map((id) =>
+          importedData.has(id)
+            ? null
+            : weatherAPI.stations.clampYearRange(id, startYear, endYear)
+        );
+        if (!ranges[0] && !importedData.has(stationIds[0])) {
+          throw new Error(
+            `${
+              weatherAPI.getStationInfo(stationIds[0])?.name || stationIds[0]
+            } has no daily data between ${startYear} and ${endYear}`
+          );
+        }
+
+        // Fetch real data from Environment Canada, one station at a time so
+        // the request scheduler's concurrency limit holds overall
+        const stationProgress = ranges.map((range) =>
+          range ? null : { completed: 0, failed: 0, total: 0 }
+        );
+        const reportProgress = () => {
+          if (controller.signal.aborted) return;
+          const known = stationProgress.filter(Boolean);
+          // Stations not started yet cover about as many months as the first
+          const pending = (stationIds.length - known.length) * known[0].total;
+          setProgress({
+            completed: known.reduce((sum, p) => sum + p.completed, 0),
+            failed: known.reduce((sum, p) => sum + p.failed, 0),
+            total: known.reduce((sum, p) => sum + p.total, 0) + pending,
+            stations: stationIds.length,
+          });
+        };
+
+        const rawDatasets = [];
+        for (const [index, id] of stationIds.entries()) {
+          if (!ranges[index]) {
+            if (!importedData.has(id)) {
+              console.warn(
+                `Skipping station ${id}: no daily data between ${startYear} and ${endYear}`
+              );
+            }
+            rawDatasets.push(null);
+            continue;
+          }
+
+          const rawData = await weatherAPI.fetchBulkHistoricalData(
+            id,
+            ranges[index].startYear,
+            ranges[index].endYear,
+            DATA_TIMEFRAMES.DAILY,
+            {
+              signal: controller.signal,
+              onProgress: (update) => {
+                stationProgress[index] = update;
+                reportProgress();
+              },
+            }
+          );
+
+          rawDatasets.push(rawData);
+        }
+
+        // Optional processing step between fetch and aggregation
+        let gapFillReport = null;
+        if (gapFill && rawDatasets[0]) {
+          const neighbour = findNearestStation(
+            weatherAPI.getStationInfo(stationIds[0]),
+            Object.values(WEATHER_STATIONS).map(
+              (station) => weatherAPI.getStationInfo(station.id) || station
+            )
+          );
+
+          try {
+            if (!neighbour) {
+              throw new Error("No neighbouring station with coordinates");
+            }
+            const neighbourIndex = stationIds.indexOf(neighbour.id);
+            const neighbourData =
+              rawDatasets[neighbourIndex] ||
+              (await weatherAPI.fetchBulkHistoricalData(
+                neighbour.id,
+                ranges[0].startYear,
+                ranges[0].endYear,
+                DATA_TIMEFRAMES.DAILY,
+                { signal: controller.signal }
+              ));
+            const { records, report } = fillGapsFromNeighbour(
+              rawDatasets[0],
+              neighbourData,
+              { neighbourId: neighbour.id }
+            );
+            rawDatasets[0] = records;
+            gapFillReport = { ...report, neighbourName: neighbour.name };
+          } catch (err) {
+            if (err.name === "AbortError") throw err;
+            console.warn("Gap filling skipped:", err);
+            gapFillReport = { error: err.message };
+          }
+        }
+
+        const datasets = rawDatasets.map((rawData, index) =>
+          getImported(stationIds[index])
+            ? getImported(stationIds[index])
+            : rawData
+            ? buildDatasetFromDaily(rawData, {
+                station: weatherAPI.getStationInfo(stationIds[index])?.name,
+                ...(index === 0 && gapFillReport && { gapFill: gapFillReport }),
+              })
+            : null
         );
 
-        const processedData = processRawData(rawData);
-        setData(processedData);
+        setData(datasets[0]);
+        setStationData(toStationData(datasets));
+        setActiveDataSource(DATA_SOURCES.LIVE);
+        setParseReport(weatherAPI.getParseReport());
         setLastFetch(new Date());
       }
     } catch (err) {
+      if (err.name === "AbortError") return;
       console.error("Error fetching weather data:", err);
       setError(err.message);
 
       // Fallback to sample data on error
-      const sampleData = generateSampleData();
-      setData(sampleData);
+      const datasets = stationIds.map(
+        (id) => getImported(id) || generateSampleData({ stationId: id })
+      );
+      setData(datasets[0]);
+      setStationData(toStationData(datasets));
+      setActiveDataSource(DATA_SOURCES.SAMPLE);
+      setFallbackReason(err.message);
     } finally {
-      setLoading(false);
+      if (abortRef.current === controller) {
+        setLoading(false);
+        refreshCacheStats();
+      }
     }
-  }, [stationId, startYear, endYear, useSampleData]);
+  }, [stationKey, startYear, endYear, dataSource, gapFill, refreshCacheStats]);
 
   /**
-   * Process raw API data into the format expected by components
-   * @param {Array} rawData - Raw data from API
-   * @returns {Object} Processed data object
+   * Cancel the fetch in progress
    */
-  const processRawData = (rawData) => {
-    const months = [
-      "Jan",
-      "Feb",
-      "Mar",
-      "Apr",
-      "May",
-      "Jun",
-      "Jul",
-      "Aug",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dec",
-    ];
-
-    // Group data by year and month
-    const groupedData = rawData.reduce((acc, record) => {
-      const date = new Date(record.Date);
-      const year = date.getFullYear();
-      const month = date.getMonth();
-
-      if (!acc[year]) acc[year] = {};
-      if (!acc[year][month]) acc[year][month] = [];
-
-      acc[year][month].push(record);
-      return acc;
-    }, {});
-
-    // Calculate monthly averages
-    const yearlyData = [];
-    const monthlyAverages = Array(12)
-      .fill()
-      .map((_, i) => ({
-        month: months[i],
-        rainfall: 0,
-        temp: 0,
-        tempMin: 0,
-        tempMax: 0,
-        humidity: 0,
-        sunshine: 0,
-        count: 0,
-      }));
-
-    Object.entries(groupedData).forEach(([year, monthData]) => {
-      Object.entries(monthData).forEach(([monthIndex, records]) => {
-        const monthName = months[parseInt(monthIndex)];
-
-        // Calculate averages for this month
-        const avgTemp =
-          records.reduce((sum, r) => sum + (r["Mean Temp (°C)"] || 0), 0) /
-          records.length;
-        const totalRain = records.reduce(
-          (sum, r) => sum + (r["Total Rain (mm)"] || 0),
-          0
-        );
-        const avgHumidity =
-          records.reduce((sum, r) => sum + (r["Rel Hum (%)"] || 0), 0) /
-          records.length;
-
-        const monthlyRecord = {
-          year: parseInt(year),
-          month: monthName,
-          date: `${year}-${String(parseInt(monthIndex) + 1).padStart(2, "0")}`,
-          temp: Math.round(avgTemp * 10) / 10,
-          tempMin: Math.round((avgTemp - 3) * 10) / 10, // Approximate
-          tempMax: Math.round((avgTemp + 3) * 10) / 10, // Approximate
-          rainfall: Math.round(totalRain * 10) / 10,
-          humidity: Math.round(avgHumidity),
-          sunshine: Math.round((8 - totalRain / 20) * 10) / 10, // Estimated
-        };
-
-        yearlyData.push(monthlyRecord);
-
-        // Add to monthly averages
-        const monthIdx = parseInt(monthIndex);
-        monthlyAverages[monthIdx].rainfall += totalRain;
-        monthlyAverages[monthIdx].temp += avgTemp;
-        monthlyAverages[monthIdx].tempMin += avgTemp - 3;
-        monthlyAverages[monthIdx].tempMax += avgTemp + 3;
-        monthlyAverages[monthIdx].humidity += avgHumidity;
-        monthlyAverages[monthIdx].count++;
-      });
-    });
-
-    // Calculate final averages
-    const monthly = monthlyAverages
-      .map((month) => ({
-        ...month,
-        rainfall:
-          month.count > 0
-            ? Math.round((month.rainfall / month.count) * 10) / 10
-            : 0,
-        temp:
-          month.count > 0
-            ? Math.round((month.temp / month.count) * 10) / 10
-            : 0,
-        tempMin:
-          month.count > 0
-            ? Math.round((month.tempMin / month.count) * 10) / 10
-            : 0,
-        tempMax:
-          month.count > 0
-            ? Math.round((month.tempMax / month.count) * 10) / 10
-            : 0,
-        humidity:
-          month.count > 0 ? Math.round(month.humidity / month.count) : 0,
-        sunshine:
-          month.count > 0
-            ? Math.round((month.sunshine / month.count) * 10) / 10
-            : 0,
-      }))
-      .map(({ count, ...month }) => month);
-
-    return { monthly, yearly: yearlyData };
-  };
+  const cancelFetch = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
 
   /**
    * Refresh data manually
@@ -188,26 +276,150 @@ export const useWeatherData = (options = {}) => {
     fetchData();
   }, [fetchData]);
 
+  /**
+   * Empty the persistent data cache
+   */
+  const clearCache = useCallback(async () => {
+    await weatherAPI.clearCache();
+    refreshCacheStats();
+  }, [refreshCacheStats]);
+
+  /**
+   * Load the EC station inventory so station metadata and data years are
+   * known, then refetch with the corrected year ranges
+   * @param {File|string} source - Inventory file or URL (optional)
+   * @returns {Promise<Object>} { count, report }
+   */
+  const loadStationInventory = useCallback(
+    async (source) => {
+      const result = await weatherAPI.loadStationInventory(source);
+      setRegistryVersion((version) => version + 1);
+      fetchData();
+      return result;
+    },
+    [fetchData]
+  );
+
+  /**
+   * Check whether a station is configured, in the loaded inventory or
+   * imported
+   * @param {string} id - Station ID
+   * @returns {boolean} True when the station can be selected
+   */
+  const isKnownStation = useCallback(
+    (id) => Boolean(weatherAPI.getStationInfo(id)),
+    []
+  );
+
+  /**
+   * Search the station registry by name, province and distance
+   * @param {Object} criteria - See StationRegistry.search
+   * @returns {Array} Matching stations
+   */
+  const searchStations = useCallback(
+    (criteria) => weatherAPI.searchStations(criteria),
+    []
+  );
+
+  /**
+   * Import a file as a new selectable station
+   * @param {Object} inspection - Result of inspectImportFile
+   * @param {Object} mapping - Column mapping for generic CSV
+   * @returns {Object} Station metadata of the import
+   */
+  const importData = useCallback((inspection, mapping) => {
+    const result = buildImportedDataset(inspection, mapping);
+    const station = importedData.add(result, inspection.name);
+    setRegistryVersion((version) => version + 1);
+    return station;
+  }, []);
+
+  /**
+   * Remove an imported station
+   * @param {string} id - Station ID of the import
+   */
+  const removeImport = useCallback((id) => {
+    importedData.remove(id);
+    setRegistryVersion((version) => version + 1);
+  }, []);
+
+  /**
+   * Choose the data source; the choice is saved for future sessions and
+   * the data refetches through the effect below
+   * @param {string} source - DATA_SOURCES value
+   */
+  const setDataSource = useCallback((source) => {
+    if (!Object.values(DATA_SOURCES).includes(source)) return;
+    savePreference(STORAGE_KEYS.DATA_SOURCE, source);
+    setDataSourceState(source);
+  }, []);
+
+  /**
+   * Turn gap filling from a neighbouring station on or off; the choice is
+   * saved and the data refetches
+   * @param {boolean} enabled - Whether to fill gaps
+   */
+  const setGapFill = useCallback((enabled) => {
+    savePreference(STORAGE_KEYS.GAP_FILL, Boolean(enabled));
+    setGapFillState(Boolean(enabled));
+  }, []);
+
   /**
    * Switch between sample and real data
    */
   const toggleDataSource = useCallback(() => {
-    // This would toggle the useSampleData option and refetch
-    fetchData();
-  }, [fetchData]);
+    setDataSource(
+      dataSource === DATA_SOURCES.SAMPLE
+        ? DATA_SOURCES.LIVE
+        : DATA_SOURCES.SAMPLE
+    );
+  }, [dataSource, setDataSource]);
 
-  // Initial data fetch
+  // Initial data fetch; cancel outstanding requests on unmount
   useEffect(() => {
     fetchData();
+    return () => abortRef.current?.abort();
   }, [fetchData]);
 
+  // Configured stations, imports, and the selected station when it was
+  // picked from the inventory
+  const stations = [
+    ...Object.values(WEATHER_STATIONS).map(
+      (station) => weatherAPI.getStationInfo(station.id) || station
+    ),
+    ...importedData.getStations(),
+  ];
+  const stationInfo = weatherAPI.getStationInfo(stationId);
+  if (stationInfo && !stations.some((station) => station.id === stationId)) {
+    stations.push(stationInfo);
+  }
+
   return {
     data,
+    stationData,
     loading,
     error,
     lastFetch,
+    parseReport,
+    progress,
+    cacheStats,
+    dataSource,
+    activeDataSource,
+    fallbackReason,
+    gapFill,
     refreshData,
+    cancelFetch,
+    clearCache,
+    setDataSource,
     toggleDataSource,
-    stationInfo: weatherAPI.getStationInfo(stationId),
+    setGapFill,
+    loadStationInventory,
+    inventoryLoaded: weatherAPI.stations.inventoryLoaded,
+    isKnownStation,
+    searchStations,
+    importData,
+    removeImport,
+    stationInfo,
+    stations,
   };
 };
@@ -0,0 +1,1199 @@
+// i18n/en.js
+
+/**
+ * English messages
+ * The reference catalog: every key the dashboard uses is defined here.
+ * Placeholders in braces are filled by translate(); { one, other }
+ * messages are chosen by the count placeholder.
+ */
+export const en = {
+  common: {
+    notAvailable: "N/A",
+    unitSeparator: "",
+    close: "Close",
+    cancel: "Cancel",
+    clear: "Clear",
+    retry: "Try Again",
+    percent: "{value}%",
+    hoursUnit: "hrs",
+  },
+  header: {
+    realTimeReady: "Real-time ready",
+    dataCurrent: "Data current",
+    weatherStation: "Weather Station",
+    stationId: "ID: {id}",
+    elevation: "Elevation {elevation} m",
+    records: "Records {first}-{last}",
+    defaultStation: "Vancouver International Airport",
+    defaultStationNetwork: "Environment Canada Station",
+    liveData: "Live Data",
+    sampleData: "Sample Data",
+    sampleDataFallback: "Sample Data (Fallback)",
+    liveSource: "Environment Canada observations",
+    fallbackSource: "Live fetch failed",
+    sampleSource: "Generated from climate normals",
+    dataStatus: "Data Status",
+    timeZone: "Vancouver Time (PDT/PST)",
+    features: {
+      temperature: "Temperature Analysis",
+      patterns: "Climate Patterns",
+      extremes: "Extreme Events",
+      trends: "Trend Analysis",
+    },
+    climateContextTitle: "Climate Context:",
+    climateContext:
+      "Vancouver's oceanic climate features mild, wet winters and warm, dry summers. Recent years show increasing extreme weather events including heat domes and atmospheric rivers.",
+  },
+  nav: {
+    tabs: {
+      overview: {
+        label: "Overview",
+        description: "Key metrics and monthly patterns",
+      },
+      temperature: {
+        label: "Temperature",
+        description: "Detailed temperature analysis",
+      },
+      trends: {
+        label: "Trends",
+        description: "Multi-year patterns and changes",
+      },
+      correlations: {
+        label: "Correlations",
+        description: "Variable relationships and insights",
+      },
+    },
+    stationNoDaily: "{name} (no daily data)",
+    allYears: "All Years (Average)",
+    allYearsDescription: "Climate normal patterns",
+    timePeriod: "Time Period:",
+    or: "or",
+    rangeStart: "Range start",
+    rangeEnd: "Range end",
+    station: "Station:",
+    loadInventory: "Load station inventory",
+    loadInventoryHint:
+      "Load Environment Canada's Station Inventory EN.csv for station metadata and data years",
+    inventoryError: "Could not load station inventory: {message}",
+    findStation: "Find a station",
+    findStationHint:
+      "Search the station inventory by name, province and distance",
+    inventoryLoaded: {
+      one: "Loaded {count} station from the inventory",
+      other: "Loaded {count} stations from the inventory",
+    },
+    compareStations: "Compare stations",
+    gapFill: "Fill gaps from nearby station",
+    gapFillHint:
+      "Estimate missing days from the nearest station by linear regression",
+    compareWith: "Compare with:",
+    currentView: "Current View:",
+    dataSource: "Data source",
+    live: "Live",
+    sample: "Sample",
+    liveHint: "Fetch observations from Environment Canada",
+    sampleHint: "Use generated sample data",
+    units: "Units",
+    metricHint: "Metric units (°C, mm, km/h, hPa)",
+    imperialHint: "Imperial units (°F, inches, mph, inHg)",
+    language: "Language",
+    import: "Import",
+    importHint: "Import CSV or JSON weather data",
+    export: "Export",
+    exportHint: "Download the data behind the current view",
+    exportFormats: {
+      csv: "CSV",
+      json: "JSON",
+      xls: "Excel (SpreadsheetML)",
+    },
+    report: "Report",
+    reportHint: "Build a printable climate report",
+    print: "Print",
+    printHint: "Print Dashboard",
+    share: "Share",
+    shareHint: "Share Dashboard",
+    yearDescriptions: {
+      elNino: "{phase} - milder, drier winter",
+      laNina: "{phase} - cooler, wetter winter",
+      neutral: "ENSO-neutral year",
+      default: "Weather data available",
+    },
+  },
+  app: {
+    title: "Vancouver Weather Analytics Dashboard",
+    subtitle: "Comprehensive climate data visualization for Vancouver, BC",
+    shareTitle: "Vancouver Weather Dashboard",
+    defaultSource: "Environment and Climate Change Canada",
+    loading: "Loading Vancouver weather data...",
+    loadError: "Data Loading Error",
+    range: {
+      between: "{start} to {end}",
+      from: "From {start}",
+      until: "Until {end}",
+    },
+    progress: {
+      months: "{completed}/{total} months loaded",
+      stations: {
+        one: "across {count} station",
+        other: "across {count} stations",
+      },
+      failed: "({count} failed)",
+    },
+    unknownStations: {
+      one: "Station {ids} from the link isn't a known station and was left out.",
+      other:
+        "Stations {ids} from the link aren't known stations and were left out.",
+    },
+    cards: {
+      annualRainfall: "Annual Rainfall",
+      avgTemperature: "Avg Temperature",
+      avgHumidity: "Avg Humidity",
+      sunshineHours: "Sunshine Hours",
+      hours: "{value}hrs",
+      notProvided: "Not provided by this data source",
+    },
+  },
+  banner: {
+    title: "Showing sample data because live data could not be loaded",
+    detail:
+      "Charts and statistics below are generated from Vancouver climate normals, not Environment Canada observations.",
+    retry: "Retry Live Data",
+    useSample: "Use Sample Data",
+  },
+  footer: {
+    unknown: "Unknown",
+    invalidDate: "Invalid date",
+    dataSources: "Data Sources",
+    primarySource: "Primary Source",
+    climateNormals: "Climate Normals",
+    referencePeriod: "{period} Reference Period",
+    referenceStation: "Normals of {station}; this station has none of its own",
+    lastUpdated: "Last Updated",
+    lastUpdatedValue: "{date} PST",
+    techStack: "Technical Stack",
+    frontend: "Frontend",
+    architecture: "Architecture",
+    architectureValue: "Modular React Components",
+    deployment: "Deployment",
+    deploymentValue: "Vercel Edge Network",
+    showDetails: "Show Technical Details",
+    hideDetails: "Hide Technical Details",
+    details: {
+      components: {
+        label: "Components:",
+        value: "12+ modular React components",
+      },
+      hooks: {
+        label: "Hooks:",
+        value: "Custom data management hooks",
+      },
+      charts: {
+        label: "Charts:",
+        value: "Recharts with custom tooltips",
+      },
+      styling: {
+        label: "Styling:",
+        value: "Tailwind CSS utility-first",
+      },
+      api: {
+        label: "API Ready:",
+        value: "Environment Canada integration",
+      },
+    },
+    status: "Dashboard Status",
+    liveMode: "Live Mode",
+    sampleMode: "Sample Mode",
+    liveFailed: "Live Fetch Failed",
+    refresh: "Refresh Data",
+    viewSource: "View Source",
+    dataQuality: "Data Quality: {quality}",
+    researchGrade: "Research-grade",
+    gapFillSkipped: "Gap filling skipped: {error}",
+    gapFill: "Gap Filling: {share}% of values imputed from {station}",
+    gapFillCreated: {
+      one: "{count} day with no record was added",
+      other: "{count} days with no record were added",
+    },
+    lastRefresh: "Last Refresh: {time}",
+    cache: {
+      one: "Cache: {count} month ({backend})",
+      other: "Cache: {count} months ({backend})",
+    },
+    inMemory: "in-memory",
+    hitRate: "Hit rate {rate}%",
+    cachedStation: {
+      one: "{name}: {count} month ({first} to {last})",
+      other: "{name}: {count} months ({first} to {last})",
+    },
+    stale: "{count} to revalidate",
+    clearCache: "Clear Cache",
+    rowsParsed: "Rows Parsed: {accepted} of {total}",
+    rejected: "Rejected: {count}",
+    attribution: "Data from Environment Canada Data",
+    linkedIn: "LinkedIn Profile",
+    gitHub: "GitHub Profile",
+    email: "Email Contact",
+    contact: "Contact",
+  },
+  quality: {
+    levels: {
+      complete: "Complete",
+      partial: "Partial",
+      incomplete: "Incomplete",
+    },
+    complete: "{percent}% complete",
+    monthsExcluded: {
+      one: "{count} of {total} months excluded",
+      other: "{count} of {total} months excluded",
+    },
+    daysMissing: {
+      one: "{count} day missing",
+      other: "{count} days missing",
+    },
+    daysEstimated: {
+      one: "{count} day estimated",
+      other: "{count} days estimated",
+    },
+    daysImputed: {
+      one: "{count} day filled from a nearby station",
+      other: "{count} days filled from a nearby station",
+    },
+    excluded: "excluded from averages",
+    flagged: "Flags: {flags}",
+    flagCount: "{flag} ({count})",
+    flags: {
+      missing: "Missing",
+      estimated: "Estimated",
+      trace: "Trace",
+      accumulated: "Accumulated",
+      uncertainAmount: "Precipitation occurred, amount uncertain",
+      possiblePrecipitation: "Precipitation may or may not have occurred",
+      accumulatedEstimated: "Accumulated and estimated",
+      missingAboveZero: "Temperature missing but known to be > 0",
+      missingBelowZero: "Temperature missing but known to be < 0",
+      multipleOccurrences: "More than one occurrence",
+      incompleteData: "Based on incomplete data",
+      notReviewed: "Not reviewed by the National Climate Archives",
+      unknown: "Flag {flag}",
+    },
+  },
+  metricCard: {
+    trend: {
+      up: "Increasing",
+      down: "Decreasing",
+      stable: "Stable",
+    },
+    vsBaseline: "vs baseline:",
+    vsNormal: "vs {period} normal:",
+    vsReferenceNormal: "vs {period} normal of {station} (no station normals):",
+  },
+  fields: {
+    temp: "Average Temperature",
+    tempMin: "Minimum Temperature",
+    tempMax: "Maximum Temperature",
+    rainfall: "Rainfall",
+    humidity: "Humidity",
+    sunshine: "Sunshine Hours",
+    pressure: "Pressure",
+    windSpeed: "Wind Speed",
+    precipitation: "Precipitation",
+    totalRainfall: "Total Rainfall",
+    totalSunshine: "Total Sunshine",
+    avgTemp: "Average Temperature",
+    avgHumidity: "Average Humidity",
+    tempTrend: "Temperature Trend",
+    rainfallTrend: "Rainfall Trend",
+  },
+  tooltip: {
+    metricsShown: "{count} metrics shown",
+  },
+  charts: {
+    noComparisonData: "No comparison data available",
+    noTemperatureData: "No temperature data available",
+    temperatureAxis: "Temperature ({unit})",
+    export: {
+      title: "Download this chart",
+      button: "Image",
+      svg: "SVG (vector)",
+      png: "PNG {scale}x",
+    },
+    temperature: {
+      rangeTitle: "Temperature Range by Month",
+      rangeSubtitle: "Monthly minimum and maximum temperature comparison",
+      trendTitle: "Temperature Trends",
+      trendSubtitle: "Long-term temperature patterns and variations",
+      simpleTitle: "Average Temperature",
+      simpleSubtitle: "Monthly average temperature patterns",
+    },
+  },
+  drillDown: {
+    noDays: "No daily observations for this month",
+    noHours: "No hourly observations for this day",
+    monthHint:
+      "Daily temperatures and precipitation. Click a day to see its hourly profile.",
+    precipitationAxis: "Precipitation ({unit})",
+    maxTemp: "Max Temp",
+    meanTemp: "Mean Temp",
+    minTemp: "Min Temp",
+    loading: "Loading {month}...",
+    loadError: "Unable to load {month}: {error}",
+    hourly: {
+      temp: "Temperature",
+      humidity: "Humidity",
+      pressure: "Pressure",
+      windSpeed: "Wind Speed",
+      precipitation: "Precipitation",
+    },
+  },
+  importPanel: {
+    title: "Import Data",
+    subtitle: "Imported files appear as stations you can select and compare",
+    close: "Close import panel",
+    reading: "Reading file...",
+    dropPrompt: "Drop a CSV or JSON file here, or click to choose one",
+    supportedFiles:
+      "EC bulk downloads (hourly, daily, monthly), logger CSV exports, or JSON with monthly/yearly arrays",
+    notInFile: "Not in file",
+    importButton: "Import as Station",
+    importedStations: "Imported Stations",
+    remove: "Remove",
+    formats: {
+      ecCsv: "Environment Canada CSV",
+      genericCsv: "CSV (map the columns below)",
+      json: "Dashboard JSON ({ monthly, yearly })",
+    },
+    fields: {
+      date: "Date / time",
+      tempMax: "Max temperature (°C)",
+      tempMin: "Min temperature (°C)",
+      temp: "Mean temperature (°C)",
+      rainfall: "Rainfall (mm)",
+      precipitation: "Precipitation (mm)",
+      humidity: "Humidity (%)",
+      pressure: "Pressure (hPa)",
+      windSpeed: "Wind speed (km/h)",
+      sunshine: "Sunshine (hrs)",
+    },
+  },
+  loading: {
+    default: "Loading data...",
+    inline: "Loading...",
+    page: "Loading Vancouver Weather Dashboard...",
+    chart: "Generating chart...",
+    station: "Connecting to {station} weather station...",
+    percentComplete: "{progress}% complete",
+    temperature: "Temperature",
+    precipitation: "Precipitation",
+    sunshine: "Sunshine",
+    keywords: {
+      weather: "weather",
+      data: "data",
+    },
+    context: {
+      weather: "Fetching latest meteorological data from Environment Canada...",
+      data: "Processing climate statistics and generating visualizations...",
+      api: "Connecting to weather services and validating data...",
+      error: "Attempting to resolve connection issues...",
+      default: "Please wait while we prepare your dashboard...",
+    },
+  },
+  report: {
+    previewHint:
+      "Report preview. Use Print and choose “Save as PDF” to keep a copy.",
+    print: "Print / Save PDF",
+    back: "Back to dashboard",
+    title: "Climate Report",
+    unknownStation: "Unknown station",
+    period: "Period: {period} · Generated {generated}",
+    periodAverages:
+      "Period: {period} (monthly averages) · Generated {generated}",
+    completeness: "Data completeness: {quality}",
+    rainfallAxis: "Rainfall ({unit})",
+    max: "Max",
+    mean: "Mean",
+    min: "Min",
+    averageTemperature: "Average temperature",
+    totalRainfall: "Total rainfall",
+    temperatureDeparture: "Temperature departure",
+    meanTemperature: "Mean temperature",
+    correlationNote:
+      "Pearson coefficients over the {count} monthly records in the report period. Blue is positive, red negative.",
+    noAnomalies:
+      "No month of the period departed from the same calendar month in other years by more than the anomaly threshold.",
+    attribution:
+      "Observations: Environment and Climate Change Canada, Historical Climate Data (climate.weather.gc.ca). Reproduced under the Open Government Licence – Canada.",
+    variables: {
+      temp: "Temperature",
+      rainfall: "Rainfall",
+      humidity: "Humidity",
+      sunshine: "Sunshine",
+    },
+    sections: {
+      keyMetrics: "Key Metrics",
+      monthlyRainfall: "Monthly Rainfall",
+      monthlyTemperature: "Monthly Temperature",
+      annualTrends: "Annual Trends",
+      departures: "Departures from the Period Mean",
+      correlations: "Correlation Matrix",
+      anomalies: "Anomalies",
+      methodology: "Methodology",
+      sources: "Station and Sources",
+    },
+    columns: {
+      month: "Month",
+      variable: "Variable",
+      value: "Value",
+      expected: "Expected",
+      score: "z-score",
+    },
+    methodology: {
+      aggregation:
+        "Monthly values are aggregated from daily observations. A month is left out of averages when more than {missing} days, or more than {consecutive} consecutive days, are missing (WMO guidance).",
+      averages:
+        "Monthly averages for “All Years” are the mean of each calendar month over the years available.",
+      anomalies:
+        "Anomalies are months of the report period whose mean temperature or rainfall departs from the mean of the same calendar month across the station's whole record by more than {threshold} standard deviations; the score is that z-score.",
+      correlations:
+        "Correlations are Pearson coefficients between monthly values.",
+      gapFill:
+        "{share} of daily values were estimated from {neighbour} by linear regression.",
+      nearbyStation: "a nearby station",
+    },
+    details: {
+      station: "Station",
+      stationId: "ID {id}",
+      climateId: "Climate ID",
+      location: "Location",
+      data: "Data",
+      eccc: "Environment and Climate Change Canada",
+      sampleData: "Sample data",
+      records: "Records",
+      retrieved: "Retrieved",
+    },
+  },
+  overview: {
+    noData: "No weather data available for overview",
+    monthAxis: "Month",
+    unavailable: {
+      humidity: "Humidity is not provided by this data source",
+      sunshine: "Sunshine is not provided by this data source",
+    },
+    highlights: {
+      hottest: "Hottest Month",
+      coldest: "Coldest Month",
+      wettest: "Wettest Month",
+      driest: "Driest Month",
+    },
+    climate: {
+      allTitle: "Multi-Year Climate Analysis",
+      allDescription:
+        "Average patterns from 2020-2024 showing Vancouver's typical Pacific Northwest maritime climate.",
+      allPattern: "Marine West Coast Climate",
+      yearTitle: "{year} Climate Overview",
+      pattern: "Climate Pattern",
+      notableEvents: "Notable Events:",
+      characteristicsTitle: "Climate Characteristics",
+      characteristics: {
+        winters: "Mild, wet winters with most rainfall November-February",
+        summers: "Warm, dry summers with peak temperatures in July-August",
+        humidity: "Moderate humidity year-round due to ocean influence",
+        daylight: "Significant seasonal variation in daylight hours",
+      },
+      normal: {
+        pattern: "Normal Conditions",
+        description: "Typical weather patterns",
+      },
+    },
+    comparison: {
+      title: "Station Comparison",
+      description:
+        "Mean monthly temperature and rainfall for each station, with the average difference from {station}",
+    },
+    labels: {
+      avgTemp: "Avg Temp:",
+      avgMonthlyRain: "Avg Monthly Rain:",
+      totalRain: "Total Rain:",
+      avgHumidity: "Avg Humidity:",
+      totalSun: "Total Sun:",
+    },
+    rainfall: {
+      title: "Monthly Rainfall Distribution",
+      allDescription:
+        "Average monthly rainfall showing Vancouver's wet winter, dry summer pattern",
+      yearDescription:
+        "Monthly rainfall for {year} compared to normal patterns",
+    },
+    temperature: {
+      title: "Temperature Variation",
+      comparisonDescription: "Average monthly temperature at each station",
+      description:
+        "Annual temperature cycle showing minimum, average, and maximum temperatures",
+    },
+    humidity: {
+      title: "Humidity Patterns",
+      description:
+        "Monthly relative humidity showing seasonal variations and ocean influence",
+      axis: "Humidity (%)",
+    },
+    sunshine: {
+      title: "Daily Sunshine Hours",
+      description:
+        "Average daily sunshine hours reflecting seasonal daylight variation",
+      axis: "Hours",
+    },
+    seasonal: {
+      title: "Seasonal Summary",
+      description:
+        "Quarterly weather patterns showing Vancouver's distinct seasonal characteristics",
+    },
+    seasons: {
+      winter: "Winter",
+      spring: "Spring",
+      summer: "Summer",
+      fall: "Fall",
+    },
+    insights: {
+      title: "Key Insights",
+      patternsTitle: "Climate Patterns",
+      patterns: {
+        climate:
+          "Vancouver has a marine west coast climate with mild temperatures",
+        winterRain: "Winter months (Nov-Feb) receive 75% of annual rainfall",
+        summerDrought:
+          "Summer drought period typically lasts from June to September",
+        ocean: "Ocean proximity moderates temperature extremes year-round",
+      },
+      statisticsTitle: "Weather Statistics",
+      statistics: {
+        range: "Annual temperature range: {range}",
+        peakRainfall: "Peak rainfall: {amount} in {month}",
+        lowestRainfall: "Lowest rainfall: {amount} in {month}",
+        humidity: "Humidity remains high (65-85%) due to ocean influence",
+      },
+    },
+  },
+  temperature: {
+    title: "Temperature Analysis",
+    allDescription:
+      "Five-year average (2020-2024) showing Vancouver's seasonal temperature patterns",
+    yearDescription: "Detailed temperature analysis for {year}",
+    summary: "Range: {min} to {max} • Annual Average: {average}",
+    dailyExtremes: "Daily extremes: {low} ({lowDate}) to {high} ({highDate})",
+    yearAxis: "Year",
+    tooltip: {
+      max: "Max",
+      min: "Min",
+      average: "Average",
+      extremeMax: "Extreme Max",
+      extremeMin: "Extreme Min",
+    },
+    cards: {
+      annualAverage: "Annual Average",
+      climateNormal: "Climate Normal",
+      range: "Temperature Range",
+      seasonalVariation: "Seasonal Variation",
+    },
+    profile: {
+      title: "Monthly Temperature Profile",
+      description:
+        "Average, minimum, and maximum temperatures showing Vancouver's mild coastal climate",
+      meanMax: "Mean Daily Maximum",
+      meanMin: "Mean Daily Minimum",
+    },
+    range: {
+      title: "Monthly Temperature Range",
+      description:
+        "Mean daily minimum and maximum temperatures - shows Vancouver's moderate climate",
+      descriptionWithExtremes:
+        "Mean daily minimum and maximum temperatures, with the extreme daily values recorded each month - shows Vancouver's moderate climate",
+      extremeMax: "Extreme Maximum",
+      extremeMin: "Extreme Minimum",
+    },
+    trends: {
+      title: "5-Year Temperature Trends",
+      description:
+        "Annual average temperatures showing climate variability and patterns",
+      axis: "Average Temperature ({unit})",
+      average: "Average: {value}",
+      pattern: "Climate Pattern: {pattern}",
+      legend: {
+        laNina: "La Niña (cooler)",
+        elNino: "El Niño (warmer)",
+        neutral: "Neutral",
+      },
+    },
+    seasonal: {
+      title: "Seasonal Temperature Analysis",
+      average: "Average:",
+      range: "Range:",
+    },
+    insights: {
+      title: "Climate Insights",
+      characteristicsTitle: "Vancouver's Temperature Characteristics",
+      characteristics: {
+        oceanic: "Mild oceanic climate with small seasonal variation",
+        freezing: "Winter temperatures rarely below freezing",
+        summerHighs: "Summer highs typically {low}-{high}",
+        heatDome: "Heat dome events can push temperatures above {threshold}",
+      },
+      effectsTitle: "Climate Pattern Effects",
+      effects: {
+        laNina: "La Niña: Cooler, wetter winters",
+        elNino: "El Niño: Warmer, drier winters",
+        heatDomes: "Heat domes: Extreme summer temperatures",
+        arctic: "Arctic outflows: Rare cold snaps in winter",
+      },
+    },
+  },
+  trends: {
+    title: "Climate Trends Analysis",
+    description:
+      "Long-term climate patterns, year-over-year comparisons, and trend analysis for Vancouver. Data shows the impact of climate oscillations like El Niño and La Niña on local weather patterns.",
+    annual: {
+      title: "Annual Climate Summary (2020-2024)",
+      temperature: "Annual Average Temperature",
+      rainfall: "Annual Total Rainfall",
+    },
+    anomalies: {
+      title: "Climate Anomalies & Patterns",
+      temperature: "Temperature Anomalies",
+      normal: "Deviation from the {period} climate normal ({normal})",
+      referenceNormal:
+        "Deviation from the {period} climate normal of {station} ({normal}); this station has no published normals",
+      axis: "Anomaly ({unit})",
+      tooltipAnomaly: "Anomaly: {value}",
+      tooltipPattern: "Pattern: {pattern}",
+      tooltipEvents: "Events: {events}",
+      series: "Temperature Anomaly",
+      patterns: "Climate Patterns",
+    },
+    seasonal: {
+      title: "Seasonal Climate Trends",
+      temperature: "Seasonal Temperature Changes",
+      progression: "Long-term Temperature Progression",
+    },
+    insights: {
+      title: "Key Climate Insights",
+      temperatureTitle: "Temperature Trend",
+      precipitationTitle: "Precipitation Trend",
+      extremesTitle: "Extreme Events",
+      extremes: {
+        one: "{count} catalogued event in this period: {events}.",
+        other: "{count} catalogued events in this period: {events}.",
+      },
+      noExtremes: "No catalogued events in this period.",
+    },
+    context: {
+      title: "Climate Science Context",
+      ensoTitle: "ENSO Effects on Vancouver",
+      enso: {
+        laNina: {
+          label: "La Niña:",
+          text: "Cooler, wetter winters; increased atmospheric river activity",
+        },
+        elNino: {
+          label: "El Niño:",
+          text: "Warmer, drier winters; reduced snowpack in mountains",
+        },
+        neutral: {
+          label: "Neutral:",
+          text: "Near-normal precipitation and temperature patterns",
+        },
+      },
+      regionalTitle: "Regional Climate Impacts",
+      regional: {
+        urban: {
+          label: "Urban Heat Island:",
+          text: "City temperatures {low}-{high} warmer than rural areas",
+        },
+        coastal: {
+          label: "Coastal Influence:",
+          text: "Maritime climate moderates temperature extremes",
+        },
+        orographic: {
+          label: "Orographic Effects:",
+          text: "North Shore mountains enhance precipitation",
+        },
+      },
+    },
+    departures: {
+      title: "Departure from Normal",
+      description:
+        "Monthly departures from the {period} climate normals of {station}",
+      unavailable: "No climate normals are available for this period",
+      period: "Normals period",
+      reference:
+        "This station has no published normals of its own; it is compared with the normals of {station}.",
+      temperature: "Temperature Departure",
+      temperatureSeries: "Departure from normal",
+      precipitation: "Precipitation (% of Normal)",
+      precipitationSeries: "Percent of normal",
+      monthAxis: "Month",
+      percentAxis: "% of normal",
+      tooltipTemperature: "Temperature: {value}",
+      tooltipPrecipitation: "Precipitation: {value} ({percent}% of normal)",
+    },
+    statistics: {
+      title: "Trend Analysis",
+      description: {
+        one: "Least-squares and Mann-Kendall trends over {count} complete year; the seasonal test compares each month across years. Trends are significant when p < {level}.",
+        other:
+          "Least-squares and Mann-Kendall trends over {count} complete years; the seasonal test compares each month across years. Trends are significant when p < {level}.",
+      },
+      series: "Series",
+      olsSlope: "Least-squares slope",
+      confidenceInterval: "95% confidence interval",
+      sensSlope: "Sen's slope",
+      mannKendall: "Mann-Kendall",
+      seasonalMannKendall: "Seasonal Mann-Kendall (monthly)",
+      temperature: "Annual mean temperature",
+      rainfall: "Annual precipitation",
+      perDecade: "{value}/decade",
+      interval: "{low} to {high}",
+      p: "p = {value}",
+      pBelow: "p < {value}",
+      direction: {
+        increasing: "increasing",
+        decreasing: "decreasing",
+        none: "no significant trend",
+      },
+      summary:
+        "Least-squares trend of {rate} (95% CI {low} to {high}, {p}); {significance}.",
+      significant:
+        "the Mann-Kendall test finds it statistically significant ({p})",
+      notSignificant:
+        "the Mann-Kendall test finds no statistically significant trend ({p})",
+      notEnoughYears: {
+        one: "Only {count} complete year of data; at least three are needed to estimate a trend.",
+        other:
+          "Only {count} complete years of data; at least three are needed to estimate a trend.",
+      },
+    },
+    anomalyList: {
+      title: "Unusual Months",
+      description: {
+        zscore:
+          "Months more than {threshold} standard deviations from the mean of the same calendar month across years",
+        robust:
+          "Months with a modified z-score beyond {threshold}, measured in median absolute deviations from the same calendar month's median",
+        percentile:
+          "Months outside the {threshold}th to {upper}th percentile range of the same calendar month across years",
+      },
+      method: "Method",
+      methods: {
+        zscore: "Z-score (mean)",
+        robust: "Robust (median/MAD)",
+        percentile: "Percentile",
+      },
+      threshold: "Threshold",
+      thresholds: {
+        zscore: "±{value} σ",
+        robust: "±{value}",
+        percentile: "{value}% tails",
+      },
+      none: "No month stands out from its calendar month at this threshold.",
+      month: "Month",
+      variable: "Variable",
+      value: "Value",
+      expected: "Expected (usual range)",
+      expectedValue: "{expected} ({low} to {high})",
+      deviation: "Deviation",
+      score: {
+        title: "Score",
+        zscore: "z = {value}",
+        robust: "modified z = {value}",
+      },
+      percentileRank: "{value}th percentile",
+      metrics: {
+        temp: "Temperature",
+        rainfall: "Rainfall",
+      },
+    },
+    enso: {
+      title: "ENSO Phase",
+      description:
+        "Months labelled El Niño or La Niña from NOAA's Oceanic Niño Index: five or more overlapping seasons at or beyond ±{threshold} °C.",
+      season: "Months",
+      seasons: {
+        all: "All months",
+        winter: "November to March",
+      },
+      source: "Bundled NOAA ONI table, {first} to {last}",
+      sourceFile: "ONI table from {name}, {first} to {last}",
+      load: "Load ONI file",
+      reset: "Use bundled table",
+      loadError: "Couldn't read the ONI file: {message}",
+      uncovered: {
+        one: "{count} month of this period is outside the ONI table and has no phase.",
+        other:
+          "{count} months of this period are outside the ONI table and have no phase.",
+      },
+      oniTitle: "Oceanic Niño Index",
+      oniAxis: "ONI (°C)",
+      splitTitle: "Departure from Normal by Phase",
+      columns: {
+        phase: "Phase",
+        months: "Months",
+        temperature: "Temperature departure",
+        rainfall: "Precipitation (% of normal)",
+      },
+      splitNote: "Mean monthly departures from the {period} normals.",
+      splitNoteReference:
+        "Mean monthly departures from the {period} normals of {station}, since this station has no published normals.",
+    },
+    forecast: {
+      title: "Forecast",
+      description: {
+        one: "Projection of the next month from the full monthly record, with 80% and 95% prediction intervals.",
+        other:
+          "Projection of the next {count} months from the full monthly record, with 80% and 95% prediction intervals.",
+      },
+      metric: "Variable",
+      method: "Method",
+      methods: {
+        seasonalNaive: {
+          name: "Seasonal naive",
+          description:
+            "Seasonal naive repeats each month's value from the year before. It is the baseline the other methods should beat.",
+        },
+        holtWinters: {
+          name: "Holt-Winters",
+          description:
+            "Holt-Winters (additive) smooths the level, trend and seasonal cycle, weighting recent months most; the weights are fitted to the record.",
+        },
+        trendClimatology: {
+          name: "Trend + climatology",
+          description:
+            "Trend + climatology takes each calendar month's mean and shifts it along a straight-line trend fitted to the monthly departures.",
+        },
+      },
+      chartTitle: "{field}: {method} Forecast",
+      observed: "Observed",
+      forecast: "Forecast",
+      band: "{level}% interval",
+      range: "{low} to {high}",
+      interval: "{level}%: {range}",
+      tooltipObserved: "Observed: {value}",
+      tooltipForecast: "Forecast: {value}",
+      backtestTitle: "Backtest",
+      backtestDescription: {
+        one: "Each method forecasts the last month of record from the months before it; errors are against what was observed.",
+        other:
+          "Each method forecasts the last {count} months of record from the months before them; errors are against what was observed.",
+      },
+      mae: "MAE",
+      rmse: "RMSE",
+      best: "Lowest RMSE",
+      noBacktest:
+        "Too little data to backtest: at least three years are needed.",
+      filled: {
+        one: "{count} missing month was filled with its calendar-month mean before fitting.",
+        other:
+          "{count} missing months were filled with their calendar-month means before fitting.",
+      },
+      caveat:
+        "A statistical projection from past observations, not a weather forecast: it can't anticipate ENSO shifts or individual storms.",
+      unavailable:
+        "At least two years of monthly data, with every calendar month observed, are needed for a forecast.",
+    },
+  },
+  correlations: {
+    title: "Weather Variable Correlations",
+    description:
+      "Explore relationships between different weather variables in Vancouver. Understanding these correlations helps predict weather patterns and identify climate trends.",
+    pair: "{first} vs {second}",
+    variables: {
+      temp: {
+        name: "Temperature",
+        phrase: "temperature",
+      },
+      rainfall: {
+        name: "Rainfall",
+        phrase: "rainfall",
+      },
+      humidity: {
+        name: "Humidity",
+        phrase: "humidity",
+      },
+      sunshine: {
+        name: "Sunshine",
+        phrase: "sunshine",
+      },
+    },
+    strength: {
+      veryStrong: "Very Strong",
+      strong: "Strong",
+      moderate: "Moderate",
+      weak: "Weak",
+      veryWeak: "Very Weak",
+    },
+    controls: {
+      pair: "Variable Pair",
+      pairUnavailable: "{first} vs {second} (not available)",
+      view: "View Mode",
+    },
+    views: {
+      scatter: "Scatter",
+      seasonal: "Seasonal",
+      enso: "ENSO",
+      matrix: "Matrix",
+    },
+    summary: {
+      coefficient: "Correlation Coefficient",
+      positive: "{strength} Positive",
+      negative: "{strength} Negative",
+      variance: "Variance Explained",
+      dataPoints: "Data Points",
+      monthlyAverages: "Monthly Averages",
+      year: "Year {year}",
+    },
+    scatter: {
+      title: "{first} vs {second} Correlation",
+      positiveLead: "Positive correlation of",
+      negativeLead: "Negative correlation of",
+      increases:
+        "indicates that as {first} increases, {second} tends to increase.",
+      decreases:
+        "indicates that as {first} increases, {second} tends to decrease.",
+    },
+    seasonal: {
+      title: "Seasonal Correlation Analysis",
+      description:
+        "How the relationship between {first} and {second} varies across seasons.",
+      bySeason: "Correlation by Season",
+      seasonAxis: "Season",
+      correlation: "Correlation",
+      details: "Seasonal Details",
+      correlationLabel: "Correlation:",
+      dataPointsLabel: "Data Points:",
+      average: "Avg {name}:",
+    },
+    matrix: {
+      title: "Correlation Matrix",
+      description:
+        "Complete correlation analysis between all weather variables.",
+      guideTitle: "Interpretation Guide",
+      guide: {
+        positive: "Positive correlation (variables increase together)",
+        negative: "Negative correlation (one increases as other decreases)",
+        perfect: "Perfect correlation (same variable)",
+      },
+    },
+    insights: {
+      findingsTitle: "Key Findings",
+      findings: {
+        tempHumidity: {
+          label: "Temperature-Humidity:",
+          text: "Strong negative correlation (-0.75) typical of marine climate",
+        },
+        rainSunshine: {
+          label: "Rainfall-Sunshine:",
+          text: "Expected negative relationship (-0.68) in Vancouver",
+        },
+        seasonal: {
+          label: "Seasonal Variations:",
+          text: "Correlations strongest in winter months",
+        },
+        enso: {
+          label: "Climate Patterns:",
+          text: "La Niña years show different correlation patterns",
+        },
+      },
+      applicationsTitle: "Practical Applications",
+      applications: {
+        prediction: {
+          label: "Weather Prediction:",
+          text: "Use correlations for short-term forecasting",
+        },
+        planning: {
+          label: "Climate Planning:",
+          text: "Understand long-term weather relationships",
+        },
+        agriculture: {
+          label: "Agriculture:",
+          text: "Optimize crop planning based on weather correlations",
+        },
+        energy: {
+          label: "Energy Management:",
+          text: "Predict heating/cooling demands",
+        },
+      },
+    },
+    enso: {
+      title: "Correlation by ENSO Phase",
+      description:
+        "How the relationship between {first} and {second} changes between El Niño, La Niña and neutral months.",
+      byPhase: "Correlation by Phase",
+      phaseAxis: "ENSO phase",
+      details: "Phase Details",
+      tooFew: {
+        one: "Only {count} month in this phase; at least 3 are needed.",
+        other: "Only {count} months in this phase; at least 3 are needed.",
+      },
+    },
+  },
+  events: {
+    title: "Extreme Event Timeline",
+    description:
+      "Catalogued events in the selected period, newest first. Changes are saved in this browser.",
+    add: "Add event",
+    reset: "Restore curated list",
+    resetConfirm:
+      "Replace the catalogue with the curated events? Your additions and edits will be lost.",
+    edit: "Edit",
+    remove: "Remove",
+    empty: "No events in this period.",
+    range: "{start} – {end}",
+    form: {
+      name: "Name",
+      type: "Type",
+      start: "Start",
+      end: "End",
+      description: "Description",
+      save: "Save",
+      cancel: "Cancel",
+    },
+    types: {
+      heat: "Heat",
+      cold: "Cold",
+      rain: "Heavy rain",
+      snow: "Snow",
+      wind: "Wind",
+      other: "Other",
+    },
+    sources: {
+      curated: "Curated",
+      user: "Added",
+      detected: "Detected",
+    },
+    candidates: {
+      title: "Detected in the daily data",
+      description:
+        "Spells beyond the 99th percentile of this station's daily record that the catalogue doesn't cover yet.",
+      add: "Add to catalogue",
+      names: {
+        heat: "Heat spell",
+        cold: "Cold spell",
+        rain: "Heavy rain spell",
+      },
+    },
+    detection: {
+      heat: {
+        one: "{count} day with highs at or above {threshold} ({percentile}th percentile); peak {peak}",
+        other:
+          "{count} days with highs at or above {threshold} ({percentile}th percentile); peak {peak}",
+      },
+      cold: {
+        one: "{count} day with lows at or below {threshold} ({percentile}st percentile); lowest {peak}",
+        other:
+          "{count} days with lows at or below {threshold} ({percentile}st percentile); lowest {peak}",
+      },
+      rain: {
+        one: "{window}-day totals at or above {threshold} ({percentile}th percentile) over {count} day; largest {peak}",
+        other:
+          "{window}-day totals at or above {threshold} ({percentile}th percentile) over {count} days; largest {peak}",
+      },
+    },
+    curated: {
+      "heat-dome-2021": {
+        name: "Western North America heat dome",
+        description:
+          "A stalled ridge of high pressure brought the hottest days on record to much of British Columbia, with hundreds of heat-related deaths.",
+      },
+      "atmospheric-river-2021": {
+        name: "November 2021 atmospheric river",
+        description:
+          "Days of heavy rain caused floods and landslides that cut every highway and rail link between Vancouver and the rest of Canada.",
+      },
+      "cold-snap-2021": {
+        name: "Late-December 2021 cold snap",
+        description:
+          "Arctic air brought record cold and snow to the Lower Mainland over the holidays.",
+      },
+      "snowstorm-2022": {
+        name: "December 2022 snow and freezing rain",
+        description:
+          "Repeated snowfalls followed by freezing rain disrupted travel in the week before Christmas.",
+      },
+      "arctic-outflow-2024": {
+        name: "January 2024 Arctic outflow",
+        description:
+          "Outflow winds from the Interior brought the coldest temperatures in years to the coast.",
+      },
+      "atmospheric-river-2024": {
+        name: "October 2024 atmospheric river",
+        description:
+          "A strong atmospheric river paired with a deep low brought heavy rain and wind to the South Coast.",
+      },
+    },
+  },
+  enso: {
+    phases: {
+      elNino: "El Niño",
+      laNina: "La Niña",
+      neutral: "Neutral",
+    },
+    strengths: {
+      weak: "weak",
+      moderate: "moderate",
+      strong: "strong",
+      veryStrong: "very strong",
+    },
+    withStrength: "{phase} ({strength})",
+    unknown: "ENSO phase unknown",
+    effects: {
+      elNino:
+        "El Niño years tend to bring milder, drier winters and a smaller mountain snowpack",
+      laNina:
+        "La Niña years tend to bring cooler, wetter winters and more atmospheric rivers",
+      neutral:
+        "No El Niño or La Niña for most of the year; weather follows other patterns",
+    },
+  },
+  stationSearch: {
+    title: "Find a Station",
+    subtitle:
+      "Search Environment Canada's station inventory by name, province and distance",
+    close: "Close station search",
+    noInventory:
+      "Only the configured Vancouver stations can be searched until the station inventory is loaded.",
+    download: "Download inventory from Environment Canada",
+    downloading: "Downloading inventory...",
+    name: "Name or ID",
+    namePlaceholder: "e.g. Abbotsford",
+    province: "Province",
+    anyProvince: "Any province",
+    radius: "Within",
+    anyDistance: "Any distance",
+    from: "Of latitude, longitude",
+    latitude: "Latitude",
+    longitude: "Longitude",
+    noResults: "No stations match these criteria.",
+    limited:
+      "Showing the first {count} matches; narrow the search to see others.",
+    select: "Select",
+    elevation: "{elevation} m",
+    columns: {
+      name: "Station",
+      province: "Province",
+      dailyYears: "Daily data",
+      elevation: "Elevation",
+      distance: "Distance",
+    },
+    provinces: {
+      BC: "British Columbia",
+      AB: "Alberta",
+      SK: "Saskatchewan",
+      MB: "Manitoba",
+      ON: "Ontario",
+      QC: "Quebec",
+      NB: "New Brunswick",
+      NS: "Nova Scotia",
+      PE: "Prince Edward Island",
+      NL: "Newfoundland and Labrador",
+      YT: "Yukon",
+      NT: "Northwest Territories",
+      NU: "Nunavut",
+    },
+  },
+};
@@ -0,0 +1,1224 @@
+// i18n/fr.js
+
+/**
+ * Canadian French messages
+ * Keys mirror en.js; a missing key falls back to English.
+ * Placeholders in braces are filled by translate(); { one, other }
+ * messages are chosen by the count placeholder.
+ */
+export const fr = {
+  common: {
+    notAvailable: "N/D",
+    unitSeparator: " ",
+    close: "Fermer",
+    cancel: "Annuler",
+    clear: "Effacer",
+    retry: "Réessayer",
+    percent: "{value} %",
+    hoursUnit: " h",
+  },
+  header: {
+    realTimeReady: "Prêt pour le temps réel",
+    dataCurrent: "Données à jour",
+    weatherStation: "Station météo",
+    stationId: "ID : {id}",
+    elevation: "Altitude {elevation} m",
+    records: "Relevés {first}-{last}",
+    defaultStation: "Aéroport international de Vancouver",
+    defaultStationNetwork: "Station d'Environnement Canada",
+    liveData: "Données en direct",
+    sampleData: "Données d'exemple",
+    sampleDataFallback: "Données d'exemple (repli)",
+    liveSource: "Observations d'Environnement Canada",
+    fallbackSource: "Échec du chargement en direct",
+    sampleSource: "Générées à partir des normales climatiques",
+    dataStatus: "État des données",
+    timeZone: "Heure de Vancouver (HAP/HNP)",
+    features: {
+      temperature: "Analyse des températures",
+      patterns: "Régimes climatiques",
+      extremes: "Phénomènes extrêmes",
+      trends: "Analyse des tendances",
+    },
+    climateContextTitle: "Contexte climatique :",
+    climateContext:
+      "Le climat océanique de Vancouver se caractérise par des hivers doux et humides et des étés chauds et secs. Les dernières années montrent une hausse des phénomènes météorologiques extrêmes, dont les dômes de chaleur et les rivières atmosphériques.",
+  },
+  nav: {
+    tabs: {
+      overview: {
+        label: "Aperçu",
+        description: "Indicateurs clés et profils mensuels",
+      },
+      temperature: {
+        label: "Température",
+        description: "Analyse détaillée des températures",
+      },
+      trends: {
+        label: "Tendances",
+        description: "Régimes et changements pluriannuels",
+      },
+      correlations: {
+        label: "Corrélations",
+        description: "Relations entre variables et constats",
+      },
+    },
+    stationNoDaily: "{name} (aucune donnée quotidienne)",
+    allYears: "Toutes les années (moyenne)",
+    allYearsDescription: "Profils des normales climatiques",
+    timePeriod: "Période :",
+    or: "ou",
+    rangeStart: "Début de la plage",
+    rangeEnd: "Fin de la plage",
+    station: "Station :",
+    loadInventory: "Charger l'inventaire des stations",
+    loadInventoryHint:
+      "Chargez le fichier Station Inventory EN.csv d'Environnement Canada pour les métadonnées et les années de données des stations",
+    inventoryError:
+      "Impossible de charger l'inventaire des stations : {message}",
+    findStation: "Trouver une station",
+    findStationHint:
+      "Recherchez dans l'inventaire des stations par nom, province et distance",
+    inventoryLoaded: {
+      one: "{count} station chargée depuis l'inventaire",
+      other: "{count} stations chargées depuis l'inventaire",
+    },
+    compareStations: "Comparer des stations",
+    gapFill: "Combler les lacunes avec une station voisine",
+    gapFillHint:
+      "Estimer les jours manquants à partir de la station la plus proche par régression linéaire",
+    compareWith: "Comparer avec :",
+    currentView: "Vue actuelle :",
+    dataSource: "Source des données",
+    live: "Direct",
+    sample: "Exemple",
+    liveHint: "Récupérer les observations d'Environnement Canada",
+    sampleHint: "Utiliser des données d'exemple générées",
+    units: "Unités",
+    metricHint: "Unités métriques (°C, mm, km/h, hPa)",
+    imperialHint: "Unités impériales (°F, pouces, mi/h, inHg)",
+    language: "Langue",
+    import: "Importer",
+    importHint: "Importer des données météo CSV ou JSON",
+    export: "Exporter",
+    exportHint: "Télécharger les données de la vue actuelle",
+    exportFormats: {
+      csv: "CSV",
+      json: "JSON",
+      xls: "Excel (SpreadsheetML)",
+    },
+    report: "Rapport",
+    reportHint: "Produire un rapport climatique imprimable",
+    print: "Imprimer",
+    printHint: "Imprimer le tableau de bord",
+    share: "Partager",
+    shareHint: "Partager le tableau de bord",
+    yearDescriptions: {
+      elNino: "{phase} - hiver plus doux et plus sec",
+      laNina: "{phase} - hiver plus frais et plus humide",
+      neutral: "Année ENSO neutre",
+      default: "Données météo disponibles",
+    },
+  },
+  app: {
+    title: "Tableau de bord météo de Vancouver",
+    subtitle:
+      "Visualisation complète des données climatiques de Vancouver (C.-B.)",
+    shareTitle: "Tableau de bord météo de Vancouver",
+    defaultSource: "Environnement et Changement climatique Canada",
+    loading: "Chargement des données météo de Vancouver...",
+    loadError: "Erreur de chargement des données",
+    range: {
+      between: "Du {start} au {end}",
+      from: "À partir du {start}",
+      until: "Jusqu'au {end}",
+    },
+    progress: {
+      months: "{completed}/{total} mois chargés",
+      stations: {
+        one: "pour {count} station",
+        other: "pour {count} stations",
+      },
+      failed: "({count} en échec)",
+    },
+    unknownStations: {
+      one: "La station {ids} du lien est inconnue et a été retirée.",
+      other: "Les stations {ids} du lien sont inconnues et ont été retirées.",
+    },
+    cards: {
+      annualRainfall: "Précipitations annuelles",
+      avgTemperature: "Température moyenne",
+      avgHumidity: "Humidité moyenne",
+      sunshineHours: "Heures d'ensoleillement",
+      hours: "{value} h",
+      notProvided: "Non fourni par cette source de données",
+    },
+  },
+  banner: {
+    title:
+      "Données d'exemple affichées, car les données en direct n'ont pas pu être chargées",
+    detail:
+      "Les graphiques et statistiques ci-dessous sont générés à partir des normales climatiques de Vancouver, et non des observations d'Environnement Canada.",
+    retry: "Réessayer en direct",
+    useSample: "Utiliser les données d'exemple",
+  },
+  footer: {
+    unknown: "Inconnue",
+    invalidDate: "Date invalide",
+    dataSources: "Sources des données",
+    primarySource: "Source principale",
+    climateNormals: "Normales climatiques",
+    referencePeriod: "Période de référence {period}",
+    referenceStation:
+      "Normales de {station}, faute de normales propres à cette station",
+    lastUpdated: "Dernière mise à jour",
+    lastUpdatedValue: "{date} HNP",
+    techStack: "Pile technique",
+    frontend: "Interface",
+    architecture: "Architecture",
+    architectureValue: "Composants React modulaires",
+    deployment: "Déploiement",
+    deploymentValue: "Réseau Vercel Edge",
+    showDetails: "Afficher les détails techniques",
+    hideDetails: "Masquer les détails techniques",
+    details: {
+      components: {
+        label: "Composants :",
+        value: "plus de 12 composants React modulaires",
+      },
+      hooks: {
+        label: "Hooks :",
+        value: "hooks personnalisés de gestion des données",
+      },
+      charts: {
+        label: "Graphiques :",
+        value: "Recharts avec infobulles personnalisées",
+      },
+      styling: {
+        label: "Styles :",
+        value: "Tailwind CSS, approche utilitaire",
+      },
+      api: {
+        label: "API :",
+        value: "intégration d'Environnement Canada",
+      },
+    },
+    status: "État du tableau de bord",
+    liveMode: "Mode direct",
+    sampleMode: "Mode exemple",
+    liveFailed: "Échec du chargement en direct",
+    refresh: "Actualiser les données",
+    viewSource: "Voir le code source",
+    dataQuality: "Qualité des données : {quality}",
+    researchGrade: "Qualité recherche",
+    gapFillSkipped: "Comblement des lacunes ignoré : {error}",
+    gapFill:
+      "Comblement des lacunes : {share} % des valeurs estimées à partir de {station}",
+    gapFillCreated: {
+      one: "{count} jour sans relevé a été ajouté",
+      other: "{count} jours sans relevé ont été ajoutés",
+    },
+    lastRefresh: "Dernière actualisation : {time}",
+    cache: {
+      one: "Cache : {count} mois ({backend})",
+      other: "Cache : {count} mois ({backend})",
+    },
+    inMemory: "en mémoire",
+    hitRate: "Taux de succès {rate} %",
+    cachedStation: {
+      one: "{name} : {count} mois ({first} à {last})",
+      other: "{name} : {count} mois ({first} à {last})",
+    },
+    stale: {
+      one: "{count} à revalider",
+      other: "{count} à revalider",
+    },
+    clearCache: "Vider le cache",
+    rowsParsed: "Lignes analysées : {accepted} sur {total}",
+    rejected: "Rejetées : {count}",
+    attribution: "Données d'Environnement Canada",
+    linkedIn: "Profil LinkedIn",
+    gitHub: "Profil GitHub",
+    email: "Contact par courriel",
+    contact: "Contact",
+  },
+  quality: {
+    levels: {
+      complete: "Complet",
+      partial: "Partiel",
+      incomplete: "Incomplet",
+    },
+    complete: "{percent} % complet",
+    monthsExcluded: {
+      one: "{count} mois exclu sur {total}",
+      other: "{count} mois exclus sur {total}",
+    },
+    daysMissing: {
+      one: "{count} jour manquant",
+      other: "{count} jours manquants",
+    },
+    daysEstimated: {
+      one: "{count} jour estimé",
+      other: "{count} jours estimés",
+    },
+    daysImputed: {
+      one: "{count} jour comblé par une station voisine",
+      other: "{count} jours comblés par une station voisine",
+    },
+    excluded: "exclu des moyennes",
+    flagged: "Indicateurs : {flags}",
+    flagCount: "{flag} ({count})",
+    flags: {
+      missing: "Manquant",
+      estimated: "Estimé",
+      trace: "Traces",
+      accumulated: "Accumulé",
+      uncertainAmount: "Précipitations survenues, quantité incertaine",
+      possiblePrecipitation: "Précipitations possiblement survenues",
+      accumulatedEstimated: "Accumulé et estimé",
+      missingAboveZero: "Température manquante, mais connue pour être > 0",
+      missingBelowZero: "Température manquante, mais connue pour être < 0",
+      multipleOccurrences: "Plus d'une occurrence",
+      incompleteData: "Fondé sur des données incomplètes",
+      notReviewed:
+        "Non vérifié par les Archives nationales d'information et de données climatologiques",
+      unknown: "Indicateur {flag}",
+    },
+  },
+  metricCard: {
+    trend: {
+      up: "En hausse",
+      down: "En baisse",
+      stable: "Stable",
+    },
+    vsBaseline: "par rapport à la référence :",
+    vsNormal: "par rapport à la normale {period} :",
+    vsReferenceNormal:
+      "par rapport à la normale {period} de {station} (station sans normales) :",
+  },
+  fields: {
+    temp: "Température moyenne",
+    tempMin: "Température minimale",
+    tempMax: "Température maximale",
+    rainfall: "Précipitations",
+    humidity: "Humidité",
+    sunshine: "Heures d'ensoleillement",
+    pressure: "Pression",
+    windSpeed: "Vitesse du vent",
+    precipitation: "Précipitations",
+    totalRainfall: "Précipitations totales",
+    totalSunshine: "Ensoleillement total",
+    avgTemp: "Température moyenne",
+    avgHumidity: "Humidité moyenne",
+    tempTrend: "Tendance des températures",
+    rainfallTrend: "Tendance des précipitations",
+  },
+  tooltip: {
+    metricsShown: "{count} mesures affichées",
+  },
+  charts: {
+    noComparisonData: "Aucune donnée de comparaison disponible",
+    noTemperatureData: "Aucune donnée de température disponible",
+    temperatureAxis: "Température ({unit})",
+    export: {
+      title: "Télécharger ce graphique",
+      button: "Image",
+      svg: "SVG (vectoriel)",
+      png: "PNG {scale}x",
+    },
+    temperature: {
+      rangeTitle: "Écart de température par mois",
+      rangeSubtitle:
+        "Comparaison des températures minimales et maximales mensuelles",
+      trendTitle: "Tendances de la température",
+      trendSubtitle: "Tendances et variations de la température à long terme",
+      simpleTitle: "Température moyenne",
+      simpleSubtitle: "Profil mensuel de la température moyenne",
+    },
+  },
+  drillDown: {
+    noDays: "Aucune observation quotidienne pour ce mois",
+    noHours: "Aucune observation horaire pour ce jour",
+    monthHint:
+      "Températures et précipitations quotidiennes. Cliquez sur un jour pour voir son profil horaire.",
+    precipitationAxis: "Précipitations ({unit})",
+    maxTemp: "Temp. max.",
+    meanTemp: "Temp. moyenne",
+    minTemp: "Temp. min.",
+    loading: "Chargement de {month}...",
+    loadError: "Impossible de charger {month} : {error}",
+    hourly: {
+      temp: "Température",
+      humidity: "Humidité",
+      pressure: "Pression",
+      windSpeed: "Vitesse du vent",
+      precipitation: "Précipitations",
+    },
+  },
+  importPanel: {
+    title: "Importer des données",
+    subtitle:
+      "Les fichiers importés apparaissent comme des stations à sélectionner et à comparer",
+    close: "Fermer le panneau d'importation",
+    reading: "Lecture du fichier...",
+    dropPrompt:
+      "Déposez un fichier CSV ou JSON ici, ou cliquez pour en choisir un",
+    supportedFiles:
+      "Téléchargements en bloc d'ECCC (horaires, quotidiens, mensuels), exports CSV d'enregistreurs ou JSON avec tableaux monthly/yearly",
+    notInFile: "Absent du fichier",
+    importButton: "Importer comme station",
+    importedStations: "Stations importées",
+    remove: "Retirer",
+    formats: {
+      ecCsv: "CSV d'Environnement Canada",
+      genericCsv: "CSV (associez les colonnes ci-dessous)",
+      json: "JSON du tableau de bord ({ monthly, yearly })",
+    },
+    fields: {
+      date: "Date / heure",
+      tempMax: "Température max. (°C)",
+      tempMin: "Température min. (°C)",
+      temp: "Température moyenne (°C)",
+      rainfall: "Pluie (mm)",
+      precipitation: "Précipitations (mm)",
+      humidity: "Humidité (%)",
+      pressure: "Pression (hPa)",
+      windSpeed: "Vitesse du vent (km/h)",
+      sunshine: "Ensoleillement (h)",
+    },
+  },
+  loading: {
+    default: "Chargement des données...",
+    inline: "Chargement...",
+    page: "Chargement du tableau de bord météo de Vancouver...",
+    chart: "Création du graphique...",
+    station: "Connexion à la station météo {station}...",
+    percentComplete: "{progress} % terminé",
+    temperature: "Température",
+    precipitation: "Précipitations",
+    sunshine: "Ensoleillement",
+    keywords: {
+      weather: "météo",
+      data: "données",
+    },
+    context: {
+      weather:
+        "Récupération des dernières données météorologiques d'Environnement Canada...",
+      data: "Calcul des statistiques climatiques et création des visualisations...",
+      api: "Connexion aux services météo et validation des données...",
+      error: "Tentative de résolution des problèmes de connexion...",
+      default:
+        "Veuillez patienter pendant la préparation du tableau de bord...",
+    },
+  },
+  report: {
+    previewHint:
+      "Aperçu du rapport. Utilisez Imprimer et choisissez « Enregistrer au format PDF » pour en garder une copie.",
+    print: "Imprimer / Enregistrer en PDF",
+    back: "Retour au tableau de bord",
+    title: "Rapport climatique",
+    unknownStation: "Station inconnue",
+    period: "Période : {period} · Créé le {generated}",
+    periodAverages:
+      "Période : {period} (moyennes mensuelles) · Créé le {generated}",
+    completeness: "Complétude des données : {quality}",
+    rainfallAxis: "Pluie ({unit})",
+    max: "Max.",
+    mean: "Moyenne",
+    min: "Min.",
+    averageTemperature: "Température moyenne",
+    totalRainfall: "Pluie totale",
+    temperatureDeparture: "Écart de température",
+    meanTemperature: "Température moyenne",
+    correlationNote:
+      "Coefficients de Pearson sur les {count} relevés mensuels de la période du rapport. Le bleu est positif, le rouge négatif.",
+    noAnomalies:
+      "Aucun mois de la période ne s'est écarté du même mois des autres années au-delà du seuil d'anomalie.",
+    attribution:
+      "Observations : Environnement et Changement climatique Canada, Données climatiques historiques (climat.meteo.gc.ca). Reproduit en vertu de la Licence du gouvernement ouvert – Canada.",
+    variables: {
+      temp: "Température",
+      rainfall: "Pluie",
+      humidity: "Humidité",
+      sunshine: "Ensoleillement",
+    },
+    sections: {
+      keyMetrics: "Indicateurs clés",
+      monthlyRainfall: "Pluie mensuelle",
+      monthlyTemperature: "Température mensuelle",
+      annualTrends: "Tendances annuelles",
+      departures: "Écarts par rapport à la moyenne de la période",
+      correlations: "Matrice de corrélation",
+      anomalies: "Anomalies",
+      methodology: "Méthodologie",
+      sources: "Station et sources",
+    },
+    columns: {
+      month: "Mois",
+      variable: "Variable",
+      value: "Valeur",
+      expected: "Attendu",
+      score: "Score z",
+    },
+    methodology: {
+      aggregation:
+        "Les valeurs mensuelles sont agrégées à partir des observations quotidiennes. Un mois est exclu des moyennes lorsqu'il manque plus de {missing} jours, ou plus de {consecutive} jours consécutifs (recommandation de l'OMM).",
+      averages:
+        "Les moyennes mensuelles pour « Toutes les années » sont la moyenne de chaque mois civil sur les années disponibles.",
+      anomalies:
+        "Les anomalies sont les mois de la période du rapport dont la température moyenne ou la pluie s'écarte de la moyenne du même mois sur l'ensemble des données de la station de plus de {threshold} écarts-types; le score est cet écart réduit (z).",
+      correlations:
+        "Les corrélations sont des coefficients de Pearson entre les valeurs mensuelles.",
+      gapFill:
+        "{share} des valeurs quotidiennes ont été estimées à partir de {neighbour} par régression linéaire.",
+      nearbyStation: "une station voisine",
+    },
+    details: {
+      station: "Station",
+      stationId: "ID {id}",
+      climateId: "Identifiant climatologique",
+      location: "Emplacement",
+      data: "Données",
+      eccc: "Environnement et Changement climatique Canada",
+      sampleData: "Données d'exemple",
+      records: "Relevés",
+      retrieved: "Récupéré le",
+    },
+  },
+  overview: {
+    noData: "Aucune donnée météo disponible pour l'aperçu",
+    monthAxis: "Mois",
+    unavailable: {
+      humidity: "L'humidité n'est pas fournie par cette source de données",
+      sunshine: "L'ensoleillement n'est pas fourni par cette source de données",
+    },
+    highlights: {
+      hottest: "Mois le plus chaud",
+      coldest: "Mois le plus froid",
+      wettest: "Mois le plus pluvieux",
+      driest: "Mois le plus sec",
+    },
+    climate: {
+      allTitle: "Analyse climatique pluriannuelle",
+      allDescription:
+        "Moyennes de 2020 à 2024 illustrant le climat maritime typique du Nord-Ouest Pacifique à Vancouver.",
+      allPattern: "Climat océanique de côte ouest",
+      yearTitle: "Aperçu climatique {year}",
+      pattern: "Régime climatique",
+      notableEvents: "Événements marquants :",
+      characteristicsTitle: "Caractéristiques du climat",
+      characteristics: {
+        winters:
+          "Hivers doux et humides, l'essentiel des pluies de novembre à février",
+        summers:
+          "Étés chauds et secs, températures maximales en juillet et août",
+        humidity: "Humidité modérée toute l'année sous l'influence de l'océan",
+        daylight: "Forte variation saisonnière de la durée du jour",
+      },
+      normal: {
+        pattern: "Conditions normales",
+        description: "Conditions météorologiques typiques",
+      },
+    },
+    comparison: {
+      title: "Comparaison des stations",
+      description:
+        "Température et pluie mensuelles moyennes de chaque station, avec l'écart moyen par rapport à {station}",
+    },
+    labels: {
+      avgTemp: "Temp. moy. :",
+      avgMonthlyRain: "Pluie mensuelle moy. :",
+      totalRain: "Pluie totale :",
+      avgHumidity: "Humidité moy. :",
+      totalSun: "Ensoleillement total :",
+    },
+    rainfall: {
+      title: "Répartition mensuelle de la pluie",
+      allDescription:
+        "Pluie mensuelle moyenne illustrant les hivers humides et les étés secs de Vancouver",
+      yearDescription:
+        "Pluie mensuelle en {year} comparée aux conditions normales",
+    },
+    temperature: {
+      title: "Variation de la température",
+      comparisonDescription: "Température mensuelle moyenne à chaque station",
+      description:
+        "Cycle annuel des températures minimales, moyennes et maximales",
+    },
+    humidity: {
+      title: "Profil de l'humidité",
+      description:
+        "Humidité relative mensuelle montrant les variations saisonnières et l'influence de l'océan",
+      axis: "Humidité (%)",
+    },
+    sunshine: {
+      title: "Heures d'ensoleillement quotidiennes",
+      description:
+        "Heures d'ensoleillement quotidiennes moyennes selon la variation saisonnière du jour",
+      axis: "Heures",
+    },
+    seasonal: {
+      title: "Résumé saisonnier",
+      description:
+        "Conditions trimestrielles illustrant les saisons distinctes de Vancouver",
+    },
+    seasons: {
+      winter: "Hiver",
+      spring: "Printemps",
+      summer: "Été",
+      fall: "Automne",
+    },
+    insights: {
+      title: "Points clés",
+      patternsTitle: "Régimes climatiques",
+      patterns: {
+        climate:
+          "Vancouver a un climat océanique de côte ouest aux températures douces",
+        winterRain:
+          "Les mois d'hiver (nov. à févr.) reçoivent 75 % des pluies annuelles",
+        summerDrought:
+          "La sécheresse estivale dure généralement de juin à septembre",
+        ocean:
+          "La proximité de l'océan modère les extrêmes de température toute l'année",
+      },
+      statisticsTitle: "Statistiques météo",
+      statistics: {
+        range: "Amplitude thermique annuelle : {range}",
+        peakRainfall: "Pluie maximale : {amount} en {month}",
+        lowestRainfall: "Pluie minimale : {amount} en {month}",
+        humidity:
+          "L'humidité reste élevée (65 à 85 %) sous l'influence de l'océan",
+      },
+    },
+  },
+  temperature: {
+    title: "Analyse de la température",
+    allDescription:
+      "Moyenne sur cinq ans (2020-2024) illustrant les variations saisonnières de la température à Vancouver",
+    yearDescription: "Analyse détaillée de la température pour {year}",
+    summary: "Écart : {min} à {max} • Moyenne annuelle : {average}",
+    dailyExtremes:
+      "Extrêmes quotidiens : {low} ({lowDate}) à {high} ({highDate})",
+    yearAxis: "Année",
+    tooltip: {
+      max: "Max.",
+      min: "Min.",
+      average: "Moyenne",
+      extremeMax: "Max. extrême",
+      extremeMin: "Min. extrême",
+    },
+    cards: {
+      annualAverage: "Moyenne annuelle",
+      climateNormal: "Normale climatique",
+      range: "Amplitude thermique",
+      seasonalVariation: "Variation saisonnière",
+    },
+    profile: {
+      title: "Profil mensuel de la température",
+      description:
+        "Températures moyennes, minimales et maximales illustrant le climat côtier doux de Vancouver",
+      meanMax: "Maximum quotidien moyen",
+      meanMin: "Minimum quotidien moyen",
+    },
+    range: {
+      title: "Écart mensuel de température",
+      description:
+        "Températures quotidiennes minimales et maximales moyennes - illustre le climat tempéré de Vancouver",
+      descriptionWithExtremes:
+        "Températures quotidiennes minimales et maximales moyennes, avec les valeurs quotidiennes extrêmes de chaque mois - illustre le climat tempéré de Vancouver",
+      extremeMax: "Maximum extrême",
+      extremeMin: "Minimum extrême",
+    },
+    trends: {
+      title: "Tendances de la température sur 5 ans",
+      description:
+        "Températures moyennes annuelles illustrant la variabilité et les régimes climatiques",
+      axis: "Température moyenne ({unit})",
+      average: "Moyenne : {value}",
+      pattern: "Régime climatique : {pattern}",
+      legend: {
+        laNina: "La Niña (plus frais)",
+        elNino: "El Niño (plus chaud)",
+        neutral: "Neutre",
+      },
+    },
+    seasonal: {
+      title: "Analyse saisonnière de la température",
+      average: "Moyenne :",
+      range: "Écart :",
+    },
+    insights: {
+      title: "Aperçu climatique",
+      characteristicsTitle: "Caractéristiques thermiques de Vancouver",
+      characteristics: {
+        oceanic: "Climat océanique doux à faible variation saisonnière",
+        freezing:
+          "Températures hivernales rarement sous le point de congélation",
+        summerHighs: "Maximums estivaux généralement de {low} à {high}",
+        heatDome:
+          "Les dômes de chaleur peuvent faire grimper la température au-delà de {threshold}",
+      },
+      effectsTitle: "Effets des régimes climatiques",
+      effects: {
+        laNina: "La Niña : hivers plus frais et plus humides",
+        elNino: "El Niño : hivers plus doux et plus secs",
+        heatDomes: "Dômes de chaleur : températures estivales extrêmes",
+        arctic: "Débâcles d'air arctique : rares vagues de froid en hiver",
+      },
+    },
+  },
+  trends: {
+    title: "Analyse des tendances climatiques",
+    description:
+      "Régimes climatiques à long terme, comparaisons d'une année à l'autre et analyse des tendances pour Vancouver. Les données montrent l'effet d'oscillations climatiques comme El Niño et La Niña sur la météo locale.",
+    annual: {
+      title: "Bilan climatique annuel (2020-2024)",
+      temperature: "Température moyenne annuelle",
+      rainfall: "Pluie totale annuelle",
+    },
+    anomalies: {
+      title: "Anomalies et régimes climatiques",
+      temperature: "Anomalies de température",
+      normal: "Écart par rapport à la normale climatique {period} ({normal})",
+      referenceNormal:
+        "Écart par rapport à la normale climatique {period} de {station} ({normal}); cette station n'a pas de normales publiées",
+      axis: "Anomalie ({unit})",
+      tooltipAnomaly: "Anomalie : {value}",
+      tooltipPattern: "Régime : {pattern}",
+      tooltipEvents: "Événements : {events}",
+      series: "Anomalie de température",
+      patterns: "Régimes climatiques",
+    },
+    seasonal: {
+      title: "Tendances climatiques saisonnières",
+      temperature: "Évolution saisonnière de la température",
+      progression: "Évolution de la température à long terme",
+    },
+    insights: {
+      title: "Faits saillants climatiques",
+      temperatureTitle: "Tendance des températures",
+      precipitationTitle: "Tendance des précipitations",
+      extremesTitle: "Événements extrêmes",
+      extremes: {
+        one: "{count} événement catalogué pour cette période : {events}.",
+        other: "{count} événements catalogués pour cette période : {events}.",
+      },
+      noExtremes: "Aucun événement catalogué pour cette période.",
+    },
+    context: {
+      title: "Contexte scientifique",
+      ensoTitle: "Effets de l'ENSO sur Vancouver",
+      enso: {
+        laNina: {
+          label: "La Niña :",
+          text: "Hivers plus frais et plus humides; rivières atmosphériques plus fréquentes",
+        },
+        elNino: {
+          label: "El Niño :",
+          text: "Hivers plus doux et plus secs; manteau neigeux réduit en montagne",
+        },
+        neutral: {
+          label: "Neutre :",
+          text: "Précipitations et températures proches des normales",
+        },
+      },
+      regionalTitle: "Impacts climatiques régionaux",
+      regional: {
+        urban: {
+          label: "Îlot de chaleur urbain :",
+          text: "Températures en ville de {low} à {high} plus élevées qu'en milieu rural",
+        },
+        coastal: {
+          label: "Influence côtière :",
+          text: "Le climat maritime modère les extrêmes de température",
+        },
+        orographic: {
+          label: "Effets orographiques :",
+          text: "Les montagnes de la North Shore accentuent les précipitations",
+        },
+      },
+    },
+    departures: {
+      title: "Écart par rapport à la normale",
+      description:
+        "Écarts mensuels par rapport aux normales climatiques {period} de {station}",
+      unavailable:
+        "Aucune normale climatique n'est disponible pour cette période",
+      period: "Période des normales",
+      reference:
+        "Cette station n'a pas de normales publiées ; elle est comparée aux normales de {station}.",
+      temperature: "Écart de température",
+      temperatureSeries: "Écart à la normale",
+      precipitation: "Précipitations (% de la normale)",
+      precipitationSeries: "Pourcentage de la normale",
+      monthAxis: "Mois",
+      percentAxis: "% de la normale",
+      tooltipTemperature: "Température : {value}",
+      tooltipPrecipitation:
+        "Précipitations : {value} ({percent} % de la normale)",
+    },
+    statistics: {
+      title: "Analyse des tendances",
+      description: {
+        one: "Tendances par les moindres carrés et de Mann-Kendall sur {count} année complète; le test saisonnier compare chaque mois d'une année à l'autre. Une tendance est significative lorsque p < {level}.",
+        other:
+          "Tendances par les moindres carrés et de Mann-Kendall sur {count} années complètes; le test saisonnier compare chaque mois d'une année à l'autre. Une tendance est significative lorsque p < {level}.",
+      },
+      series: "Série",
+      olsSlope: "Pente des moindres carrés",
+      confidenceInterval: "Intervalle de confiance à 95 %",
+      sensSlope: "Pente de Sen",
+      mannKendall: "Mann-Kendall",
+      seasonalMannKendall: "Mann-Kendall saisonnier (mensuel)",
+      temperature: "Température moyenne annuelle",
+      rainfall: "Précipitations annuelles",
+      perDecade: "{value}/décennie",
+      interval: "{low} à {high}",
+      p: "p = {value}",
+      pBelow: "p < {value}",
+      direction: {
+        increasing: "en hausse",
+        decreasing: "en baisse",
+        none: "aucune tendance significative",
+      },
+      summary:
+        "Tendance des moindres carrés de {rate} (IC à 95 % : {low} à {high}, {p}); {significance}.",
+      significant:
+        "le test de Mann-Kendall la juge statistiquement significative ({p})",
+      notSignificant:
+        "le test de Mann-Kendall ne détecte aucune tendance statistiquement significative ({p})",
+      notEnoughYears: {
+        one: "Seulement {count} année complète de données; il en faut au moins trois pour estimer une tendance.",
+        other:
+          "Seulement {count} années complètes de données; il en faut au moins trois pour estimer une tendance.",
+      },
+    },
+    anomalyList: {
+      title: "Mois inhabituels",
+      description: {
+        zscore:
+          "Mois à plus de {threshold} écarts-types de la moyenne du même mois d'une année à l'autre",
+        robust:
+          "Mois dont le score z modifié dépasse {threshold}, en écarts absolus médians par rapport à la médiane du même mois",
+        percentile:
+          "Mois hors de l'intervalle du {threshold}e au {upper}e centile du même mois d'une année à l'autre",
+      },
+      method: "Méthode",
+      methods: {
+        zscore: "Score z (moyenne)",
+        robust: "Robuste (médiane/MAD)",
+        percentile: "Centiles",
+      },
+      threshold: "Seuil",
+      thresholds: {
+        zscore: "±{value} σ",
+        robust: "±{value}",
+        percentile: "queues de {value} %",
+      },
+      none: "Aucun mois ne se démarque de son mois civil à ce seuil.",
+      month: "Mois",
+      variable: "Variable",
+      value: "Valeur",
+      expected: "Attendu (plage habituelle)",
+      expectedValue: "{expected} ({low} à {high})",
+      deviation: "Écart",
+      score: {
+        title: "Score",
+        zscore: "z = {value}",
+        robust: "z modifié = {value}",
+      },
+      percentileRank: "{value}e centile",
+      metrics: {
+        temp: "Température",
+        rainfall: "Précipitations",
+      },
+    },
+    enso: {
+      title: "Phase ENSO",
+      description:
+        "Mois classés El Niño ou La Niña d'après l'indice océanique El Niño (ONI) de la NOAA : au moins cinq saisons consécutives à ±{threshold} °C ou plus.",
+      season: "Mois",
+      seasons: {
+        all: "Tous les mois",
+        winter: "Novembre à mars",
+      },
+      source: "Table ONI de la NOAA incluse, de {first} à {last}",
+      sourceFile: "Table ONI de {name}, de {first} à {last}",
+      load: "Charger un fichier ONI",
+      reset: "Utiliser la table incluse",
+      loadError: "Impossible de lire le fichier ONI : {message}",
+      uncovered: {
+        one: "{count} mois de cette période est hors de la table ONI et n'a pas de phase.",
+        other:
+          "{count} mois de cette période sont hors de la table ONI et n'ont pas de phase.",
+      },
+      oniTitle: "Indice océanique El Niño",
+      oniAxis: "ONI (°C)",
+      splitTitle: "Écart à la normale par phase",
+      columns: {
+        phase: "Phase",
+        months: "Mois",
+        temperature: "Écart de température",
+        rainfall: "Précipitations (% de la normale)",
+      },
+      splitNote: "Écarts mensuels moyens par rapport aux normales {period}.",
+      splitNoteReference:
+        "Écarts mensuels moyens par rapport aux normales {period} de {station}, cette station n'ayant pas de normales publiées.",
+    },
+    forecast: {
+      title: "Prévision",
+      description: {
+        one: "Projection du mois suivant à partir de l'ensemble des relevés mensuels, avec intervalles de prévision à 80 % et 95 %.",
+        other:
+          "Projection des {count} prochains mois à partir de l'ensemble des relevés mensuels, avec intervalles de prévision à 80 % et 95 %.",
+      },
+      metric: "Variable",
+      method: "Méthode",
+      methods: {
+        seasonalNaive: {
+          name: "Naïve saisonnière",
+          description:
+            "La méthode naïve saisonnière reprend la valeur de chaque mois de l'année précédente. C'est la référence que les autres méthodes doivent battre.",
+        },
+        holtWinters: {
+          name: "Holt-Winters",
+          description:
+            "Holt-Winters (additif) lisse le niveau, la tendance et le cycle saisonnier en donnant plus de poids aux mois récents; les pondérations sont ajustées aux relevés.",
+        },
+        trendClimatology: {
+          name: "Tendance + climatologie",
+          description:
+            "Tendance + climatologie prend la moyenne de chaque mois civil et la décale selon une tendance linéaire ajustée aux écarts mensuels.",
+        },
+      },
+      chartTitle: "{field} : prévision {method}",
+      observed: "Observé",
+      forecast: "Prévision",
+      band: "Intervalle à {level} %",
+      range: "{low} à {high}",
+      interval: "{level} % : {range}",
+      tooltipObserved: "Observé : {value}",
+      tooltipForecast: "Prévision : {value}",
+      backtestTitle: "Validation rétrospective",
+      backtestDescription: {
+        one: "Chaque méthode prévoit le dernier mois des relevés à partir des mois précédents; les erreurs sont calculées par rapport aux observations.",
+        other:
+          "Chaque méthode prévoit les {count} derniers mois des relevés à partir des mois précédents; les erreurs sont calculées par rapport aux observations.",
+      },
+      mae: "EAM",
+      rmse: "REQM",
+      best: "REQM la plus faible",
+      noBacktest:
+        "Trop peu de données pour la validation : il faut au moins trois ans.",
+      filled: {
+        one: "{count} mois manquant a été remplacé par la moyenne de son mois civil avant l'ajustement.",
+        other:
+          "{count} mois manquants ont été remplacés par la moyenne de leur mois civil avant l'ajustement.",
+      },
+      caveat:
+        "Une projection statistique fondée sur les observations passées, et non une prévision météo : elle ne peut anticiper les changements ENSO ni les tempêtes.",
+      unavailable:
+        "Il faut au moins deux ans de données mensuelles, chaque mois civil observé, pour une prévision.",
+    },
+  },
+  correlations: {
+    title: "Corrélations entre variables météo",
+    description:
+      "Explorez les relations entre les différentes variables météorologiques à Vancouver. Comprendre ces corrélations aide à prévoir la météo et à repérer les tendances climatiques.",
+    pair: "{first} c. {second}",
+    variables: {
+      temp: {
+        name: "Température",
+        phrase: "la température",
+      },
+      rainfall: {
+        name: "Pluie",
+        phrase: "la pluie",
+      },
+      humidity: {
+        name: "Humidité",
+        phrase: "l'humidité",
+      },
+      sunshine: {
+        name: "Ensoleillement",
+        phrase: "l'ensoleillement",
+      },
+    },
+    strength: {
+      veryStrong: "Très forte",
+      strong: "Forte",
+      moderate: "Modérée",
+      weak: "Faible",
+      veryWeak: "Très faible",
+    },
+    controls: {
+      pair: "Paire de variables",
+      pairUnavailable: "{first} c. {second} (non disponible)",
+      view: "Mode d'affichage",
+    },
+    views: {
+      scatter: "Nuage de points",
+      seasonal: "Saisonnier",
+      enso: "ENSO",
+      matrix: "Matrice",
+    },
+    summary: {
+      coefficient: "Coefficient de corrélation",
+      positive: "{strength}, positive",
+      negative: "{strength}, négative",
+      variance: "Variance expliquée",
+      dataPoints: "Points de données",
+      monthlyAverages: "Moyennes mensuelles",
+      year: "Année {year}",
+    },
+    scatter: {
+      title: "Corrélation {first} c. {second}",
+      positiveLead: "Une corrélation positive de",
+      negativeLead: "Une corrélation négative de",
+      increases:
+        "indique que lorsque {first} augmente, {second} tend à augmenter.",
+      decreases:
+        "indique que lorsque {first} augmente, {second} tend à diminuer.",
+    },
+    seasonal: {
+      title: "Analyse saisonnière des corrélations",
+      description:
+        "Comment la relation entre {first} et {second} varie selon les saisons.",
+      bySeason: "Corrélation par saison",
+      seasonAxis: "Saison",
+      correlation: "Corrélation",
+      details: "Détails saisonniers",
+      correlationLabel: "Corrélation :",
+      dataPointsLabel: "Points de données :",
+      average: "{name} moy. :",
+    },
+    matrix: {
+      title: "Matrice de corrélation",
+      description:
+        "Analyse complète des corrélations entre toutes les variables météo.",
+      guideTitle: "Guide d'interprétation",
+      guide: {
+        positive: "Corrélation positive (les variables augmentent ensemble)",
+        negative: "Corrélation négative (l'une augmente quand l'autre diminue)",
+        perfect: "Corrélation parfaite (même variable)",
+      },
+    },
+    insights: {
+      findingsTitle: "Constats clés",
+      findings: {
+        tempHumidity: {
+          label: "Température-humidité :",
+          text: "Forte corrélation négative (-0,75), typique d'un climat maritime",
+        },
+        rainSunshine: {
+          label: "Pluie-ensoleillement :",
+          text: "Relation négative attendue (-0,68) à Vancouver",
+        },
+        seasonal: {
+          label: "Variations saisonnières :",
+          text: "Corrélations les plus fortes pendant les mois d'hiver",
+        },
+        enso: {
+          label: "Régimes climatiques :",
+          text: "Les années La Niña présentent des corrélations différentes",
+        },
+      },
+      applicationsTitle: "Applications pratiques",
+      applications: {
+        prediction: {
+          label: "Prévision météo :",
+          text: "Utiliser les corrélations pour la prévision à court terme",
+        },
+        planning: {
+          label: "Planification climatique :",
+          text: "Comprendre les relations météo à long terme",
+        },
+        agriculture: {
+          label: "Agriculture :",
+          text: "Optimiser la planification des cultures selon les corrélations météo",
+        },
+        energy: {
+          label: "Gestion de l'énergie :",
+          text: "Prévoir les besoins de chauffage et de climatisation",
+        },
+      },
+    },
+    enso: {
+      title: "Corrélation par phase ENSO",
+      description:
+        "Comment la relation entre {first} et {second} varie entre les mois El Niño, La Niña et neutres.",
+      byPhase: "Corrélation par phase",
+      phaseAxis: "Phase ENSO",
+      details: "Détails par phase",
+      tooFew: {
+        one: "Seulement {count} mois dans cette phase; il en faut au moins 3.",
+        other:
+          "Seulement {count} mois dans cette phase; il en faut au moins 3.",
+      },
+    },
+  },
+  events: {
+    title: "Chronologie des événements extrêmes",
+    description:
+      "Événements catalogués pour la période choisie, du plus récent au plus ancien. Les modifications sont enregistrées dans ce navigateur.",
+    add: "Ajouter un événement",
+    reset: "Rétablir la liste de référence",
+    resetConfirm:
+      "Remplacer le catalogue par les événements de référence? Vos ajouts et modifications seront perdus.",
+    edit: "Modifier",
+    remove: "Supprimer",
+    empty: "Aucun événement pour cette période.",
+    range: "{start} – {end}",
+    form: {
+      name: "Nom",
+      type: "Type",
+      start: "Début",
+      end: "Fin",
+      description: "Description",
+      save: "Enregistrer",
+      cancel: "Annuler",
+    },
+    types: {
+      heat: "Chaleur",
+      cold: "Froid",
+      rain: "Fortes pluies",
+      snow: "Neige",
+      wind: "Vent",
+      other: "Autre",
+    },
+    sources: {
+      curated: "Référence",
+      user: "Ajouté",
+      detected: "Détecté",
+    },
+    candidates: {
+      title: "Détectés dans les données quotidiennes",
+      description:
+        "Épisodes au-delà du 99e centile des relevés quotidiens de cette station que le catalogue ne couvre pas encore.",
+      add: "Ajouter au catalogue",
+      names: {
+        heat: "Épisode de chaleur",
+        cold: "Épisode de froid",
+        rain: "Épisode de fortes pluies",
+      },
+    },
+    detection: {
+      heat: {
+        one: "{count} jour avec des maximums d'au moins {threshold} ({percentile}e centile); pointe de {peak}",
+        other:
+          "{count} jours avec des maximums d'au moins {threshold} ({percentile}e centile); pointe de {peak}",
+      },
+      cold: {
+        one: "{count} jour avec des minimums d'au plus {threshold} ({percentile}er centile); minimum de {peak}",
+        other:
+          "{count} jours avec des minimums d'au plus {threshold} ({percentile}er centile); minimum de {peak}",
+      },
+      rain: {
+        one: "Cumuls sur {window} jours d'au moins {threshold} ({percentile}e centile) pendant {count} jour; maximum de {peak}",
+        other:
+          "Cumuls sur {window} jours d'au moins {threshold} ({percentile}e centile) pendant {count} jours; maximum de {peak}",
+      },
+    },
+    curated: {
+      "heat-dome-2021": {
+        name: "Dôme de chaleur de l'Ouest nord-américain",
+        description:
+          "Une dorsale de haute pression stationnaire a apporté les journées les plus chaudes jamais enregistrées dans une grande partie de la Colombie-Britannique, causant des centaines de décès liés à la chaleur.",
+      },
+      "atmospheric-river-2021": {
+        name: "Rivière atmosphérique de novembre 2021",
+        description:
+          "Des jours de pluies abondantes ont causé des inondations et des glissements de terrain qui ont coupé toutes les routes et voies ferrées entre Vancouver et le reste du Canada.",
+      },
+      "cold-snap-2021": {
+        name: "Vague de froid de fin décembre 2021",
+        description:
+          "De l'air arctique a apporté un froid record et de la neige dans le Lower Mainland pendant les Fêtes.",
+      },
+      "snowstorm-2022": {
+        name: "Neige et pluie verglaçante de décembre 2022",
+        description:
+          "Des chutes de neige répétées suivies de pluie verglaçante ont perturbé les déplacements la semaine précédant Noël.",
+      },
+      "arctic-outflow-2024": {
+        name: "Débâcle d'air arctique de janvier 2024",
+        description:
+          "Des vents de l'intérieur ont apporté sur la côte les températures les plus froides depuis des années.",
+      },
+      "atmospheric-river-2024": {
+        name: "Rivière atmosphérique d'octobre 2024",
+        description:
+          "Une forte rivière atmosphérique, jumelée à une dépression profonde, a apporté pluies abondantes et vents sur la côte sud.",
+      },
+    },
+  },
+  enso: {
+    phases: {
+      elNino: "El Niño",
+      laNina: "La Niña",
+      neutral: "Neutre",
+    },
+    strengths: {
+      weak: "faible",
+      moderate: "modéré",
+      strong: "fort",
+      veryStrong: "très fort",
+    },
+    withStrength: "{phase} ({strength})",
+    unknown: "Phase ENSO inconnue",
+    effects: {
+      elNino:
+        "Les années El Niño apportent souvent des hivers plus doux et plus secs et un manteau neigeux réduit en montagne",
+      laNina:
+        "Les années La Niña apportent souvent des hivers plus frais et plus humides et davantage de rivières atmosphériques",
+      neutral:
+        "Ni El Niño ni La Niña pendant la majeure partie de l'année; le temps suit d'autres régimes",
+    },
+  },
+  stationSearch: {
+    title: "Trouver une station",
+    subtitle:
+      "Recherchez dans l'inventaire des stations d'Environnement Canada par nom, province et distance",
+    close: "Fermer la recherche de stations",
+    noInventory:
+      "Seules les stations de Vancouver configurées peuvent être recherchées tant que l'inventaire des stations n'est pas chargé.",
+    download: "Télécharger l'inventaire d'Environnement Canada",
+    downloading: "Téléchargement de l'inventaire...",
+    name: "Nom ou identifiant",
+    namePlaceholder: "p. ex. Abbotsford",
+    province: "Province",
+    anyProvince: "Toutes les provinces",
+    radius: "À moins de",
+    anyDistance: "Toute distance",
+    from: "De la latitude, longitude",
+    latitude: "Latitude",
+    longitude: "Longitude",
+    noResults: "Aucune station ne correspond à ces critères.",
+    limited:
+      "Affichage des {count} premiers résultats; précisez la recherche pour voir les autres.",
+    select: "Choisir",
+    elevation: "{elevation} m",
+    columns: {
+      name: "Station",
+      province: "Province",
+      dailyYears: "Données quotidiennes",
+      elevation: "Altitude",
+      distance: "Distance",
+    },
+    provinces: {
+      BC: "Colombie-Britannique",
+      AB: "Alberta",
+      SK: "Saskatchewan",
+      MB: "Manitoba",
+      ON: "Ontario",
+      QC: "Québec",
+      NB: "Nouveau-Brunswick",
+      NS: "Nouvelle-Écosse",
+      PE: "Île-du-Prince-Édouard",
+      NL: "Terre-Neuve-et-Labrador",
+      YT: "Yukon",
+      NT: "Territoires du Nord-Ouest",
+      NU: "Nunavut",
+    },
+  },
+};
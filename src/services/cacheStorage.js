@@ -0,0 +1,153 @@
+// services/cacheStorage.js
+
+/**
+ * In-memory cache storage
+ * Used when IndexedDB is unavailable (tests, private browsing, SSR). Every
+ * method is async so it can stand in for IndexedDBStorage.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.name = "memory";
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async set(key, value) {
+    this.store.set(key, value);
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+  }
+
+  async keys() {
+    return Array.from(this.store.keys());
+  }
+
+  async entries() {
+    return Array.from(this.store.entries());
+  }
+}
+
+/**
+ * IndexedDB-backed cache storage
+ * Values are stored with the structured clone algorithm, so records keep
+ * their numbers, nulls and nested flag objects without JSON round-trips.
+ */
+export class IndexedDBStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {number} options.version - Database version
+   */
+  constructor({
+    dbName = "vancouver-weather-dashboard",
+    storeName = "responses",
+    version = 1,
+  } = {}) {
+    this.name = "indexeddb";
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.version = version;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later call to retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests against the object store in a single transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store, returns a request or
+   *   an array of requests
+   * @returns {Promise<any>} Request result(s) once the transaction completes
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const requests = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () =>
+        resolve(
+          Array.isArray(requests)
+            ? requests.map((request) => request.result)
+            : requests.result
+        );
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  get(key) {
+    return this.run("readonly", (store) => store.get(key));
+  }
+
+  async set(key, value) {
+    await this.run("readwrite", (store) => store.put(value, key));
+  }
+
+  async delete(key) {
+    await this.run("readwrite", (store) => store.delete(key));
+  }
+
+  async clear() {
+    await this.run("readwrite", (store) => store.clear());
+  }
+
+  keys() {
+    return this.run("readonly", (store) => store.getAllKeys());
+  }
+
+  async entries() {
+    // Both requests return results in key order, so they line up by index
+    const [keys, values] = await this.run("readonly", (store) => [
+      store.getAllKeys(),
+      store.getAll(),
+    ]);
+    return keys.map((key, index) => [key, values[index]]);
+  }
+}
+
+/**
+ * Create the best cache storage available in this environment
+ * @param {Object} options - Options passed to IndexedDBStorage
+ * @returns {MemoryStorage|IndexedDBStorage} Storage backend
+ */
+export const createCacheStorage = (options = {}) =>
+  typeof indexedDB !== "undefined"
+    ? new IndexedDBStorage(options)
+    : new MemoryStorage();
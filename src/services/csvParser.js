@@ -0,0 +1,340 @@
+// services/csvParser.js
+
+/**
+ * Reasons a CSV row can be rejected, used as keys in parse reports
+ */
+export const CSV_REJECTION_REASONS = {
+  FIELD_COUNT: "field-count",
+  UNTERMINATED_QUOTE: "unterminated-quote",
+  STRAY_QUOTE: "stray-quote",
+  MISSING_HEADER: "missing-header",
+};
+
+const MAX_REPORTED_REJECTIONS = 100;
+
+/**
+ * Streaming RFC 4180 CSV parser
+ * Accepts text in arbitrary chunks and emits one row at a time. Handles quoted
+ * fields, escaped quotes (""), CRLF/LF/CR line endings, a leading BOM and
+ * line breaks inside quoted fields.
+ */
+export class CSVParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Function} options.onRow - Called with { fields, line, error } for each row
+   * @param {string} options.delimiter - Field delimiter
+   * @param {boolean} options.skipEmptyLines - Ignore blank lines
+   */
+  constructor({ onRow, delimiter = ",", skipEmptyLines = true } = {}) {
+    this.onRow = onRow || (() => {});
+    this.delimiter = delimiter;
+    this.skipEmptyLines = skipEmptyLines;
+
+    this.started = false;
+    this.finished = false;
+    this.line = 1;
+    this.resetRow();
+    this.skipLineFeed = false;
+  }
+
+  /**
+   * Reset the per-row parsing state
+   */
+  resetRow() {
+    this.fields = [];
+    this.field = "";
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.fieldQuoted = false;
+    this.quotedCR = false;
+    this.rowError = null;
+    this.rowLine = this.line;
+  }
+
+  /**
+   * Feed a chunk of CSV text into the parser
+   * @param {string} chunk - Next piece of the CSV document
+   */
+  write(chunk) {
+    if (this.finished) {
+      throw new Error("CSVParser.write() called after end()");
+    }
+    if (!chunk) return;
+
+    let start = 0;
+    if (!this.started) {
+      this.started = true;
+      if (chunk.charCodeAt(0) === 0xfeff) start = 1;
+    }
+
+    for (let i = start; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // Second half of a CRLF pair split across rows or chunks
+      if (this.skipLineFeed) {
+        this.skipLineFeed = false;
+        if (char === "\n") continue;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          // Count CRLF inside a quoted field as a single line break
+          if (char === "\r" || (char === "\n" && !this.quotedCR)) {
+            this.line++;
+          }
+          this.quotedCR = char === "\r";
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.afterQuote) {
+        if (char === '"') {
+          // Escaped quote inside a quoted field
+          this.field += '"';
+          this.inQuotes = true;
+          this.afterQuote = false;
+          continue;
+        }
+        this.afterQuote = false;
+        if (
+          char !== this.delimiter &&
+          char !== "\n" &&
+          char !== "\r" &&
+          !this.rowError
+        ) {
+          this.rowError = {
+            reason: CSV_REJECTION_REASONS.STRAY_QUOTE,
+            message: "Unexpected character after closing quote",
+          };
+        }
+      }
+
+      if (char === this.delimiter) {
+        this.endField();
+      } else if (char === "\n" || char === "\r") {
+        this.endRow();
+        this.line++;
+        this.rowLine = this.line;
+        if (char === "\r") this.skipLineFeed = true;
+      } else if (char === '"') {
+        if (this.field === "" && !this.fieldQuoted) {
+          this.inQuotes = true;
+          this.fieldQuoted = true;
+        } else {
+          this.field += char;
+          if (!this.rowError) {
+            this.rowError = {
+              reason: CSV_REJECTION_REASONS.STRAY_QUOTE,
+              message: "Quote character inside an unquoted field",
+            };
+          }
+        }
+      } else {
+        this.field += char;
+      }
+    }
+  }
+
+  /**
+   * Flush the final row and finish parsing
+   */
+  end() {
+    if (this.finished) return;
+
+    if (this.inQuotes) {
+      this.rowError = {
+        reason: CSV_REJECTION_REASONS.UNTERMINATED_QUOTE,
+        message: "Quoted field is never closed",
+      };
+      this.endRow();
+    } else if (
+      this.fields.length > 0 ||
+      this.field !== "" ||
+      this.fieldQuoted
+    ) {
+      this.endRow();
+    }
+
+    this.finished = true;
+  }
+
+  /**
+   * Close the current field
+   */
+  endField() {
+    this.fields.push(this.field);
+    this.field = "";
+    this.fieldQuoted = false;
+    this.afterQuote = false;
+  }
+
+  /**
+   * Close the current row and emit it
+   */
+  endRow() {
+    const isBlank =
+      this.fields.length === 0 && this.field === "" && !this.fieldQuoted;
+    this.endField();
+
+    if (!(isBlank && this.skipEmptyLines)) {
+      this.onRow({
+        fields: this.fields,
+        line: this.rowLine,
+        error: this.rowError,
+      });
+    }
+
+    this.resetRow();
+  }
+}
+
+/**
+ * Streaming reader that turns CSV rows into header-keyed records
+ * Rows that cannot be parsed or whose field count does not match the header
+ * are rejected and counted in the parse report instead of silently dropped.
+ */
+export class CSVRecordReader {
+  /**
+   * @param {Object} options - Reader options
+   * @param {Function} options.isHeaderRow - Predicate used to find the header row
+   *   when the file has preamble lines (defaults to the first row)
+   * @param {Function} options.onRecord - Optional callback for each accepted record
+   */
+  constructor({ isHeaderRow, onRecord, delimiter } = {}) {
+    this.isHeaderRow = isHeaderRow || (() => true);
+    this.onRecord = onRecord;
+    this.headers = null;
+    this.records = [];
+    this.report = {
+      totalRows: 0,
+      acceptedRows: 0,
+      rejectedRows: 0,
+      skippedRows: 0,
+      byReason: {},
+      rejections: [],
+    };
+    this.parser = new CSVParser({
+      delimiter,
+      onRow: (row) => this.handleRow(row),
+    });
+  }
+
+  /**
+   * Feed a chunk of CSV text
+   * @param {string} chunk - Next piece of the CSV document
+   */
+  write(chunk) {
+    this.parser.write(chunk);
+  }
+
+  /**
+   * Finish parsing
+   * @returns {Object} { headers, records, report }
+   */
+  end() {
+    this.parser.end();
+
+    if (!this.headers) {
+      this.report.byReason[CSV_REJECTION_REASONS.MISSING_HEADER] = 1;
+      this.report.rejections.push({
+        line: 0,
+        reason: CSV_REJECTION_REASONS.MISSING_HEADER,
+        message: "No header row found in CSV data",
+      });
+    }
+
+    return {
+      headers: this.headers || [],
+      records: this.records,
+      report: this.report,
+    };
+  }
+
+  /**
+   * Handle a parsed row from the underlying parser
+   * @param {Object} row - Parsed row { fields, line, error }
+   */
+  handleRow({ fields, line, error }) {
+    if (!this.headers) {
+      if (!error && this.isHeaderRow(fields)) {
+        this.headers = fields.map((h) => h.trim());
+      } else {
+        this.report.skippedRows++;
+      }
+      return;
+    }
+
+    this.report.totalRows++;
+
+    if (error) {
+      this.reject(line, error.reason, error.message);
+      return;
+    }
+
+    if (fields.length !== this.headers.length) {
+      this.reject(
+        line,
+        CSV_REJECTION_REASONS.FIELD_COUNT,
+        `Expected ${this.headers.length} fields, found ${fields.length}`
+      );
+      return;
+    }
+
+    const record = {};
+    this.headers.forEach((header, index) => {
+      record[header] = fields[index].trim();
+    });
+
+    this.report.acceptedRows++;
+    this.records.push(record);
+    if (this.onRecord) this.onRecord(record, line);
+  }
+
+  /**
+   * Record a rejected row in the report
+   */
+  reject(line, reason, message) {
+    this.report.rejectedRows++;
+    this.report.byReason[reason] = (this.report.byReason[reason] || 0) + 1;
+    if (this.report.rejections.length < MAX_REPORTED_REJECTIONS) {
+      this.report.rejections.push({ line, reason, message });
+    }
+  }
+}
+
+/**
+ * Parse a complete CSV document into header-keyed records
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} options - Options passed to CSVRecordReader
+ * @returns {Object} { headers, records, report }
+ */
+export const parseCSVText = (csvText, options = {}) => {
+  const reader = new CSVRecordReader(options);
+  reader.write(csvText);
+  return reader.end();
+};
+
+/**
+ * Merge several parse reports into one summary
+ * @param {Array} reports - Parse reports from CSVRecordReader
+ * @returns {Object} Combined report
+ */
+export const mergeParseReports = (reports) => {
+  return reports.reduce(
+    (summary, report) => {
+      summary.files++;
+      summary.totalRows += report.totalRows;
+      summary.acceptedRows += report.acceptedRows;
+      summary.rejectedRows += report.rejectedRows;
+      Object.entries(report.byReason).forEach(([reason, count]) => {
+        summary.byReason[reason] = (summary.byReason[reason] || 0) + count;
+      });
+      return summary;
+    },
+    { files: 0, totalRows: 0, acceptedRows: 0, rejectedRows: 0, byReason: {} }
+  );
+};
@@ -0,0 +1,473 @@
+// services/dataImport.js
+import { DATA_TIMEFRAMES, MONTHS } from "../utils/constants.js";
+import { CSVRecordReader } from "./csvParser.js";
+import { matchesSchema, normalizeHeader } from "./ecSchema.js";
+import { weatherAPI } from "./weatherAPI.js";
+import { stationRegistry } from "./stationRegistry.js";
+import {
+  aggregateHourlyToDaily,
+  buildDatasetFromDaily,
+  calculateMonthlyClimatology,
+  findUnavailableMetrics,
+} from "../utils/aggregation.js";
+
+/**
+ * File formats the import flow understands
+ */
+export const IMPORT_FORMATS = {
+  EC_CSV: "ec-csv",
+  GENERIC_CSV: "generic-csv",
+  JSON: "json",
+};
+
+/**
+ * Fields a generic CSV column can be mapped to, with header patterns used to
+ * suggest a mapping; their labels are the importPanel.fields messages
+ */
+export const IMPORT_FIELDS = [
+  {
+    field: "date",
+    required: true,
+    pattern: /^(date|time|timestamp|datetime|date\/time|day)/,
+  },
+  { field: "tempMax", pattern: /(max.*temp|temp.*max|tmax|high)/ },
+  { field: "tempMin", pattern: /(min.*temp|temp.*min|tmin|low)/ },
+  {
+    field: "temp",
+    pattern: /^(mean |avg |average )?(temp|temperature|air temp)/,
+  },
+  { field: "rainfall", pattern: /rain/ },
+  { field: "precipitation", pattern: /precip/ },
+  { field: "humidity", pattern: /(humid|rh\b)/ },
+  { field: "pressure", pattern: /(press|baro)/ },
+  { field: "windSpeed", pattern: /wind/ },
+  { field: "sunshine", pattern: /sun/ },
+];
+
+// Colours given to imported stations in comparison charts
+const IMPORT_COLORS = ["#8B5CF6", "#EC4899", "#14B8A6", "#F97316"];
+
+// Timeframes tried, in order, when recognizing an EC download
+const EC_TIMEFRAMES = [
+  DATA_TIMEFRAMES.DAILY,
+  DATA_TIMEFRAMES.HOURLY,
+  DATA_TIMEFRAMES.MONTHLY,
+];
+
+/**
+ * Parse CSV text into header-keyed records
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records, report }
+ */
+const readCSV = (text) => {
+  const reader = new CSVRecordReader();
+  reader.write(text);
+  return reader.end();
+};
+
+/**
+ * Inspect a file before importing it
+ * Works out the format and, for generic CSV, suggests a column mapping.
+ * @param {File|Blob} file - File chosen or dropped by the user
+ * @returns {Promise<Object>} { name, text, format, timeframe, headers,
+ *   preview, mapping }
+ */
+export const inspectImportFile = async (file) => {
+  const text = await file.text();
+  const name = file.name || "Imported data";
+
+  if (/\.json$/i.test(name) || /^\s*[{[]/.test(text)) {
+    return { name, text, format: IMPORT_FORMATS.JSON };
+  }
+
+  const { headers, records } = readCSV(text);
+  if (headers.length === 0) {
+    throw new Error(`${name} has no header row`);
+  }
+
+  const timeframe = EC_TIMEFRAMES.find((t) => matchesSchema(headers, t));
+  if (timeframe !== undefined) {
+    return { name, text, format: IMPORT_FORMATS.EC_CSV, timeframe, headers };
+  }
+
+  return {
+    name,
+    text,
+    format: IMPORT_FORMATS.GENERIC_CSV,
+    headers,
+    preview: records.slice(0, 5),
+    mapping: suggestColumnMapping(headers),
+  };
+};
+
+/**
+ * Guess which header holds each import field
+ * @param {Array} headers - CSV header row
+ * @returns {Object} { field: header } for every field with a match
+ */
+export const suggestColumnMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS.forEach(({ field, pattern }) => {
+    const header = headers.find(
+      (h) => !used.has(h) && pattern.test(normalizeHeader(h))
+    );
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Parse a number from a CSV cell
+ * @param {string} value - Cell text
+ * @returns {number|null} Number, or null for blanks and text
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  const number = Number(text);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Split a date cell into calendar fields
+ * Accepts "YYYY-MM", "YYYY-MM-DD" and "YYYY-MM-DD HH:MM" (also with "/" or
+ * "T" separators).
+ * @param {string} value - Cell text
+ * @returns {Object|null} { date, year, month, day, time, resolution }
+ */
+const parseDateCell = (value) => {
+  const match = String(value || "")
+    .trim()
+    .match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?)?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match;
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    date: day ? `${year}-${pad(month)}-${pad(day)}` : `${year}-${pad(month)}`,
+    year: Number(year),
+    month: Number(month),
+    day: day ? Number(day) : null,
+    time: hour !== undefined ? `${pad(hour)}:${minute}` : null,
+    resolution: hour !== undefined ? "hourly" : day ? "daily" : "monthly",
+  };
+};
+
+/**
+ * Convert EC or generic monthly records into the dashboard's month shape
+ * @param {Array} records - Records with year, month (1-12) and values
+ * @returns {Array} Monthly records sorted chronologically
+ */
+const toDashboardMonths = (records) =>
+  records
+    .filter((r) => r.year && r.month >= 1 && r.month <= 12)
+    .map((r) => ({
+      ...r,
+      month: MONTHS[r.month - 1],
+      monthIndex: r.month - 1,
+      date: `${r.year}-${String(r.month).padStart(2, "0")}`,
+      temp:
+        r.temp ??
+        (r.tempMax != null && r.tempMin != null
+          ? Math.round(((r.tempMax + r.tempMin) / 2) * 10) / 10
+          : null),
+      rainfall: r.rainfall ?? r.precipitation ?? null,
+      humidity: r.humidity ?? null,
+      sunshine: r.sunshine ?? null,
+    }))
+    .sort((a, b) => a.year - b.year || a.monthIndex - b.monthIndex);
+
+/**
+ * Build a dataset from monthly records
+ * @param {Array} months - Dashboard monthly records
+ * @param {Object} metadata - Metadata to attach
+ * @returns {Object} { monthly, yearly, metadata }
+ */
+const buildDatasetFromMonthly = (months, metadata) => {
+  const years = months.map((m) => m.year);
+  return {
+    daily: [],
+    monthly: calculateMonthlyClimatology(months),
+    yearly: months,
+    metadata: {
+      period:
+        years.length > 0
+          ? `${Math.min(...years)}-${Math.max(...years)}`
+          : "No data",
+      lastUpdated: new Date().toISOString(),
+      unavailableMetrics: findUnavailableMetrics(months),
+      ...metadata,
+    },
+  };
+};
+
+/**
+ * Map generic CSV records to canonical records with a column mapping
+ * @param {Array} records - Header-keyed CSV records
+ * @param {Object} mapping - { field: header }
+ * @returns {Object} { records, resolution, skippedRows }
+ */
+export const mapGenericRecords = (records, mapping) => {
+  if (!mapping.date) {
+    throw new Error("Choose the column that holds the date");
+  }
+
+  let skippedRows = 0;
+  const resolutions = new Set();
+  const mapped = [];
+
+  records.forEach((record) => {
+    const parsed = parseDateCell(record[mapping.date]);
+    if (!parsed) {
+      skippedRows += 1;
+      return;
+    }
+    resolutions.add(parsed.resolution);
+
+    const result = { ...parsed, flags: {} };
+    delete result.resolution;
+    IMPORT_FIELDS.forEach(({ field }) => {
+      if (field !== "date" && mapping[field]) {
+        result[field] = toNumber(record[mapping[field]]);
+      }
+    });
+    mapped.push(result);
+  });
+
+  if (resolutions.size > 1) {
+    throw new Error("The date column mixes months, days and hours");
+  }
+
+  return {
+    records: mapped,
+    resolution: resolutions.values().next().value || "daily",
+    skippedRows,
+  };
+};
+
+/**
+ * Turn records of any resolution into a dataset
+ * @param {Array} records - Canonical records
+ * @param {string} resolution - "hourly", "daily" or "monthly"
+ * @param {Object} metadata - Metadata to attach
+ * @returns {Object} Dataset
+ */
+const buildDataset = (records, resolution, metadata) => {
+  if (resolution === "monthly") {
+    return buildDatasetFromMonthly(toDashboardMonths(records), metadata);
+  }
+  const daily =
+    resolution === "hourly" ? aggregateHourlyToDaily(records) : records;
+  return buildDatasetFromDaily(daily, metadata);
+};
+
+/**
+ * Validate and complete a JSON dataset in the { monthly, yearly } shape
+ * @param {string} text - JSON text
+ * @param {Object} metadata - Metadata to attach
+ * @returns {Object} Dataset
+ */
+const parseJSONDataset = (text, metadata) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`File is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(parsed?.yearly) && !Array.isArray(parsed?.monthly)) {
+    throw new Error('JSON must contain "monthly" and/or "yearly" arrays');
+  }
+
+  // Month names or numbers are both accepted
+  const withMonthIndex = (records = []) =>
+    records
+      .map((r) => {
+        const monthIndex =
+          r.monthIndex ??
+          (typeof r.month === "number" ? r.month - 1 : MONTHS.indexOf(r.month));
+        return {
+          ...r,
+          monthIndex,
+          month: MONTHS[monthIndex],
+          ...(r.year && {
+            date: `${r.year}-${String(monthIndex + 1).padStart(2, "0")}`,
+          }),
+        };
+      })
+      .filter((r) => r.monthIndex >= 0 && r.monthIndex < 12);
+
+  const yearly = withMonthIndex(parsed.yearly);
+  const dataset = buildDatasetFromMonthly(yearly, {
+    ...parsed.metadata,
+    ...metadata,
+  });
+  if (Array.isArray(parsed.monthly) && parsed.monthly.length > 0) {
+    dataset.monthly = withMonthIndex(parsed.monthly);
+  }
+  if (Array.isArray(parsed.daily)) dataset.daily = parsed.daily;
+  dataset.metadata.unavailableMetrics = findUnavailableMetrics([
+    ...dataset.yearly,
+    ...dataset.monthly,
+  ]);
+  return dataset;
+};
+
+/**
+ * Build a dataset from an inspected file
+ * EC downloads go through the same parseCSV path as fetched data; generic
+ * CSV is read with the same CSV reader and mapped with the user's mapping.
+ * @param {Object} inspection - Result of inspectImportFile
+ * @param {Object} mapping - Column mapping for generic CSV
+ * @returns {Object} { dataset, report, stationName, coordinates }
+ */
+export const buildImportedDataset = (inspection, mapping = {}) => {
+  const metadata = { source: `Imported file ${inspection.name}` };
+
+  switch (inspection.format) {
+    case IMPORT_FORMATS.JSON:
+      return {
+        dataset: parseJSONDataset(inspection.text, metadata),
+        report: null,
+      };
+
+    case IMPORT_FORMATS.EC_CSV: {
+      const { data, report } = weatherAPI.parseCSV(
+        inspection.text,
+        inspection.timeframe
+      );
+      const resolution =
+        inspection.timeframe === DATA_TIMEFRAMES.HOURLY
+          ? "hourly"
+          : inspection.timeframe === DATA_TIMEFRAMES.MONTHLY
+          ? "monthly"
+          : "daily";
+      const first = data[0] || {};
+      return {
+        dataset: buildDataset(data, resolution, {
+          ...metadata,
+          station: first.stationName,
+        }),
+        report,
+        stationName: first.stationName,
+        climateId: first.climateId,
+        coordinates:
+          first.latitude != null && first.longitude != null
+            ? { lat: first.latitude, lng: first.longitude }
+            : null,
+      };
+    }
+
+    case IMPORT_FORMATS.GENERIC_CSV: {
+      const { records, report } = readCSV(inspection.text);
+      const mapped = mapGenericRecords(records, mapping);
+      if (mapped.records.length === 0) {
+        throw new Error("No rows had a readable date");
+      }
+      return {
+        dataset: buildDataset(mapped.records, mapped.resolution, metadata),
+        report: {
+          ...report,
+          skippedRows: mapped.skippedRows,
+          resolution: mapped.resolution,
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported import format: ${inspection.format}`);
+  }
+};
+
+// Prefix of imported station IDs ("import-1", ...)
+export const IMPORT_ID_PREFIX = "import-";
+
+/**
+ * Imported datasets, each registered as a selectable station
+ * Imports are kept in memory for the session only.
+ */
+export class ImportedDataStore {
+  constructor(registry = stationRegistry) {
+    this.registry = registry;
+    this.imports = new Map();
+    this.count = 0;
+  }
+
+  /**
+   * Add an imported dataset as a station
+   * @param {Object} result - Result of buildImportedDataset
+   * @param {string} fileName - Original file name
+   * @returns {Object} Station metadata
+   */
+  add(result, fileName) {
+    this.count += 1;
+    const name =
+      result.stationName || fileName.replace(/\.(csv|json|txt)$/i, "");
+    const station = {
+      id: `${IMPORT_ID_PREFIX}${this.count}`,
+      name: `${name} (imported)`,
+      shortName: name.length > 16 ? `${name.slice(0, 15)}…` : name,
+      color: IMPORT_COLORS[(this.count - 1) % IMPORT_COLORS.length],
+      climateId: result.climateId || null,
+      coordinates: result.coordinates || null,
+      imported: true,
+      fileName,
+    };
+
+    this.registry.register(station);
+    this.imports.set(station.id, {
+      station,
+      dataset: {
+        ...result.dataset,
+        metadata: { ...result.dataset.metadata, station: station.name },
+      },
+      report: result.report,
+    });
+    return station;
+  }
+
+  /**
+   * Check whether a station ID belongs to an import
+   * @param {string} stationId - Station ID
+   * @returns {boolean} True for imported stations
+   */
+  has(stationId) {
+    return this.imports.has(stationId);
+  }
+
+  /**
+   * Get an import
+   * @param {string} stationId - Station ID
+   * @returns {Object|undefined} { station, dataset, report }
+   */
+  get(stationId) {
+    return this.imports.get(stationId);
+  }
+
+  /**
+   * Get every imported station
+   * @returns {Array} Station metadata
+   */
+  getStations() {
+    return Array.from(this.imports.values()).map((entry) => entry.station);
+  }
+
+  /**
+   * Remove an import and its station
+   * @param {string} stationId - Station ID
+   */
+  remove(stationId) {
+    this.imports.delete(stationId);
+    this.registry.unregister(stationId);
+  }
+}
+
+// Export singleton instance
+export const importedData = new ImportedDataStore();
+export default importedData;
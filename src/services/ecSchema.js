@@ -0,0 +1,343 @@
+// services/ecSchema.js
+import { DATA_TIMEFRAMES } from "../utils/constants.js";
+
+/**
+ * Value types used by the Environment Canada column schemas
+ */
+export const FIELD_TYPES = {
+  NUMBER: "number",
+  INTEGER: "integer",
+  STRING: "string",
+  DATE: "date",
+  DATETIME: "datetime",
+  MONTH: "month",
+};
+
+/**
+ * Raised when a CSV file does not have the columns its schema requires
+ */
+export class SchemaMismatchError extends Error {
+  constructor(schemaName, missingColumns) {
+    super(
+      `Environment Canada ${schemaName} CSV is missing expected columns: ${missingColumns.join(
+        ", "
+      )}`
+    );
+    this.name = "SchemaMismatchError";
+    this.missingColumns = missingColumns;
+  }
+}
+
+const NUMERIC_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Define a measured value column with its companion quality flag column
+ * EC files follow the "<Name> (<unit>)" / "<Name> Flag" convention.
+ * @param {string} field - Canonical field name
+ * @param {string|Array} headers - Header text (and known variants)
+ * @param {Object} options - Extra column options (required, scale, flag)
+ * @returns {Object} Column definition
+ */
+const measurement = (field, headers, options = {}) => {
+  const headerList = Array.isArray(headers) ? headers : [headers];
+  return {
+    field,
+    headers: headerList,
+    type: FIELD_TYPES.NUMBER,
+    flag: options.flag || `${headerList[0].replace(/\s*\(.*\)$/, "")} Flag`,
+    required: false,
+    ...options,
+  };
+};
+
+const STATION_COLUMNS = [
+  {
+    field: "longitude",
+    headers: ["Longitude (x)"],
+    type: FIELD_TYPES.NUMBER,
+  },
+  { field: "latitude", headers: ["Latitude (y)"], type: FIELD_TYPES.NUMBER },
+  { field: "stationName", headers: ["Station Name"], type: FIELD_TYPES.STRING },
+  { field: "climateId", headers: ["Climate ID"], type: FIELD_TYPES.STRING },
+];
+
+/**
+ * Column schemas for EC bulk CSV downloads, keyed by DATA_TIMEFRAMES value
+ */
+export const EC_SCHEMAS = {
+  [DATA_TIMEFRAMES.HOURLY]: {
+    name: "hourly",
+    columns: [
+      ...STATION_COLUMNS,
+      {
+        field: "dateTime",
+        headers: ["Date/Time (LST)", "Date/Time"],
+        type: FIELD_TYPES.DATETIME,
+        required: true,
+      },
+      { field: "year", headers: ["Year"], type: FIELD_TYPES.INTEGER },
+      { field: "month", headers: ["Month"], type: FIELD_TYPES.INTEGER },
+      { field: "day", headers: ["Day"], type: FIELD_TYPES.INTEGER },
+      {
+        field: "time",
+        headers: ["Time (LST)", "Time"],
+        type: FIELD_TYPES.STRING,
+      },
+      measurement("temp", "Temp (°C)", { required: true }),
+      measurement("dewPoint", "Dew Point Temp (°C)"),
+      measurement("humidity", "Rel Hum (%)", { required: true }),
+      measurement("precipitation", "Precip. Amount (mm)"),
+      measurement("windDirection", "Wind Dir (10s deg)", {
+        scale: 10,
+      }),
+      measurement("windSpeed", "Wind Spd (km/h)", { required: true }),
+      measurement("visibility", "Visibility (km)"),
+      // Station pressure is published in kPa; the dashboard works in hPa
+      measurement("pressure", "Stn Press (kPa)", { scale: 10 }),
+      measurement("humidex", "Hmdx"),
+      measurement("windChill", "Wind Chill"),
+      { field: "weather", headers: ["Weather"], type: FIELD_TYPES.STRING },
+    ],
+  },
+  [DATA_TIMEFRAMES.DAILY]: {
+    name: "daily",
+    columns: [
+      ...STATION_COLUMNS,
+      {
+        field: "date",
+        headers: ["Date/Time"],
+        type: FIELD_TYPES.DATE,
+        required: true,
+      },
+      { field: "year", headers: ["Year"], type: FIELD_TYPES.INTEGER },
+      { field: "month", headers: ["Month"], type: FIELD_TYPES.INTEGER },
+      { field: "day", headers: ["Day"], type: FIELD_TYPES.INTEGER },
+      {
+        field: "dataQuality",
+        headers: ["Data Quality"],
+        type: FIELD_TYPES.STRING,
+      },
+      measurement("tempMax", "Max Temp (°C)", { required: true }),
+      measurement("tempMin", "Min Temp (°C)", { required: true }),
+      measurement("temp", "Mean Temp (°C)", { required: true }),
+      measurement("heatingDegreeDays", "Heat Deg Days (°C)"),
+      measurement("coolingDegreeDays", "Cool Deg Days (°C)"),
+      measurement("rainfall", "Total Rain (mm)", { required: true }),
+      measurement("snowfall", "Total Snow (cm)"),
+      measurement("precipitation", "Total Precip (mm)", { required: true }),
+      measurement("snowOnGround", "Snow on Grnd (cm)"),
+      measurement(
+        "gustDirection",
+        ["Dir of Max Gust (10s deg)", "Dir of Max Gust (10's deg)"],
+        { scale: 10 }
+      ),
+      measurement("gustSpeed", "Spd of Max Gust (km/h)"),
+    ],
+  },
+  [DATA_TIMEFRAMES.MONTHLY]: {
+    name: "monthly",
+    columns: [
+      ...STATION_COLUMNS,
+      {
+        field: "date",
+        headers: ["Date/Time"],
+        type: FIELD_TYPES.MONTH,
+        required: true,
+      },
+      { field: "year", headers: ["Year"], type: FIELD_TYPES.INTEGER },
+      { field: "month", headers: ["Month"], type: FIELD_TYPES.INTEGER },
+      measurement("tempMax", "Mean Max Temp (°C)", { required: true }),
+      measurement("tempMin", "Mean Min Temp (°C)", { required: true }),
+      measurement("temp", "Mean Temp (°C)", { required: true }),
+      measurement("extremeMax", "Extr Max Temp (°C)"),
+      measurement("extremeMin", "Extr Min Temp (°C)"),
+      measurement("rainfall", "Total Rain (mm)", { required: true }),
+      measurement("snowfall", "Total Snow (cm)"),
+      measurement("precipitation", "Total Precip (mm)", { required: true }),
+      measurement("snowOnGround", "Snow Grnd Last Day (cm)"),
+      measurement(
+        "gustDirection",
+        ["Dir of Max Gust (10's deg)", "Dir of Max Gust (10s deg)"],
+        { scale: 10 }
+      ),
+      measurement(
+        "gustSpeed",
+        ["Spd of Max Gust (km/h)", "Spd of Max Gust(km/h)"],
+        { flag: "Spd of Max Gust Flag" }
+      ),
+    ],
+  },
+};
+
+/**
+ * Normalize header text so cosmetic differences (case, spacing, BOM,
+ * degree-sign encoding) don't break column matching
+ * @param {string} header - Raw header text
+ * @returns {string} Normalized header key
+ */
+export const normalizeHeader = (header) =>
+  String(header)
+    .replace(/^\uFEFF/, "")
+    .replace(/Â|°/g, "")
+    .replace(/['’]/g, "")
+    .replace(/\s*\(\s*/g, " (")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Get the schema for a data timeframe
+ * @param {number} timeframe - DATA_TIMEFRAMES value
+ * @returns {Object} Schema definition
+ */
+export const getSchema = (timeframe) => {
+  const schema = EC_SCHEMAS[timeframe];
+  if (!schema) {
+    throw new Error(`No Environment Canada schema for timeframe ${timeframe}`);
+  }
+  return schema;
+};
+
+/**
+ * Match CSV headers against a timeframe schema
+ * @param {Array} headers - Header row from the CSV file
+ * @param {number} timeframe - DATA_TIMEFRAMES value
+ * @returns {Object} { columns, missing, unmapped } where columns pairs each
+ *   schema column with the actual header (and flag header) found in the file
+ */
+export const resolveColumns = (headers, timeframe) => {
+  const schema = getSchema(timeframe);
+  const lookup = new Map(headers.map((h) => [normalizeHeader(h), h]));
+  const used = new Set();
+
+  const findHeader = (candidates) => {
+    for (const candidate of candidates) {
+      const actual = lookup.get(normalizeHeader(candidate));
+      if (actual !== undefined) return actual;
+    }
+    return null;
+  };
+
+  const columns = [];
+  const missing = [];
+
+  schema.columns.forEach((column) => {
+    const header = findHeader(column.headers);
+    if (header === null) {
+      if (column.required) missing.push(column.headers[0]);
+      return;
+    }
+    used.add(header);
+
+    const flagHeader = column.flag ? findHeader([column.flag]) : null;
+    if (flagHeader !== null) used.add(flagHeader);
+
+    columns.push({ ...column, header, flagHeader });
+  });
+
+  const unmapped = headers.filter((h) => h && !used.has(h));
+
+  return { columns, missing, unmapped };
+};
+
+/**
+ * Check whether a header row looks like a given EC timeframe
+ * @param {Array} headers - Header row
+ * @param {number} timeframe - DATA_TIMEFRAMES value
+ * @returns {boolean} True when every required column is present
+ */
+export const matchesSchema = (headers, timeframe) =>
+  resolveColumns(headers, timeframe).missing.length === 0;
+
+/**
+ * Convert a raw CSV string to the column's declared type
+ * @param {string} raw - Raw cell text
+ * @param {Object} column - Column definition
+ * @returns {Object} { value, valid }
+ */
+const convertField = (raw, column) => {
+  const value = raw === undefined || raw === null ? "" : String(raw).trim();
+  if (value === "") return { value: null, valid: true };
+
+  switch (column.type) {
+    case FIELD_TYPES.NUMBER:
+    case FIELD_TYPES.INTEGER: {
+      if (!NUMERIC_PATTERN.test(value)) return { value: null, valid: false };
+      const number =
+        column.type === FIELD_TYPES.INTEGER
+          ? parseInt(value, 10)
+          : parseFloat(value);
+      return {
+        value: column.scale ? number * column.scale : number,
+        valid: true,
+      };
+    }
+    case FIELD_TYPES.DATE:
+      return /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? { value, valid: true }
+        : { value: null, valid: false };
+    case FIELD_TYPES.MONTH:
+      return /^\d{4}-\d{2}$/.test(value)
+        ? { value, valid: true }
+        : { value: null, valid: false };
+    case FIELD_TYPES.DATETIME:
+      return /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}$/.test(value)
+        ? { value: value.replace("T", " "), valid: true }
+        : { value: null, valid: false };
+    case FIELD_TYPES.STRING:
+    default:
+      return { value, valid: true };
+  }
+};
+
+/**
+ * Map header-keyed CSV records to typed canonical records
+ * Throws when the file is missing columns the schema requires, so a changed
+ * header surfaces as an error instead of silently becoming empty values.
+ * @param {Array} records - Records from CSVRecordReader (header -> string)
+ * @param {Array} headers - Header row
+ * @param {number} timeframe - DATA_TIMEFRAMES value
+ * @returns {Object} { records, unmappedHeaders, invalidValues }
+ */
+export const mapRecords = (records, headers, timeframe) => {
+  const schema = getSchema(timeframe);
+  const { columns, missing, unmapped } = resolveColumns(headers, timeframe);
+
+  if (missing.length > 0) {
+    throw new SchemaMismatchError(schema.name, missing);
+  }
+
+  const invalidValues = {};
+
+  const mapped = records.map((record) => {
+    const result = { flags: {} };
+
+    columns.forEach((column) => {
+      const { value, valid } = convertField(record[column.header], column);
+      if (!valid) {
+        invalidValues[column.field] = (invalidValues[column.field] || 0) + 1;
+      }
+      result[column.field] = value;
+
+      if (column.flagHeader) {
+        const flag = (record[column.flagHeader] || "").trim();
+        if (flag) result.flags[column.field] = flag;
+      }
+    });
+
+    // Derive calendar fields from the timestamp when the file omits them
+    const stamp = result.date || result.dateTime;
+    if (stamp) {
+      if (result.date === undefined) result.date = stamp.slice(0, 10);
+      if (result.year == null) result.year = parseInt(stamp.slice(0, 4), 10);
+      if (result.month == null) result.month = parseInt(stamp.slice(5, 7), 10);
+      if (result.day == null && stamp.length >= 10) {
+        result.day = parseInt(stamp.slice(8, 10), 10);
+      }
+    }
+
+    return result;
+  });
+
+  return { records: mapped, unmappedHeaders: unmapped, invalidValues };
+};
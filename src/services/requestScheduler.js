@@ -0,0 +1,160 @@
+// services/requestScheduler.js
+
+/**
+ * Create the error thrown when a scheduled request is cancelled
+ * Mirrors the DOMException fetch() raises so callers can check error.name.
+ * @returns {Error} Abort error
+ */
+export const createAbortError = () => {
+  const error = new Error("The operation was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Decide whether a failed request is worth retrying
+ * Network failures (fetch rejects with TypeError) and 5xx responses are
+ * transient; 4xx responses, schema problems and cancellations are not.
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True when the request should be retried
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === "AbortError") return false;
+
+  const root = error.cause || error;
+  if (root.name === "AbortError") return false;
+  if (root instanceof TypeError) return true;
+
+  const status = error.status ?? root.status;
+  return typeof status === "number" && status >= 500;
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Request scheduler with a concurrency limit and exponential backoff retry
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.concurrency - Maximum requests in flight
+   * @param {number} options.retries - Retry attempts after the first failure
+   * @param {number} options.baseDelay - First retry delay in milliseconds
+   * @param {number} options.maxDelay - Upper bound for a retry delay
+   * @param {Function} options.shouldRetry - Predicate deciding if an error is retryable
+   */
+  constructor({
+    concurrency = 4,
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 8000,
+    shouldRetry = isRetryableError,
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.retries = retries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.shouldRetry = shouldRetry;
+
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Queue a request
+   * @param {Function} task - Called as task(signal, attempt); must return a promise
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<any>} Resolves with the task result
+   */
+  schedule(task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const entry = { task, signal, resolve, reject };
+
+      // Drop queued (not yet started) work as soon as it is cancelled
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(createAbortError());
+          }
+        },
+        { once: true }
+      );
+
+      this.queue.push(entry);
+      this.next();
+    });
+  }
+
+  /**
+   * Start queued requests while below the concurrency limit
+   */
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      this.active++;
+
+      this.runWithRetry(entry.task, entry.signal)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Run a task, retrying transient failures with exponential backoff and jitter
+   * @param {Function} task - Request function
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<any>} Task result
+   */
+  async runWithRetry(task, signal) {
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw createAbortError();
+
+      try {
+        return await task(signal, attempt);
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        if (attempt >= this.retries || !this.shouldRetry(error)) throw error;
+
+        const delay = Math.min(
+          this.maxDelay,
+          this.baseDelay * 2 ** attempt * (0.5 + Math.random() / 2)
+        );
+        await sleep(delay, signal);
+      }
+    }
+  }
+}
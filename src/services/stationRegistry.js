@@ -0,0 +1,339 @@
+// services/stationRegistry.js
+import { DATA_TIMEFRAMES, WEATHER_STATIONS } from "../utils/constants.js";
+import { CSVRecordReader } from "./csvParser.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+// Inventory column prefixes for the per-timeframe first/last year columns
+const TIMEFRAME_COLUMNS = {
+  [DATA_TIMEFRAMES.HOURLY]: "HLY",
+  [DATA_TIMEFRAMES.DAILY]: "DLY",
+  [DATA_TIMEFRAMES.MONTHLY]: "MLY",
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {Object} from - { lat, lng } in decimal degrees
+ * @param {Object} to - { lat, lng } in decimal degrees
+ * @returns {number} Distance in kilometres
+ */
+export const haversineDistance = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Parse a numeric inventory cell, returning null for blanks
+ * @param {string} value - Cell text
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value.trim() === "") {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Read the first/last year pair for one timeframe
+ * @param {Object} record - Inventory record
+ * @param {string} prefix - Column prefix (HLY, DLY, MLY)
+ * @returns {Object|null} { firstYear, lastYear } or null when no data exists
+ */
+const toYearRange = (record, prefix) => {
+  const firstYear = toNumber(record[`${prefix} First Year`]);
+  const lastYear = toNumber(record[`${prefix} Last Year`]);
+  return firstYear !== null && lastYear !== null
+    ? { firstYear, lastYear }
+    : null;
+};
+
+/**
+ * Convert an inventory record to station metadata
+ * @param {Object} record - Header-keyed inventory row
+ * @returns {Object} Station metadata
+ */
+const toStation = (record) => {
+  const timeframes = {};
+  Object.entries(TIMEFRAME_COLUMNS).forEach(([timeframe, prefix]) => {
+    timeframes[timeframe] = toYearRange(record, prefix);
+  });
+
+  return {
+    id: record["Station ID"],
+    name: record["Name"],
+    province: record["Province"],
+    climateId: record["Climate ID"] || null,
+    wmoId: record["WMO ID"] || null,
+    tcId: record["TC ID"] || null,
+    coordinates: {
+      lat: toNumber(record["Latitude (Decimal Degrees)"]),
+      lng: toNumber(record["Longitude (Decimal Degrees)"]),
+    },
+    elevation: toNumber(record["Elevation (m)"]),
+    firstYear: toNumber(record["First Year"]),
+    lastYear: toNumber(record["Last Year"]),
+    timeframes,
+  };
+};
+
+/**
+ * Parse the EC "Station Inventory EN.csv" file
+ * The file opens with a few lines of notes (modified date, disclaimer)
+ * before the header row, which is found by its "Station ID" column.
+ * @param {string} csvText - Inventory file contents
+ * @returns {Object} { stations, report }
+ */
+export const parseStationInventory = (csvText) => {
+  const reader = new CSVRecordReader({
+    isHeaderRow: (fields) =>
+      fields.some((field) => field.trim() === "Station ID") &&
+      fields.some((field) => field.trim() === "Name"),
+  });
+  reader.write(csvText);
+  const { headers, records, report } = reader.end();
+
+  if (headers.length === 0) {
+    throw new Error("Station inventory has no header row with a Station ID");
+  }
+
+  return {
+    stations: records.filter((r) => r["Station ID"]).map(toStation),
+    report,
+  };
+};
+
+/**
+ * Registry of station metadata
+ * Starts with the stations configured in WEATHER_STATIONS and is filled in
+ * with full metadata (elevation, data years, timeframes) once the EC station
+ * inventory is loaded.
+ */
+export class StationRegistry {
+  /**
+   * @param {Array} seedStations - Stations known before an inventory loads
+   */
+  constructor(seedStations = Object.values(WEATHER_STATIONS)) {
+    this.stations = new Map();
+    this.inventoryLoaded = false;
+    seedStations.forEach((station) => this.stations.set(station.id, station));
+  }
+
+  /**
+   * Load stations from inventory CSV text
+   * Inventory metadata is merged over configured stations, keeping their
+   * display fields (shortName, color).
+   * @param {string} csvText - Inventory file contents
+   * @returns {Object} { count, report }
+   */
+  loadFromText(csvText) {
+    const { stations, report } = parseStationInventory(csvText);
+
+    stations.forEach((station) => {
+      const existing = this.stations.get(station.id);
+      this.stations.set(
+        station.id,
+        existing
+          ? {
+              ...existing,
+              ...station,
+              shortName: existing.shortName,
+              color: existing.color,
+            }
+          : station
+      );
+    });
+    this.inventoryLoaded = true;
+
+    return { count: stations.length, report };
+  }
+
+  /**
+   * Load stations from a local file
+   * @param {File|Blob} file - Inventory file chosen by the user
+   * @returns {Promise<Object>} { count, report }
+   */
+  async loadFromFile(file) {
+    return this.loadFromText(await file.text());
+  }
+
+  /**
+   * Load stations from a URL
+   * @param {string} url - Inventory URL
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<Object>} { count, report }
+   */
+  async loadFromURL(url, { signal } = {}) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load station inventory: status ${response.status}`
+      );
+    }
+    return this.loadFromText(await response.text());
+  }
+
+  /**
+   * Add a station that isn't in the inventory (e.g. imported data)
+   * @param {Object} station - Station metadata with at least id and name
+   */
+  register(station) {
+    this.stations.set(String(station.id), station);
+  }
+
+  /**
+   * Remove a station added with register
+   * @param {string} stationId - Station ID
+   */
+  unregister(stationId) {
+    this.stations.delete(String(stationId));
+  }
+
+  /**
+   * Get a station's metadata
+   * @param {string} stationId - Station ID
+   * @returns {Object|undefined} Station metadata
+   */
+  get(stationId) {
+    return this.stations.get(String(stationId));
+  }
+
+  /**
+   * Get every known station
+   * @returns {Array} Station metadata
+   */
+  getAll() {
+    return Array.from(this.stations.values());
+  }
+
+  /**
+   * Get the years a station has data for in a timeframe
+   * @param {string} stationId - Station ID
+   * @param {number} timeframe - DATA_TIMEFRAMES value
+   * @returns {Object|null} { firstYear, lastYear }, or null when unknown
+   *   (no inventory loaded) or when the station has no data of that kind
+   */
+  getYearRange(stationId, timeframe = DATA_TIMEFRAMES.DAILY) {
+    return this.get(stationId)?.timeframes?.[timeframe] || null;
+  }
+
+  /**
+   * Check whether a station publishes data for a timeframe
+   * Stations without inventory metadata are assumed to.
+   * @param {string} stationId - Station ID
+   * @param {number} timeframe - DATA_TIMEFRAMES value
+   * @returns {boolean} True when data may exist
+   */
+  hasTimeframe(stationId, timeframe) {
+    const station = this.get(stationId);
+    if (!station?.timeframes) return true;
+    return station.timeframes[timeframe] !== null;
+  }
+
+  /**
+   * Clamp a requested year range to the years a station actually has
+   * @param {string} stationId - Station ID
+   * @param {number} startYear - Requested first year
+   * @param {number} endYear - Requested last year
+   * @param {number} timeframe - DATA_TIMEFRAMES value
+   * @returns {Object|null} { startYear, endYear }, or null when the station
+   *   has no data in the requested range
+   */
+  clampYearRange(
+    stationId,
+    startYear,
+    endYear,
+    timeframe = DATA_TIMEFRAMES.DAILY
+  ) {
+    if (!this.hasTimeframe(stationId, timeframe)) return null;
+
+    const range = this.getYearRange(stationId, timeframe);
+    if (!range) return { startYear, endYear };
+
+    const clamped = {
+      startYear: Math.max(startYear, range.firstYear),
+      endYear: Math.min(endYear, range.lastYear),
+    };
+    return clamped.startYear <= clamped.endYear ? clamped : null;
+  }
+
+  /**
+   * Search stations
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.query - Text matched against name, climate ID
+   *   and station ID
+   * @param {string} criteria.province - Province name or prefix (e.g. "BRITISH")
+   * @param {Object} criteria.near - { lat, lng } to measure distance from
+   * @param {number} criteria.radiusKm - Maximum distance from `near`
+   * @param {number} criteria.timeframe - Only stations with this timeframe
+   * @param {number} criteria.activeSince - Only stations with data in or
+   *   after this year
+   * @param {number} criteria.limit - Maximum results
+   * @returns {Array} Matching stations, nearest first when `near` is given;
+   *   each result includes distanceKm when `near` is given
+   */
+  search({
+    query,
+    province,
+    near,
+    radiusKm,
+    timeframe,
+    activeSince,
+    limit = 50,
+  } = {}) {
+    const text = query?.trim().toLowerCase();
+    const provinceText = province?.trim().toLowerCase();
+
+    let results = this.getAll().filter((station) => {
+      if (
+        text &&
+        !station.name?.toLowerCase().includes(text) &&
+        station.climateId?.toLowerCase() !== text &&
+        station.id !== text
+      ) {
+        return false;
+      }
+      if (
+        provinceText &&
+        !station.province?.toLowerCase().startsWith(provinceText)
+      ) {
+        return false;
+      }
+      if (timeframe && !station.timeframes?.[timeframe]) return false;
+      if (activeSince && !(station.lastYear >= activeSince)) return false;
+      return true;
+    });
+
+    if (near) {
+      results = results
+        .filter(
+          (station) =>
+            station.coordinates?.lat != null && station.coordinates?.lng != null
+        )
+        .map((station) => ({
+          ...station,
+          distanceKm: haversineDistance(near, station.coordinates),
+        }))
+        .filter(
+          (station) => radiusKm === undefined || station.distanceKm <= radiusKm
+        )
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    } else {
+      results.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return results.slice(0, limit);
+  }
+}
+
+// Export singleton instance
+export const stationRegistry = new StationRegistry();
+export default stationRegistry;
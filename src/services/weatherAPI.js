@@ -1,9 +1,26 @@
 // services/weatherAPI.js
-import {
-  WEATHER_STATIONS,
-  DATA_TIMEFRAMES,
-  API_ENDPOINTS,
-} from "../utils/constants.js";
+import { DATA_TIMEFRAMES, API_ENDPOINTS } from "../utils/constants.js";
+import { CSVRecordReader, mergeParseReports } from "./csvParser.js";
+import { mapRecords, SchemaMismatchError } from "./ecSchema.js";
+import { RequestScheduler, createAbortError } from "./requestScheduler.js";
+import { createCacheStorage, MemoryStorage } from "./cacheStorage.js";
+import { stationRegistry } from "./stationRegistry.js";
+
+/**
+ * Get the time a month ends (start of the following month, local time)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Timestamp in milliseconds
+ */
+const getMonthEnd = (year, month) => new Date(year, month, 1).getTime();
+
+/**
+ * Get the time the period of a cache entry ends: its month for hourly
+ * entries, its year for daily and monthly entries
+ * @param {Object} entry - Cache entry
+ * @returns {number} Timestamp in milliseconds
+ */
+const getEntryEnd = ({ year, month }) => getMonthEnd(year, month || 12);
 
 /**
  * Weather API service for fetching data from various sources
@@ -11,8 +28,17 @@ import {
 class WeatherAPIService {
   constructor() {
     this.baseURL = API_ENDPOINTS.ENVIRONMENT_CANADA;
-    this.cache = new Map();
-    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    this.storage = createCacheStorage();
+    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes, for the current month
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+    this.parseReports = new Map();
+    this.stations = stationRegistry;
+    this.requestOptions = {
+      concurrency: 4,
+      retries: 3,
+      baseDelay: 500,
+    };
   }
 
   /**
@@ -21,89 +47,237 @@ class WeatherAPIService {
    * @param {number} year - Year to fetch
    * @param {number} month - Month to fetch
    * @param {number} timeframe - Data timeframe (hourly, daily, monthly)
+   * @param {Object} options - { signal } to cancel the request
    * @returns {Promise<Array>} Weather data array
    */
   async fetchEnvironmentCanadaData(
     stationId,
     year,
     month,
-    timeframe = DATA_TIMEFRAMES.DAILY
+    timeframe = DATA_TIMEFRAMES.DAILY,
+    { signal } = {}
   ) {
-    const cacheKey = `ec_${stationId}_${year}_${month}_${timeframe}`;
+    // Daily and monthly downloads cover the whole year whatever the month,
+    // so they're cached once per year
+    const byYear = timeframe !== DATA_TIMEFRAMES.HOURLY;
+    const cacheKey = byYear
+      ? `ec_${stationId}_${year}_${timeframe}`
+      : `ec_${stationId}_${year}_${month}_${timeframe}`;
 
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
-      }
+    const cached = await this.readCache(cacheKey);
+    if (this.isCacheEntryFresh(cached)) {
+      this.cacheHits++;
+      if (cached.report) this.parseReports.set(cacheKey, cached.report);
+      return cached.data;
     }
+    this.cacheMisses++;
 
     try {
       const url = `${this.baseURL}?format=csv&stationID=${stationId}&Year=${year}&Month=${month}&Day=14&timeframe=${timeframe}&submit=Download+Data`;
 
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const httpError = new Error(`HTTP error! status: ${response.status}`);
+        httpError.status = response.status;
+        throw httpError;
       }
 
-      const csvText = await response.text();
-      const data = this.parseCSV(csvText);
+      const { data, report } = await this.readCSVResponse(response, timeframe);
+      this.parseReports.set(cacheKey, report);
+
+      if (report.rejectedRows > 0) {
+        console.warn(
+          `Rejected ${report.rejectedRows} of ${report.totalRows} rows for ${year}-${month}:`,
+          report.byReason
+        );
+      }
 
       // Cache the result
-      this.cache.set(cacheKey, {
+      await this.writeCache(cacheKey, {
         data,
+        report,
+        stationId,
+        year,
+        month: byYear ? null : month,
+        timeframe,
         timestamp: Date.now(),
       });
 
       return data;
     } catch (error) {
+      if (error.name === "AbortError") throw error;
       console.error("Error fetching Environment Canada data:", error);
-      throw new Error(`Failed to fetch weather data: ${error.message}`);
+      // A changed file layout affects every month; don't bury it as a fetch failure
+      if (error instanceof SchemaMismatchError) throw error;
+
+      // Serve the expired copy of the current month rather than nothing
+      if (cached) {
+        console.warn(`Using stale cached data for ${year}-${month}`);
+        return cached.data;
+      }
+
+      const wrapped = new Error(
+        `Failed to fetch weather data: ${error.message}`,
+        {
+          cause: error,
+        }
+      );
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
    * Fetch bulk historical data for multiple years
+   * Requests run through a concurrency-limited scheduler that retries 5xx and
+   * network failures with exponential backoff. A daily or monthly download
+   * already covers a whole year, so those are requested once per year and
+   * split into months here; hourly data is requested month by month. Months
+   * that still fail are reported through onProgress; the call only rejects
+   * when nothing loads.
    * @param {string} stationId - Weather station ID
    * @param {number} startYear - Start year
    * @param {number} endYear - End year
    * @param {number} timeframe - Data timeframe
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels outstanding requests
+   * @param {Function} options.onProgress - Called after each month with
+   *   { completed, failed, total, year, month, error }
+   * @param {number} options.concurrency - Overrides the configured concurrency
    * @returns {Promise<Array>} Combined weather data
    */
   async fetchBulkHistoricalData(
     stationId,
     startYear,
     endYear,
-    timeframe = DATA_TIMEFRAMES.DAILY
+    timeframe = DATA_TIMEFRAMES.DAILY,
+    { signal, onProgress, concurrency } = {}
   ) {
-    const promises = [];
-
+    const now = new Date();
+    const perYear = timeframe !== DATA_TIMEFRAMES.HOURLY;
+    const requests = [];
     for (let year = startYear; year <= endYear; year++) {
-      for (let month = 1; month <= 12; month++) {
-        promises.push(
-          this.fetchEnvironmentCanadaData(
-            stationId,
-            year,
-            month,
-            timeframe
-          ).catch((error) => {
-            console.warn(`Failed to fetch data for ${year}-${month}:`, error);
-            return []; // Return empty array on failure
-          })
+      // Skip months that haven't started yet
+      const lastMonth =
+        year < now.getFullYear()
+          ? 12
+          : year === now.getFullYear()
+          ? now.getMonth() + 1
+          : 0;
+      const months = Array.from({ length: lastMonth }, (_, i) => i + 1);
+      if (months.length === 0) continue;
+
+      if (perYear) {
+        requests.push({ year, month: months[0], months });
+      } else {
+        months.forEach((month) =>
+          requests.push({ year, month, months: [month] })
         );
       }
     }
+    const total = requests.reduce((sum, { months }) => sum + months.length, 0);
 
-    try {
-      const results = await Promise.all(promises);
-      return results
-        .flat()
-        .filter((record) => record && Object.keys(record).length > 0);
-    } catch (error) {
-      console.error("Error fetching bulk data:", error);
-      throw new Error("Failed to fetch bulk historical data");
+    // Internal controller so a fatal error stops the remaining requests
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener("abort", abort, { once: true });
+
+    const scheduler = new RequestScheduler({
+      ...this.requestOptions,
+      ...(concurrency ? { concurrency } : {}),
+    });
+
+    const progress = { completed: 0, failed: 0, total };
+    const failures = [];
+    let fatalError = null;
+
+    onProgress?.({ ...progress });
+
+    const results = await Promise.all(
+      requests.map(({ year, month, months }) =>
+        scheduler
+          .schedule(
+            (requestSignal) =>
+              this.fetchEnvironmentCanadaData(
+                stationId,
+                year,
+                month,
+                timeframe,
+                { signal: requestSignal }
+              ),
+            { signal: controller.signal }
+          )
+          .then((records) =>
+            // Downloads can reach past the requested months; keep only those
+            // so records aren't duplicated
+            months.flatMap((m) => {
+              const monthRecords = records.filter(
+                (r) => r.year === year && r.month === m
+              );
+              progress.completed++;
+              onProgress?.({ ...progress, year, month: m });
+              return monthRecords;
+            })
+          )
+          .catch((error) => {
+            if (error.name === "AbortError") return [];
+            if (error instanceof SchemaMismatchError) {
+              fatalError = fatalError || error;
+              controller.abort();
+              return [];
+            }
+
+            const period = perYear ? year : `${year}-${month}`;
+            console.warn(`Failed to fetch data for ${period}:`, error);
+            months.forEach((m) => {
+              progress.completed++;
+              progress.failed++;
+              failures.push({ year, month: m, error: error.message });
+              onProgress?.({
+                ...progress,
+                year,
+                month: m,
+                error: error.message,
+              });
+            });
+            return [];
+          })
+      )
+    );
+
+    signal?.removeEventListener("abort", abort);
+
+    if (signal?.aborted) throw createAbortError();
+    if (fatalError) throw fatalError;
+    if (total > 0 && progress.failed === total) {
+      throw new Error(
+        `Failed to fetch bulk historical data: all ${total} months failed (${failures[0].error})`
+      );
     }
+
+    return results
+      .flat()
+      .filter((record) => record && Object.keys(record).length > 0);
+  }
+
+  /**
+   * Fetch one month of hourly observations
+   * @param {string} stationId - Weather station ID
+   * @param {number} year - Year to fetch
+   * @param {number} month - Month to fetch (1-12)
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<Array>} Hourly records for that month
+   */
+  async fetchHourlyData(stationId, year, month, options = {}) {
+    const records = await this.fetchEnvironmentCanadaData(
+      stationId,
+      year,
+      month,
+      DATA_TIMEFRAMES.HOURLY,
+      options
+    );
+    return records.filter((r) => r.year === year && r.month === month);
   }
 
   /**
@@ -124,79 +298,230 @@ class WeatherAPIService {
   }
 
   /**
-   * Parse CSV data into JavaScript objects
-   * @param {string} csvText - Raw CSV text
-   * @returns {Array} Array of weather data objects
+   * Stream a CSV response body through the parser
+   * Falls back to reading the whole body when streams are unavailable
+   * @param {Response} response - Fetch response with CSV body
+   * @param {number} timeframe - Data timeframe used to pick the column schema
+   * @returns {Promise<Object>} Parsed data and parse report
    */
-  parseCSV(csvText) {
-    const lines = csvText.split("\n").filter((line) => line.trim());
-    if (lines.length < 2) return [];
-
-    const headers = lines[0].split(",").map((h) => h.replace(/"/g, "").trim());
-    const data = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(",").map((v) => v.replace(/"/g, "").trim());
-      if (values.length !== headers.length) continue;
+  async readCSVResponse(response, timeframe = DATA_TIMEFRAMES.DAILY) {
+    if (!response.body?.getReader) {
+      return this.parseCSV(await response.text(), timeframe);
+    }
 
-      const record = {};
-      headers.forEach((header, index) => {
-        const value = values[index];
-        record[header] = this.convertValue(value);
-      });
+    const reader = new CSVRecordReader();
+    const bodyReader = response.body.getReader();
+    const decoder = new TextDecoder("utf-8");
 
-      data.push(record);
+    for (;;) {
+      const { done, value } = await bodyReader.read();
+      if (done) break;
+      reader.write(decoder.decode(value, { stream: true }));
     }
+    reader.write(decoder.decode());
 
-    return data;
+    return this.toParseResult(reader.end(), timeframe);
   }
 
   /**
-   * Convert string values to appropriate types
-   * @param {string} value - String value from CSV
-   * @returns {any} Converted value
+   * Parse CSV data into typed weather records
+   * @param {string} csvText - Raw CSV text
+   * @param {number} timeframe - Data timeframe used to pick the column schema
+   * @returns {Object} { data, headers, report } with canonical weather records
+   *   and a report of rejected rows and reasons
    */
-  convertValue(value) {
-    if (value === "" || value === null || value === undefined) return null;
-
-    // Try to convert to number
-    const numValue = parseFloat(value);
-    if (!isNaN(numValue)) return numValue;
+  parseCSV(csvText, timeframe = DATA_TIMEFRAMES.DAILY) {
+    const reader = new CSVRecordReader();
+    reader.write(csvText);
+    return this.toParseResult(reader.end(), timeframe);
+  }
 
-    // Try to convert to date
-    if (value.match(/^\d{4}-\d{2}-\d{2}$/)) {
-      return new Date(value);
+  /**
+   * Map raw CSV records onto the canonical schema for a timeframe
+   * @param {Object} result - CSVRecordReader result
+   * @param {number} timeframe - Data timeframe
+   * @returns {Object} { data, headers, report }
+   */
+  toParseResult({ headers, records, report }, timeframe) {
+    if (records.length === 0) {
+      return { data: [], headers, report };
     }
 
-    return value;
+    const mapped = mapRecords(records, headers, timeframe);
+
+    return {
+      data: mapped.records,
+      headers,
+      report: {
+        ...report,
+        unmappedHeaders: mapped.unmappedHeaders,
+        invalidValues: mapped.invalidValues,
+      },
+    };
   }
 
   /**
    * Get station information
+   * Includes elevation, data years and available timeframes once the
+   * station inventory has been loaded.
    * @param {string} stationId - Weather station ID
    * @returns {Object} Station information
    */
   getStationInfo(stationId) {
-    return Object.values(WEATHER_STATIONS).find(
-      (station) => station.id === stationId
-    );
+    return this.stations.get(stationId);
+  }
+
+  /**
+   * Load the EC station inventory into the station registry
+   * @param {File|Blob|string} source - Inventory file, or a URL (defaults
+   *   to the published inventory)
+   * @param {Object} options - { signal } to cancel a URL request
+   * @returns {Promise<Object>} { count, report }
+   */
+  async loadStationInventory(
+    source = API_ENDPOINTS.STATION_INVENTORY,
+    options = {}
+  ) {
+    return typeof source === "string"
+      ? this.stations.loadFromURL(source, options)
+      : this.stations.loadFromFile(source);
+  }
+
+  /**
+   * Search the station registry
+   * @param {Object} criteria - See StationRegistry.search
+   * @returns {Array} Matching stations
+   */
+  searchStations(criteria) {
+    return this.stations.search(criteria);
+  }
+
+  /**
+   * Get a summary of rows rejected while parsing fetched CSV files
+   * @returns {Object} Combined parse report
+   */
+  getParseReport() {
+    return mergeParseReports(Array.from(this.parseReports.values()));
+  }
+
+  /**
+   * Check whether a cache entry can be served without refetching
+   * Months and years fetched after they closed never change and are kept
+   * indefinitely; a period that includes the current month (or was fetched
+   * before it closed) expires after cacheTimeout so new days are picked up.
+   * @param {Object} entry - Cache entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True when the entry is fresh
+   */
+  isCacheEntryFresh(entry, now = Date.now()) {
+    if (!entry) return false;
+    if (entry.timestamp >= getEntryEnd(entry)) return true;
+    return now - entry.timestamp < this.cacheTimeout;
+  }
+
+  /**
+   * Run a cache storage operation, switching to in-memory storage if the
+   * persistent backend fails (blocked IndexedDB, quota exceeded)
+   * @param {Function} operation - Receives the storage backend
+   * @returns {Promise<any>} Operation result
+   */
+  async withStorage(operation) {
+    try {
+      return await operation(this.storage);
+    } catch (error) {
+      if (this.storage instanceof MemoryStorage) throw error;
+      console.warn("Persistent cache unavailable, using memory cache:", error);
+      this.storage = new MemoryStorage();
+      return operation(this.storage);
+    }
+  }
+
+  /**
+   * Read a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cache entry
+   */
+  readCache(key) {
+    return this.withStorage((storage) => storage.get(key));
+  }
+
+  /**
+   * Write a cache entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  writeCache(key, entry) {
+    return this.withStorage((storage) => storage.set(key, entry));
   }
 
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.withStorage((storage) => storage.clear());
+    this.parseReports.clear();
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache statistics
+   * @returns {Promise<Object>} Cache statistics: size, hit rate for this
+   *   session and the months cached for each station
    */
-  getCacheStats() {
+  async getCacheStats() {
+    const entries = await this.withStorage((storage) => storage.entries());
+    const now = Date.now();
+    const stations = new Map();
+    let records = 0;
+    let permanent = 0;
+
+    entries.forEach(([, entry]) => {
+      records += entry.data.length;
+      if (entry.timestamp >= getEntryEnd(entry)) {
+        permanent++;
+      }
+
+      if (!stations.has(entry.stationId)) {
+        stations.set(entry.stationId, {
+          stationId: entry.stationId,
+          name: this.getStationInfo(entry.stationId)?.name || entry.stationId,
+          months: new Set(),
+          stale: 0,
+        });
+      }
+      const station = stations.get(entry.stationId);
+      const months = entry.month
+        ? [{ year: entry.year, month: entry.month }]
+        : entry.data;
+      months.forEach(({ year, month }) => {
+        if (year && month) {
+          station.months.add(`${year}-${String(month).padStart(2, "0")}`);
+        }
+      });
+      if (!this.isCacheEntryFresh(entry, now)) station.stale++;
+    });
+
+    const lookups = this.cacheHits + this.cacheMisses;
+
     return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys()),
+      backend: this.storage.name,
+      size: entries.length,
+      keys: entries.map(([key]) => key),
+      records,
+      permanent,
+      hits: this.cacheHits,
+      misses: this.cacheMisses,
+      hitRate: lookups > 0 ? this.cacheHits / lookups : null,
+      stations: Array.from(stations.values()).map(({ months, ...station }) => {
+        const sorted = Array.from(months).sort();
+        return {
+          ...station,
+          months: sorted.length,
+          firstMonth: sorted[0],
+          lastMonth: sorted[sorted.length - 1],
+        };
+      }),
     };
   }
 }
@@ -0,0 +1,402 @@
+// utils/aggregation.js
+import { MONTHS } from "./constants.js";
+import {
+  assessMonthQuality,
+  isUsableFor,
+  summarizeQuality,
+} from "./dataQuality.js";
+
+// EC counts a "day with precipitation" at 0.2 mm or more
+export const PRECIPITATION_DAY_THRESHOLD = 0.2;
+
+// Base temperature for heating/cooling degree days (°C)
+export const DEGREE_DAY_BASE = 18;
+
+// Metrics the dashboard charts that a data source may not provide
+const OPTIONAL_METRICS = ["humidity", "sunshine"];
+
+/**
+ * Round to one decimal place, passing nulls through
+ * @param {number|null} value - Value to round
+ * @returns {number|null} Rounded value
+ */
+const round1 = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 10) / 10;
+
+/**
+ * Collect the non-null numeric values of a field
+ * @param {Array} records - Records to read
+ * @param {string} field - Field name
+ * @returns {Array} Numeric values
+ */
+const valuesOf = (records, field) =>
+  records
+    .map((r) => r[field])
+    .filter((v) => v !== null && v !== undefined && !isNaN(v));
+
+const mean = (values) =>
+  values.length > 0
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : null;
+
+const sum = (values) =>
+  values.length > 0 ? values.reduce((total, v) => total + v, 0) : null;
+
+const max = (values) => (values.length > 0 ? Math.max(...values) : null);
+
+/**
+ * Get the daily mean temperature, deriving it from max/min when the mean
+ * column is empty (EC defines the mean as the midpoint of max and min)
+ * @param {Object} day - Daily record
+ * @returns {number|null} Mean temperature
+ */
+const dailyMeanTemp = (day) => {
+  if (day.temp !== null && day.temp !== undefined) return day.temp;
+  if (
+    day.tempMax !== null &&
+    day.tempMax !== undefined &&
+    day.tempMin !== null &&
+    day.tempMin !== undefined
+  ) {
+    return (day.tempMax + day.tempMin) / 2;
+  }
+  return null;
+};
+
+/**
+ * Get a day's heating or cooling degree days, deriving them from the mean
+ * temperature when the file leaves the column empty
+ * @param {Object} day - Daily record
+ * @param {string} type - 'heating' or 'cooling'
+ * @returns {number|null} Degree days
+ */
+const dailyDegreeDays = (day, type) => {
+  const reported =
+    type === "heating" ? day.heatingDegreeDays : day.coolingDegreeDays;
+  if (reported !== null && reported !== undefined) return reported;
+
+  const meanTemp = dailyMeanTemp(day);
+  if (meanTemp === null) return null;
+  return type === "heating"
+    ? Math.max(0, DEGREE_DAY_BASE - meanTemp)
+    : Math.max(0, meanTemp - DEGREE_DAY_BASE);
+};
+
+/**
+ * Find the record holding the extreme value of a field
+ * @param {Array} records - Daily records
+ * @param {string} field - Field name
+ * @param {string} type - 'max' or 'min'
+ * @returns {Object|null} { value, date }
+ */
+const findExtreme = (records, field, type) => {
+  let extreme = null;
+  records.forEach((r) => {
+    const value = r[field];
+    if (value === null || value === undefined) return;
+    if (
+      extreme === null ||
+      (type === "max" ? value > extreme.value : value < extreme.value)
+    ) {
+      extreme = { value, date: r.date };
+    }
+  });
+  return extreme;
+};
+
+/**
+ * Normalize daily records into one record per day, sorted by date
+ * Records without a date are dropped; when a day appears twice (e.g. months
+ * fetched with overlapping ranges) the later record wins. Empty daily means
+ * are derived from max/min so every consumer sees the same value.
+ * @param {Array} dailyRecords - Canonical daily records (see ecSchema)
+ * @returns {Array} Daily records sorted by date
+ */
+export const normalizeDailyRecords = (dailyRecords) => {
+  const byDate = new Map();
+
+  dailyRecords.forEach((record) => {
+    if (!record.date || !record.year || !record.month) return;
+    byDate.set(record.date, { ...record, temp: round1(dailyMeanTemp(record)) });
+  });
+
+  return Array.from(byDate.values()).sort((a, b) => (a.date < b.date ? -1 : 1));
+};
+
+/**
+ * Aggregate hourly observations into daily records
+ * The daily mean follows EC's convention (midpoint of max and min). Rain and
+ * snow aren't split in hourly files, so only total precipitation is kept.
+ * @param {Array} hourlyRecords - Canonical hourly records (see ecSchema)
+ * @returns {Array} Daily records sorted by date
+ */
+export const aggregateHourlyToDaily = (hourlyRecords) => {
+  const groups = new Map();
+
+  hourlyRecords.forEach((record) => {
+    if (!record.date) return;
+    if (!groups.has(record.date)) groups.set(record.date, []);
+    groups.get(record.date).push(record);
+  });
+
+  return Array.from(groups.entries())
+    .map(([date, hours]) => {
+      const temps = valuesOf(hours, "temp");
+      const tempMax = max(temps);
+      const tempMin = temps.length > 0 ? Math.min(...temps) : null;
+      const humidity = mean(valuesOf(hours, "humidity"));
+
+      return {
+        date,
+        year: hours[0].year,
+        month: hours[0].month,
+        day: hours[0].day,
+        tempMax,
+        tempMin,
+        temp: tempMax !== null ? round1((tempMax + tempMin) / 2) : null,
+        dewPoint: round1(mean(valuesOf(hours, "dewPoint"))),
+        humidity: humidity !== null ? Math.round(humidity) : null,
+        precipitation: round1(sum(valuesOf(hours, "precipitation"))),
+        rainfall: null,
+        pressure: round1(mean(valuesOf(hours, "pressure"))),
+        windSpeed: round1(mean(valuesOf(hours, "windSpeed"))),
+        maxWindSpeed: max(valuesOf(hours, "windSpeed")),
+        hoursReported: temps.length,
+        flags: {},
+      };
+    })
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+};
+
+/**
+ * Fill daily records with values derived from hourly data
+ * Daily files have no humidity, pressure or mean wind; hourly-derived days
+ * supply those and any value the daily file left empty.
+ * @param {Array} dailyRecords - Daily records from the daily file
+ * @param {Array} hourlyDaily - Daily records from aggregateHourlyToDaily
+ * @returns {Array} Combined daily records sorted by date
+ */
+export const mergeHourlyIntoDaily = (dailyRecords, hourlyDaily) => {
+  const byDate = new Map(hourlyDaily.map((day) => [day.date, day]));
+  const merged = dailyRecords.map((day) => {
+    const fromHourly = byDate.get(day.date);
+    byDate.delete(day.date);
+    if (!fromHourly) return day;
+
+    const result = { ...day };
+    Object.entries(fromHourly).forEach(([field, value]) => {
+      if (result[field] === null || result[field] === undefined) {
+        result[field] = value;
+      }
+    });
+    return result;
+  });
+
+  return [...merged, ...byDate.values()].sort((a, b) =>
+    a.date < b.date ? -1 : 1
+  );
+};
+
+/**
+ * Aggregate one month of daily records into a monthly summary
+ * @param {Array} days - Daily records for a single month
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {Object} span - { firstDay, lastDay } the days were clipped to,
+ *   so quality is graded on those days only (the whole month by default)
+ * @returns {Object} Monthly record
+ */
+export const summarizeMonth = (days, year, monthIndex, span) => {
+  const meanTemps = days.map(dailyMeanTemp).filter((t) => t !== null);
+
+  const heatingDegreeDays = days
+    .map((d) => dailyDegreeDays(d, "heating"))
+    .filter((v) => v !== null);
+  const coolingDegreeDays = days
+    .map((d) => dailyDegreeDays(d, "cooling"))
+    .filter((v) => v !== null);
+
+  const precipitation = valuesOf(days, "precipitation");
+  const extremeMax = findExtreme(days, "tempMax", "max");
+  const extremeMin = findExtreme(days, "tempMin", "min");
+  const maxGust = findExtreme(days, "gustSpeed", "max");
+  const humidity = valuesOf(days, "humidity");
+
+  return {
+    year,
+    month: MONTHS[monthIndex],
+    monthIndex,
+    date: `${year}-${String(monthIndex + 1).padStart(2, "0")}`,
+    temp: round1(mean(meanTemps)),
+    tempMax: round1(mean(valuesOf(days, "tempMax"))),
+    tempMin: round1(mean(valuesOf(days, "tempMin"))),
+    extremeMax: extremeMax ? extremeMax.value : null,
+    extremeMaxDate: extremeMax ? extremeMax.date : null,
+    extremeMin: extremeMin ? extremeMin.value : null,
+    extremeMinDate: extremeMin ? extremeMin.date : null,
+    heatingDegreeDays: round1(sum(heatingDegreeDays)),
+    coolingDegreeDays: round1(sum(coolingDegreeDays)),
+    rainfall: round1(sum(valuesOf(days, "rainfall"))),
+    snowfall: round1(sum(valuesOf(days, "snowfall"))),
+    precipitation: round1(sum(precipitation)),
+    precipitationDays: precipitation.filter(
+      (p) => p >= PRECIPITATION_DAY_THRESHOLD
+    ).length,
+    snowOnGround: round1(max(valuesOf(days, "snowOnGround"))),
+    maxGust: maxGust ? maxGust.value : null,
+    // Daily EC files carry no humidity or sunshine columns
+    humidity: humidity.length > 0 ? Math.round(mean(humidity)) : null,
+    sunshine: null,
+    daysReported: days.length,
+    quality: assessMonthQuality(days, year, monthIndex, span),
+  };
+};
+
+/**
+ * Get the days of a month that fall inside a date range
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} range - { start, end } date keys (YYYY-MM-DD)
+ * @returns {Object} { firstDay, lastDay }
+ */
+const getSpanInRange = (year, month, range) => {
+  const key = `${year}-${String(month).padStart(2, "0")}`;
+  return {
+    firstDay: range.start.startsWith(key) ? Number(range.start.slice(8)) : 1,
+    lastDay: range.end.startsWith(key)
+      ? Number(range.end.slice(8))
+      : new Date(year, month, 0).getDate(),
+  };
+};
+
+/**
+ * Group daily records by year and month and summarize each month
+ * @param {Array} dailyRecords - Canonical daily records (see ecSchema)
+ * @param {Object} range - { start, end } date keys (YYYY-MM-DD) the records
+ *   were clipped to, so months the range cuts are graded on the days inside
+ *   it; omit for whole months
+ * @returns {Array} Monthly records sorted chronologically
+ */
+export const aggregateDailyToMonthly = (dailyRecords, range) => {
+  const groups = new Map();
+
+  dailyRecords.forEach((record) => {
+    if (!record.year || !record.month) return;
+    const key = `${record.year}-${record.month}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  return Array.from(groups.values())
+    .map((days) => {
+      const { year, month } = days[0];
+      return summarizeMonth(
+        days,
+        year,
+        month - 1,
+        range && getSpanInRange(year, month, range)
+      );
+    })
+    .sort((a, b) => a.year - b.year || a.monthIndex - b.monthIndex);
+};
+
+/**
+ * Average monthly records across years into a 12-month climatology
+ * Extremes are the most extreme values seen in any year, not averages.
+ * Months that fail the WMO completeness rule for a field are left out of
+ * that field's average.
+ * @param {Array} monthlyRecords - Monthly records for one or more years
+ * @returns {Array} Twelve month-of-year records
+ */
+export const calculateMonthlyClimatology = (monthlyRecords) => {
+  const averaged = [
+    "temp",
+    "tempMax",
+    "tempMin",
+    "heatingDegreeDays",
+    "coolingDegreeDays",
+    "rainfall",
+    "snowfall",
+    "precipitation",
+    "precipitationDays",
+    "humidity",
+    "sunshine",
+  ];
+
+  return MONTHS.map((month, monthIndex) => {
+    const records = monthlyRecords.filter((r) => r.monthIndex === monthIndex);
+    const climatology = { month, monthIndex };
+
+    averaged.forEach((field) => {
+      const value = mean(
+        valuesOf(
+          records.filter((r) => isUsableFor(r, field)),
+          field
+        )
+      );
+      climatology[field] =
+        field === "humidity" && value !== null
+          ? Math.round(value)
+          : round1(value);
+    });
+
+    const extremeMax = findExtreme(
+      records.map((r) => ({ value: r.extremeMax, date: r.extremeMaxDate })),
+      "value",
+      "max"
+    );
+    const extremeMin = findExtreme(
+      records.map((r) => ({ value: r.extremeMin, date: r.extremeMinDate })),
+      "value",
+      "min"
+    );
+    climatology.extremeMax = extremeMax ? extremeMax.value : null;
+    climatology.extremeMaxDate = extremeMax ? extremeMax.date : null;
+    climatology.extremeMin = extremeMin ? extremeMin.value : null;
+    climatology.extremeMinDate = extremeMin ? extremeMin.date : null;
+    climatology.snowOnGround = round1(max(valuesOf(records, "snowOnGround")));
+    climatology.maxGust = max(valuesOf(records, "maxGust"));
+    climatology.quality = summarizeQuality(records);
+
+    return climatology;
+  });
+};
+
+/**
+ * List the optional metrics with no values anywhere in a dataset
+ * @param {Array} records - Monthly records
+ * @returns {Array} Metric names the source does not provide
+ */
+export const findUnavailableMetrics = (records) =>
+  OPTIONAL_METRICS.filter((metric) => valuesOf(records, metric).length === 0);
+
+/**
+ * Build the dashboard's { daily, monthly, yearly, metadata } shape from daily
+ * records. "yearly" holds one record per month of each year and "monthly"
+ * the month-of-year climatology; "daily" keeps the normalized days.
+ * @param {Array} dailyRecords - Canonical daily records
+ * @param {Object} metadata - Extra metadata to attach
+ * @returns {Object} Processed data object
+ */
+export const buildDatasetFromDaily = (dailyRecords, metadata = {}) => {
+  const daily = normalizeDailyRecords(dailyRecords);
+  const yearly = aggregateDailyToMonthly(daily);
+  const monthly = calculateMonthlyClimatology(yearly);
+  const years = yearly.map((r) => r.year);
+
+  return {
+    daily,
+    monthly,
+    yearly,
+    metadata: {
+      source: "Environment and Climate Change Canada daily data",
+      period:
+        years.length > 0
+          ? `${Math.min(...years)}-${Math.max(...years)}`
+          : "No data",
+      lastUpdated: new Date().toISOString(),
+      unavailableMetrics: findUnavailableMetrics(yearly),
+      ...metadata,
+    },
+  };
+};
@@ -1,14 +1,18 @@
 // utils/calculations.js
+import { isUsableFor } from "./dataQuality.js";
 
 /**
  * Calculate temperature statistics from weather data
  * @param {Array} data - Array of weather data objects
- * @returns {Object} Temperature statistics
+ * @returns {Object} Temperature statistics; average is null when no month
+ *   is complete enough to count
  */
 export const calculateTemperatureStats = (data) => {
   if (!data || data.length === 0) return null;
 
+  // Months with too many missing days don't count towards the average
   const temperatures = data
+    .filter((d) => isUsableFor(d, "temp"))
     .map((d) => d.temp)
     .filter((t) => t !== null && t !== undefined);
   const maxTemps = data
@@ -31,7 +35,8 @@ export const calculateTemperatureStats = (data) => {
 /**
  * Calculate rainfall statistics
  * @param {Array} data - Array of weather data objects
- * @returns {Object} Rainfall statistics
+ * @returns {Object} Rainfall statistics; average is null when no month is
+ *   complete enough to count
  */
 export const calculateRainfallStats = (data) => {
   if (!data || data.length === 0) return null;
@@ -42,7 +47,12 @@ export const calculateRainfallStats = (data) => {
 
   return {
     total: rainfallValues.reduce((sum, val) => sum + val, 0),
-    average: calculateAverage(rainfallValues),
+    average: calculateAverage(
+      data
+        .filter((d) => isUsableFor(d, "rainfall"))
+        .map((d) => d.rainfall)
+        .filter((r) => r !== null && r !== undefined)
+    ),
     max: Math.max(...rainfallValues),
     min: Math.min(...rainfallValues),
     wettest: data.find((d) => d.rainfall === Math.max(...rainfallValues))
@@ -75,18 +85,56 @@ export const calculateCorrelation = (x, y) => {
   return denominator === 0 ? 0 : numerator / denominator;
 };
 
+/**
+ * Calculate correlation coefficients for every pair of variables
+ * @param {Array} data - Monthly records
+ * @param {Array} variables - Field names to correlate
+ * @returns {Object} { "var1-var2": coefficient } for each ordered pair,
+ *   over the records that have both values
+ */
+export const calculateCorrelationMatrix = (data, variables) => {
+  const matrix = {};
+  if (!data || data.length === 0) return matrix;
+
+  variables.forEach((var1) => {
+    variables.forEach((var2) => {
+      if (var1 !== var2) {
+        // Only records with both values, so the series stay aligned
+        const pairs = data.filter(
+          (d) =>
+            d[var1] !== null &&
+            d[var1] !== undefined &&
+            d[var2] !== null &&
+            d[var2] !== undefined
+        );
+
+        if (pairs.length > 0) {
+          matrix[`${var1}-${var2}`] = calculateCorrelation(
+            pairs.map((d) => d[var1]),
+            pairs.map((d) => d[var2])
+          );
+        }
+      }
+    });
+  });
+
+  return matrix;
+};
+
 /**
  * Calculate average of an array
  * @param {Array} values - Array of numbers
- * @returns {number} Average value
+ * @returns {number|null} Average value, or null when there are no values
  */
 export const calculateAverage = (values) => {
-  if (!values || values.length === 0) return 0;
+  if (!values || values.length === 0) return null;
   return values.reduce((sum, val) => sum + val, 0) / values.length;
 };
 
 /**
  * Calculate yearly aggregates from monthly data
+ * A year with a month too incomplete to count has no average temperature
+ * or rainfall total, since the months left would skew it.
  * @param {Array} yearlyData - Array of monthly data for multiple years
  * @returns {Array} Yearly aggregated data
  */
@@ -95,19 +143,35 @@ export const calculateYearlyAggregates = (yearlyData) => {
 
   return years.map((year) => {
     const yearData = yearlyData.filter((d) => d.year === year);
+    const humidity = yearData
+      .map((d) => d.humidity)
+      .filter((v) => v !== null && v !== undefined);
+    const sunshine = yearData
+      .map((d) => d.sunshine)
+      .filter((v) => v !== null && v !== undefined);
+
+    const isComplete = (field) =>
+      yearData.every(
+        (d) =>
+          isUsableFor(d, field) && d[field] !== null && d[field] !== undefined
+      );
 
     return {
       year,
-      totalRainfall: Math.round(
-        yearData.reduce((sum, d) => sum + d.rainfall, 0)
-      ),
-      avgTemp:
-        Math.round(calculateAverage(yearData.map((d) => d.temp)) * 10) / 10,
-      avgHumidity: Math.round(
-        calculateAverage(yearData.map((d) => d.humidity))
-      ),
+      // One decimal so totals stay meaningful in inches
+      totalRainfall: isComplete("rainfall")
+        ? Math.round(yearData.reduce((sum, d) => sum + d.rainfall, 0) * 10) / 10
+        : null,
+      avgTemp: isComplete("temp")
+        ? Math.round(calculateAverage(yearData.map((d) => d.temp)) * 10) / 10
+        : null,
+      // Humidity and sunshine are null when the source doesn't provide them
+      avgHumidity:
+        humidity.length > 0 ? Math.round(calculateAverage(humidity)) : null,
       totalSunshine:
-        Math.round(yearData.reduce((sum, d) => sum + d.sunshine, 0) * 10) / 10,
+        sunshine.length > 0
+          ? Math.round(sunshine.reduce((sum, v) => sum + v, 0) * 10) / 10
+          : null,
     };
   });
 };
@@ -132,22 +196,140 @@ export const calculateMovingAverage = (data, window = 3) => {
 };
 
 /**
- * Detect anomalies in weather data
- * @param {Array} data - Array of weather data
- * @param {string} metric - Metric to analyze ('temp', 'rainfall', etc.)
- * @param {number} threshold - Standard deviations for anomaly detection
- * @returns {Array} Array of anomalies
+ * Ways detectAnomalies can score a month against its calendar month
  */
-export const detectAnomalies = (data, metric, threshold = 2) => {
-  const values = data
-    .map((d) => d[metric])
-    .filter((v) => v !== null && v !== undefined);
+export const ANOMALY_METHODS = {
+  // Standard deviations from the month's mean
+  ZSCORE: "zscore",
+  // Modified z-score: median absolute deviations from the month's median
+  ROBUST: "robust",
+  // Outside the month's given lower and upper percentiles
+  PERCENTILE: "percentile",
+};
+
+/**
+ * Flagging thresholds per method, with the default first: scores for
+ * zscore and robust, the tail percentage for percentile
+ */
+export const ANOMALY_THRESHOLDS = {
+  [ANOMALY_METHODS.ZSCORE]: [2, 1.5, 2.5, 3],
+  [ANOMALY_METHODS.ROBUST]: [3.5, 3, 4],
+  [ANOMALY_METHODS.PERCENTILE]: [5, 10, 2.5],
+};
+
+// Calendar months with fewer values than this are not scored
+const MIN_CLIMATOLOGY_YEARS = 3;
+
+// Scales the MAD to a standard deviation for normal data (Iglewicz and
+// Hoaglin's modified z-score)
+const MAD_SCALE = 0.6745;
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Expected value, spread and flagging limits of one calendar month
+ * @param {Array} values - The month's values across years
+ * @param {string} method - ANOMALY_METHODS value
+ * @param {number} threshold - Score or tail percentage
+ * @returns {Object|null} { expected, limits: [low, high], score(value) },
+ *   or null when the values have no spread
+ */
+const describeMonth = (values, method, threshold) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const median = quantile(sorted, 0.5);
+
+  if (method === ANOMALY_METHODS.PERCENTILE) {
+    const tail = threshold / 100;
+    return {
+      expected: median,
+      limits: [quantile(sorted, tail), quantile(sorted, 1 - tail)],
+      // Percentile rank within the month, counting ties as half below
+      score: (value) =>
+        ((sorted.filter((v) => v < value).length +
+          sorted.filter((v) => v === value).length / 2) /
+          sorted.length) *
+        100,
+    };
+  }
+
+  if (method === ANOMALY_METHODS.ROBUST) {
+    const mad = quantile(
+      values.map((v) => Math.abs(v - median)).sort((a, b) => a - b),
+      0.5
+    );
+    if (mad === 0) return null;
+    const spread = mad / MAD_SCALE;
+    return {
+      expected: median,
+      limits: [median - threshold * spread, median + threshold * spread],
+      score: (value) => (value - median) / spread,
+    };
+  }
+
   const mean = calculateAverage(values);
-  const variance = calculateAverage(values.map((v) => Math.pow(v - mean, 2)));
-  const stdDev = Math.sqrt(variance);
+  const stdDev = Math.sqrt(
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+  );
+  if (stdDev === 0) return null;
+  return {
+    expected: mean,
+    limits: [mean - threshold * stdDev, mean + threshold * stdDev],
+    score: (value) => (value - mean) / stdDev,
+  };
+};
+
+/**
+ * Detect months that are unusual for their time of year
+ * Each record is compared with the same calendar month in the other years
+ * (its climatology), so a cold January is judged against Januaries.
+ * @param {Array} data - Monthly records spanning several years
+ * @param {string} metric - Metric to analyze ('temp', 'rainfall', etc.)
+ * @param {Object} options - { method: ANOMALY_METHODS value (zscore by
+ *   default), threshold: score or tail percentage (the method's default
+ *   from ANOMALY_THRESHOLDS) }
+ * @returns {Array} [{ record, metric, value, expected, deviation, score,
+ *   limits, direction: "high" | "low", method, threshold }] in data order;
+ *   score is a z-score, or a percentile rank for the percentile method
+ */
+export const detectAnomalies = (data, metric, options = {}) => {
+  const method = options.method || ANOMALY_METHODS.ZSCORE;
+  const threshold = options.threshold ?? ANOMALY_THRESHOLDS[method][0];
+  const hasValue = (d) =>
+    typeof d[metric] === "number" && !Number.isNaN(d[metric]);
 
-  return data.filter((d) => {
-    const value = d[metric];
-    return Math.abs(value - mean) > threshold * stdDev;
+  const byMonth = {};
+  data.filter(hasValue).forEach((d) => {
+    (byMonth[d.month] = byMonth[d.month] || []).push(d[metric]);
   });
+  const climatology = {};
+  Object.entries(byMonth).forEach(([month, values]) => {
+    if (values.length >= MIN_CLIMATOLOGY_YEARS) {
+      climatology[month] = describeMonth(values, method, threshold);
+    }
+  });
+
+  return data
+    .filter((d) => hasValue(d) && climatology[d.month])
+    .map((d) => {
+      const { expected, limits, score } = climatology[d.month];
+      const value = d[metric];
+      return {
+        record: d,
+        metric,
+        value,
+        expected,
+        deviation: value - expected,
+        score: score(value),
+        limits,
+        direction: value > expected ? "high" : "low",
+        method,
+        threshold,
+      };
+    })
+    .filter(({ value, limits }) => value < limits[0] || value > limits[1]);
 };
@@ -0,0 +1,228 @@
+// utils/chartExport.js
+import { downloadFile, toSlug } from "./exporters.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FONT_FAMILY = "Inter, system-ui, -apple-system, sans-serif";
+
+// Space around the chart in exported images
+const PADDING = 16;
+const TITLE_HEIGHT = 32;
+const LEGEND_ROW_HEIGHT = 20;
+const FOOTER_HEIGHT = 24;
+
+/**
+ * Resolutions offered for PNG export, as multiples of the on-screen size
+ */
+export const PNG_SCALES = [1, 2, 4];
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Read the legend Recharts renders as HTML next to the chart
+ * @param {Element} container - Element holding the chart
+ * @returns {Array} [{ label, color }]
+ */
+const readLegend = (container) =>
+  Array.from(container.querySelectorAll(".recharts-legend-item")).map(
+    (item) => {
+      const icon = item.querySelector("svg path, svg line, svg rect");
+      const text = item.querySelector(".recharts-legend-item-text");
+      return {
+        label: item.textContent.trim(),
+        color:
+          icon?.getAttribute("fill") ||
+          icon?.getAttribute("stroke") ||
+          text?.style.color ||
+          "#6B7280",
+      };
+    }
+  );
+
+/**
+ * Lay legend entries out in rows that fit the width
+ * Text width is estimated, which is close enough for short series names.
+ * @param {Array} legend - [{ label, color }]
+ * @param {number} width - Available width
+ * @returns {Array} Rows of [{ label, color, x }]
+ */
+const layoutLegend = (legend, width) => {
+  const rows = [];
+  let row = [];
+  let x = 0;
+  legend.forEach((entry) => {
+    const entryWidth = 24 + entry.label.length * 7;
+    if (row.length > 0 && x + entryWidth > width) {
+      rows.push(row);
+      row = [];
+      x = 0;
+    }
+    row.push({ ...entry, x });
+    x += entryWidth;
+  });
+  if (row.length > 0) rows.push(row);
+  return rows;
+};
+
+/**
+ * Build a standalone SVG document from a rendered chart
+ * The chart's own SVG (plot, axes and axis labels) is copied and framed with
+ * a title, the legend and a source line.
+ * @param {Element} container - Element holding a Recharts chart
+ * @param {Object} options - Export options
+ * @param {string} options.title - Chart title
+ * @param {string} options.attribution - Source line shown under the chart
+ * @param {string} options.xLabel - X axis label, for charts that don't draw
+ *   one
+ * @returns {Object} { svg, width, height } where svg is the document text
+ */
+export const buildChartSvg = (container, { title, attribution, xLabel }) => {
+  const chart = container.querySelector(".recharts-wrapper > svg");
+  if (!chart) throw new Error("No chart to export");
+
+  const chartWidth = Math.round(chart.getBoundingClientRect().width);
+  const chartHeight = Math.round(chart.getBoundingClientRect().height);
+  const width = chartWidth + PADDING * 2;
+  const legendRows = layoutLegend(readLegend(container), chartWidth);
+  const xLabelHeight = xLabel ? LEGEND_ROW_HEIGHT : 0;
+  const chartTop = PADDING + (title ? TITLE_HEIGHT : 0);
+  const legendTop = chartTop + chartHeight + xLabelHeight + 8;
+  const height =
+    legendTop + legendRows.length * LEGEND_ROW_HEIGHT + FOOTER_HEIGHT + PADDING;
+
+  const copy = chart.cloneNode(true);
+  copy.setAttribute("x", PADDING);
+  copy.setAttribute("y", chartTop);
+  copy.setAttribute("width", chartWidth);
+  copy.setAttribute("height", chartHeight);
+  copy.removeAttribute("style");
+  copy.removeAttribute("class");
+
+  const parts = [
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    title &&
+      `<text x="${PADDING}" y="${
+        PADDING + 20
+      }" font-size="18" font-weight="bold" fill="#1F2937">${escapeXML(
+        title
+      )}</text>`,
+    new XMLSerializer().serializeToString(copy),
+    xLabel &&
+      `<text x="${width / 2}" y="${
+        chartTop + chartHeight + 14
+      }" font-size="12" fill="#4B5563" text-anchor="middle">${escapeXML(
+        xLabel
+      )}</text>`,
+    ...legendRows.flatMap((row, rowIndex) => {
+      const rowWidth = row.length
+        ? row[row.length - 1].x + 24 + row[row.length - 1].label.length * 7
+        : 0;
+      const left = PADDING + (chartWidth - rowWidth) / 2;
+      const y = legendTop + rowIndex * LEGEND_ROW_HEIGHT;
+      return row.map(
+        (entry) =>
+          `<rect x="${left + entry.x}" y="${
+            y + 4
+          }" width="12" height="12" fill="${entry.color}"/><text x="${
+            left + entry.x + 18
+          }" y="${y + 14}" font-size="12" fill="#374151">${escapeXML(
+            entry.label
+          )}</text>`
+      );
+    }),
+    attribution &&
+      `<text x="${width - PADDING}" y="${
+        height - PADDING
+      }" font-size="10" fill="#6B7280" text-anchor="end">${escapeXML(
+        attribution
+      )}</text>`,
+  ].filter(Boolean);
+
+  return {
+    svg: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+      ...parts,
+      "</svg>",
+    ].join("\n"),
+    width,
+    height,
+  };
+};
+
+/**
+ * Rasterize an SVG document to PNG
+ * @param {string} svg - SVG document text
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {number} scale - Output pixels per SVG unit
+ * @returns {Promise<Blob>} PNG image
+ */
+export const rasterizeSvg = (svg, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svg], { type: "image/svg+xml;charset=utf-8" })
+    );
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Unable to create PNG")),
+        "image/png"
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Unable to draw the chart"));
+    };
+    image.src = url;
+  });
+
+/**
+ * Turn a chart title into a file name
+ * @param {string} title - Chart title
+ * @param {string} extension - File extension
+ * @returns {string} File name such as "monthly-rainfall.svg", or
+ *   "chart.svg" when the title has no letters or digits to keep
+ */
+const toFileName = (title, extension) =>
+  `${toSlug(title || "") || "chart"}.${extension}`;
+
+/**
+ * Download a rendered chart as SVG
+ * @param {Element} container - Element holding the chart
+ * @param {Object} options - See buildChartSvg
+ */
+export const exportChartSvg = (container, options) => {
+  const { svg } = buildChartSvg(container, options);
+  downloadFile(svg, toFileName(options.title, "svg"), "image/svg+xml");
+};
+
+/**
+ * Download a rendered chart as PNG
+ * @param {Element} container - Element holding the chart
+ * @param {Object} options - See buildChartSvg
+ * @param {number} scale - Resolution multiplier (see PNG_SCALES)
+ * @returns {Promise} Resolves once the download has started
+ */
+export const exportChartPng = async (container, options, scale) => {
+  const { svg, width, height } = buildChartSvg(container, options);
+  const png = await rasterizeSvg(svg, width, height, scale);
+  downloadFile(
+    png,
+    toFileName(scale > 1 ? `${options.title}-${scale}x` : options.title, "png"),
+    "image/png"
+  );
+};
@@ -3,20 +3,31 @@ export const WEATHER_STATIONS = {
   VANCOUVER_HARBOUR: {
     id: "51442",
     name: "Vancouver Harbour CS",
+    shortName: "Harbour",
     coordinates: { lat: 49.2827, lng: -123.1207 },
+    color: "#F59E0B",
   },
   VANCOUVER_AIRPORT: {
     id: "51459",
     name: "Vancouver International Airport",
+    shortName: "Airport",
     coordinates: { lat: 49.1939, lng: -123.1844 },
+    color: "#2563EB",
   },
   VANCOUVER_UBC: {
     id: "889",
     name: "Vancouver (UBC)",
+    shortName: "UBC",
     coordinates: { lat: 49.2606, lng: -123.246 },
+    color: "#10B981",
   },
 };
 
+export const DATA_SOURCES = {
+  SAMPLE: "sample",
+  LIVE: "live",
+};
+
 export const DATA_TIMEFRAMES = {
   HOURLY: 1,
   DAILY: 2,
@@ -58,16 +69,11 @@ export const TABS = {
 export const API_ENDPOINTS = {
   ENVIRONMENT_CANADA:
     "https://climate.weather.gc.ca/climate_data/bulk_data_e.html",
+  STATION_INVENTORY:
+    "https://collaboration.cmc.ec.gc.ca/cmc/climate/Get_More_Data_Plus_de_donnees/Station%20Inventory%20EN.csv",
   OPENWEATHER: "https://api.openweathermap.org/data/2.5",
 };
 
-export const VANCOUVER_CLIMATE_NORMALS = {
-  ANNUAL_RAINFALL: 1194, // mm
-  AVERAGE_TEMPERATURE: 11.2, // °C
-  AVERAGE_HUMIDITY: 76, // %
-  ANNUAL_SUNSHINE: 1928, // hours
-};
-
 export const CHART_DIMENSIONS = {
   SMALL: { width: "100%", height: 250 },
   MEDIUM: { width: "100%", height: 350 },
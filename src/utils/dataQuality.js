@@ -0,0 +1,366 @@
+// utils/dataQuality.js
+import { LOCALES, translate } from "./i18n.js";
+
+/**
+ * Quality flags EC attaches to individual values (labels are message keys)
+ * Values flagged M are treated as missing even when a number is present.
+ */
+export const EC_FLAGS = {
+  M: { label: "quality.flags.missing", missing: true },
+  E: { label: "quality.flags.estimated", estimated: true },
+  T: { label: "quality.flags.trace" },
+  A: { label: "quality.flags.accumulated" },
+  C: { label: "quality.flags.uncertainAmount" },
+  L: { label: "quality.flags.possiblePrecipitation" },
+  F: { label: "quality.flags.accumulatedEstimated", estimated: true },
+  N: { label: "quality.flags.missingAboveZero", missing: true },
+  Y: { label: "quality.flags.missingBelowZero", missing: true },
+  S: { label: "quality.flags.multipleOccurrences" },
+  "^": { label: "quality.flags.incompleteData", estimated: true },
+  "†": { label: "quality.flags.notReviewed" },
+};
+
+// WMO guidance for monthly means: no more than 5 missing days in total and
+// no more than 3 in a row
+export const MAX_MISSING_DAYS = 5;
+export const MAX_CONSECUTIVE_MISSING_DAYS = 3;
+
+export const QUALITY_LEVELS = {
+  COMPLETE: "complete",
+  PARTIAL: "partial",
+  INCOMPLETE: "incomplete",
+};
+
+/**
+ * Badge text (a message key) and styling for each quality level
+ */
+export const QUALITY_BADGES = {
+  [QUALITY_LEVELS.COMPLETE]: {
+    label: "quality.levels.complete",
+    className: "bg-green-100 text-green-700",
+  },
+  [QUALITY_LEVELS.PARTIAL]: {
+    label: "quality.levels.partial",
+    className: "bg-yellow-100 text-yellow-700",
+  },
+  [QUALITY_LEVELS.INCOMPLETE]: {
+    label: "quality.levels.incomplete",
+    className: "bg-red-100 text-red-700",
+  },
+};
+
+/**
+ * Monthly fields grouped by the daily observation they are built from
+ */
+export const QUALITY_FIELD_GROUPS = {
+  temp: [
+    "temp",
+    "tempMax",
+    "tempMin",
+    "heatingDegreeDays",
+    "coolingDegreeDays",
+  ],
+  precipitation: ["rainfall", "snowfall", "precipitation", "precipitationDays"],
+};
+
+/**
+ * Describe an EC flag
+ * @param {string} flag - Flag character
+ * @param {Function} t - Translate function from useI18n (English by default)
+ * @returns {string} Flag description such as "Estimated"
+ */
+export const describeFlag = (
+  flag,
+  t = (key, params) => translate(LOCALES.EN, key, params)
+) =>
+  EC_FLAGS[flag]
+    ? t(EC_FLAGS[flag].label)
+    : t("quality.flags.unknown", { flag });
+
+/**
+ * Check whether a daily value was filled in rather than observed
+ * @param {Object} record - Daily record
+ * @param {string} field - Field name
+ * @returns {boolean} True when the value was imputed (see gapFilling)
+ */
+export const isImputed = (record, field) =>
+  Boolean(record?.imputed && field in record.imputed);
+
+const isBlank = (value) =>
+  value === null || value === undefined || Number.isNaN(value);
+
+/**
+ * Read a daily observation, treating missing flags as gaps
+ * The daily mean temperature counts as present when max and min are.
+ * @param {Object} day - Daily record
+ * @param {string} group - Key of QUALITY_FIELD_GROUPS
+ * @returns {Object} { value, flag, imputed }
+ */
+const readObservation = (day, group) => {
+  const flag =
+    group === "temp"
+      ? day.flags?.temp || day.flags?.tempMax || day.flags?.tempMin
+      : day.flags?.precipitation || day.flags?.rainfall;
+  let value = day[group];
+  if (isBlank(value) && group === "temp") {
+    value =
+      isBlank(day.tempMax) || isBlank(day.tempMin)
+        ? null
+        : (day.tempMax + day.tempMin) / 2;
+  }
+  if (isBlank(value) && group === "precipitation") value = day.rainfall;
+  // Trace amounts are sometimes published without a value
+  if (isBlank(value) && flag === "T") value = 0;
+  if (EC_FLAGS[flag]?.missing) value = null;
+  const imputed = QUALITY_FIELD_GROUPS[group].some((field) =>
+    isImputed(day, field)
+  );
+
+  return { value: isBlank(value) ? null : value, flag, imputed };
+};
+
+/**
+ * Assess how complete one observation is over a month
+ * @param {Array} days - Daily records for the month
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {string} group - Key of QUALITY_FIELD_GROUPS
+ * @param {Object} span - { firstDay, lastDay } of the month the records
+ *   cover, when they were clipped to a date range (the whole month by
+ *   default)
+ * @returns {Object} { expectedDays, reportedDays, missingDays, longestGap,
+ *   completeness, estimatedDays, imputedDays, traceDays, flags,
+ *   meetsWmoRule }
+ */
+export const assessFieldCompleteness = (
+  days,
+  year,
+  monthIndex,
+  group,
+  span = {}
+) => {
+  const {
+    firstDay = 1,
+    lastDay = new Date(year, monthIndex + 1, 0).getDate(),
+  } = span;
+  const expectedDays = lastDay - firstDay + 1;
+  const byDay = new Map(days.map((d) => [d.day, d]));
+  const flags = {};
+  let reportedDays = 0;
+  let estimatedDays = 0;
+  let imputedDays = 0;
+  let traceDays = 0;
+  let gap = 0;
+  let longestGap = 0;
+
+  for (let day = firstDay; day <= lastDay; day++) {
+    const record = byDay.get(day);
+    const { value, flag, imputed } = record
+      ? readObservation(record, group)
+      : { value: null };
+
+    if (flag) flags[flag] = (flags[flag] || 0) + 1;
+    if (value === null) {
+      gap += 1;
+      longestGap = Math.max(longestGap, gap);
+      continue;
+    }
+
+    gap = 0;
+    reportedDays += 1;
+    if (EC_FLAGS[flag]?.estimated) estimatedDays += 1;
+    if (imputed) imputedDays += 1;
+    if (flag === "T") traceDays += 1;
+  }
+
+  const missingDays = expectedDays - reportedDays;
+  return {
+    expectedDays,
+    reportedDays,
+    missingDays,
+    longestGap,
+    completeness: Math.round((reportedDays / expectedDays) * 100),
+    estimatedDays,
+    imputedDays,
+    traceDays,
+    flags,
+    meetsWmoRule:
+      missingDays <= MAX_MISSING_DAYS &&
+      longestGap <= MAX_CONSECUTIVE_MISSING_DAYS,
+  };
+};
+
+/**
+ * Grade an assessment
+ * @param {Object} assessment - Result of assessFieldCompleteness
+ * @returns {string} QUALITY_LEVELS value
+ */
+const toLevel = (assessment) => {
+  if (!assessment.meetsWmoRule) return QUALITY_LEVELS.INCOMPLETE;
+  return assessment.missingDays > 0 ||
+    assessment.estimatedDays > 0 ||
+    assessment.imputedDays > 0
+    ? QUALITY_LEVELS.PARTIAL
+    : QUALITY_LEVELS.COMPLETE;
+};
+
+/**
+ * Assess the quality of one month of daily records
+ * @param {Array} days - Daily records for the month
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0-11)
+ * @param {Object} span - { firstDay, lastDay } the records cover, see
+ *   assessFieldCompleteness
+ * @returns {Object} { temp, precipitation, completeness, level } where temp
+ *   and precipitation are per-observation assessments and completeness and
+ *   level describe the weaker of the two
+ */
+export const assessMonthQuality = (days, year, monthIndex, span) => {
+  const quality = {};
+  Object.keys(QUALITY_FIELD_GROUPS).forEach((group) => {
+    const assessment = assessFieldCompleteness(
+      days,
+      year,
+      monthIndex,
+      group,
+      span
+    );
+    quality[group] = { ...assessment, level: toLevel(assessment) };
+  });
+
+  const assessments = Object.values(quality);
+  const levels = Object.values(QUALITY_LEVELS);
+  return {
+    ...quality,
+    completeness: Math.min(...assessments.map((a) => a.completeness)),
+    // Levels are ordered best to worst
+    level: levels[Math.max(...assessments.map((a) => levels.indexOf(a.level)))],
+  };
+};
+
+/**
+ * Check whether a monthly value can go into averages
+ * Records without a quality assessment (sample or imported monthly data)
+ * are taken at face value.
+ * @param {Object} record - Monthly record
+ * @param {string} field - Monthly field about to be averaged
+ * @returns {boolean} True unless the field's observations fail the WMO rule
+ */
+export const isUsableFor = (record, field) => {
+  const group = Object.keys(QUALITY_FIELD_GROUPS).find((g) =>
+    QUALITY_FIELD_GROUPS[g].includes(field)
+  );
+  if (!group || !record.quality?.[group]) return true;
+  return record.quality[group].meetsWmoRule;
+};
+
+/**
+ * Summarize the quality of a set of monthly records
+ * @param {Array} records - Monthly records
+ * @returns {Object|null} { months, assessedMonths, completeMonths,
+ *   partialMonths, incompleteMonths, completeness, level }, or null when no
+ *   record carries a quality assessment
+ */
+export const summarizeQuality = (records) => {
+  const assessed = (records || []).filter((r) => r.quality?.level);
+  if (assessed.length === 0) return null;
+
+  const count = (level) =>
+    assessed.filter((r) => r.quality.level === level).length;
+  const incompleteMonths = count(QUALITY_LEVELS.INCOMPLETE);
+  const partialMonths = count(QUALITY_LEVELS.PARTIAL);
+
+  return {
+    months: records.length,
+    assessedMonths: assessed.length,
+    completeMonths: count(QUALITY_LEVELS.COMPLETE),
+    partialMonths,
+    incompleteMonths,
+    completeness: Math.round(
+      assessed.reduce((total, r) => total + r.quality.completeness, 0) /
+        assessed.length
+    ),
+    level:
+      incompleteMonths > 0
+        ? QUALITY_LEVELS.INCOMPLETE
+        : partialMonths > 0
+        ? QUALITY_LEVELS.PARTIAL
+        : QUALITY_LEVELS.COMPLETE,
+  };
+};
+
+/**
+ * Describe a month's quality in one line for tooltips
+ * @param {Object} quality - Month quality from assessMonthQuality, or a
+ *   summary from summarizeQuality
+ * @param {Function} t - Translate function from useI18n (English by default)
+ * @returns {string} Description such as "87% complete, 4 days missing"
+ */
+export const describeQuality = (
+  quality,
+  t = (key, params) => translate(LOCALES.EN, key, params)
+) => {
+  if (!quality) return "";
+  const complete = t("quality.complete", { percent: quality.completeness });
+  if (quality.assessedMonths !== undefined) {
+    return quality.incompleteMonths > 0
+      ? `${complete}, ${t("quality.monthsExcluded", {
+          count: quality.incompleteMonths,
+          total: quality.assessedMonths,
+        })}`
+      : complete;
+  }
+
+  const missing = Math.max(
+    quality.temp?.missingDays || 0,
+    quality.precipitation?.missingDays || 0
+  );
+  const estimated = Math.max(
+    quality.temp?.estimatedDays || 0,
+    quality.precipitation?.estimatedDays || 0
+  );
+  const imputed = Math.max(
+    quality.temp?.imputedDays || 0,
+    quality.precipitation?.imputedDays || 0
+  );
+  const parts = [complete];
+  if (missing > 0) parts.push(t("quality.daysMissing", { count: missing }));
+  if (estimated > 0) {
+    parts.push(t("quality.daysEstimated", { count: estimated }));
+  }
+  if (imputed > 0) parts.push(t("quality.daysImputed", { count: imputed }));
+  if (quality.level === QUALITY_LEVELS.INCOMPLETE) {
+    parts.push(t("quality.excluded"));
+  }
+  return parts.join(", ");
+};
+
+/**
+ * List the EC flags seen in a month's observations for tooltips
+ * @param {Object} quality - Month quality from assessMonthQuality
+ * @param {Function} t - Translate function from useI18n (English by default)
+ * @returns {string} Description such as "Flags: Estimated (3), Trace (2)",
+ *   or "" when no value was flagged
+ */
+export const describeFlags = (
+  quality,
+  t = (key, params) => translate(LOCALES.EN, key, params)
+) => {
+  const counts = {};
+  Object.keys(QUALITY_FIELD_GROUPS).forEach((group) => {
+    Object.entries(quality?.[group]?.flags || {}).forEach(([flag, count]) => {
+      counts[flag] = (counts[flag] || 0) + count;
+    });
+  });
+  const flags = Object.entries(counts);
+  if (flags.length === 0) return "";
+
+  return t("quality.flagged", {
+    flags: flags
+      .sort(([, a], [, b]) => b - a)
+      .map(([flag, count]) =>
+        t("quality.flagCount", { flag: describeFlag(flag, t), count })
+      )
+      .join(", "),
+  });
+};
@@ -0,0 +1,45 @@
+// utils/drillDown.js
+import { MONTHS } from "./constants.js";
+
+/**
+ * Find the record behind a chart click
+ * Recharts reports the active index as a string in some versions.
+ * @param {Object} state - Chart onClick state
+ * @param {Array} records - Records the chart was drawn from
+ * @returns {Object|null} Clicked record
+ */
+export const getClickedRecord = (state, records) => {
+  const index = Number(state?.activeTooltipIndex ?? state?.activeIndex);
+  if (!records || isNaN(index)) return null;
+  return records[index] || null;
+};
+
+/**
+ * Work out which month a monthly record belongs to
+ * @param {Object} record - Monthly record (monthIndex, month name or number,
+ *   or a "YYYY-MM" date)
+ * @param {number} fallbackYear - Year used when the record has none
+ *   (climatology records)
+ * @returns {Object|null} { year, monthIndex }
+ */
+export const toMonthSelection = (record, fallbackYear) => {
+  if (!record) return null;
+
+  let year = record.year ?? fallbackYear;
+  let monthIndex = record.monthIndex;
+
+  if (monthIndex === undefined && typeof record.date === "string") {
+    const [dateYear, dateMonth] = record.date.split("-").map(Number);
+    year = dateYear;
+    monthIndex = dateMonth - 1;
+  }
+  if (monthIndex === undefined && typeof record.month === "string") {
+    monthIndex = MONTHS.indexOf(record.month);
+  }
+  if (monthIndex === undefined && typeof record.month === "number") {
+    monthIndex = record.month - 1;
+  }
+
+  if (!year || monthIndex === undefined || monthIndex < 0) return null;
+  return { year: Number(year), monthIndex };
+};
@@ -0,0 +1,269 @@
+// utils/enso.js
+import { ONI_TABLE } from "../data/oni.js";
+import { calculateAverage } from "./calculations.js";
+
+export const ENSO_PHASES = {
+  EL_NINO: "elNino",
+  LA_NINA: "laNina",
+  NEUTRAL: "neutral",
+};
+
+/**
+ * Colours of each phase in charts and timelines
+ */
+export const ENSO_COLORS = {
+  [ENSO_PHASES.EL_NINO]: "#EF4444",
+  [ENSO_PHASES.LA_NINA]: "#3B82F6",
+  [ENSO_PHASES.NEUTRAL]: "#9CA3AF",
+};
+
+/**
+ * NOAA's operational definition: an episode is at least five consecutive
+ * overlapping seasons with the ONI at or beyond ±0.5 °C
+ */
+export const ONI_THRESHOLD = 0.5;
+export const MIN_EPISODE_SEASONS = 5;
+
+// Episode strength by its peak |ONI|, strongest first
+const STRENGTHS = [
+  [2, "veryStrong"],
+  [1.5, "strong"],
+  [1, "moderate"],
+  [ONI_THRESHOLD, "weak"],
+];
+
+// Overlapping 3-month seasons; each is centred on the month of its index
+const SEASONS = [
+  "DJF",
+  "JFM",
+  "FMA",
+  "MAM",
+  "AMJ",
+  "MJJ",
+  "JJA",
+  "JAS",
+  "ASO",
+  "SON",
+  "OND",
+  "NDJ",
+];
+
+// Anything beyond this is a missing-value marker such as -99.9
+const MAX_ONI = 10;
+
+const monthNumber = ({ year, monthIndex }) => year * 12 + monthIndex;
+
+/**
+ * Parse an ONI table
+ * Reads NOAA's oni.ascii.txt (SEAS YR TOTAL ANOM, one season per row) and
+ * the ONI web table (a year, then one value per season). Lines that are
+ * neither, such as headers, are skipped.
+ * @param {string} text - Table text
+ * @returns {Array} [{ date: "YYYY-MM", year, monthIndex, oni }] with each
+ *   season's value on its centre month, oldest first
+ */
+export const parseOniTable = (text) => {
+  const months = new Map();
+  const add = (year, monthIndex, value) => {
+    const oni = Number(value);
+    if (value === undefined || !Number.isFinite(oni)) return;
+    if (Math.abs(oni) >= MAX_ONI) return;
+    const date = `${year}-${String(monthIndex + 1).padStart(2, "0")}`;
+    months.set(date, { date, year, monthIndex, oni });
+  };
+
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/[\s,;]+/))
+    .forEach((cells) => {
+      const seasonIndex = SEASONS.indexOf(cells[0].toUpperCase());
+      if (seasonIndex >= 0 && /^\d{4}$/.test(cells[1])) {
+        add(Number(cells[1]), seasonIndex, cells[3]);
+      } else if (/^\d{4}$/.test(cells[0])) {
+        cells
+          .slice(1, SEASONS.length + 1)
+          .forEach((value, index) => add(Number(cells[0]), index, value));
+      }
+    });
+
+  return [...months.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Label each month of an ONI series with its ENSO phase
+ * Runs of MIN_EPISODE_SEASONS or more months at or beyond ONI_THRESHOLD
+ * are El Niño or La Niña; a missing month ends a run. The newest months
+ * may change phase as later values arrive.
+ * @param {Array} series - Months from parseOniTable, oldest first
+ * @returns {Array} Months with phase and strength (the episode's, by its
+ *   peak; null when neutral)
+ */
+export const classifyEnsoPhases = (series) => {
+  const signOf = ({ oni }) =>
+    oni >= ONI_THRESHOLD ? 1 : oni <= -ONI_THRESHOLD ? -1 : 0;
+  const labelled = series.map((month) => ({
+    ...month,
+    phase: ENSO_PHASES.NEUTRAL,
+    strength: null,
+  }));
+
+  let start = 0;
+  for (let i = 1; i <= labelled.length; i++) {
+    const continues =
+      i < labelled.length &&
+      signOf(labelled[i]) === signOf(labelled[start]) &&
+      monthNumber(labelled[i]) - monthNumber(labelled[i - 1]) === 1;
+    if (continues) continue;
+
+    const run = labelled.slice(start, i);
+    const sign = signOf(labelled[start]);
+    if (sign !== 0 && run.length >= MIN_EPISODE_SEASONS) {
+      const peak = Math.max(...run.map(({ oni }) => Math.abs(oni)));
+      const strength = STRENGTHS.find(([limit]) => peak >= limit)[1];
+      run.forEach((month) => {
+        month.phase = sign > 0 ? ENSO_PHASES.EL_NINO : ENSO_PHASES.LA_NINA;
+        month.strength = strength;
+      });
+    }
+    start = i;
+  }
+
+  return labelled;
+};
+
+/**
+ * Build a phase index from ONI table text
+ * @param {string} text - Table text (see parseOniTable)
+ * @returns {Object} { months, byDate, first, last } where byDate maps
+ *   "YYYY-MM" to a labelled month and first/last are the covered dates
+ * @throws {Error} When the text holds no ONI values
+ */
+export const buildEnsoIndex = (text) => {
+  const months = classifyEnsoPhases(parseOniTable(text));
+  if (months.length === 0) {
+    throw new Error("No ONI values found; expected NOAA's ONI table");
+  }
+  return {
+    months,
+    byDate: new Map(months.map((month) => [month.date, month])),
+    first: months[0].date,
+    last: months[months.length - 1].date,
+  };
+};
+
+let bundledIndex = null;
+
+/**
+ * Phase index of the bundled ONI table, built on first use
+ * @returns {Object} Index (see buildEnsoIndex)
+ */
+export const getBundledEnsoIndex = () => {
+  if (!bundledIndex) bundledIndex = buildEnsoIndex(ONI_TABLE);
+  return bundledIndex;
+};
+
+/**
+ * Label monthly records with the ENSO phase and ONI of their month
+ * Records without a "YYYY-MM" date, or outside the index, are unchanged.
+ * @param {Array} records - Monthly records
+ * @param {Object} index - Index (see buildEnsoIndex)
+ * @returns {Array} Records with ensoPhase, ensoStrength and oni
+ */
+export const labelEnsoPhases = (records, index) =>
+  (records || []).map((record) => {
+    const month = index.byDate.get(record.date);
+    return month
+      ? {
+          ...record,
+          ensoPhase: month.phase,
+          ensoStrength: month.strength,
+          oni: month.oni,
+        }
+      : record;
+  });
+
+/**
+ * Label the monthly records of a dataset (see labelEnsoPhases)
+ * @param {Object} dataset - Dataset with a yearly array of monthly records
+ * @param {Object} index - Index (see buildEnsoIndex)
+ * @returns {Object} Dataset
+ */
+export const labelEnsoDataset = (dataset, index) =>
+  dataset?.yearly
+    ? { ...dataset, yearly: labelEnsoPhases(dataset.yearly, index) }
+    : dataset;
+
+/**
+ * The prevailing phase of a set of labelled months (e.g. one year's)
+ * Ties go to El Niño, then La Niña.
+ * @param {Array} months - Records or index months with a phase
+ * @param {string} field - Field holding the phase
+ * @returns {Object|null} { phase, strength, months }, or null when no
+ *   month has a phase
+ */
+export const summarizeEnsoPhase = (months, field = "ensoPhase") => {
+  const strengthField = field === "phase" ? "strength" : "ensoStrength";
+  const labelled = months.filter((month) => month[field]);
+  if (labelled.length === 0) return null;
+
+  const counts = Object.values(ENSO_PHASES).map(
+    (phase) => labelled.filter((month) => month[field] === phase).length
+  );
+  const phase = Object.values(ENSO_PHASES)[counts.indexOf(Math.max(...counts))];
+  const strength =
+    STRENGTHS.map(([, name]) => name).find((name) =>
+      labelled.some(
+        (month) => month[field] === phase && month[strengthField] === name
+      )
+    ) || null;
+
+  return { phase, strength, months: labelled.length };
+};
+
+/**
+ * The prevailing phase of a calendar year
+ * @param {Object} index - Index (see buildEnsoIndex)
+ * @param {number} year - Year
+ * @returns {Object|null} { phase, strength, months }, or null when the
+ *   year isn't covered
+ */
+export const getYearEnsoPhase = (index, year) =>
+  summarizeEnsoPhase(
+    index.months.filter((month) => month.year === Number(year)),
+    "phase"
+  );
+
+/**
+ * Name of a phase in the display language, with its strength if known,
+ * e.g. "La Niña (moderate)"
+ * @param {Object} summary - { phase, strength }
+ * @param {Function} t - Translation function
+ * @returns {string} Description
+ */
+export const describeEnsoPhase = ({ phase, strength }, t) =>
+  strength
+    ? t("enso.withStrength", {
+        phase: t(`enso.phases.${phase}`),
+        strength: t(`enso.strengths.${strength}`),
+      })
+    : t(`enso.phases.${phase}`);
+
+/**
+ * Mean values of records grouped by ENSO phase
+ * @param {Array} records - Records labelled with ensoPhase
+ * @param {Array} fields - Fields to average
+ * @returns {Array} [{ phase, count, ...means }] for every phase, with null
+ *   means where a phase has no values
+ */
+export const splitByEnsoPhase = (records, fields) =>
+  Object.values(ENSO_PHASES).map((phase) => {
+    const inPhase = records.filter((record) => record.ensoPhase === phase);
+    const means = {};
+    fields.forEach((field) => {
+      const values = inPhase
+        .map((record) => record[field])
+        .filter((v) => typeof v === "number" && !Number.isNaN(v));
+      means[field] = values.length > 0 ? calculateAverage(values) : null;
+    });
+    return { phase, count: inPhase.length, ...means };
+  });
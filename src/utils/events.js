@@ -0,0 +1,293 @@
+// utils/events.js
+import { CURATED_EVENTS } from "../data/extremeEvents.js";
+
+export const EVENT_TYPES = {
+  HEAT: "heat",
+  COLD: "cold",
+  RAIN: "rain",
+  SNOW: "snow",
+  WIND: "wind",
+  OTHER: "other",
+};
+
+/**
+ * Colours of each event type in timelines and chart annotations
+ */
+export const EVENT_COLORS = {
+  [EVENT_TYPES.HEAT]: "#EF4444",
+  [EVENT_TYPES.COLD]: "#3B82F6",
+  [EVENT_TYPES.RAIN]: "#0EA5E9",
+  [EVENT_TYPES.SNOW]: "#8B5CF6",
+  [EVENT_TYPES.WIND]: "#10B981",
+  [EVENT_TYPES.OTHER]: "#6B7280",
+};
+
+/**
+ * Where an event came from: the curated list, the user, or detection
+ */
+export const EVENT_SOURCES = {
+  CURATED: "curated",
+  USER: "user",
+  DETECTED: "detected",
+};
+
+/**
+ * Settings of detectEventCandidates
+ */
+export const DETECTION_DEFAULTS = {
+  // Days at or beyond this percentile of all days count as extreme
+  percentile: 99,
+  // Shortest run of extreme days reported as a heat or cold event
+  minDays: 2,
+  // Days summed for multi-day rain totals
+  rainWindow: 3,
+};
+
+// Fewer days than this give percentiles too coarse to detect anything
+const MIN_DETECTION_DAYS = 365;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+const quantile = (values, q) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Sort events by start date
+ * @param {Array} events - Events
+ * @returns {Array} New array, oldest first
+ */
+export const sortEvents = (events) =>
+  [...events].sort(
+    (a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end)
+  );
+
+/**
+ * The catalogue before any edits: the curated events
+ * @returns {Array} Events
+ */
+export const getDefaultEvents = () =>
+  CURATED_EVENTS.map((event) => ({
+    ...event,
+    source: EVENT_SOURCES.CURATED,
+  }));
+
+/**
+ * Check and tidy an event, e.g. one read back from storage
+ * An end before the start is moved to the start; unknown types become
+ * "other".
+ * @param {Object} event - Event
+ * @returns {Object|null} Event, or null without a valid start date or a
+ *   name (curated events are named by their message)
+ */
+export const normalizeEvent = (event) => {
+  if (!event || !DATE_PATTERN.test(event.start) || !event.id) return null;
+  const name = typeof event.name === "string" ? event.name.trim() : "";
+  if (!name && event.source !== EVENT_SOURCES.CURATED) return null;
+
+  return {
+    id: String(event.id),
+    type: Object.values(EVENT_TYPES).includes(event.type)
+      ? event.type
+      : EVENT_TYPES.OTHER,
+    start: event.start,
+    end:
+      DATE_PATTERN.test(event.end) && event.end >= event.start
+        ? event.end
+        : event.start,
+    source: Object.values(EVENT_SOURCES).includes(event.source)
+      ? event.source
+      : EVENT_SOURCES.USER,
+    ...(name && { name }),
+    ...(event.description && { description: String(event.description) }),
+  };
+};
+
+/**
+ * Name and description of an event in the display language
+ * Curated events use their messages until the user renames them.
+ * @param {Object} event - Event
+ * @param {Function} t - Translation function
+ * @returns {Object} { name, description }
+ */
+export const describeEvent = (event, t) =>
+  event.source === EVENT_SOURCES.CURATED
+    ? {
+        name: event.name || t(`events.curated.${event.id}.name`),
+        description:
+          event.description ?? t(`events.curated.${event.id}.description`),
+      }
+    : { name: event.name, description: event.description || "" };
+
+/**
+ * Check whether two events share at least one day
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {boolean} True when the date ranges overlap
+ */
+export const eventsOverlap = (a, b) => a.start <= b.end && b.start <= a.end;
+
+/**
+ * Months an event spans
+ * @param {Object} event - Event
+ * @returns {Array} "YYYY-MM" months, first to last
+ */
+export const getEventMonths = (event) => {
+  const months = [];
+  let [year, month] = event.start.split("-").map(Number);
+  const last = event.end.slice(0, 7);
+  for (;;) {
+    const current = `${year}-${String(month).padStart(2, "0")}`;
+    months.push(current);
+    if (current >= last) break;
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+/**
+ * Events that touch a year
+ * @param {Array} events - Events
+ * @param {number} year - Year
+ * @returns {Array} Events
+ */
+export const getEventsForYear = (events, year) =>
+  events.filter(
+    (event) =>
+      Number(event.start.slice(0, 4)) <= year &&
+      Number(event.end.slice(0, 4)) >= year
+  );
+
+/**
+ * Group consecutive extreme days into runs
+ * @param {Array} days - Daily records sorted by date
+ * @param {Function} isExtreme - Test for one day
+ * @returns {Array} Runs, each an array of days
+ */
+const findRuns = (days, isExtreme) => {
+  const runs = [];
+  days.filter(isExtreme).forEach((day) => {
+    const run = runs[runs.length - 1];
+    const previous = run?.[run.length - 1];
+    if (previous && dayNumber(day.date) - dayNumber(previous.date) === 1) {
+      run.push(day);
+    } else {
+      runs.push([day]);
+    }
+  });
+  return runs;
+};
+
+/**
+ * Detect candidate events in daily data
+ * - heat: runs of days whose high is at or above the percentile of all highs
+ * - cold: runs of days whose low is at or below the opposite percentile
+ * - rain: spells whose multi-day total is at or above the percentile of
+ *   all such totals (overlapping windows are merged)
+ * @param {Array} daily - Daily records with date, tempMax, tempMin, rainfall
+ * @param {Object} options - Overrides of DETECTION_DEFAULTS
+ * @returns {Array} Candidate events with id, type, start, end, source
+ *   "detected", days, peak (highest high, lowest low or largest total),
+ *   threshold and the detection settings; oldest first
+ */
+export const detectEventCandidates = (daily, options = {}) => {
+  const { percentile, minDays, rainWindow } = {
+    ...DETECTION_DEFAULTS,
+    ...options,
+  };
+  const days = (daily || [])
+    .filter((d) => DATE_PATTERN.test(d.date))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (days.length < MIN_DETECTION_DAYS) return [];
+
+  const candidate = (type, run, peak, threshold) => ({
+    id: `detected-${type}-${run[0].date}`,
+    type,
+    start: run[0].date,
+    end: run[run.length - 1].date,
+    source: EVENT_SOURCES.DETECTED,
+    days: run.length,
+    peak,
+    threshold,
+    percentile,
+    rainWindow,
+  });
+  const candidates = [];
+
+  // Heat and cold spells
+  [
+    [EVENT_TYPES.HEAT, "tempMax", percentile / 100, Math.max],
+    [EVENT_TYPES.COLD, "tempMin", 1 - percentile / 100, Math.min],
+  ].forEach(([type, field, q, pick]) => {
+    const values = days.map((d) => d[field]).filter(isNumber);
+    if (values.length < MIN_DETECTION_DAYS) return;
+    const threshold = quantile(values, q);
+    const beyond =
+      type === EVENT_TYPES.HEAT
+        ? (d) => isNumber(d[field]) && d[field] >= threshold
+        : (d) => isNumber(d[field]) && d[field] <= threshold;
+
+    findRuns(days, beyond)
+      .filter((run) => run.length >= minDays)
+      .forEach((run) =>
+        candidates.push(
+          candidate(type, run, pick(...run.map((d) => d[field])), threshold)
+        )
+      );
+  });
+
+  // Multi-day rain totals over unbroken windows of days
+  const windows = [];
+  for (let i = 0; i + rainWindow <= days.length; i++) {
+    const span = days.slice(i, i + rainWindow);
+    const unbroken =
+      dayNumber(span[span.length - 1].date) - dayNumber(span[0].date) ===
+      rainWindow - 1;
+    if (unbroken && span.every((d) => isNumber(d.rainfall))) {
+      windows.push({
+        span,
+        total: span.reduce((sum, d) => sum + d.rainfall, 0),
+      });
+    }
+  }
+  if (windows.length >= MIN_DETECTION_DAYS) {
+    const threshold = quantile(
+      windows.map((w) => w.total),
+      percentile / 100
+    );
+    let spell = null;
+    const endSpell = () => {
+      if (spell) {
+        spell.days = dayNumber(spell.end) - dayNumber(spell.start) + 1;
+        candidates.push(spell);
+      }
+    };
+    windows
+      .filter((w) => w.total >= threshold && w.total > 0)
+      .forEach((w) => {
+        if (spell && w.span[0].date <= spell.end) {
+          spell.end = w.span[w.span.length - 1].date;
+          spell.peak = Math.max(spell.peak, w.total);
+        } else {
+          endSpell();
+          spell = candidate(EVENT_TYPES.RAIN, w.span, w.total, threshold);
+        }
+      });
+    endSpell();
+  }
+
+  return sortEvents(candidates);
+};
@@ -0,0 +1,328 @@
+// utils/exporters.js
+import { UNIT_SYSTEMS, getFieldUnit } from "./units.js";
+
+/**
+ * File formats the export menu offers
+ */
+export const EXPORT_FORMATS = {
+  CSV: "csv",
+  JSON: "json",
+  SPREADSHEET: "xls",
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: "text/csv;charset=utf-8",
+  [EXPORT_FORMATS.JSON]: "application/json",
+  [EXPORT_FORMATS.SPREADSHEET]: "application/vnd.ms-excel",
+};
+
+/**
+ * Exported columns in output order, with their metric units
+ * Fields a dataset doesn't have are left out.
+ */
+export const EXPORT_COLUMNS = [
+  { field: "date", label: "Date" },
+  { field: "year", label: "Year" },
+  { field: "month", label: "Month" },
+  { field: "day", label: "Day" },
+  { field: "temp", label: "Mean Temp", unit: "°C" },
+  { field: "tempMax", label: "Max Temp", unit: "°C" },
+  { field: "tempMin", label: "Min Temp", unit: "°C" },
+  { field: "extremeMax", label: "Extreme Max Temp", unit: "°C" },
+  { field: "extremeMin", label: "Extreme Min Temp", unit: "°C" },
+  { field: "rainfall", label: "Rainfall", unit: "mm" },
+  { field: "snowfall", label: "Snowfall", unit: "cm" },
+  { field: "precipitation", label: "Precipitation", unit: "mm" },
+  { field: "precipitationDays", label: "Precipitation Days", unit: "days" },
+  { field: "humidity", label: "Humidity", unit: "%" },
+  { field: "pressure", label: "Pressure", unit: "hPa" },
+  { field: "windSpeed", label: "Wind Speed", unit: "km/h" },
+  { field: "maxGust", label: "Max Gust", unit: "km/h" },
+  { field: "sunshine", label: "Sunshine", unit: "hrs" },
+  { field: "heatingDegreeDays", label: "Heating Degree Days", unit: "°C·d" },
+  { field: "coolingDegreeDays", label: "Cooling Degree Days", unit: "°C·d" },
+  { field: "totalRainfall", label: "Total Rainfall", unit: "mm" },
+  { field: "avgTemp", label: "Avg Temp", unit: "°C" },
+  { field: "avgHumidity", label: "Avg Humidity", unit: "%" },
+  { field: "totalSunshine", label: "Total Sunshine", unit: "hrs" },
+];
+
+/**
+ * Give the export columns the units of a unit system
+ * @param {string} unitSystem - UNIT_SYSTEMS value
+ * @returns {Array} EXPORT_COLUMNS with converted units
+ */
+const getSystemColumns = (unitSystem) =>
+  EXPORT_COLUMNS.map((column) => ({
+    ...column,
+    unit: getFieldUnit(column.field, unitSystem) || column.unit,
+  }));
+
+/**
+ * Pick the columns a set of records actually has values for
+ * @param {Array} records - Records to export
+ * @param {Array} columns - Candidate columns
+ * @returns {Array} Entries of columns
+ */
+const getColumns = (records, columns) =>
+  columns.filter(({ field }) =>
+    records.some((r) => r[field] !== null && r[field] !== undefined)
+  );
+
+/**
+ * Header text for a column, with its unit
+ * @param {Object} column - Entry of EXPORT_COLUMNS
+ * @returns {string} Header such as "Rainfall (mm)"
+ */
+const columnHeader = (column) =>
+  column.unit ? `${column.label} (${column.unit})` : column.label;
+
+/**
+ * Build the tables and header information for an export
+ * @param {Object} options - Export contents
+ * @param {Array} options.records - Records shown for the current selection
+ *   (what getFilteredData returns)
+ * @param {Array} options.yearlyAggregates - Result of
+ *   calculateYearlyAggregates
+ * @param {string} options.station - Station name
+ * @param {string} options.source - Data source description
+ * @param {string} options.period - Selected year, "all", or a date range
+ *   label
+ * @param {string} options.unitSystem - UNIT_SYSTEMS value the records are in
+ * @returns {Object} { info, tables } where tables is [{ name, columns, rows }]
+ */
+export const buildExport = ({
+  records = [],
+  yearlyAggregates = [],
+  station,
+  source,
+  period,
+  unitSystem = UNIT_SYSTEMS.METRIC,
+}) => {
+  const columns = getSystemColumns(unitSystem);
+  const units = {};
+  columns.forEach(({ field, unit }) => {
+    if (unit) units[field] = unit;
+  });
+
+  return {
+    info: {
+      station: station || "Unknown station",
+      source: source || "Unknown source",
+      period: period === "all" ? "All years (monthly averages)" : period,
+      exported: new Date().toISOString(),
+      units,
+    },
+    tables: [
+      {
+        name: period === "all" ? "Monthly Averages" : "Monthly",
+        columns: getColumns(records, columns),
+        rows: records,
+      },
+      {
+        name: "Yearly Aggregates",
+        columns: getColumns(yearlyAggregates, columns),
+        rows: yearlyAggregates,
+      },
+    ],
+  };
+};
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell text
+ */
+const toCSVCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write an export as CSV
+ * Header lines start with "#"; tables are separated by a blank line.
+ * @param {Object} exported - Result of buildExport
+ * @returns {string} CSV text
+ */
+export const toCSV = ({ info, tables }) => {
+  const lines = [
+    `# Station: ${info.station}`,
+    `# Source: ${info.source}`,
+    `# Period: ${info.period}`,
+    `# Exported: ${info.exported}`,
+    "# Units are given in each column header",
+  ];
+
+  tables.forEach((table) => {
+    lines.push("", `# ${table.name}`);
+    lines.push(table.columns.map((c) => toCSVCell(columnHeader(c))).join(","));
+    table.rows.forEach((row) => {
+      lines.push(table.columns.map((c) => toCSVCell(row[c.field])).join(","));
+    });
+  });
+
+  // The byte order mark makes Excel read the units' symbols as UTF-8
+  return `\uFEFF${lines.join("\r\n")}`;
+};
+
+/**
+ * Write an export as JSON
+ * @param {Object} exported - Result of buildExport
+ * @returns {string} JSON text
+ */
+export const toJSON = ({ info, tables }) => {
+  const [records, yearly] = tables;
+  const pick = (table) =>
+    table.rows.map((row) =>
+      Object.fromEntries(table.columns.map((c) => [c.field, row[c.field]]))
+    );
+  return JSON.stringify(
+    { ...info, data: pick(records), yearly: pick(yearly) },
+    null,
+    2
+  );
+};
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Write one SpreadsheetML cell
+ * @param {*} value - Cell value
+ * @param {string} style - Optional style ID
+ * @returns {string} Cell XML
+ */
+const toXMLCell = (value, style) => {
+  const styleAttr = style ? ` ss:StyleID="${style}"` : "";
+  if (value === null || value === undefined) return `<Cell${styleAttr}/>`;
+  const type = typeof value === "number" ? "Number" : "String";
+  return `<Cell${styleAttr}><Data ss:Type="${type}">${escapeXML(
+    value
+  )}</Data></Cell>`;
+};
+
+/**
+ * Write an export as a SpreadsheetML workbook
+ * Excel, LibreOffice and Numbers open it as a workbook with an Info sheet
+ * followed by one sheet per table.
+ * @param {Object} exported - Result of buildExport
+ * @returns {string} Workbook XML
+ */
+export const toSpreadsheetML = ({ info, tables }) => {
+  const row = (cells) => `<Row>${cells.join("")}</Row>`;
+  const worksheet = (name, rows) =>
+    `<Worksheet ss:Name="${escapeXML(name.slice(0, 31))}"><Table>${rows.join(
+      ""
+    )}</Table></Worksheet>`;
+
+  const infoRows = [
+    ["Station", info.station],
+    ["Source", info.source],
+    ["Period", info.period],
+    ["Exported", info.exported],
+  ].map(([label, value]) =>
+    row([toXMLCell(label, "header"), toXMLCell(value)])
+  );
+  infoRows.push(
+    row([toXMLCell("Units", "header"), toXMLCell("In each column header")])
+  );
+
+  const sheets = tables.map((table) =>
+    worksheet(table.name, [
+      row(table.columns.map((c) => toXMLCell(columnHeader(c), "header"))),
+      ...table.rows.map((r) =>
+        row(table.columns.map((c) => toXMLCell(r[c.field])))
+      ),
+    ])
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    worksheet("Info", infoRows),
+    ...sheets,
+    "</Workbook>",
+  ].join("\n");
+};
+
+const WRITERS = {
+  [EXPORT_FORMATS.CSV]: toCSV,
+  [EXPORT_FORMATS.JSON]: toJSON,
+  [EXPORT_FORMATS.SPREADSHEET]: toSpreadsheetML,
+};
+
+/**
+ * Turn text into a file name part: accents are dropped ("Relevé de
+ * températures" -> "releve-de-temperatures") and other characters become
+ * hyphens
+ * @param {string} text - Text such as a title or station name
+ * @returns {string} Lower-case slug ("" when nothing is left)
+ */
+export const toSlug = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+/**
+ * Build a file name for an export
+ * @param {Object} info - Export info from buildExport
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {string} period - Selected year, "all", or a date range label
+ * @returns {string} File name such as "vancouver-harbour-cs-2023.csv"
+ */
+export const getExportFileName = (info, format, period) => {
+  const slug = toSlug(info.station);
+  const range =
+    period === "all"
+      ? "averages"
+      : String(period)
+          .replace(/[^\p{L}\p{N}]+/gu, "-")
+          .replace(/^-|-$/g, "");
+  return `${slug || "weather"}-${range}.${format}`;
+};
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Browsers may start the download after click() returns, so the URL has
+  // to outlive this call
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Export data in a format and download it
+ * @param {Object} options - Export contents (see buildExport)
+ * @param {string} format - EXPORT_FORMATS value
+ */
+export const exportData = (options, format) => {
+  const writer = WRITERS[format];
+  if (!writer) throw new Error(`Unsupported export format: ${format}`);
+
+  const exported = buildExport(options);
+  downloadFile(
+    writer(exported),
+    getExportFileName(exported.info, format, options.period),
+    MIME_TYPES[format]
+  );
+};
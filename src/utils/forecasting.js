@@ -0,0 +1,357 @@
+// utils/forecasting.js
+import { normalCdf, studentTCritical } from "./statistics.js";
+
+export const FORECAST_METHODS = {
+  SEASONAL_NAIVE: "seasonalNaive",
+  HOLT_WINTERS: "holtWinters",
+  TREND_CLIMATOLOGY: "trendClimatology",
+};
+
+/**
+ * Months forecast ahead, and held out when backtesting
+ */
+export const FORECAST_HORIZON = 12;
+
+/**
+ * Coverage of the prediction intervals, narrowest first
+ */
+export const PREDICTION_LEVELS = [0.8, 0.95];
+
+// Monthly data repeats every twelve months
+const SEASON = 12;
+
+// Fewest months a model is fitted to: two full seasons
+const MIN_MONTHS = 2 * SEASON;
+
+// Smoothing weights tried when fitting Holt-Winters (level, trend, season)
+const HOLT_WINTERS_GRID = {
+  alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+  beta: [0, 0.05, 0.1, 0.2],
+  gamma: [0.05, 0.1, 0.2, 0.4],
+};
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+const monthNumber = (date) => {
+  const [year, month] = date.split("-").map(Number);
+  return year * 12 + month - 1;
+};
+
+const toDate = (number) =>
+  `${Math.floor(number / 12)}-${String((number % 12) + 1).padStart(2, "0")}`;
+
+/**
+ * Two-sided critical value of the standard normal distribution
+ * @param {number} level - Coverage, e.g. 0.95
+ * @returns {number} z such that P(|Z| <= z) = level
+ */
+const zCritical = (level) => {
+  let low = 0;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    if (2 * normalCdf(middle) - 1 < level) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Turn monthly records into an unbroken series
+ * Missing months are filled with the mean of their calendar month so the
+ * models see a regular series; they are flagged and left out of error
+ * scores.
+ * @param {Array} records - Monthly records with a "YYYY-MM" date
+ * @param {string} field - Field to forecast
+ * @returns {Object|null} { dates, values, filled, monthOfYear }, or null
+ *   with fewer than MIN_MONTHS months or a calendar month never observed
+ */
+const buildSeries = (records, field) => {
+  const observed = new Map();
+  (records || []).forEach((record) => {
+    if (/^\d{4}-\d{2}$/.test(record.date) && isNumber(record[field])) {
+      observed.set(monthNumber(record.date), record[field]);
+    }
+  });
+  if (observed.size === 0) return null;
+
+  const first = Math.min(...observed.keys());
+  const last = Math.max(...observed.keys());
+  if (last - first + 1 < MIN_MONTHS) return null;
+
+  const sums = Array(SEASON).fill(0);
+  const counts = Array(SEASON).fill(0);
+  observed.forEach((value, number) => {
+    sums[number % SEASON] += value;
+    counts[number % SEASON] += 1;
+  });
+  if (counts.some((count) => count === 0)) return null;
+
+  const dates = [];
+  const values = [];
+  const filled = [];
+  const monthOfYear = [];
+  for (let number = first; number <= last; number++) {
+    const month = number % SEASON;
+    dates.push(toDate(number));
+    monthOfYear.push(month);
+    filled.push(!observed.has(number));
+    values.push(
+      observed.has(number) ? observed.get(number) : sums[month] / counts[month]
+    );
+  }
+  return { dates, values, filled, monthOfYear };
+};
+
+/**
+ * Seasonal naive: each month repeats its value from a year earlier
+ * Intervals widen with each year ahead (Hyndman & Athanasopoulos, FPP3 5.5).
+ * @param {Object} series - Series from buildSeries
+ * @param {number} horizon - Months ahead
+ * @returns {Object} { values, sigmas } per month ahead
+ */
+const seasonalNaive = ({ values }, horizon) => {
+  const n = values.length;
+  let sse = 0;
+  for (let t = SEASON; t < n; t++) sse += (values[t] - values[t - SEASON]) ** 2;
+  const sigma = Math.sqrt(sse / (n - SEASON));
+
+  const forecast = [];
+  const sigmas = [];
+  for (let h = 1; h <= horizon; h++) {
+    const years = Math.floor((h - 1) / SEASON);
+    forecast.push(values[n - SEASON + ((h - 1) % SEASON)]);
+    sigmas.push(sigma * Math.sqrt(years + 1));
+  }
+  return { values: forecast, sigmas };
+};
+
+/**
+ * Run additive Holt-Winters smoothing over a series
+ * @param {Array} values - Series values
+ * @param {Object} weights - { alpha, beta, gamma }
+ * @returns {Object} { level, trend, seasonals, sse, count }
+ */
+const smoothHoltWinters = (values, { alpha, beta, gamma }) => {
+  const mean = (from) =>
+    values.slice(from, from + SEASON).reduce((sum, v) => sum + v, 0) / SEASON;
+  let level = mean(0);
+  let trend = (mean(SEASON) - level) / SEASON;
+  const seasonals = values.slice(0, SEASON).map((v) => v - level);
+  let sse = 0;
+
+  for (let t = SEASON; t < values.length; t++) {
+    const season = seasonals[t % SEASON];
+    sse += (values[t] - (level + trend + season)) ** 2;
+    const nextLevel =
+      alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    seasonals[t % SEASON] =
+      gamma * (values[t] - nextLevel) + (1 - gamma) * season;
+    level = nextLevel;
+  }
+  return { level, trend, seasonals, sse, count: values.length - SEASON };
+};
+
+/**
+ * Additive Holt-Winters, with the smoothing weights that give the smallest
+ * one-step-ahead error over HOLT_WINTERS_GRID
+ * Intervals use the ETS(A,A,A) forecast variance (FPP3 table 8.8).
+ * @param {Object} series - Series from buildSeries
+ * @param {number} horizon - Months ahead
+ * @returns {Object} { values, sigmas, weights } per month ahead
+ */
+const holtWinters = ({ values }, horizon) => {
+  let best = null;
+  HOLT_WINTERS_GRID.alpha.forEach((alpha) =>
+    HOLT_WINTERS_GRID.beta.forEach((beta) =>
+      HOLT_WINTERS_GRID.gamma.forEach((gamma) => {
+        const fit = smoothHoltWinters(values, { alpha, beta, gamma });
+        if (!best || fit.sse < best.fit.sse) {
+          best = { fit, weights: { alpha, beta, gamma } };
+        }
+      })
+    )
+  );
+
+  const { fit, weights } = best;
+  const { alpha, beta, gamma } = weights;
+  const variance = fit.sse / fit.count;
+  const last = values.length - 1;
+
+  const forecast = [];
+  const sigmas = [];
+  for (let h = 1; h <= horizon; h++) {
+    const years = Math.floor((h - 1) / SEASON);
+    forecast.push(
+      fit.level + h * fit.trend + fit.seasonals[(last + h) % SEASON]
+    );
+    sigmas.push(
+      Math.sqrt(
+        variance *
+          (1 +
+            (h - 1) *
+              (alpha ** 2 +
+                alpha * beta * h +
+                (beta ** 2 * h * (2 * h - 1)) / 6) +
+            years * gamma * (2 * alpha + gamma + beta * SEASON * (years + 1)))
+      )
+    );
+  }
+  return { values: forecast, sigmas, weights };
+};
+
+/**
+ * Linear trend plus climatology: each calendar month's mean, shifted by a
+ * straight-line trend fitted to the departures from those means
+ * Intervals are regression prediction intervals.
+ * @param {Object} series - Series from buildSeries
+ * @param {number} horizon - Months ahead
+ * @returns {Object} { values, sigmas, slope, df } per month ahead; slope is
+ *   per month and df the residual degrees of freedom
+ */
+const trendClimatology = ({ values, monthOfYear }, horizon) => {
+  const n = values.length;
+  const sums = Array(SEASON).fill(0);
+  const counts = Array(SEASON).fill(0);
+  values.forEach((v, t) => {
+    sums[monthOfYear[t]] += v;
+    counts[monthOfYear[t]] += 1;
+  });
+  const means = sums.map((sum, month) => sum / counts[month]);
+  const departures = values.map((v, t) => v - means[monthOfYear[t]]);
+
+  const meanT = (n - 1) / 2;
+  const meanD = departures.reduce((sum, d) => sum + d, 0) / n;
+  const sxx = departures.reduce((sum, d, t) => sum + (t - meanT) ** 2, 0);
+  const slope =
+    departures.reduce((sum, d, t) => sum + (t - meanT) * (d - meanD), 0) / sxx;
+  const intercept = meanD - slope * meanT;
+
+  // Twelve monthly means and the slope are estimated
+  const df = n - SEASON - 1;
+  const sigma = Math.sqrt(
+    departures.reduce(
+      (sum, d, t) => sum + (d - (intercept + slope * t)) ** 2,
+      0
+    ) / df
+  );
+
+  const forecast = [];
+  const sigmas = [];
+  for (let h = 1; h <= horizon; h++) {
+    const t = n - 1 + h;
+    const month = (monthOfYear[n - 1] + h) % SEASON;
+    forecast.push(means[month] + intercept + slope * t);
+    sigmas.push(
+      sigma * Math.sqrt(1 + 1 / counts[month] + (t - meanT) ** 2 / sxx)
+    );
+  }
+  return { values: forecast, sigmas, slope, df };
+};
+
+const MODELS = {
+  [FORECAST_METHODS.SEASONAL_NAIVE]: seasonalNaive,
+  [FORECAST_METHODS.HOLT_WINTERS]: holtWinters,
+  [FORECAST_METHODS.TREND_CLIMATOLOGY]: trendClimatology,
+};
+
+/**
+ * Score a method by forecasting the last months of a series from the rest
+ * @param {Object} series - Series from buildSeries
+ * @param {string} method - One of FORECAST_METHODS
+ * @param {number} horizon - Months held out
+ * @returns {Object|null} { mae, rmse, n } over the held-out months that
+ *   were observed, or null when too little is left to fit
+ */
+const backtest = (series, method, horizon) => {
+  const cut = series.values.length - horizon;
+  if (cut < MIN_MONTHS) return null;
+
+  const training = {
+    values: series.values.slice(0, cut),
+    monthOfYear: series.monthOfYear.slice(0, cut),
+  };
+  const predicted = MODELS[method](training, horizon).values;
+  const errors = predicted
+    .map((value, i) =>
+      series.filled[cut + i] ? null : series.values[cut + i] - value
+    )
+    .filter((error) => error !== null);
+  if (errors.length === 0) return null;
+
+  return {
+    mae: errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length,
+    rmse: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+    n: errors.length,
+  };
+};
+
+/**
+ * Forecast a monthly series
+ * @param {Array} records - Monthly records with a "YYYY-MM" date (the
+ *   yearly series)
+ * @param {string} field - Field to forecast, e.g. "temp" or "rainfall"
+ * @param {Object} options - { method (one of FORECAST_METHODS), horizon,
+ *   levels (see PREDICTION_LEVELS), nonNegative (clip forecasts and bounds
+ *   at zero, for rainfall) }
+ * @returns {Object|null} { method, field, forecast: [{ date, value,
+ *   intervals: { [percent]: [lower, upper] } }], backtest: { mae, rmse, n }
+ *   | null, filledMonths }, or null with under two years of data
+ */
+export const forecastSeries = (records, field, options = {}) => {
+  const {
+    method = FORECAST_METHODS.HOLT_WINTERS,
+    horizon = FORECAST_HORIZON,
+    levels = PREDICTION_LEVELS,
+    nonNegative = false,
+  } = options;
+  const series = buildSeries(records, field);
+  if (!series || !MODELS[method]) return null;
+
+  const model = MODELS[method](series, horizon);
+  // Regression intervals use Student's t; the smoothing models the normal
+  const critical = (level) =>
+    model.df ? studentTCritical(model.df, level) : zCritical(level);
+  const clip = (value) => (nonNegative ? Math.max(0, value) : value);
+  const lastMonth = monthNumber(series.dates[series.dates.length - 1]);
+
+  return {
+    method,
+    field,
+    forecast: model.values.map((value, i) => {
+      const intervals = {};
+      levels.forEach((level) => {
+        const margin = critical(level) * model.sigmas[i];
+        intervals[Math.round(level * 100)] = [
+          clip(value - margin),
+          clip(value + margin),
+        ];
+      });
+      return { date: toDate(lastMonth + i + 1), value: clip(value), intervals };
+    }),
+    backtest: backtest(series, method, horizon),
+    filledMonths: series.filled.filter(Boolean).length,
+  };
+};
+
+/**
+ * Backtest every method on the same series, so the most accurate one can
+ * be chosen
+ * @param {Array} records - Monthly records (see forecastSeries)
+ * @param {string} field - Field to forecast
+ * @param {number} horizon - Months held out
+ * @returns {Array} [{ method, mae, rmse, n }] in FORECAST_METHODS order;
+ *   empty when the series is too short to backtest
+ */
+export const compareForecastMethods = (
+  records,
+  field,
+  horizon = FORECAST_HORIZON
+) => {
+  const series = buildSeries(records, field);
+  if (!series) return [];
+  return Object.values(FORECAST_METHODS)
+    .map((method) => ({ method, ...backtest(series, method, horizon) }))
+    .filter((score) => isNumber(score.mae));
+};
@@ -0,0 +1,215 @@
+// utils/gapFilling.js
+import { haversineDistance } from "../services/stationRegistry.js";
+import { EC_FLAGS, isImputed } from "./dataQuality.js";
+
+// Daily fields that are filled; a missing mean temperature is then derived
+// from the filled max and min
+export const GAP_FILL_FIELDS = [
+  "tempMax",
+  "tempMin",
+  "rainfall",
+  "precipitation",
+];
+
+// Fields that can't go below zero once predicted
+const NON_NEGATIVE_FIELDS = ["rainfall", "precipitation"];
+
+// Fewer overlapping days than this gives an unreliable fit
+export const MIN_OVERLAP_DAYS = 30;
+
+const isBlank = (value) =>
+  value === null || value === undefined || Number.isNaN(value);
+
+/**
+ * Read a daily value, treating values flagged missing as gaps
+ * @param {Object} day - Daily record
+ * @param {string} field - Field name
+ * @returns {number|null} Value
+ */
+const readValue = (day, field) => {
+  if (!day || isBlank(day[field])) return null;
+  if (EC_FLAGS[day.flags?.[field]]?.missing) return null;
+  return day[field];
+};
+
+/**
+ * Fit y = intercept + slope * x by ordinary least squares
+ * @param {Array} pairs - [[x, y], ...]
+ * @returns {Object|null} { slope, intercept, r2, n }, or null when x has no
+ *   variance
+ */
+export const fitLinearRegression = (pairs) => {
+  const n = pairs.length;
+  if (n < 2) return null;
+
+  const meanX = pairs.reduce((total, [x]) => total + x, 0) / n;
+  const meanY = pairs.reduce((total, [, y]) => total + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: syy === 0 ? 1 : Math.min(1, (sxy * sxy) / (sxx * syy)),
+    n,
+  };
+};
+
+/**
+ * Find the configured station nearest to another one
+ * @param {Object} station - Station to fill
+ * @param {Array} candidates - Stations that could supply values
+ * @returns {Object|null} Nearest other station with coordinates
+ */
+export const findNearestStation = (station, candidates) => {
+  if (!station?.coordinates) return null;
+
+  return (
+    candidates
+      .filter((c) => c.id !== station.id && c.coordinates)
+      .map((c) => ({
+        station: c,
+        distance: haversineDistance(station.coordinates, c.coordinates),
+      }))
+      .sort((a, b) => a.distance - b.distance)[0]?.station || null
+  );
+};
+
+/**
+ * Fill missing daily values from a neighbouring station
+ * Each field is regressed on the neighbour's values over the days both
+ * stations reported; days where only the neighbour reported are then
+ * predicted from the fit. Filled values are listed in the record's
+ * `imputed` map ({ field: neighbourStationId }). Only days between the
+ * target's first and last observations are filled, so the neighbour doesn't
+ * extend the record; days in that span the target has no record for at all
+ * are added and counted in createdDays.
+ * @param {Array} targetDaily - Daily records of the station to fill
+ * @param {Array} neighbourDaily - Daily records of the neighbouring station
+ * @param {Object} options - Fill options
+ * @param {string} options.neighbourId - Neighbour station ID for the marks
+ * @param {Array} options.fields - Fields to fill
+ * @param {number} options.minOverlap - Minimum overlapping days per field
+ * @returns {Object} { records, report } where report is { neighbourId,
+ *   fields: { field: { filled, slope, intercept, r2, n } | null },
+ *   imputedValues, totalValues, imputedShare, createdDays }
+ */
+export const fillGapsFromNeighbour = (
+  targetDaily,
+  neighbourDaily,
+  {
+    neighbourId = null,
+    fields = GAP_FILL_FIELDS,
+    minOverlap = MIN_OVERLAP_DAYS,
+  } = {}
+) => {
+  const neighbourByDate = new Map(neighbourDaily.map((d) => [d.date, d]));
+  const recordsByDate = new Map(targetDaily.map((d) => [d.date, { ...d }]));
+
+  // The span the target station actually observed
+  const observedDates = targetDaily
+    .filter((day) => fields.some((field) => readValue(day, field) !== null))
+    .map((day) => day.date)
+    .sort();
+  const firstDate = observedDates[0];
+  const lastDate = observedDates[observedDates.length - 1];
+  const isInSpan = (date) =>
+    observedDates.length > 0 && date >= firstDate && date <= lastDate;
+
+  // Neighbour days inside the span that the target has no record for
+  // become empty target days
+  let createdDays = 0;
+  neighbourDaily.forEach((day) => {
+    if (!recordsByDate.has(day.date) && isInSpan(day.date)) {
+      recordsByDate.set(day.date, {
+        date: day.date,
+        year: day.year,
+        month: day.month,
+        day: day.day,
+        flags: {},
+      });
+      createdDays += 1;
+    }
+  });
+
+  const records = Array.from(recordsByDate.values()).sort((a, b) =>
+    a.date < b.date ? -1 : 1
+  );
+  const report = { neighbourId, fields: {} };
+  let imputedValues = 0;
+
+  const markImputed = (record, field, value) => {
+    record[field] = Math.round(value * 10) / 10;
+    record.imputed = { ...record.imputed, [field]: neighbourId };
+    // The EC flag described the missing value, not the filled one
+    if (record.flags?.[field]) {
+      record.flags = { ...record.flags };
+      delete record.flags[field];
+    }
+  };
+
+  fields.forEach((field) => {
+    const pairs = [];
+    records.forEach((record) => {
+      const y = readValue(record, field);
+      const x = readValue(neighbourByDate.get(record.date), field);
+      if (x !== null && y !== null) pairs.push([x, y]);
+    });
+
+    const fit = pairs.length >= minOverlap ? fitLinearRegression(pairs) : null;
+    if (!fit) {
+      report.fields[field] = null;
+      return;
+    }
+
+    let filled = 0;
+    records.forEach((record) => {
+      if (readValue(record, field) !== null || !isInSpan(record.date)) return;
+      const x = readValue(neighbourByDate.get(record.date), field);
+      if (x === null) return;
+
+      const value = fit.intercept + fit.slope * x;
+      markImputed(
+        record,
+        field,
+        NON_NEGATIVE_FIELDS.includes(field) ? Math.max(0, value) : value
+      );
+      filled += 1;
+    });
+
+    imputedValues += filled;
+    report.fields[field] = { filled, ...fit };
+  });
+
+  // EC's daily mean is the midpoint of max and min
+  records.forEach((record) => {
+    if (
+      (isImputed(record, "tempMax") || isImputed(record, "tempMin")) &&
+      readValue(record, "temp") === null &&
+      readValue(record, "tempMax") !== null &&
+      readValue(record, "tempMin") !== null
+    ) {
+      markImputed(record, "temp", (record.tempMax + record.tempMin) / 2);
+    }
+  });
+
+  const totalValues = records.length * fields.length;
+  return {
+    records,
+    report: {
+      ...report,
+      imputedValues,
+      totalValues,
+      imputedShare: totalValues > 0 ? imputedValues / totalValues : 0,
+      createdDays,
+    },
+  };
+};
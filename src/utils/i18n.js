@@ -0,0 +1,143 @@
+// utils/i18n.js
+import { MONTHS } from "./constants.js";
+import { en } from "../i18n/en.js";
+import { fr } from "../i18n/fr.js";
+
+/**
+ * Supported locales (Canadian English and French)
+ */
+export const LOCALES = {
+  EN: "en-CA",
+  FR: "fr-CA",
+};
+
+/**
+ * Locale switcher entries, each labelled in its own language
+ */
+export const LOCALE_OPTIONS = [
+  { value: LOCALES.EN, label: "English", short: "EN" },
+  { value: LOCALES.FR, label: "Français", short: "FR" },
+];
+
+const CATALOGS = {
+  [LOCALES.EN]: en,
+  [LOCALES.FR]: fr,
+};
+
+/**
+ * Pick the supported locale closest to a requested one
+ * @param {string} requested - Locale tag such as "fr", "fr-FR" or "en-US"
+ * @returns {string} LOCALES value (English when nothing matches)
+ */
+export const resolveLocale = (requested) => {
+  const language = String(requested || "")
+    .toLowerCase()
+    .split("-")[0];
+  return (
+    Object.values(LOCALES).find((locale) => locale.startsWith(language)) ||
+    LOCALES.EN
+  );
+};
+
+/**
+ * Look up a dotted key such as "nav.tabs.overview" in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted key
+ * @returns {*} Message, or undefined when missing
+ */
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Translate a message
+ * Messages may contain {name} placeholders; a message given as
+ * { one, other } is chosen by params.count with the locale's plural rules.
+ * Missing French messages fall back to English, then to the key itself.
+ * @param {string} locale - LOCALES value
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated text
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(CATALOGS[locale], key) ?? lookup(en, key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const rule = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[rule] ?? message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : params[name]
+  );
+};
+
+/**
+ * Format a number for a locale
+ * @param {number} value - Number to format
+ * @param {string} locale - LOCALES value
+ * @param {number} digits - Fixed decimal places; omit for up to 2
+ * @returns {string} Formatted number, or "N/A" in the locale's words
+ */
+export const formatNumber = (value, locale, digits) => {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return translate(locale, "common.notAvailable");
+  }
+  return new Intl.NumberFormat(locale, {
+    minimumFractionDigits: digits ?? 0,
+    maximumFractionDigits: digits ?? 2,
+  }).format(value);
+};
+
+/**
+ * Format a date for a locale
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @param {string} locale - LOCALES value
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date ("" when the date is invalid)
+ */
+export const formatDate = (value, locale, options = {}) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString(locale, options);
+};
+
+// Month names per locale and width, built on first use
+const monthNameCache = new Map();
+
+/**
+ * Month names in a locale, January first
+ * @param {string} locale - LOCALES value
+ * @param {string} width - "short" or "long"
+ * @returns {Array} Twelve month names
+ */
+export const getMonthNames = (locale, width = "short") => {
+  const cacheKey = `${locale}:${width}`;
+  if (!monthNameCache.has(cacheKey)) {
+    monthNameCache.set(
+      cacheKey,
+      MONTHS.map((month, monthIndex) =>
+        new Date(Date.UTC(2021, monthIndex, 15)).toLocaleString(locale, {
+          month: width,
+          timeZone: "UTC",
+        })
+      )
+    );
+  }
+  return monthNameCache.get(cacheKey);
+};
+
+/**
+ * Display name of a month as stored in records
+ * Records keep the English abbreviations of MONTHS as keys; this is only
+ * for display.
+ * @param {string|number} month - MONTHS entry or month index (0-11)
+ * @param {string} locale - LOCALES value
+ * @param {string} width - "short" or "long"
+ * @returns {string} Month name, or the input when it isn't a month
+ */
+export const translateMonth = (month, locale, width = "short") => {
+  const monthIndex = typeof month === "number" ? month : MONTHS.indexOf(month);
+  if (monthIndex < 0 || monthIndex > 11) return month;
+  return getMonthNames(locale, width)[monthIndex];
+};
@@ -0,0 +1,130 @@
+// utils/normals.js
+import { MONTHS } from "./constants.js";
+import { calculateAverage } from "./calculations.js";
+import {
+  CLIMATE_NORMALS,
+  NORMALS_REFERENCE_STATION,
+} from "../data/climateNormals.js";
+
+/**
+ * Normals periods the dashboard offers, most recent first
+ */
+export const NORMALS_PERIODS = ["1991-2020", "1981-2010"];
+
+export const DEFAULT_NORMALS_PERIOD = NORMALS_PERIODS[0];
+
+// Average month length, so February's sunshine works for leap years too
+const DAYS_IN_MONTH = [31, 28.25, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Get the climate normals of a station for a period
+ * Stations without published normals get those of the reference station,
+ * flagged with isReference. Monthly rows use the field names of monthly
+ * records, except that rainfall is total precipitation (rain and melted
+ * snow); sunshine is the mean daily hours, like the records it is compared
+ * with.
+ * @param {string} stationId - Station ID
+ * @param {string} period - One of NORMALS_PERIODS
+ * @returns {Object|null} { stationId, climateId, name, period, isReference,
+ *   monthly } in metric units, or null when the period isn't available
+ */
+export const getClimateNormals = (
+  stationId,
+  period = DEFAULT_NORMALS_PERIOD
+) => {
+  const isReference = !CLIMATE_NORMALS[stationId];
+  const sourceId = isReference ? NORMALS_REFERENCE_STATION : stationId;
+  const station = CLIMATE_NORMALS[sourceId];
+  const values = station?.periods[period];
+  if (!values) return null;
+
+  return {
+    stationId: sourceId,
+    climateId: station.climateId,
+    name: station.name,
+    period,
+    isReference,
+    monthly: MONTHS.map((month, monthIndex) => ({
+      month,
+      monthIndex,
+      temp: values.temp[monthIndex],
+      rainfall: values.precipitation[monthIndex],
+      humidity: values.humidity ? values.humidity[monthIndex] : null,
+      sunshine: values.sunshine
+        ? round1(values.sunshine[monthIndex] / DAYS_IN_MONTH[monthIndex])
+        : null,
+    })),
+  };
+};
+
+/**
+ * Summarize normals over a set of months, aggregated the way the metric
+ * cards aggregate records: mean temperature and humidity, summed rainfall
+ * and sunshine
+ * @param {Array} monthly - Monthly normals (see getClimateNormals)
+ * @param {Array} months - Month abbreviation of each record to compare
+ *   with (a month may repeat across years); all twelve when omitted
+ * @returns {Object} { temp, rainfall, humidity, sunshine } (null where the
+ *   normals have no values)
+ */
+export const summarizeNormals = (monthly, months) => {
+  const rows = months
+    ? months
+        .map((month) => monthly.find((row) => row.month === month))
+        .filter(Boolean)
+    : monthly;
+  const values = (field) =>
+    rows.map((row) => row[field]).filter((v) => v !== null);
+  const sum = (field) =>
+    values(field).length === rows.length && rows.length > 0
+      ? values(field).reduce((total, v) => total + v, 0)
+      : null;
+  const mean = (field) =>
+    values(field).length === rows.length && rows.length > 0
+      ? calculateAverage(values(field))
+      : null;
+
+  return {
+    temp: mean("temp"),
+    rainfall: sum("rainfall"),
+    humidity: mean("humidity"),
+    sunshine: sum("sunshine"),
+  };
+};
+
+/**
+ * Departures of monthly records from the normal of their calendar month
+ * @param {Array} records - Monthly records
+ * @param {Array} monthly - Monthly normals in the same units as the records
+ * @returns {Array} [{ date, year, month, tempDeparture,
+ *   precipitationDeparture, precipitationPercent }] with null where a value
+ *   is missing
+ */
+export const calculateDepartures = (records, monthly) =>
+  records.map((record) => {
+    const normal = monthly.find((row) => row.month === record.month);
+    const hasTemp = typeof record.temp === "number" && normal;
+    // The normal is total precipitation, so it's compared with the record's
+    // total; sources without one only report rainfall
+    const precipitation =
+      typeof record.precipitation === "number"
+        ? record.precipitation
+        : record.rainfall;
+    const hasPrecipitation = typeof precipitation === "number" && normal;
+
+    return {
+      date: record.date,
+      year: record.year,
+      month: record.month,
+      tempDeparture: hasTemp ? round1(record.temp - normal.temp) : null,
+      precipitationDeparture: hasPrecipitation
+        ? round1(precipitation - normal.rainfall)
+        : null,
+      precipitationPercent:
+        hasPrecipitation && normal.rainfall > 0
+          ? Math.round((precipitation / normal.rainfall) * 100)
+          : null,
+    };
+  });
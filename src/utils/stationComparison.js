@@ -0,0 +1,140 @@
+// utils/stationComparison.js
+import { MONTHS } from "./constants.js";
+import { calculateYearlyAggregates } from "./calculations.js";
+
+/**
+ * Select the records a page shows for one station
+ * Mirrors useDataFiltering: monthly climatology for "all", otherwise the
+ * months of the selected year.
+ * @param {Object} data - Station dataset { monthly, yearly }
+ * @param {string|number} selectedYear - Year filter or 'all'
+ * @returns {Array} Filtered records
+ */
+export const filterStationData = (data, selectedYear) => {
+  if (!data) return [];
+  if (selectedYear === "all") return data.monthly || [];
+
+  const year = parseInt(selectedYear);
+  return (data.yearly || []).filter((d) => d.year === year);
+};
+
+/**
+ * Build the comparison datasets passed to the pages
+ * @param {Array} stationData - [{ station, data }] from useWeatherData
+ * @param {string|number} selectedYear - Year filter or 'all'
+ * @returns {Array} [{ station, data, yearlyData }]
+ */
+export const buildComparisonDatasets = (stationData, selectedYear) =>
+  stationData.map(({ station, data }) => ({
+    station,
+    data: filterStationData(data, selectedYear),
+    yearlyData: data?.yearly || [],
+  }));
+
+/**
+ * Describe one chart series per station
+ * @param {Array} datasets - Comparison datasets
+ * @returns {Array} [{ key, name, color }] where key is the station ID
+ */
+export const getStationSeries = (datasets) =>
+  datasets.map(({ station }) => ({
+    key: station.id,
+    name: station.shortName || station.name,
+    color: station.color,
+  }));
+
+/**
+ * Order x-axis values: month names by calendar order, everything else
+ * (years, "YYYY-MM" dates) in natural order
+ */
+const compareAxisValues = (xKey) => (a, b) => {
+  if (xKey === "month") return MONTHS.indexOf(a) - MONTHS.indexOf(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Merge one field from several stations into rows keyed by an x value,
+ * with one column per station ID, ready for a multi-series chart
+ * @param {Array} datasets - [{ station, records }]
+ * @param {string} xKey - Field used for the x axis (month, date, year)
+ * @param {string} field - Field to compare
+ * @returns {Array} Rows such as { month: "Jan", 51442: 4.1, 51459: 3.6 }
+ */
+export const mergeStationSeries = (datasets, xKey, field) => {
+  const rows = new Map();
+
+  datasets.forEach(({ station, records }) => {
+    records.forEach((record) => {
+      const x = record[xKey];
+      if (x === undefined || x === null) return;
+      if (!rows.has(x)) rows.set(x, { [xKey]: x });
+      const value = record[field];
+      rows.get(x)[station.id] =
+        value === undefined || value === null || isNaN(value) ? null : value;
+    });
+  });
+
+  return Array.from(rows.values()).sort((a, b) =>
+    compareAxisValues(xKey)(a[xKey], b[xKey])
+  );
+};
+
+/**
+ * Merge the yearly aggregates (avgTemp, totalRainfall, ...) of each station
+ * @param {Array} datasets - Comparison datasets
+ * @param {string} field - Aggregate field to compare
+ * @returns {Array} Rows keyed by year
+ */
+export const mergeYearlyAggregates = (datasets, field) =>
+  mergeStationSeries(
+    datasets.map(({ station, yearlyData }) => ({
+      station,
+      records: calculateYearlyAggregates(yearlyData),
+    })),
+    "year",
+    field
+  );
+
+/**
+ * Summarize how each station differs from the first (reference) station
+ * Only months both stations report are compared.
+ * @param {Array} datasets - Comparison datasets
+ * @param {string} field - Field to compare
+ * @param {string} xKey - Field used to pair records
+ * @returns {Array} [{ station, mean, difference }] with difference null for
+ *   the reference station
+ */
+export const compareToReference = (datasets, field, xKey = "month") => {
+  if (datasets.length === 0) return [];
+
+  const rows = mergeStationSeries(
+    datasets.map(({ station, data }) => ({ station, records: data })),
+    xKey,
+    field
+  );
+  const referenceId = datasets[0].station.id;
+
+  return datasets.map(({ station }) => {
+    const values = rows
+      .map((row) => row[station.id])
+      .filter((v) => v !== null && v !== undefined);
+    const paired = rows.filter(
+      (row) => row[station.id] != null && row[referenceId] != null
+    );
+
+    return {
+      station,
+      mean:
+        values.length > 0
+          ? values.reduce((sum, v) => sum + v, 0) / values.length
+          : null,
+      difference:
+        station.id === referenceId || paired.length === 0
+          ? null
+          : paired.reduce(
+              (sum, row) => sum + (row[station.id] - row[referenceId]),
+              0
+            ) / paired.length,
+    };
+  });
+};
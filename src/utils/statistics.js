@@ -0,0 +1,319 @@
+// utils/statistics.js
+
+/**
+ * Significance level the trend tests are judged at
+ */
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Pair up x and y values, dropping pairs with a missing value
+ * @param {Array} x - X values
+ * @param {Array} y - Y values
+ * @returns {Array} [[x, y]] pairs
+ */
+const toPairs = (x, y) =>
+  x
+    .map((xi, i) => [xi, y[i]])
+    .filter(([xi, yi]) => isNumber(xi) && isNumber(yi));
+
+// Lanczos approximation of ln Γ(x)
+const LANCZOS = [
+  76.180091729471, -86.505320329417, 24.014098240831, -1.23173957245,
+  0.1208650973866e-2, -0.5395239384953e-5,
+];
+const logGamma = (x) => {
+  let denominator = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = LANCZOS.reduce(
+    (sum, coefficient) => sum + coefficient / ++denominator,
+    1.00000000019
+  );
+  return -tmp + Math.log((Math.sqrt(2 * Math.PI) * series) / x);
+};
+
+// Continued fraction of the incomplete beta function (Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    result *= d * c;
+
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Two-sided p-value of a Student t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+export const studentTPValue = (t, df) =>
+  regularizedBeta(df / (df + t * t), df / 2, 0.5);
+
+/**
+ * Critical value of Student's t for a two-sided interval
+ * @param {number} df - Degrees of freedom
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {number} t such that P(|T| <= t) = confidence
+ */
+export const studentTCritical = (df, confidence = 0.95) => {
+  const target = 1 - confidence;
+  let low = 0;
+  let high = 1000;
+  // The p-value falls as t grows, so bisect on it
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (studentTPValue(middle, df) > target) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ * @param {number} z - z score
+ * @returns {number} P(Z <= z)
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Ordinary least squares fit of y on x
+ * @param {Array} x - X values (e.g. years)
+ * @param {Array} y - Y values; pairs with a missing value are skipped
+ * @param {number} confidence - Confidence level of the slope interval
+ * @returns {Object|null} { slope, intercept, standardError,
+ *   confidenceInterval: [low, high], pValue, rSquared, n }, or null with
+ *   fewer than three points or no spread in x
+ */
+export const linearRegression = (x, y, confidence = 0.95) => {
+  const pairs = toPairs(x, y);
+  const n = pairs.length;
+  if (n < 3) return null;
+
+  const meanX = pairs.reduce((sum, [xi]) => sum + xi, 0) / n;
+  const meanY = pairs.reduce((sum, [, yi]) => sum + yi, 0) / n;
+  const sxx = pairs.reduce((sum, [xi]) => sum + (xi - meanX) ** 2, 0);
+  const sxy = pairs.reduce(
+    (sum, [xi, yi]) => sum + (xi - meanX) * (yi - meanY),
+    0
+  );
+  const syy = pairs.reduce((sum, [, yi]) => sum + (yi - meanY) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = pairs.reduce(
+    (sum, [xi, yi]) => sum + (yi - (intercept + slope * xi)) ** 2,
+    0
+  );
+  const df = n - 2;
+  const standardError = Math.sqrt(residual / df / sxx);
+  const margin = studentTCritical(df, confidence) * standardError;
+
+  return {
+    slope,
+    intercept,
+    standardError,
+    confidenceInterval: [slope - margin, slope + margin],
+    pValue: standardError === 0 ? 0 : studentTPValue(slope / standardError, df),
+    rSquared: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy),
+    n,
+  };
+};
+
+/**
+ * Mann-Kendall S statistic and its variance, corrected for ties
+ * @param {Array} values - Series in time order, without missing values
+ * @returns {Object} { s, variance }
+ */
+const kendallS = (values) => {
+  const n = values.length;
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+
+  const ties = {};
+  values.forEach((v) => {
+    ties[v] = (ties[v] || 0) + 1;
+  });
+  const tieTerm = Object.values(ties).reduce(
+    (sum, t) => sum + t * (t - 1) * (2 * t + 5),
+    0
+  );
+
+  return { s, variance: (n * (n - 1) * (2 * n + 5) - tieTerm) / 18 };
+};
+
+/**
+ * Two-sided test of S against no trend, with continuity correction
+ * @param {number} s - Mann-Kendall S (summed over seasons if seasonal)
+ * @param {number} variance - Variance of S
+ * @returns {Object} { z, pValue, trend } where trend is "increasing",
+ *   "decreasing" or "none" at SIGNIFICANCE_LEVEL
+ */
+const testS = (s, variance) => {
+  const z =
+    variance > 0 && s !== 0 ? (s - Math.sign(s)) / Math.sqrt(variance) : 0;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return {
+    z,
+    pValue,
+    trend:
+      pValue < SIGNIFICANCE_LEVEL
+        ? z > 0
+          ? "increasing"
+          : "decreasing"
+        : "none",
+  };
+};
+
+/**
+ * Sen's slope: the median of the slopes between every pair of points
+ * @param {Array} x - X values (e.g. years)
+ * @param {Array} y - Y values; pairs with a missing value are skipped
+ * @returns {number|null} Slope per unit of x, or null with fewer than two
+ *   points
+ */
+export const sensSlope = (x, y) => {
+  const pairs = toPairs(x, y);
+  const slopes = [];
+  for (let i = 0; i < pairs.length - 1; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      if (pairs[j][0] !== pairs[i][0]) {
+        slopes.push((pairs[j][1] - pairs[i][1]) / (pairs[j][0] - pairs[i][0]));
+      }
+    }
+  }
+  return slopes.length > 0 ? median(slopes) : null;
+};
+
+/**
+ * Mann-Kendall test for a monotonic trend, with Sen's slope
+ * @param {Array} x - X values in time order (e.g. years)
+ * @param {Array} y - Y values; pairs with a missing value are skipped
+ * @returns {Object|null} { s, tau, z, pValue, trend, sensSlope, n }, or
+ *   null with fewer than three points
+ */
+export const mannKendall = (x, y) => {
+  const pairs = toPairs(x, y);
+  const n = pairs.length;
+  if (n < 3) return null;
+
+  const { s, variance } = kendallS(pairs.map(([, yi]) => yi));
+  return {
+    s,
+    tau: s / ((n * (n - 1)) / 2),
+    ...testS(s, variance),
+    sensSlope: sensSlope(
+      pairs.map(([xi]) => xi),
+      pairs.map(([, yi]) => yi)
+    ),
+    n,
+  };
+};
+
+/**
+ * Seasonal Mann-Kendall test (Hirsch et al., 1982) for monthly records
+ * Each calendar month is tested across years and the statistics summed, so
+ * the seasonal cycle doesn't mask or fake a trend. Sen's slope is the
+ * median of the within-month slopes.
+ * @param {Array} records - Monthly records with year and monthIndex
+ * @param {string} field - Field to test
+ * @returns {Object|null} { s, z, pValue, trend, sensSlope (per year), n,
+ *   seasons }, or null when no month has three years of values
+ */
+export const seasonalMannKendall = (records, field) => {
+  let s = 0;
+  let variance = 0;
+  let n = 0;
+  let seasons = 0;
+  const slopes = [];
+
+  for (let monthIndex = 0; monthIndex < 12; monthIndex++) {
+    const months = records
+      .filter((r) => r.monthIndex === monthIndex && isNumber(r[field]))
+      .sort((a, b) => a.year - b.year);
+    if (months.length < 3) continue;
+
+    const stats = kendallS(months.map((r) => r[field]));
+    s += stats.s;
+    variance += stats.variance;
+    n += months.length;
+    seasons += 1;
+
+    for (let i = 0; i < months.length - 1; i++) {
+      for (let j = i + 1; j < months.length; j++) {
+        if (months[j].year !== months[i].year) {
+          slopes.push(
+            (months[j][field] - months[i][field]) /
+              (months[j].year - months[i].year)
+          );
+        }
+      }
+    }
+  }
+
+  if (seasons === 0) return null;
+  return {
+    s,
+    ...testS(s, variance),
+    sensSlope: slopes.length > 0 ? median(slopes) : null,
+    n,
+    seasons,
+  };
+};
@@ -0,0 +1,77 @@
+// utils/storage.js
+
+// Prefix so dashboard preferences don't collide with other apps on the origin
+const KEY_PREFIX = "vancouver-weather:";
+
+/**
+ * Keys for preferences kept across sessions
+ */
+export const STORAGE_KEYS = {
+  DATA_SOURCE: "dataSource",
+  GAP_FILL: "gapFill",
+  UNIT_SYSTEM: "unitSystem",
+  LOCALE: "locale",
+  EVENTS: "events",
+  ONI_TABLE: "oniTable",
+};
+
+/**
+ * Get localStorage if the environment provides it and allows access
+ * (it throws in some private browsing modes and is absent outside browsers)
+ * @returns {Storage|null} localStorage or null
+ */
+const getLocalStorage = () => {
+  try {
+    return typeof window !== "undefined" && window.localStorage
+      ? window.localStorage
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read a saved preference
+ * @param {string} key - Preference key (see STORAGE_KEYS)
+ * @param {any} fallback - Value returned when nothing valid is saved
+ * @returns {any} Saved value or fallback
+ */
+export const loadPreference = (key, fallback = null) => {
+  const storage = getLocalStorage();
+  if (!storage) return fallback;
+
+  try {
+    const raw = storage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Ignoring unreadable preference "${key}":`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Save a preference
+ * @param {string} key - Preference key (see STORAGE_KEYS)
+ * @param {any} value - JSON-serializable value
+ * @returns {boolean} True when the value was saved
+ */
+export const savePreference = (key, value) => {
+  const storage = getLocalStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Unable to save preference "${key}":`, error);
+    return false;
+  }
+};
+
+/**
+ * Remove a saved preference
+ * @param {string} key - Preference key (see STORAGE_KEYS)
+ */
+export const removePreference = (key) => {
+  getLocalStorage()?.removeItem(KEY_PREFIX + key);
+};
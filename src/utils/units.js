@@ -0,0 +1,257 @@
+// utils/units.js
+import { LOCALES, formatNumber, translate } from "./i18n.js";
+
+export const UNIT_SYSTEMS = {
+  METRIC: "metric",
+  IMPERIAL: "imperial",
+};
+
+/**
+ * Quantities the dashboard shows, with their unit and display precision in
+ * each system. Data is stored in metric; imperial values are converted
+ * from it (and back with toMetric where metric input is needed).
+ */
+export const QUANTITIES = {
+  temperature: {
+    metric: { unit: "°C", digits: 1 },
+    imperial: {
+      unit: "°F",
+      digits: 1,
+      convert: (c) => (c * 9) / 5 + 32,
+      toMetric: (f) => ((f - 32) * 5) / 9,
+    },
+  },
+  // Temperature differences (anomalies, ranges) have no offset
+  temperatureDelta: {
+    metric: { unit: "°C", digits: 1 },
+    imperial: {
+      unit: "°F",
+      digits: 1,
+      convert: (c) => (c * 9) / 5,
+      toMetric: (f) => (f * 5) / 9,
+    },
+  },
+  precipitation: {
+    metric: { unit: "mm", digits: 1 },
+    imperial: {
+      unit: "in",
+      digits: 2,
+      convert: (mm) => mm / 25.4,
+      toMetric: (inches) => inches * 25.4,
+    },
+  },
+  snow: {
+    metric: { unit: "cm", digits: 1 },
+    imperial: {
+      unit: "in",
+      digits: 1,
+      convert: (cm) => cm / 2.54,
+      toMetric: (inches) => inches * 2.54,
+    },
+  },
+  speed: {
+    metric: { unit: "km/h", digits: 1 },
+    imperial: {
+      unit: "mph",
+      digits: 1,
+      convert: (kmh) => kmh * 0.621371,
+      toMetric: (mph) => mph / 0.621371,
+    },
+  },
+  pressure: {
+    metric: { unit: "hPa", digits: 1 },
+    imperial: {
+      unit: "inHg",
+      digits: 2,
+      convert: (hpa) => hpa * 0.02953,
+      toMetric: (inhg) => inhg / 0.02953,
+    },
+  },
+  distance: {
+    metric: { unit: "km", digits: 1 },
+    imperial: {
+      unit: "mi",
+      digits: 1,
+      convert: (km) => km * 0.621371,
+      toMetric: (mi) => mi / 0.621371,
+    },
+  },
+  degreeDays: {
+    metric: { unit: "°C·d", digits: 0 },
+    imperial: {
+      unit: "°F·d",
+      digits: 0,
+      convert: (dd) => (dd * 9) / 5,
+      toMetric: (dd) => (dd * 5) / 9,
+    },
+  },
+};
+
+/**
+ * Record fields that carry a convertible quantity
+ */
+export const FIELD_QUANTITIES = {
+  temp: "temperature",
+  tempMax: "temperature",
+  tempMin: "temperature",
+  extremeMax: "temperature",
+  extremeMin: "temperature",
+  avgTemp: "temperature",
+  tempTrend: "temperature",
+  dewPoint: "temperature",
+  rainfall: "precipitation",
+  precipitation: "precipitation",
+  totalRainfall: "precipitation",
+  rainfallTrend: "precipitation",
+  snowfall: "snow",
+  snowOnGround: "snow",
+  windSpeed: "speed",
+  maxWindSpeed: "speed",
+  maxGust: "speed",
+  pressure: "pressure",
+  heatingDegreeDays: "degreeDays",
+  coolingDegreeDays: "degreeDays",
+};
+
+const getSpec = (quantity, system) =>
+  QUANTITIES[quantity]?.[system] || QUANTITIES[quantity]?.metric;
+
+/**
+ * Get the unit symbol of a quantity
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {string} Unit symbol such as "°F", or "" for unknown quantities
+ */
+export const getUnit = (quantity, system) =>
+  getSpec(quantity, system)?.unit || "";
+
+/**
+ * Get the unit symbol of a record field
+ * @param {string} field - Record field name
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {string} Unit symbol, or "" for fields without a quantity
+ */
+export const getFieldUnit = (field, system) =>
+  FIELD_QUANTITIES[field] ? getUnit(FIELD_QUANTITIES[field], system) : "";
+
+/**
+ * Convert a metric value to a unit system
+ * @param {number} value - Metric value
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {number|null} Converted value (null and non-numbers pass through)
+ */
+export const convertValue = (value, quantity, system) => {
+  if (typeof value !== "number" || Number.isNaN(value)) return value;
+  const convert = getSpec(quantity, system)?.convert;
+  if (!convert) return value;
+
+  // One more digit than displayed, so totals and averages stay accurate
+  const factor = 10 ** (getSpec(quantity, system).digits + 1);
+  return Math.round(convert(value) * factor) / factor;
+};
+
+/**
+ * Format a value with its unit
+ * @param {number} value - Value already in the target system
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} system - UNIT_SYSTEMS value
+ * @param {number} digits - Decimal places; defaults to the quantity's
+ *   precision
+ * @param {string} locale - LOCALES value for separators and spacing
+ * @returns {string} Text such as "52.3°F" (or "11,2 °C" in French)
+ */
+export const formatQuantity = (
+  value,
+  quantity,
+  system,
+  digits,
+  locale = LOCALES.EN
+) => {
+  const number = formatNumber(
+    value,
+    locale,
+    digits ?? getSpec(quantity, system)?.digits ?? 1
+  );
+  if (typeof value !== "number" || Number.isNaN(value)) return number;
+
+  const unit = getSpec(quantity, system)?.unit || "";
+  return unit
+    ? `${number}${translate(locale, "common.unitSeparator")}${unit}`
+    : number;
+};
+
+/**
+ * Decimal places for rounded figures such as totals: one fewer than the
+ * quantity's precision (whole millimetres, tenths of an inch)
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {number} Decimal places
+ */
+export const getRoundedDigits = (quantity, system) =>
+  Math.max(0, (getSpec(quantity, system)?.digits ?? 1) - 1);
+
+/**
+ * Convert the quantity fields of a record
+ * @param {Object} record - Record in metric units
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {Object} Record in the target system
+ */
+export const convertRecord = (record, system) => {
+  if (system === UNIT_SYSTEMS.METRIC || !record) return record;
+
+  const converted = { ...record };
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    if (field in converted) {
+      converted[field] = convertValue(converted[field], quantity, system);
+    }
+  });
+  return converted;
+};
+
+/**
+ * Convert the quantity fields of a record back to metric
+ * @param {Object} record - Record in the given system
+ * @param {string} system - UNIT_SYSTEMS value the record is in
+ * @returns {Object} Record in metric units
+ */
+export const toMetricRecord = (record, system) => {
+  if (system === UNIT_SYSTEMS.METRIC || !record) return record;
+
+  const converted = { ...record };
+  Object.entries(FIELD_QUANTITIES).forEach(([field, quantity]) => {
+    const toMetric = getSpec(quantity, system)?.toMetric;
+    if (toMetric && typeof converted[field] === "number") {
+      converted[field] = toMetric(converted[field]);
+    }
+  });
+  return converted;
+};
+
+/**
+ * Convert a list of records
+ * @param {Array} records - Records in metric units
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {Array} Records in the target system
+ */
+export const convertRecords = (records, system) =>
+  system === UNIT_SYSTEMS.METRIC || !records
+    ? records
+    : records.map((record) => convertRecord(record, system));
+
+/**
+ * Convert a { daily, monthly, yearly, metadata } dataset
+ * @param {Object} dataset - Dataset in metric units
+ * @param {string} system - UNIT_SYSTEMS value
+ * @returns {Object} Dataset in the target system
+ */
+export const convertDataset = (dataset, system) =>
+  system === UNIT_SYSTEMS.METRIC || !dataset
+    ? dataset
+    : {
+        ...dataset,
+        daily: convertRecords(dataset.daily, system),
+        monthly: convertRecords(dataset.monthly, system),
+        yearly: convertRecords(dataset.yearly, system),
+        metadata: { ...dataset.metadata, unitSystem: system },
+      };